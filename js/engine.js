@@ -0,0 +1,4095 @@
+/*
+ * XIANXIA IDLE - HEADLESS GAME ENGINE
+ *
+ * DOM-free rules shared by the browser game (js/main.js) and the Node
+ * balance tool (playtest.js), so what we simulate is exactly what players get.
+ *
+ * Design:
+ * - Every gameplay function takes the state object it works on (`st`) as its
+ *   first argument. Nothing here reads globals, touches the DOM or storage.
+ * - Balance configuration lives in this module. Callers install a merged
+ *   balance.json through setBalance(), which validates it and drops caches.
+ * - Functions that would trigger UI in the browser (death, gates, cycle end)
+ *   return outcomes instead; js/main.js decides which modal/cutscene to show.
+ *
+ * Loading:
+ * - Browser: <script src="js/engine.js"> exposes window.XianxiaEngine
+ * - Node:    const Engine = require('./js/engine');
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.XianxiaEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ============= DEBUG HOOKS =============
+  // The engine never logs on its own; js/main.js installs console hooks in ?dev=1.
+
+  let debugHooks = { warn: null, log: null };
+
+  /**
+   * Install debug logging callbacks
+   * @param {Object} hooks - { warn(msg), log(msg) }, either may be omitted
+   */
+  function setDebugHooks(hooks = {}) {
+    debugHooks = { warn: hooks.warn || null, log: hooks.log || null };
+  }
+
+  function debugWarn(msg) {
+    if (debugHooks.warn) debugHooks.warn(msg);
+  }
+
+  function debugLog(msg) {
+    if (debugHooks.log) debugHooks.log(msg);
+  }
+
+  function now() { return Date.now(); }
+
+  // Number sanitization helper
+  const safeNum = (v, d = 0) => (Number.isFinite(v) ? v : d);
+
+  // ============= CONSTANTS =============
+
+  const MAX_RANKS_PER_REALM = 12;
+
+  // === Skill scaling knobs (tuneable) ===
+  const SKILL_SCALING = {
+    // Realm scaling ~ bounded exponential (log-like growth)
+    realmMaxMult: 3.0,    // cap: +200% → total 3×
+    realmK: 0.60,         // growth steepness per realm (used in exponent)
+    // Karma scaling ~ soft log
+    karmaLogCoeff: 0.30,  // multiplier per log10(karma+1)
+    karmaMaxMult: 2.5,    // hard safety cap from karma factor
+    // Cycle scaling
+    mortalCycleBoost: 1.0,
+    spiritCycleBoost: 5.0,
+  };
+
+  /**
+   * Cross-realm jump multiplier - controls minimum increase from Stage 10 to next realm's Stage 1
+   * Ensures exponential feel by requiring meaningful gaps between realms
+   * Example: 1.25 means Stage 1 of realm R+1 must be at least 25% higher than Stage 10 of realm R
+   * @type {number}
+   */
+  const CROSS_REALM_JUMP = 1.25;
+
+  /**
+   * Log-space safe overflow guard
+   * ~exp(690) ≈ 1e300, beyond this costs are built as Big values from their logarithm
+   */
+
+  const LOG_MAX = 690;
+
+  // Log helper functions
+  const ln = Math.log;
+  const exp = Math.exp;
+
+  // ============= BIG NUMBERS =============
+  // Qi totals, skill costs and stage requirements outgrow doubles late in the
+  // Celestial Cycle (and with dev cheats). Big keeps them as mantissa × 10^exponent.
+  //
+  // Representation:
+  // - "plain" (e === 0): m holds the whole value as an ordinary number. Every
+  //   value below BIG_PLAIN_LIMIT stays plain, so normal play uses exact double
+  //   arithmetic and behaves exactly like the number-based code did.
+  // - "large" (e >= BIG_PLAIN_EXP): 1 <= |m| < 10 and value = m × 10^e.
+  // Big values are immutable; every operation returns a new Big.
+  // JSON: plain values serialize as numbers, large ones as "1.2345e+400" strings,
+  // so old saves load unchanged and Big.from() revives both forms.
+
+  const BIG_PLAIN_EXP = 300;
+  const BIG_PLAIN_LIMIT = 1e300;
+
+  /**
+   * Split a finite non-zero number into a normalized mantissa/exponent pair
+   * @param {number} n - Value to split
+   * @returns {Object} { m, e } with 1 <= |m| < 10
+   */
+  function splitNumber(n) {
+    let e = Math.floor(Math.log10(Math.abs(n)));
+    let m = n / Math.pow(10, e);
+    if (Math.abs(m) >= 10) { m /= 10; e++; }
+    else if (Math.abs(m) < 1) { m *= 10; e--; }
+    return { m, e };
+  }
+
+  class Big {
+    constructor(m, e) {
+      this.m = m;
+      this.e = e;
+    }
+
+    /**
+     * Build a Big from a mantissa and exponent, normalizing either way
+     * Non-finite mantissas stay plain (NaN collapses to 0, ±Infinity is kept)
+     */
+    static make(m, e = 0) {
+      if (Number.isNaN(m) || m === 0) return Big.ZERO;
+      if (!Number.isFinite(m)) return new Big(m, 0);
+      if (e === 0 && Math.abs(m) < BIG_PLAIN_LIMIT) return new Big(m, 0);
+
+      const parts = splitNumber(m);
+      const exp10 = parts.e + e;
+      if (exp10 < BIG_PLAIN_EXP) return new Big(parts.m * Math.pow(10, exp10), 0);
+      return new Big(parts.m, exp10);
+    }
+
+    /**
+     * Coerce a number, Big, serialized string or { m, e } object to a Big
+     * Anything unparseable becomes 0 (same policy as safeNum)
+     */
+    static from(v) {
+      if (v instanceof Big) return v;
+      if (typeof v === 'number') return Big.make(v, 0);
+      if (typeof v === 'string') {
+        const match = /^\s*(-?\d+(?:\.\d+)?)e\+?(-?\d+)\s*$/i.exec(v);
+        if (match) return Big.make(parseFloat(match[1]), parseInt(match[2], 10));
+        const n = Number(v);
+        return Number.isFinite(n) ? Big.make(n, 0) : Big.ZERO;
+      }
+      if (v && typeof v === 'object' && typeof v.m === 'number' && typeof v.e === 'number') {
+        return Big.make(v.m, Math.trunc(v.e));
+      }
+      return Big.ZERO;
+    }
+
+    /** Big from a base-10 logarithm (10^l) */
+    static fromLog10(l) {
+      if (l === -Infinity) return Big.ZERO;
+      if (!Number.isFinite(l)) return Big.make(l);
+      const e = Math.floor(l);
+      return Big.make(Math.pow(10, l - e), e);
+    }
+
+    /** Big from a natural logarithm (e^l) */
+    static fromLn(l) {
+      return Big.fromLog10(l / Math.LN10);
+    }
+
+    static max(a, b) {
+      a = Big.from(a); b = Big.from(b);
+      return a.cmp(b) >= 0 ? a : b;
+    }
+
+    static min(a, b) {
+      a = Big.from(a); b = Big.from(b);
+      return a.cmp(b) <= 0 ? a : b;
+    }
+
+    isPlain() { return this.e === 0; }
+    isFinite() { return Number.isFinite(this.m); }
+    isZero() { return this.m === 0; }
+    sign() { return Math.sign(this.m); }
+
+    /** Normalized { m, e } view (1 <= |m| < 10), used by the large-value paths */
+    parts() {
+      if (this.e !== 0 || this.m === 0 || !Number.isFinite(this.m)) return { m: this.m, e: this.e };
+      return splitNumber(this.m);
+    }
+
+    add(other) {
+      const b = Big.from(other);
+      if (this.e === 0 && b.e === 0) return Big.make(this.m + b.m, 0);
+      if (b.m === 0) return this;
+      if (this.m === 0) return b;
+      if (!this.isFinite() || !b.isFinite()) return Big.make(this.toNumber() + b.toNumber());
+
+      const pa = this.parts();
+      const pb = b.parts();
+      const [hi, lo] = pa.e >= pb.e ? [pa, pb] : [pb, pa];
+      const diff = hi.e - lo.e;
+      if (diff > 17) return Big.make(hi.m, hi.e); // lo is below double precision
+      return Big.make(hi.m + lo.m / Math.pow(10, diff), hi.e);
+    }
+
+    sub(other) {
+      return this.add(Big.from(other).neg());
+    }
+
+    neg() {
+      return new Big(-this.m, this.e);
+    }
+
+    mul(other) {
+      const b = Big.from(other);
+      if (this.e === 0 && b.e === 0) {
+        const product = this.m * b.m;
+        if (Number.isFinite(product) || !Number.isFinite(this.m) || !Number.isFinite(b.m)) {
+          return Big.make(product, 0);
+        }
+      }
+      if (this.m === 0 || b.m === 0) return Big.ZERO;
+      const pa = this.parts();
+      const pb = b.parts();
+      return Big.make(pa.m * pb.m, pa.e + pb.e);
+    }
+
+    div(other) {
+      const b = Big.from(other);
+      if (this.e === 0 && b.e === 0) {
+        const quotient = this.m / b.m;
+        if (Number.isFinite(quotient) || b.m === 0 || !Number.isFinite(this.m)) {
+          return Big.make(quotient, 0);
+        }
+      }
+      if (this.m === 0) return Big.ZERO;
+      if (!b.isFinite()) return Big.ZERO;
+      const pa = this.parts();
+      const pb = b.parts();
+      return Big.make(pa.m / pb.m, pa.e - pb.e);
+    }
+
+    /** Square root (negative values give 0) */
+    sqrt() {
+      if (this.m <= 0) return Big.ZERO;
+      if (this.e === 0) return Big.make(Math.sqrt(this.m), 0);
+      return Big.fromLog10(this.log10() / 2);
+    }
+
+    /** Floor; large values have no fractional part worth keeping */
+    floor() {
+      return this.e === 0 ? Big.make(Math.floor(this.m), 0) : this;
+    }
+
+    /**
+     * Compare with another value
+     * @returns {number} -1, 0 or 1
+     */
+    cmp(other) {
+      const b = Big.from(other);
+      if (this.e === 0 && b.e === 0) {
+        return this.m < b.m ? -1 : this.m > b.m ? 1 : 0;
+      }
+      // Infinities are always plain; any large value sits strictly between them
+      if (!this.isFinite()) return this.m > 0 ? 1 : -1;
+      if (!b.isFinite()) return b.m > 0 ? -1 : 1;
+
+      const sa = this.sign();
+      const sb = b.sign();
+      if (sa !== sb) return sa < sb ? -1 : 1;
+      if (sa === 0) return 0;
+
+      const pa = this.parts();
+      const pb = b.parts();
+      let result;
+      if (pa.e !== pb.e) result = pa.e < pb.e ? -1 : 1;
+      else result = pa.m < pb.m ? -1 : pa.m > pb.m ? 1 : 0;
+      return sa > 0 ? result : -result;
+    }
+
+    gte(other) { return this.cmp(other) >= 0; }
+    gt(other) { return this.cmp(other) > 0; }
+    lt(other) { return this.cmp(other) < 0; }
+    lte(other) { return this.cmp(other) <= 0; }
+    eq(other) { return this.cmp(other) === 0; }
+
+    /** log10 of the absolute value (-Infinity for 0) */
+    log10() {
+      if (this.e === 0) return Math.log10(Math.abs(this.m));
+      return Math.log10(Math.abs(this.m)) + this.e;
+    }
+
+    /** Natural log of the absolute value (-Infinity for 0) */
+    ln() {
+      return this.log10() * Math.LN10;
+    }
+
+    /** Nearest double (±Infinity once the value leaves double range) */
+    toNumber() {
+      if (this.e === 0) return this.m;
+      return this.m * Math.pow(10, this.e);
+    }
+
+    toString() {
+      if (this.e === 0) return String(this.m);
+      return `${this.m}e+${this.e}`;
+    }
+
+    toJSON() {
+      if (this.e === 0) return Number.isFinite(this.m) ? this.m : 0;
+      return this.toString();
+    }
+  }
+
+  Big.ZERO = new Big(0, 0);
+
+  /**
+   * Restore Big fields after the state went through JSON (save, export, clone)
+   * Accepts numbers from pre-big-number saves as well as serialized strings.
+   * @param {Object} st - Parsed state (mutated)
+   * @returns {Object} The same state
+   */
+  function reviveState(st) {
+    if (!st) return st;
+    st.qi = Big.max(0, Big.from(st.qi));
+    if (st.reinc) st.reinc.lifetimeQi = Big.max(0, Big.from(st.reinc.lifetimeQi));
+    return st;
+  }
+
+  // ============= REALM DEFINITIONS =============
+  // Realms are data: balance.json "realms" (or DEFAULT_BALANCE.realms) is installed
+  // into the arrays below by setBalance(). They are updated in place so references
+  // held by callers (main.js destructures them) always see the current table.
+  //
+  // Realm fields:
+  // - id, name, description
+  // - stages:        number of stages to clear before the next realm (default 10)
+  // - lifespan:      max lifespan in years before karma, null = immortal
+  // - art:           cultivator portrait shown while in this realm
+  // - cutscene:      cutscene id played on entering the realm (null = none)
+  // - advanceReward: { qpcBaseAdd, qpsBaseAdd } granted on entering the realm
+  //                  (optional, defaults to progression.realmAdvanceReward)
+  // - unlockSpeeds:  time-flow speeds permanently unlocked on reaching the realm
+
+  const DEFAULT_STAGES_PER_REALM = 10;
+
+  const realms = [];
+
+  // ============= REALM ID MAPPING SYSTEM =============
+  // SINGLE SOURCE OF TRUTH for realm indices
+  // Use idx('realm_id') instead of hardcoded numbers to prevent off-by-one errors
+
+  const REALM_IDS = [];
+  const REALM_INDEX = {};
+
+  /**
+   * Get realm index by ID - ALWAYS use this instead of hardcoded indices
+   * @param {string} id - Realm ID (e.g., 'spirit_transformation')
+   * @returns {number} Realm index, or -1 if not found
+   */
+  const idx = (id) => REALM_INDEX[id] ?? -1;
+
+  /**
+   * Progressive time speed configuration with realm-gated unlocks
+   * Built from each realm's unlockSpeeds; uses realm IDs (not indices)
+   * @type {Array<{speed: number, unlockAt: string}>}
+   */
+  const SPEEDS_CONFIG = [];
+
+  /**
+   * Base speeds that are always available, regardless of realm
+   * These are injected unconditionally and never rely on unlock arrays
+   */
+  const BASE_SPEEDS_ALWAYS_AVAILABLE = [0, 0.25, 0.5, 1];
+
+  /**
+   * Replace the realm table, ID index and speed unlocks (in place)
+   * @param {Array} defs - Validated realm definitions
+   */
+  function installRealms(defs) {
+    realms.splice(0, realms.length, ...defs);
+    REALM_IDS.splice(0, REALM_IDS.length, ...defs.map(r => r.id));
+    Object.keys(REALM_INDEX).forEach(id => { delete REALM_INDEX[id]; });
+    REALM_IDS.forEach((id, i) => { REALM_INDEX[id] = i; });
+
+    const speeds = BASE_SPEEDS_ALWAYS_AVAILABLE.map(speed => ({ speed, unlockAt: REALM_IDS[0] }));
+    defs.forEach(realm => {
+      (realm.unlockSpeeds || []).forEach(speed => {
+        if (!speeds.some(s => s.speed === speed)) speeds.push({ speed, unlockAt: realm.id });
+      });
+    });
+    speeds.sort((a, b) => a.speed - b.speed);
+    SPEEDS_CONFIG.splice(0, SPEEDS_CONFIG.length, ...speeds);
+  }
+
+  /**
+   * Number of stages in a realm
+   * @param {number} realmIndex - Realm index
+   * @returns {number} Stage count (last stage is the breakthrough into the next realm)
+   */
+  function stageCount(realmIndex) {
+    return realms[realmIndex]?.stages || DEFAULT_STAGES_PER_REALM;
+  }
+
+  // Balance configuration - replaced by balance.json through setBalance()
+  // REBALANCED FOR 20-HOUR PROGRESSION WITH MORTAL REALM
+  // - Added Mortal Realm (realm 0): 50 years, click-only, no skills
+  // - Faster aging: 1.5 years/second for visible speed differences
+  // - Stronger skills and rewards for faster progression
+  // - Better karma gains for meaningful reincarnations
+  const DEFAULT_BALANCE = {
+    realms: [
+      { id: 'mortal_realm', name: 'Mortal Realm', description: 'Cleansing the mortal frame and opening the meridians.',
+        stages: 10, lifespan: 50, art: 'assets/cultivator0.jpg', cutscene: 'born' },
+      { id: 'qi_refining', name: 'Qi Refining', description: 'The fundamental gathering of spiritual energy into the body.',
+        stages: 10, lifespan: 100, art: 'assets/cultivator.jpg', cutscene: null },
+      { id: 'foundation_establishment', name: 'Foundation Establishment', description: 'Solidifying the internal energy source.',
+        stages: 10, lifespan: 200, art: 'assets/cultivator.jpg', cutscene: null, unlockSpeeds: [2] },
+      { id: 'golden_core', name: 'Golden Core', description: 'Condensing liquid Qi into a solid core of spiritual power.',
+        stages: 10, lifespan: 500, art: 'assets/cultivator.jpg', cutscene: null },
+      { id: 'nascent_soul', name: 'Nascent Soul', description: 'Birthing the spiritual self.',
+        stages: 10, lifespan: 1000, art: 'assets/cultivator.jpg', cutscene: null, unlockSpeeds: [4] },
+      { id: 'spirit_transformation', name: 'Spirit Transformation', description: 'Converting Qi into Spiritual Force and mastering the power of Domain.',
+        stages: 10, lifespan: 3000, art: 'assets/cultivator.jpg', cutscene: null },
+      { id: 'void_refining', name: 'Void Refining', description: 'Tempering the soul against the emptiness between worlds.',
+        stages: 10, lifespan: 10000, art: 'assets/cultivator2.jpg', cutscene: null, unlockSpeeds: [6] },
+      { id: 'body_integration', name: 'Body Integration', description: 'Fusing body and soul into a single immortal vessel.',
+        stages: 10, lifespan: 50000, art: 'assets/cultivator2.jpg', cutscene: null },
+      { id: 'mahayana', name: 'Mahayana', description: 'Grasping the great laws that govern heaven and earth.',
+        stages: 10, lifespan: 100000, art: 'assets/cultivator2.jpg', cutscene: null, unlockSpeeds: [8] },
+      { id: 'tribulation_transcendence', name: 'Tribulation Transcendence', description: 'Enduring the final heavenly tribulations.',
+        stages: 10, lifespan: 500000, art: 'assets/cultivator2.jpg', cutscene: null },
+      { id: 'void_lord', name: 'Void Lord', description: 'Standing beyond the cycle of life and death.',
+        stages: 10, lifespan: null, art: 'assets/cultivator2.jpg', cutscene: null, unlockSpeeds: [10] },
+      { id: 'immortal_emperor', name: 'Immortal Emperor', description: 'Ruling over the heavens.',
+        stages: 10, lifespan: null, art: 'assets/cultivator2.jpg', cutscene: null },
+      { id: 'god_realm', name: 'God Realm', description: 'Achieving true divinity and eternal existence by transcending the cycle of Karma.',
+        stages: 10, lifespan: null, art: 'assets/cultivator2.jpg', cutscene: null }
+    ],
+    // Ordered by first realm; every cycle after the first is sealed behind a gate
+    cycleDefinitions: {
+      mortal: { realms: ['mortal_realm', 'qi_refining', 'foundation_establishment', 'golden_core', 'nascent_soul', 'spirit_transformation'],
+        realmBonus: 0.25, skillBoost: 1.0, karmaMult: 1, name: 'Mortal Cycle', description: 'The journey from mortality to cultivation' },
+      spirit: { realms: ['void_refining', 'body_integration', 'mahayana', 'tribulation_transcendence', 'void_lord'],
+        realmBonus: 0.50, skillBoost: 5.0, karmaMult: 2, name: 'Celestial Cycle', description: 'The celestial path of divine cultivation' },
+      divine: { realms: ['immortal_emperor', 'god_realm'],
+        realmBonus: 0.75, skillBoost: 12.0, karmaMult: 3, name: 'Divine Cycle', description: 'The throne of the heavens and the path to true divinity' }
+    },
+    skills: {
+      breath_control:   { base: 1.20, cost: 20,  costScale: 1.18, ranksPerRealm: 12, type: 'qps_flat' },
+      meridian_flow:    { base: 2.00, cost: 45,  costScale: 1.18, ranksPerRealm: 12, type: 'qpc_flat' },
+      lotus_meditation: { base: 0.008, cost: 140, costScale: 1.20, ranksPerRealm: 12, capPctPerRealm: 0.12, type: 'qps_pct' },
+      dantian_temps:    { base: 0.008, cost: 110, costScale: 1.20, ranksPerRealm: 12, capPctPerRealm: 0.12, type: 'qpc_pct' },
+      closed_door:      { base: 0.005, cost: 150, costScale: 1.22, ranksPerRealm: 12, capPctPerRealm: 0.08, type: 'offline_pct' }
+    },
+    stageRequirement: {
+      realmBase: 55,
+      realmBaseScale: 4,
+      stageScale: 1.181
+    },
+    progression: {
+      qpcBaseStart: 1,
+      qpsBaseStart: 0,
+      realmAdvanceReward: { qpcBaseAdd: 3.1, qpsBaseAdd: 1.15 }
+    },
+    reincarnation: {
+      karmaPerUnit: 0.12,
+      lifetimeQiDivisor: 5000,
+      realmKarmaFactor: 4,
+      minKarma: 3
+    },
+    offline: {
+      capHours: 16
+    },
+    clock: {
+      policy: 'cap',           // 'ignore', 'warn' or 'cap' (see CLOCK)
+      toleranceSec: 120,       // Drift below this is normal clock correction
+      suspiciousCapHours: 1,   // 'cap': offline time allowed after the clock was moved back
+      watchHours: 24           // How long a moved-back clock stays suspicious
+    },
+    history: {
+      intervalSec: 60,         // Played seconds between progress samples
+      maxSamples: 480,         // Ring buffer size (8 hours at one sample a minute)
+      livesKept: 50            // Finished-life summaries kept
+    },
+    karmaShop: {
+      remembered_breath: { name: 'Remembered Breath', description: 'Begin each life with 500 Qi carried over from the last.',
+        effect: 'startingQi', perLevel: 500, maxLevel: 10, cost: 5, costScale: 1.8 },
+      enduring_vessel: { name: 'Enduring Vessel', description: 'Each level extends every realm\'s lifespan by 10%.',
+        effect: 'lifespanPct', perLevel: 0.10, maxLevel: 10, cost: 8, costScale: 1.6 },
+      secluded_mind: { name: 'Secluded Mind', description: 'Each level adds 2 hours to the offline progress cap.',
+        effect: 'offlineCapHours', perLevel: 2, maxLevel: 8, cost: 6, costScale: 1.5 },
+      deep_meridians: { name: 'Deep Meridians', description: 'Each level adds one skill rank per realm.',
+        effect: 'extraRanks', perLevel: 1, maxLevel: 5, cost: 25, costScale: 2.2, requires: 'remembered_breath' },
+      diligent_disciple: { name: 'Diligent Disciple', description: 'A disciple buys your skills for you (unlocks auto-buy).',
+        effect: 'unlockAutomation', unlocks: 'autoBuy', perLevel: 1, maxLevel: 1, cost: 10, costScale: 1 },
+      heart_of_the_dao: { name: 'Heart of the Dao', description: 'Break through the moment your Qi allows (unlocks auto-breakthrough).',
+        effect: 'unlockAutomation', unlocks: 'autoBreakthrough', perLevel: 1, maxLevel: 1, cost: 20, costScale: 1 }
+    },
+    automation: {
+      autoBuy: { unlockRealm: 'golden_core' },
+      autoBreakthrough: { unlockRealm: 'nascent_soul' },
+      autoReincarnate: { unlockRealm: 'void_refining' }
+    },
+    lifespan: {
+      yearsPerSecond: 0.5 // aging rate: 0.5 years per second (validator will clamp to [0.005, 5.0])
+    },
+    yearly: {
+      insightCoeff: 0.05,      // Insight bonus per tenfold of years lived (see YEARLY REWARDS)
+      insightYearScale: 10,    // Years lived for the first tenfold
+      herbYears: 10,           // In-game years for a spirit herb to mature
+      herbQpsSeconds: 2        // Seconds of Qi/s yielded by each harvest
+    },
+    calendar: {
+      startYear: 1,            // Year shown for a new world
+      seasonYears: 5,          // In-game years per season (see CALENDAR)
+      seasons: [
+        { id: 'spring', name: 'Spring', qpsMult: 1.05, qpcMult: 1, breakthroughCostMult: 1 },
+        { id: 'summer', name: 'Summer', qpsMult: 1, qpcMult: 1.05, breakthroughCostMult: 1 },
+        { id: 'autumn', name: 'Autumn', qpsMult: 1, qpcMult: 1, breakthroughCostMult: 0.95 },
+        { id: 'winter', name: 'Winter', qpsMult: 0.95, qpcMult: 0.95, breakthroughCostMult: 1.05 }
+      ],
+      tide: {
+        name: 'Spiritual Tide',
+        periodYears: 60,       // Years from the start of one tide to the next
+        durationYears: 6,      // Years each tide lasts (it ends a cycle)
+        qpsMult: 1.2,
+        qpcMult: 1.2,
+        breakthroughCostMult: 0.95
+      }
+    }
+  };
+
+  let BAL = JSON.parse(JSON.stringify(DEFAULT_BALANCE));
+  installRealms(BAL.realms);
+
+  // ============= BALANCE CONFIGURATION =============
+
+  /**
+   * RUNTIME CONFIG VALIDATOR - Ensures balance.json values are safe
+   * Validates and auto-fixes unsafe/malformed balance configuration values
+   * to prevent game breakage. All fixes are reported through the debug hooks.
+   * 
+   * Validations performed:
+   * 1. Realms: Unique ids, names, stage counts, lifespans, art/cutscene, rewards, speed unlocks
+   * 2. Lifespan: Backfills legacy realmMaxLifespan, last realm is immortal, yearsPerSecond in safe range
+   * 3. Cycles: Resolves realm ids to indices, removes invalid or shared ones, drops empty
+   *    cycles (falling back to one cycle of all realms), re-homes orphan realms, fills skillBoost/karmaMult
+   * 4. Stage requirements: Ensures positive values for base, scale factors
+   * 5. Progression: Validates QPC/QPS start values and realm advance rewards
+   * 6. Reincarnation: Enforces karma/penalty constraints, positive divisors
+   * 7. Skills: Validates effect types, base effectiveness, costs, and cost scaling
+   * 8. Offline: Ensures positive cap hours
+   *    8b. Clock: Known offline policy, non-negative limits
+   *    8c. Yearly rewards: Non-negative insight/herb values, positive year scales
+   *    8c-2. Calendar: Start year, season length and named seasons, tide multipliers and period
+   *    8d. History: Positive sample interval, sample cap and number of past lives kept
+   * 9. Karma shop: Known effects, positive costs and levels, valid prerequisites
+   * 10. Automation: Known features, unlock realms that exist
+   * 
+   * @param {Object} BAL - Balance configuration object to validate
+   * @returns {Object} Sanitized balance configuration
+   */
+  function validateBalanceConfig(BAL) {
+    const warn = (msg) => debugWarn(`[Balance Validator] ${msg}`);
+
+    // 1. REALM VALIDATION
+    if (!Array.isArray(BAL.realms) || BAL.realms.length === 0) {
+      warn('realms: missing or empty. Using default realms.');
+      BAL.realms = JSON.parse(JSON.stringify(DEFAULT_BALANCE.realms));
+    }
+
+    const seenRealmIds = new Set();
+    BAL.realms = BAL.realms.filter((realm, i) => {
+      if (!realm || typeof realm.id !== 'string' || !realm.id) {
+        warn(`realms[${i}]: missing id. Dropping realm.`);
+        return false;
+      }
+      if (seenRealmIds.has(realm.id)) {
+        warn(`realms[${i}]: duplicate id '${realm.id}'. Dropping realm.`);
+        return false;
+      }
+      seenRealmIds.add(realm.id);
+      return true;
+    });
+
+    BAL.realms = BAL.realms.map((realm, i) => {
+      const label = `realms[${i}] (${realm.id})`;
+      const out = { ...realm };
+
+      if (typeof out.name !== 'string' || !out.name) {
+        warn(`${label}: missing name. Using id.`);
+        out.name = realm.id;
+      }
+      if (typeof out.description !== 'string') out.description = '';
+
+      if (out.stages === undefined) {
+        out.stages = DEFAULT_STAGES_PER_REALM;
+      } else if (!Number.isInteger(out.stages) || out.stages < 1 || out.stages > 100) {
+        warn(`${label}: invalid stages (${out.stages}). Resetting to ${DEFAULT_STAGES_PER_REALM}.`);
+        out.stages = DEFAULT_STAGES_PER_REALM;
+      }
+
+      if (out.lifespan !== undefined && out.lifespan !== null &&
+          (typeof out.lifespan !== 'number' || !isFinite(out.lifespan) || out.lifespan <= 0)) {
+        warn(`${label}: invalid lifespan (${out.lifespan}). Will be backfilled.`);
+        delete out.lifespan;
+      }
+
+      ['art', 'cutscene'].forEach(key => {
+        if (out[key] === undefined) out[key] = null;
+        if (out[key] !== null && typeof out[key] !== 'string') {
+          warn(`${label}: ${key} must be a string or null. Clearing it.`);
+          out[key] = null;
+        }
+      });
+
+      if (out.advanceReward !== undefined) {
+        const reward = out.advanceReward;
+        if (!reward || typeof reward !== 'object' ||
+            !['qpcBaseAdd', 'qpsBaseAdd'].every(key => typeof reward[key] === 'number' && isFinite(reward[key]) && reward[key] >= 0)) {
+          warn(`${label}: invalid advanceReward. Using progression.realmAdvanceReward.`);
+          delete out.advanceReward;
+        }
+      }
+
+      if (out.unlockSpeeds !== undefined) {
+        const speeds = Array.isArray(out.unlockSpeeds) ? out.unlockSpeeds : [];
+        out.unlockSpeeds = speeds.filter(speed => typeof speed === 'number' && isFinite(speed) && speed > 0);
+        if (out.unlockSpeeds.length !== speeds.length || !Array.isArray(realm.unlockSpeeds)) {
+          warn(`${label}: removed invalid unlockSpeeds. Valid: [${out.unlockSpeeds.join(', ')}]`);
+        }
+      }
+
+      return out;
+    });
+
+    const realmCount = BAL.realms.length;
+
+    // 2. LIFESPAN VALIDATION
+    if (!BAL.lifespan) BAL.lifespan = {};
+    {
+      // Older balance files keep lifespans in lifespan.realmMaxLifespan (by realm index)
+      const legacy = Array.isArray(BAL.lifespan.realmMaxLifespan) ? BAL.lifespan.realmMaxLifespan : [];
+      BAL.realms.forEach((realm, i) => {
+        if (realm.lifespan !== undefined) return;
+        const legacyValue = legacy[i];
+        if (legacyValue === null || (typeof legacyValue === 'number' && legacyValue > 0)) {
+          realm.lifespan = legacyValue;
+        } else {
+          const previous = i > 0 ? BAL.realms[i - 1].lifespan : null;
+          realm.lifespan = typeof previous === 'number' ? previous : 100;
+          warn(`lifespan: realm '${realm.id}' has no lifespan. Using ${realm.lifespan}.`);
+        }
+      });
+      delete BAL.lifespan.realmMaxLifespan;
+
+      // Ensure last realm is immortal (null)
+      if (BAL.realms[realmCount - 1].lifespan !== null) {
+        warn(`lifespan: final realm should be immortal (null). Setting last realm to null.`);
+        BAL.realms[realmCount - 1].lifespan = null;
+      }
+
+      // Validate yearsPerSecond is within safe range [0.005, 5.0]
+      let yps = BAL.lifespan.yearsPerSecond;
+      if (typeof yps !== 'number' || !isFinite(yps)) {
+        warn(`lifespan: yearsPerSecond invalid (${yps}). Resetting to 0.5.`);
+        BAL.lifespan.yearsPerSecond = 0.5;
+      } else if (yps < 0.005) {
+        warn(`lifespan: yearsPerSecond too low (${yps}). Clamping to 0.005.`);
+        BAL.lifespan.yearsPerSecond = 0.005;
+      } else if (yps > 5.0) {
+        warn(`lifespan: yearsPerSecond too high (${yps}). Clamping to 5.0.`);
+        BAL.lifespan.yearsPerSecond = 5.0;
+      }
+    }
+
+    // 3. CYCLE DEFINITIONS VALIDATION
+    if (BAL.cycleDefinitions) {
+      const realmIds = BAL.realms.map(r => r.id);
+
+      Object.keys(BAL.cycleDefinitions).forEach(cycleId => {
+        const cycle = BAL.cycleDefinitions[cycleId];
+        if (!cycle || !Array.isArray(cycle.realms)) {
+          warn(`cycleDefinitions.${cycleId}: missing or invalid realms array. Removing cycle.`);
+          delete BAL.cycleDefinitions[cycleId];
+          return;
+        }
+
+        // Realms may be listed by id (reorder-safe) or by index
+        const resolved = cycle.realms.map(ref => typeof ref === 'string' ? realmIds.indexOf(ref) : ref);
+
+        // Remove invalid realm indices
+        const validRealms = resolved.filter(idx => 
+          typeof idx === 'number' && idx >= 0 && idx < realmCount
+        );
+
+        if (validRealms.length !== cycle.realms.length) {
+          warn(`cycleDefinitions.${cycleId}: removed invalid realm indices. Valid: [${validRealms.join(', ')}]`);
+        }
+
+        // A cycle with no valid realms is dropped; its realms are re-homed below
+        if (validRealms.length === 0) {
+          warn(`cycleDefinitions.${cycleId}: no valid realms. Removing cycle.`);
+          delete BAL.cycleDefinitions[cycleId];
+          return;
+        }
+        cycle.realms = validRealms;
+
+        // Ensure realmBonus is a valid number
+        if (typeof cycle.realmBonus !== 'number' || !isFinite(cycle.realmBonus)) {
+          warn(`cycleDefinitions.${cycleId}: invalid realmBonus. Setting to 0.`);
+          cycle.realmBonus = 0;
+        }
+      });
+
+      if (Object.keys(BAL.cycleDefinitions).length === 0) {
+        warn('cycleDefinitions: no valid cycles. Using a single cycle of all realms.');
+        BAL.cycleDefinitions.mortal = { name: 'Mortal Cycle', realms: BAL.realms.map((_, i) => i), realmBonus: 0 };
+      }
+
+      // Cycles run in order of their first realm; a realm belongs to one cycle only
+      const cycleOrder = Object.keys(BAL.cycleDefinitions)
+        .filter(id => Array.isArray(BAL.cycleDefinitions[id].realms) && BAL.cycleDefinitions[id].realms.length > 0)
+        .sort((a, b) => Math.min(...BAL.cycleDefinitions[a].realms) - Math.min(...BAL.cycleDefinitions[b].realms));
+      const claimedRealms = new Set();
+
+      cycleOrder.forEach((cycleId, pos) => {
+        const cycle = BAL.cycleDefinitions[cycleId];
+        const ownRealms = cycle.realms.filter(r => !claimedRealms.has(r)).sort((a, b) => a - b);
+        if (ownRealms.length !== cycle.realms.length) {
+          warn(`cycleDefinitions.${cycleId}: realms already used by an earlier cycle. Removing them.`);
+        }
+        if (ownRealms.length === 0) {
+          warn(`cycleDefinitions.${cycleId}: no realms left. Removing cycle.`);
+          delete BAL.cycleDefinitions[cycleId];
+          return;
+        }
+        cycle.realms = ownRealms;
+        ownRealms.forEach(r => claimedRealms.add(r));
+
+        // Skill boost and karma multiplier default to the old Mortal/Celestial values
+        if (cycle.skillBoost === undefined) {
+          cycle.skillBoost = pos === 0 ? SKILL_SCALING.mortalCycleBoost : SKILL_SCALING.spiritCycleBoost;
+        } else if (typeof cycle.skillBoost !== 'number' || cycle.skillBoost <= 0 || !isFinite(cycle.skillBoost)) {
+          warn(`cycleDefinitions.${cycleId}: invalid skillBoost (${cycle.skillBoost}). Setting to 1.`);
+          cycle.skillBoost = 1;
+        }
+        if (cycle.karmaMult === undefined) {
+          cycle.karmaMult = pos === 0 ? 1 : 2;
+        } else if (typeof cycle.karmaMult !== 'number' || cycle.karmaMult <= 0 || !isFinite(cycle.karmaMult)) {
+          warn(`cycleDefinitions.${cycleId}: invalid karmaMult (${cycle.karmaMult}). Setting to 1.`);
+          cycle.karmaMult = 1;
+        }
+      });
+
+      // Realms no cycle kept join the cycle of the realm before them (realm 0: the first cycle)
+      for (let r = 0; r < realmCount; r++) {
+        if (claimedRealms.has(r)) continue;
+        const ownerId = Object.keys(BAL.cycleDefinitions).find(id => BAL.cycleDefinitions[id].realms.includes(r - 1))
+          || cycleOrder.find(id => BAL.cycleDefinitions[id]);
+        const owner = BAL.cycleDefinitions[ownerId];
+        warn(`cycleDefinitions: realm ${r} belongs to no cycle. Adding it to ${ownerId}.`);
+        owner.realms = [...owner.realms, r].sort((a, b) => a - b);
+        claimedRealms.add(r);
+      }
+    }
+
+    // 4. STAGE REQUIREMENT VALIDATION
+    if (BAL.stageRequirement) {
+      const sr = BAL.stageRequirement;
+
+      if (typeof sr.realmBase !== 'number' || sr.realmBase <= 0 || !isFinite(sr.realmBase)) {
+        warn(`stageRequirement: invalid realmBase (${sr.realmBase}). Resetting to 100.`);
+        sr.realmBase = 100;
+      }
+
+      if (typeof sr.realmBaseScale !== 'number' || sr.realmBaseScale <= 0 || !isFinite(sr.realmBaseScale)) {
+        warn(`stageRequirement: invalid realmBaseScale (${sr.realmBaseScale}). Resetting to 15.`);
+        sr.realmBaseScale = 15;
+      }
+
+      if (typeof sr.stageScale !== 'number' || sr.stageScale <= 0 || !isFinite(sr.stageScale)) {
+        warn(`stageRequirement: invalid stageScale (${sr.stageScale}). Resetting to 1.45.`);
+        sr.stageScale = 1.45;
+      }
+    }
+
+    // 5. PROGRESSION VALIDATION
+    if (BAL.progression) {
+      const prog = BAL.progression;
+
+      // Validate qpcBaseStart (should be reasonable, not astronomical)
+      const MAX_SAFE_QPC = 1e15; // 1 quadrillion max
+      if (typeof prog.qpcBaseStart !== 'number' || prog.qpcBaseStart < 0 || !isFinite(prog.qpcBaseStart)) {
+        warn(`progression: invalid qpcBaseStart (${prog.qpcBaseStart}). Resetting to 1.`);
+        prog.qpcBaseStart = 1;
+      } else if (prog.qpcBaseStart > MAX_SAFE_QPC) {
+        warn(`progression: qpcBaseStart too large (${prog.qpcBaseStart}). Clamping to ${MAX_SAFE_QPC}.`);
+        prog.qpcBaseStart = 1; // Reset to safe value, not clamp to max
+      }
+
+      if (typeof prog.qpsBaseStart !== 'number' || prog.qpsBaseStart < 0 || !isFinite(prog.qpsBaseStart)) {
+        warn(`progression: invalid qpsBaseStart (${prog.qpsBaseStart}). Resetting to 0.`);
+        prog.qpsBaseStart = 0;
+      } else if (prog.qpsBaseStart > MAX_SAFE_QPC) {
+        warn(`progression: qpsBaseStart too large (${prog.qpsBaseStart}). Resetting to 0.`);
+        prog.qpsBaseStart = 0;
+      }
+
+      if (prog.realmAdvanceReward) {
+        const rar = prog.realmAdvanceReward;
+        const MAX_SAFE_REWARD = 1e6; // 1 million max per realm advance
+
+        if (typeof rar.qpcBaseAdd !== 'number' || rar.qpcBaseAdd < 0 || !isFinite(rar.qpcBaseAdd)) {
+          warn(`progression: invalid qpcBaseAdd (${rar.qpcBaseAdd}). Resetting to 1.5.`);
+          rar.qpcBaseAdd = 1.5;
+        } else if (rar.qpcBaseAdd > MAX_SAFE_REWARD) {
+          warn(`progression: qpcBaseAdd too large (${rar.qpcBaseAdd}). Resetting to 2.5.`);
+          rar.qpcBaseAdd = 2.5;
+        }
+
+        if (typeof rar.qpsBaseAdd !== 'number' || rar.qpsBaseAdd < 0 || !isFinite(rar.qpsBaseAdd)) {
+          warn(`progression: invalid qpsBaseAdd (${rar.qpsBaseAdd}). Resetting to 0.9.`);
+          rar.qpsBaseAdd = 0.9;
+        } else if (rar.qpsBaseAdd > MAX_SAFE_REWARD) {
+          warn(`progression: qpsBaseAdd too large (${rar.qpsBaseAdd}). Resetting to 1.8.`);
+          rar.qpsBaseAdd = 1.8;
+        }
+      }
+    }
+
+    // 6. REINCARNATION VALIDATION
+    if (BAL.reincarnation) {
+      const reinc = BAL.reincarnation;
+
+      if (typeof reinc.minKarma !== 'number' || reinc.minKarma < 1 || !isFinite(reinc.minKarma)) {
+        warn(`reincarnation: invalid minKarma (${reinc.minKarma}). Resetting to 3.`);
+        reinc.minKarma = 3;
+      }
+
+      if (typeof reinc.deathPenalty !== 'number' || reinc.deathPenalty <= 0 || reinc.deathPenalty > 1 || !isFinite(reinc.deathPenalty)) {
+        warn(`reincarnation: invalid deathPenalty (${reinc.deathPenalty}). Resetting to 0.5.`);
+        reinc.deathPenalty = 0.5;
+      }
+
+      if (typeof reinc.karmaPerUnit !== 'number' || reinc.karmaPerUnit < 0 || !isFinite(reinc.karmaPerUnit)) {
+        warn(`reincarnation: invalid karmaPerUnit (${reinc.karmaPerUnit}). Resetting to 0.1.`);
+        reinc.karmaPerUnit = 0.1;
+      }
+
+      if (typeof reinc.lifetimeQiDivisor !== 'number' || reinc.lifetimeQiDivisor <= 0 || !isFinite(reinc.lifetimeQiDivisor)) {
+        warn(`reincarnation: invalid lifetimeQiDivisor (${reinc.lifetimeQiDivisor}). Resetting to 10000.`);
+        reinc.lifetimeQiDivisor = 10000;
+      }
+
+      if (typeof reinc.realmKarmaFactor !== 'number' || reinc.realmKarmaFactor < 0 || !isFinite(reinc.realmKarmaFactor)) {
+        warn(`reincarnation: invalid realmKarmaFactor (${reinc.realmKarmaFactor}). Resetting to 5.`);
+        reinc.realmKarmaFactor = 5;
+      }
+    }
+
+    // 7. SKILLS VALIDATION
+    if (BAL.skills) {
+      Object.keys(BAL.skills).forEach(skillId => {
+        const skill = BAL.skills[skillId];
+
+        if (!SKILL_EFFECTS[skill.type]) {
+          warn(`skills.${skillId}: unknown type '${skill.type}' (known: ${Object.keys(SKILL_EFFECTS).join(', ')}). Skill will have no effect.`);
+        }
+
+        if (skill.oneTime && (typeof skill.value !== 'number' || skill.value < 0 || !isFinite(skill.value))) {
+          warn(`skills.${skillId}: invalid technique value (${skill.value}). Resetting to 0.12.`);
+          skill.value = 0.12;
+        }
+
+        if (!skill.oneTime) {
+          if (typeof skill.base !== 'number' || skill.base < 0 || !isFinite(skill.base)) {
+            warn(`skills.${skillId}: invalid base (${skill.base}). Resetting to 1.`);
+            skill.base = 1;
+          }
+        }
+
+        if (typeof skill.cost !== 'number' || skill.cost <= 0 || !isFinite(skill.cost)) {
+          warn(`skills.${skillId}: invalid cost (${skill.cost}). Resetting to 50.`);
+          skill.cost = 50;
+        }
+
+        if (!skill.oneTime) {
+          if (typeof skill.costScale !== 'number' || skill.costScale <= 1 || !isFinite(skill.costScale)) {
+            warn(`skills.${skillId}: invalid costScale (${skill.costScale}). Resetting to 1.3.`);
+            skill.costScale = 1.3;
+          }
+
+          const rawRanks = Number(skill.ranksPerRealm);
+          if (!Number.isFinite(rawRanks) || rawRanks < 1) {
+            warn(`skills.${skillId}: invalid ranksPerRealm (${skill.ranksPerRealm}). Resetting to ${MAX_RANKS_PER_REALM}.`);
+            skill.ranksPerRealm = MAX_RANKS_PER_REALM;
+          } else {
+            const capped = Math.min(MAX_RANKS_PER_REALM, Math.max(1, Math.floor(rawRanks)));
+            if (capped !== rawRanks) {
+              warn(`skills.${skillId}: ranksPerRealm (${rawRanks}) exceeds cap ${MAX_RANKS_PER_REALM}. Clamping.`);
+            }
+            skill.ranksPerRealm = capped;
+          }
+        }
+      });
+    }
+
+    // 8. OFFLINE VALIDATION
+    if (BAL.offline) {
+      if (typeof BAL.offline.capHours !== 'number' || BAL.offline.capHours <= 0 || !isFinite(BAL.offline.capHours)) {
+        warn(`offline: invalid capHours (${BAL.offline.capHours}). Resetting to 12.`);
+        BAL.offline.capHours = 12;
+      }
+    }
+
+    // 8b. CLOCK VALIDATION
+    if (BAL.clock && typeof BAL.clock === 'object') {
+      if (!CLOCK_POLICIES.includes(BAL.clock.policy)) {
+        warn(`clock: unknown policy '${BAL.clock.policy}' (known: ${CLOCK_POLICIES.join(', ')}). Using 'cap'.`);
+        BAL.clock.policy = 'cap';
+      }
+      ['toleranceSec', 'suspiciousCapHours', 'watchHours'].forEach(key => {
+        const v = BAL.clock[key];
+        if (typeof v !== 'number' || v < 0 || !isFinite(v)) {
+          warn(`clock: invalid ${key} (${v}). Resetting to ${DEFAULT_BALANCE.clock[key]}.`);
+          BAL.clock[key] = DEFAULT_BALANCE.clock[key];
+        }
+      });
+    } else {
+      if (BAL.clock !== undefined) warn('clock must be an object. Using defaults.');
+      BAL.clock = { ...DEFAULT_BALANCE.clock };
+    }
+
+    // 8c. YEARLY REWARDS VALIDATION
+    if (BAL.yearly && typeof BAL.yearly === 'object') {
+      ['insightCoeff', 'insightYearScale', 'herbYears', 'herbQpsSeconds'].forEach(key => {
+        const v = BAL.yearly[key];
+        const min = key === 'insightCoeff' || key === 'herbQpsSeconds' ? 0 : 0.01; // Scales divide
+        if (typeof v !== 'number' || v < min || !isFinite(v)) {
+          warn(`yearly: invalid ${key} (${v}). Resetting to ${DEFAULT_BALANCE.yearly[key]}.`);
+          BAL.yearly[key] = DEFAULT_BALANCE.yearly[key];
+        }
+      });
+    } else {
+      if (BAL.yearly !== undefined) warn('yearly must be an object. Using defaults.');
+      BAL.yearly = { ...DEFAULT_BALANCE.yearly };
+    }
+
+    // 8c-2. CALENDAR VALIDATION
+    const validMult = v => typeof v === 'number' && v > 0 && isFinite(v);
+    const validateMults = (obj, label, defaults) => {
+      ['qpsMult', 'qpcMult', 'breakthroughCostMult'].forEach(key => {
+        if (!validMult(obj[key])) {
+          if (obj[key] !== undefined) warn(`${label}: invalid ${key} (${obj[key]}). Resetting to ${defaults[key] ?? 1}.`);
+          obj[key] = defaults[key] ?? 1;
+        }
+      });
+    };
+    if (BAL.calendar && typeof BAL.calendar === 'object') {
+      const cal = BAL.calendar;
+      const defCal = DEFAULT_BALANCE.calendar;
+      if (typeof cal.startYear !== 'number' || !isFinite(cal.startYear)) {
+        if (cal.startYear !== undefined) warn(`calendar: invalid startYear (${cal.startYear}). Resetting to ${defCal.startYear}.`);
+        cal.startYear = defCal.startYear;
+      }
+      cal.startYear = Math.floor(cal.startYear);
+      if (typeof cal.seasonYears !== 'number' || cal.seasonYears < 0.01 || !isFinite(cal.seasonYears)) {
+        warn(`calendar: invalid seasonYears (${cal.seasonYears}). Resetting to ${defCal.seasonYears}.`);
+        cal.seasonYears = defCal.seasonYears;
+      }
+      if (!Array.isArray(cal.seasons) || cal.seasons.length === 0) {
+        warn('calendar.seasons must be a non-empty array. Using defaults.');
+        cal.seasons = JSON.parse(JSON.stringify(defCal.seasons));
+      }
+      cal.seasons = cal.seasons.filter((season, i) => {
+        if (!season || typeof season !== 'object' || typeof season.name !== 'string') {
+          warn(`calendar.seasons[${i}]: missing name. Removing.`);
+          return false;
+        }
+        if (typeof season.id !== 'string') season.id = season.name.toLowerCase();
+        validateMults(season, `calendar.seasons[${i}]`, {});
+        return true;
+      });
+      if (cal.seasons.length === 0) cal.seasons = JSON.parse(JSON.stringify(defCal.seasons));
+      if (cal.tide && typeof cal.tide === 'object') {
+        const tide = cal.tide;
+        if (typeof tide.name !== 'string') tide.name = defCal.tide.name;
+        ['periodYears', 'durationYears'].forEach(key => {
+          if (typeof tide[key] !== 'number' || tide[key] < 0 || !isFinite(tide[key])) {
+            warn(`calendar.tide: invalid ${key} (${tide[key]}). Resetting to ${defCal.tide[key]}.`);
+            tide[key] = defCal.tide[key];
+          }
+        });
+        if (tide.periodYears < 0.01) tide.periodYears = defCal.tide.periodYears;
+        if (tide.durationYears > tide.periodYears) {
+          warn(`calendar.tide: durationYears (${tide.durationYears}) exceeds periodYears. Clamping.`);
+          tide.durationYears = tide.periodYears;
+        }
+        validateMults(tide, 'calendar.tide', defCal.tide);
+      } else {
+        if (cal.tide !== undefined) warn('calendar.tide must be an object. Using defaults.');
+        cal.tide = { ...defCal.tide };
+      }
+    } else {
+      if (BAL.calendar !== undefined) warn('calendar must be an object. Using defaults.');
+      BAL.calendar = JSON.parse(JSON.stringify(DEFAULT_BALANCE.calendar));
+    }
+
+    // 8d. HISTORY VALIDATION
+    if (BAL.history && typeof BAL.history === 'object') {
+      ['intervalSec', 'maxSamples', 'livesKept'].forEach(key => {
+        const v = BAL.history[key];
+        if (typeof v !== 'number' || v < 1 || !isFinite(v)) {
+          warn(`history: invalid ${key} (${v}). Resetting to ${DEFAULT_BALANCE.history[key]}.`);
+          BAL.history[key] = DEFAULT_BALANCE.history[key];
+        }
+      });
+      BAL.history.maxSamples = Math.floor(BAL.history.maxSamples);
+      BAL.history.livesKept = Math.floor(BAL.history.livesKept);
+    } else {
+      if (BAL.history !== undefined) warn('history must be an object. Using defaults.');
+      BAL.history = { ...DEFAULT_BALANCE.history };
+    }
+
+    // 9. KARMA SHOP VALIDATION
+    if (BAL.karmaShop && typeof BAL.karmaShop === 'object') {
+      Object.keys(BAL.karmaShop).forEach(upId => {
+        const up = BAL.karmaShop[upId];
+        if (!up || !KARMA_UPGRADE_EFFECTS.includes(up.effect)) {
+          warn(`karmaShop.${upId}: unknown effect '${up?.effect}' (known: ${KARMA_UPGRADE_EFFECTS.join(', ')}). Removing.`);
+          delete BAL.karmaShop[upId];
+          return;
+        }
+        if (typeof up.cost !== 'number' || up.cost <= 0 || !isFinite(up.cost)) {
+          warn(`karmaShop.${upId}: invalid cost (${up.cost}). Resetting to 10.`);
+          up.cost = 10;
+        }
+        if (typeof up.costScale !== 'number' || up.costScale < 1 || !isFinite(up.costScale)) {
+          warn(`karmaShop.${upId}: invalid costScale (${up.costScale}). Resetting to 1.5.`);
+          up.costScale = 1.5;
+        }
+        if (!Number.isInteger(up.maxLevel) || up.maxLevel < 1) {
+          warn(`karmaShop.${upId}: invalid maxLevel (${up.maxLevel}). Resetting to 1.`);
+          up.maxLevel = 1;
+        }
+        if (typeof up.perLevel !== 'number' || up.perLevel < 0 || !isFinite(up.perLevel)) {
+          warn(`karmaShop.${upId}: invalid perLevel (${up.perLevel}). Resetting to 0.`);
+          up.perLevel = 0;
+        }
+        if (up.effect === 'unlockAutomation' && !AUTOMATION_FEATURES.includes(up.unlocks)) {
+          warn(`karmaShop.${upId}: unknown automation feature '${up.unlocks}' (known: ${AUTOMATION_FEATURES.join(', ')}). Removing.`);
+          delete BAL.karmaShop[upId];
+          return;
+        }
+        if (!up.name) up.name = upId.split('_').map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+      });
+      Object.keys(BAL.karmaShop).forEach(upId => {
+        const up = BAL.karmaShop[upId];
+        if (up.requires !== undefined && !BAL.karmaShop[up.requires]) {
+          warn(`karmaShop.${upId}: unknown prerequisite '${up.requires}'. Dropping it.`);
+          delete up.requires;
+        }
+      });
+    } else if (BAL.karmaShop !== undefined) {
+      warn('karmaShop must be an object of upgrades. Using an empty shop.');
+      BAL.karmaShop = {};
+    }
+
+    // 10. AUTOMATION VALIDATION
+    if (BAL.automation && typeof BAL.automation === 'object') {
+      Object.keys(BAL.automation).forEach(feature => {
+        if (!AUTOMATION_FEATURES.includes(feature)) {
+          warn(`automation.${feature}: unknown feature (known: ${AUTOMATION_FEATURES.join(', ')}). Removing.`);
+          delete BAL.automation[feature];
+          return;
+        }
+        const realmId = BAL.automation[feature]?.unlockRealm;
+        if (realmId !== undefined && !BAL.realms.some(r => r.id === realmId)) {
+          warn(`automation.${feature}: unknown unlockRealm '${realmId}'. It can only be unlocked from the karma shop.`);
+          delete BAL.automation[feature].unlockRealm;
+        }
+      });
+    } else if (BAL.automation !== undefined) {
+      warn('automation must be an object keyed by feature. Disabling realm unlocks.');
+      BAL.automation = {};
+    }
+
+    debugLog('[Balance Validator] Validation complete. Configuration sanitized.');
+
+    return BAL;
+  }
+
+  /**
+   * Install a balance configuration (already merged with defaults by the caller)
+   * Validates it, installs its realm table and invalidates derived caches.
+   * @param {Object} balance - Balance configuration
+   * @returns {Object} The sanitized configuration now used by the engine
+   */
+  function setBalance(balance) {
+    BAL = validateBalanceConfig(balance);
+    installRealms(BAL.realms);
+    resetCaches();
+    return BAL;
+  }
+
+  /**
+   * @returns {Object} Balance configuration currently used by the engine
+   */
+  function getBalance() {
+    return BAL;
+  }
+
+  // ============= CACHES =============
+
+  // Dynamic skill catalog based on BAL configuration (hybrid rank + technique system)
+  let SKILL_CAT = null;
+
+  /**
+   * Cached minimum realm scale to prevent cross-realm requirement drops
+   * Computed once on first stageRequirement() call
+   * @type {number|null}
+   */
+  let MIN_REALM_SCALE = null;
+  let EFFECTIVE_REALM_SCALE = null;
+  let hasWarnedRealmScale = false;
+
+  /**
+   * Drop every value derived from BAL (skill catalog, realm scale)
+   * Call after mutating BAL in place.
+   */
+  function resetCaches() {
+    SKILL_CAT = null;
+    MIN_REALM_SCALE = null;
+    EFFECTIVE_REALM_SCALE = null;
+  }
+
+  // ============= STATE =============
+
+  const defaultState = () => ({
+    qi: Big.ZERO,
+    qpcBase: BAL.progression.qpcBaseStart,
+    qpsBase: BAL.progression.qpsBaseStart,
+    qpcMult: 1,
+    qpsMult: 1,
+    offlineMult: 1,
+    realmIndex: 0,
+    stage: 1,
+    lastTick: now(),
+    lastSave: null,
+    skills: {},
+    reinc: { times: 0, karma: 0, lifetimeQi: Big.ZERO },
+    lifespan: { current: realms[0]?.lifespan || 100, max: realms[0]?.lifespan || 100 },
+    age: 0, // Current age in years (increases over time)
+    isDead: false, // Death state flag
+    timeSpeed: { current: 1, paused: false },
+    currentCycle: 'mortal',
+    life: { isCleanRun: true, bornAt: now(), clicks: 0 }, // isCleanRun: for Longevity Expert; bornAt, clicks: see LINEAGE
+    yearly: { years: 0, herbGrowth: 0, harvests: 0 }, // Per-life yearly rewards (see YEARLY REWARDS)
+    flags: {
+      unlockedBeyondSpirit: false,
+      hasUnlockedSpiritCycle: false,
+      hasCompletedMandatoryST10: false,
+      canManualReincarnate: false,
+      unlockedCycles: [], // Cycles opened by passing their gate
+      lifespanHandled: false // Latch flag to prevent duplicate death popups per life
+    },
+    lifecycle: {
+      isReincarnating: false,
+      lastDeathAt: 0,
+      lastReincarnateAt: 0
+    },
+    stats: {
+      deaths: 0 // Only increments on lifespan death, not voluntary reincarnation
+    },
+    meta: {
+      unlockedSpeeds: [0, 0.25, 0.5, 1], // Permanent time-speed unlocks (base speeds always available)
+      karmaUpgrades: {},                 // Karma shop levels by upgrade id
+      highestRealm: 0,                   // Highest realm index reached in any life
+      offlineReports: [],                // Last "While You Were Away" reports, newest first
+      clock: { highWater: 0, lastWall: 0, jumps: [] }, // Wall-clock record (see CLOCK)
+      history: { elapsed: 0, sinceSample: 0, life: 0, next: 0, samples: [], lives: [], peak: { qi: null, qps: null, qpc: null } }, // Progress samples (see HISTORY)
+      lineage: [],                       // Finished lives, oldest first (see LINEAGE)
+      calendar: { years: 0 },            // World years since the calendar began (see CALENDAR)
+      automation: defaultAutomation()    // Auto-buy / breakthrough / reincarnate rules
+    }
+  });
+
+  /**
+   * Add Qi to the pool (ignores non-positive or non-finite amounts)
+   * @param {Object} st - Game state (mutated)
+   * @param {number|Big} x - Qi to add
+   */
+  function safeAddQi(st, x) {
+    const amount = Big.from(x);
+    if (!amount.isFinite() || amount.sign() <= 0) return;
+    st.qi = Big.from(st.qi).add(amount);
+  }
+
+  /**
+   * Add Qi to the lifetime total used for karma
+   * @param {Object} st - Game state (mutated)
+   * @param {number|Big} x - Qi gained
+   */
+  function addLifetimeQi(st, x) {
+    const amount = Big.from(x);
+    if (!amount.isFinite() || amount.sign() <= 0) return;
+    st.reinc.lifetimeQi = Big.from(st.reinc.lifetimeQi).add(amount);
+  }
+
+  function enforceQiRefiningQpsBaseline(st) {
+    if (!st) return;
+    const qiRefiningIndex = idx('qi_refining');
+    if (st.realmIndex === qiRefiningIndex) {
+      st.qpsBase = 1;
+      return;
+    }
+    if (st.realmIndex > qiRefiningIndex && (!Number.isFinite(st.qpsBase) || st.qpsBase < 1)) {
+      st.qpsBase = 1;
+    }
+  }
+
+  // ============= KARMA & POWER SCALING (SOFT CAPS) =============
+
+  /**
+   * Realm-aware minimum percent per level for Tier-2/Tier-3 skills
+   * Gradually rises with realm so it never rounds to 0%
+   * Returns fraction (e.g., 0.001 = 0.1%)
+   *
+   * Progression:
+   * - Mortal (0): 0.00015 (0.015%)
+   * - Qi Refining (1): ~0.0003 (0.03%)
+   * - Golden Core (3): ~0.001 (0.10%)
+   * - Spirit Transform (5): ~0.003 (0.30%)
+   * - Void Lord (10): ~0.01 (1.00%)
+   *
+   * @param {number} realmIndex - Current realm index
+   * @returns {number} Minimum percent per level (fraction)
+   */
+  function minTierPctByRealm(realmIndex) {
+    const floor = 0.00015 + 0.001 * (1 - Math.exp(-0.35 * Math.max(0, realmIndex)));
+    return Math.min(0.01, floor); // hard floor cap at 1% per level
+  }
+
+  /**
+   * Realm-aware maximum percent per level for Tier-2/Tier-3 skills
+   * Per-level ceiling so a single level can't blow up
+   * Grows with realm to maintain relevance
+   *
+   * Progression:
+   * - Early realms: ~2% per level
+   * - Mid realms: ~4% per level
+   * - Late realms: ~6% per level
+   *
+   * @param {number} realmIndex - Current realm index
+   * @returns {number} Maximum percent per level (fraction)
+   */
+  function maxTierPctByRealm(realmIndex) {
+    const cap = 0.02 + 0.05 * (1 - Math.exp(-0.25 * Math.max(0, realmIndex)));
+    return Math.min(0.06, cap);
+  }
+
+  /**
+   * Karma soft cap for Qi multiplier
+   * Asymptotically approaches +120% at high karma
+   * Formula: 1 + 1.2 * (1 - e^(-0.04 * karma))
+   */
+  function karmaQiMult(karma) {
+    return 1 + 1.2 * (1 - Math.exp(-0.04 * karma));
+  }
+
+  /**
+   * Karma soft cap for lifespan multiplier
+   * Asymptotically approaches +150% at high karma
+   * Formula: 1 + 1.5 * (1 - e^(-0.03 * karma))
+   */
+  function karmaLifeMult(karma) {
+    return 1 + 1.5 * (1 - Math.exp(-0.03 * karma));
+  }
+
+  /**
+   * Karma soft cap for stage requirement reduction
+   * Mild effect, asymptotically approaches +60% easier at high karma
+   * Formula: 1 + 0.6 * (1 - e^(-0.03 * karma))
+   * Applied as: requirement / karmaStageMult (so higher value = easier)
+   */
+  function karmaStageMult(karma) {
+    return 1 + 0.6 * (1 - Math.exp(-0.03 * karma));
+  }
+
+  /**
+   * Cycle-based power multiplier (LINEAR within cycle, not compounding)
+   * Each cycle adds its realmBonus per realm from the cycle start
+   * (Mortal +25%, Celestial +50%, Divine +75% with the shipped balance.json)
+   * Returns a single multiplicative factor (not stacking per realm)
+   */
+  function cyclePowerMult(realmIndex) {
+    const cycle = getCycleDef(cycleIdForRealm(realmIndex));
+    if (!cycle) return 1; // No cycle bonus
+
+    const idxInCycle = cycle.realms.indexOf(realmIndex);
+    return 1 + (cycle.realmBonus * idxInCycle);
+  }
+
+  // ============= CYCLE SYSTEM =============
+  // Cycles are ordered groups of realms from BAL.cycleDefinitions (ordered by
+  // their first realm). Every cycle after the first is sealed behind a gate at
+  // the last stage of the previous cycle: the first time the cultivator gets
+  // there, a mandatory reincarnation unlocks the next cycle for all later lives.
+  // Completing the last stage of the final cycle ends the run ('cycle_end').
+
+  /**
+   * @returns {string[]} Cycle ids in progression order
+   */
+  function getCycleOrder() {
+    const defs = BAL.cycleDefinitions || {};
+    return Object.keys(defs)
+      .filter(id => Array.isArray(defs[id]?.realms) && defs[id].realms.length > 0)
+      .sort((a, b) => defs[a].realms[0] - defs[b].realms[0]);
+  }
+
+  /**
+   * @param {string} cycleId - Cycle id
+   * @returns {Object|null} Cycle definition with its id, or null if unknown
+   */
+  function getCycleDef(cycleId) {
+    const def = cycleId ? BAL.cycleDefinitions?.[cycleId] : null;
+    return def ? { ...def, id: cycleId } : null;
+  }
+
+  /**
+   * @param {number} realmIndex - Realm index
+   * @returns {string|null} Id of the cycle containing the realm
+   */
+  function cycleIdForRealm(realmIndex) {
+    return getCycleOrder().find(id => BAL.cycleDefinitions[id].realms.includes(realmIndex)) || null;
+  }
+
+  /**
+   * @param {string} cycleId - Cycle id
+   * @returns {string|null} Id of the cycle after it, or null for the final cycle
+   */
+  function nextCycleId(cycleId) {
+    const order = getCycleOrder();
+    const pos = order.indexOf(cycleId);
+    return pos >= 0 ? (order[pos + 1] || null) : null;
+  }
+
+  /**
+   * @param {string} cycleId - Cycle id
+   * @returns {string|null} Id of the cycle before it, or null for the first cycle
+   */
+  function previousCycleId(cycleId) {
+    const order = getCycleOrder();
+    const pos = order.indexOf(cycleId);
+    return pos > 0 ? order[pos - 1] : null;
+  }
+
+  /**
+   * Check whether a cycle's gate has been passed in some earlier life
+   * The first cycle is always open.
+   * @param {Object} st - Game state
+   * @param {string} cycleId - Cycle id
+   * @returns {boolean}
+   */
+  function isCycleUnlocked(st, cycleId) {
+    const pos = getCycleOrder().indexOf(cycleId);
+    if (pos < 0) return false;
+    if (pos === 0) return true;
+    return Array.isArray(st.flags?.unlockedCycles) && st.flags.unlockedCycles.includes(cycleId);
+  }
+
+  /**
+   * Record a passed gate on the state (flags survive reincarnation)
+   * @param {Object} st - Game state (mutated)
+   * @param {string} cycleId - Cycle id
+   */
+  function unlockCycle(st, cycleId) {
+    // Copy, never push: flags are shallow-copied from the previous life
+    const unlocked = Array.isArray(st.flags.unlockedCycles) ? st.flags.unlockedCycles : [];
+    if (!unlocked.includes(cycleId)) st.flags.unlockedCycles = [...unlocked, cycleId];
+
+    // The first gate also opens voluntary reincarnation (legacy flag names kept for old saves)
+    if (getCycleOrder().indexOf(cycleId) === 1) {
+      st.flags.hasCompletedMandatoryST10 = true;
+      st.flags.canManualReincarnate = true;
+      st.flags.hasUnlockedSpiritCycle = true;
+      st.flags.unlockedBeyondSpirit = true;
+    }
+  }
+
+  /**
+   * Get cycle boundaries dynamically from balance.json
+   * No hardcoded indices - derived from cycle definitions
+   * @returns {Object} { [cycleId]: { start, end } } in progression order
+   */
+  function getCycleBoundaries() {
+    const out = {};
+    for (const id of getCycleOrder()) {
+      const cycleRealms = BAL.cycleDefinitions[id].realms;
+      out[id] = { start: cycleRealms[0], end: cycleRealms[cycleRealms.length - 1] };
+    }
+    return out;
+  }
+
+  /**
+   * Realm whose last stage holds the first Heavenly Gate (the end of the first cycle)
+   * @returns {number} Realm index
+   */
+  function transcendenceGateRealm() {
+    const first = getCycleBoundaries()[getCycleOrder()[0]];
+    return first ? first.end : realms.length - 1;
+  }
+
+  function getCurrentCycle(st) {
+    const cycle = getCycleDef(cycleIdForRealm(st.realmIndex)) || getCycleDef(getCycleOrder()[0]);
+    if (!cycle) return { id: 'mortal', name: 'Mortal Cycle', realmBonus: 0.25, realms: [] };
+    return cycle;
+  }
+
+  /**
+   * Sync st.currentCycle with the realm the cultivator is in
+   * @param {Object} st - Game state (mutated)
+   * @returns {string} Cycle id before the update (compare to detect transitions)
+   */
+  function updateCurrentCycle(st) {
+    const oldCycle = st.currentCycle;
+
+    const cycleId = cycleIdForRealm(st.realmIndex);
+    if (cycleId) st.currentCycle = cycleId;
+
+    return oldCycle;
+  }
+
+  /**
+   * Check if a skill is unlocked based on cycle requirements
+   * Techniques stay available in every cycle after the one that unlocks them.
+   * @param {Object} st - Game state
+   * @param {Object} skill - Skill definition with optional unlockAtCycle property
+   * @returns {boolean} True if skill is unlocked by current cycle
+   */
+  function skillUnlockedByCycle(st, skill) {
+    if (!skill.unlockAtCycle) return true; // No cycle requirement
+    const order = getCycleOrder();
+    const required = order.indexOf(skill.unlockAtCycle);
+    if (required < 0) return true; // Unknown requirement, allow by default
+    return order.indexOf(cycleIdForRealm(st.realmIndex)) >= required;
+  }
+
+  /**
+   * Check if the cultivator stands on the last stage of the current cycle's last realm
+   * with no open cycle beyond it (a gate or the end of the final cycle)
+   */
+  function isAtCycleEnd(st) {
+    const cycle = getCurrentCycle(st);
+    const lastRealmInCycle = cycle.realms[cycle.realms.length - 1];
+    if (st.realmIndex !== lastRealmInCycle || st.stage < stageCount(lastRealmInCycle)) return false;
+
+    const next = nextCycleId(cycle.id);
+    return !next || !isCycleUnlocked(st, next);
+  }
+
+  /**
+   * Cycle whose gate the cultivator is standing at
+   * @param {Object} st - Game state
+   * @returns {string|null} Id of the locked next cycle, or null when not at a gate
+   */
+  function cycleGateAhead(st) {
+    if (!isAtCycleEnd(st)) return null;
+    const next = nextCycleId(getCurrentCycle(st).id);
+    return next && !isCycleUnlocked(st, next) ? next : null;
+  }
+
+  // ============= SKILL CATALOG =============
+
+  function getSkillCatalog() {
+    if (!SKILL_CAT) {
+      SKILL_CAT = [];
+
+      // Build catalog from balance.json with extended schema
+      for (const [id, data] of Object.entries(BAL.skills)) {
+        const skillDef = {
+          id,
+          name: id.split('_').map(w => w[0].toUpperCase() + w.slice(1)).join(' '),
+          cost: data.cost,
+          type: data.type,
+          icon: data.icon || `${id}.png`
+        };
+
+        // One-time techniques (Celestial Cycle endgame)
+        if (data.oneTime) {
+          skillDef.oneTime = true;
+          skillDef.value = data.value;
+          skillDef.unlockAtCycle = data.unlockAtCycle;
+        } else {
+          // Ranked skills (per-realm progression)
+          skillDef.base = data.base;
+          skillDef.costScale = data.costScale;
+          skillDef.ranksPerRealm = data.ranksPerRealm;
+          if (data.capPctPerRealm !== undefined) {
+            skillDef.capPctPerRealm = data.capPctPerRealm;
+          }
+        }
+
+        SKILL_CAT.push(skillDef);
+      }
+    }
+    return SKILL_CAT;
+  }
+
+  function getSkill(id) { return getSkillCatalog().find(s => s.id === id); }
+
+  // ============= HYBRID SKILL SYSTEM (FINITE RANKS + ONE-TIME TECHNIQUES) =============
+
+  /**
+   * Get current realm's rank count for a skill
+   * @param {Object} st - Game state
+   * @param {string} id - Skill ID
+   * @returns {number} Ranks purchased in current realm
+   */
+  function currentRealmRanks(st, id) {
+    const skill = st.skills[id];
+    if (!skill || skill.purchasedOneTime) return 0;
+    return skill.perRealm?.[st.realmIndex] || 0;
+  }
+
+  /**
+   * Add ranks to current realm for a skill
+   * @param {Object} st - Game state (mutated)
+   * @param {string} id - Skill ID
+   * @param {number} n - Number of ranks to add
+   */
+  function addRealmRank(st, id, n) {
+    let skill = st.skills[id];
+    if (!skill) {
+      skill = st.skills[id] = { total: 0, perRealm: {} };
+    }
+    const cur = currentRealmRanks(st, id);
+    skill.perRealm[st.realmIndex] = cur + n;
+    skill.total += n;
+  }
+
+  /**
+   * Check if a technique has been purchased
+   * @param {Object} st - Game state
+   * @param {string} id - Skill ID
+   * @returns {boolean} True if technique is purchased
+   */
+  function isTechniquePurchased(st, id) {
+    return st.skills[id]?.purchasedOneTime || false;
+  }
+
+  /**
+   * Purchase a one-time technique
+   * @param {Object} st - Game state (mutated)
+   * @param {string} id - Skill ID
+   */
+  function purchaseTechnique(st, id) {
+    st.skills[id] = { purchasedOneTime: true, total: 1, perRealm: {} };
+  }
+
+  /**
+   * Realm power curve: bounded exponential approaching realmMaxMult
+   * Returns a multiplier in [1.0, 1.0 + realmMaxMult]
+   * Uses formula: 1 + M * (1 - e^(-k * realmIndex))
+   * This creates smooth growth that prevents early explosion and late irrelevance
+   */
+  function skillRealmScale(realmIndex) {
+    const { realmMaxMult, realmK } = SKILL_SCALING;
+    // 1 + M * (1 - e^(-k * realmIndex))
+    const scale = 1 + realmMaxMult * (1 - Math.exp(-realmK * Math.max(0, realmIndex)));
+    // Hard safety clamp
+    return Math.min(1 + realmMaxMult, Math.max(1, scale));
+  }
+
+  /**
+   * Karma boost: soft log so early karma helps and late karma doesn't explode
+   * Returns a multiplier in [1.0, 1.0 + karmaMaxMult]
+   * Formula: 1 + log10(karma+1) * coeff
+   */
+  function skillKarmaBoost(karma) {
+    const { karmaLogCoeff, karmaMaxMult } = SKILL_SCALING;
+    const mult = 1 + Math.log10(Math.max(1, karma) + 1) * karmaLogCoeff;
+    return Math.min(1 + karmaMaxMult, Math.max(1, mult));
+  }
+
+  /**
+   * Cycle boost: modest in Mortal, larger in later cycles to keep late game relevant
+   * Read from the cycle's skillBoost (1.0 Mortal, 5.0 Celestial, 12.0 Divine in balance.json)
+   */
+  function skillCycleBoost(st) {
+    return getCycleDef(st.currentCycle)?.skillBoost ?? SKILL_SCALING.mortalCycleBoost;
+  }
+
+  /**
+   * Single source of truth for per-skill base (pre-tier logic).
+   * Multiplies the static BAL base by realm/karma/cycle factors.
+   * Keeps Qi independent of time speed/lifespan.
+   *
+   * @param {Object} st - Game state
+   * @param {string} id - Skill ID
+   * @returns {number} Effective base multiplied by progression factors
+   */
+  function effectiveSkillBase(st, id) {
+    const base = BAL.skills[id]?.base ?? 0;
+    if (base <= 0) return 0;
+
+    // Independent progression factors (no time speed or lifespan references)
+    const realmMult  = skillRealmScale(st.realmIndex);
+    const karmaMult  = skillKarmaBoost(safeNum(st.reinc?.karma, 0));
+    const cycleMult  = skillCycleBoost(st);
+
+    // Combine safely with caps
+    let scaled = base * realmMult * karmaMult * cycleMult;
+
+    // Global hard clamp to avoid overflow; math stays finite
+    if (!Number.isFinite(scaled) || scaled < 0) scaled = 0;
+    return Math.min(1e150, scaled);
+  }
+
+  // ============= SKILL EFFECT REGISTRY =============
+  // Every catalog entry is resolved through its `type`. A handler names the totals
+  // it feeds ('qps', 'qpc', 'offline') and folds one skill into the running
+  // { add, mult } of that total. Shipping a skill of an existing type only needs a
+  // balance.json entry; a new type needs one registerSkillEffect() call.
+
+  const SKILL_EFFECTS = {};
+
+  const EFFECT_LABELS = { qps: 'Qi/s', qpc: 'Qi/click', offline: 'offline Qi' };
+
+  /**
+   * Register (or replace) the effect handler for a skill type
+   * @param {string} type - Skill type as used in balance.json
+   * @param {Object} handler
+   *  - targets: totals this type contributes to ('qps', 'qpc', 'offline')
+   *  - apply(st, sk, acc, target): fold the skill into acc = { add, mult }
+   *  - describe(st, sk): { kind: 'flat'|'pct', label, perRank, cap, value } for the shop
+   */
+  function registerSkillEffect(type, handler) {
+    SKILL_EFFECTS[type] = handler;
+  }
+
+  /**
+   * @param {string} type - Skill type
+   * @returns {Object|null} Registered handler, or null for unknown types
+   */
+  function getSkillEffect(type) {
+    return SKILL_EFFECTS[type] || null;
+  }
+
+  /**
+   * Flat ranked skill: ranks × (state base × realmBaselines share) × effectiveSkillBase
+   * @param {string} target - Total fed by the skill
+   * @param {string} baseKey - State field holding the base ('qpsBase' / 'qpcBase')
+   * @param {string} baselineKey - BAL.realmBaselines share per rank
+   * @param {number} baselineDefault - Share used when balance.json omits it
+   */
+  function flatEffect(target, baseKey, baselineKey, baselineDefault) {
+    const baseline = (st) => st[baseKey] * (BAL.realmBaselines?.[baselineKey] || baselineDefault);
+    return {
+      targets: [target],
+      apply(st, sk, acc) {
+        const ranks = currentRealmRanks(st, sk.id);
+        if (ranks <= 0) return;
+        acc.add += ranks * baseline(st) * effectiveSkillBase(st, sk.id);
+      },
+      describe(st, sk) {
+        return { kind: 'flat', label: EFFECT_LABELS[target], perRank: baseline(st) * effectiveSkillBase(st, sk.id) };
+      }
+    };
+  }
+
+  /**
+   * Percentage skill: ranked skills add a capped percentage, one-time techniques
+   * multiply by (1 + value)
+   * @param {string[]} targets - Totals fed by the skill
+   * @param {Object} defaults - { basePct, capPct, maxCap } used when balance.json omits them
+   */
+  function percentEffect(targets, defaults) {
+    const label = targets.map(t => EFFECT_LABELS[t]).join(' & ');
+
+    // Apply realm-aware floors/caps to per-rank percentage
+    const pctPerRank = (st, sk) => {
+      const minPct = minTierPctByRealm(st.realmIndex);
+      const maxPct = maxTierPctByRealm(st.realmIndex);
+      return Math.max(minPct, Math.min(maxPct, sk.base || defaults.basePct));
+    };
+
+    // Total percentage with effective base influencing the cap (sqrt dampens extreme scaling)
+    const scaledCap = (st, sk) =>
+      Math.min((sk.capPctPerRealm || defaults.capPct) * Math.sqrt(effectiveSkillBase(st, sk.id)), defaults.maxCap);
+
+    return {
+      targets,
+      apply(st, sk, acc) {
+        if (sk.oneTime) {
+          if (isTechniquePurchased(st, sk.id)) acc.mult *= (1 + (sk.value || 0.12));
+          return;
+        }
+        const ranks = currentRealmRanks(st, sk.id);
+        if (ranks <= 0) return;
+        const totalPct = Math.min(ranks * pctPerRank(st, sk), scaledCap(st, sk));
+        acc.mult *= (1 + totalPct);
+      },
+      describe(st, sk) {
+        if (sk.oneTime) return { kind: 'pct', label, value: sk.value || 0.12 };
+        return { kind: 'pct', label, perRank: pctPerRank(st, sk), cap: scaledCap(st, sk) };
+      }
+    };
+  }
+
+  registerSkillEffect('qps_flat', flatEffect('qps', 'qpsBase', 'qpsFlatPerRank', 0.15));
+  registerSkillEffect('qpc_flat', flatEffect('qpc', 'qpcBase', 'qpcFlatPerRank', 0.25));
+  registerSkillEffect('qps_pct', percentEffect(['qps'], { basePct: 0.008, capPct: 0.12, maxCap: 2.0 }));
+  registerSkillEffect('qpc_pct', percentEffect(['qpc'], { basePct: 0.008, capPct: 0.12, maxCap: 2.0 }));
+  registerSkillEffect('offline_pct', percentEffect(['offline'], { basePct: 0.005, capPct: 0.08, maxCap: 1.0 }));
+  // Boosts Qi/s and Qi/click together
+  registerSkillEffect('qi_pct', percentEffect(['qps', 'qpc'], { basePct: 0.008, capPct: 0.12, maxCap: 2.0 }));
+
+  /**
+   * Fold every catalog skill that feeds `target` into an accumulator
+   * @param {Object} st - Game state
+   * @param {string} target - 'qps', 'qpc' or 'offline'
+   * @param {Object} acc - Starting { add, mult }
+   * @returns {Object} The accumulator
+   */
+  function applySkillEffects(st, target, acc) {
+    for (const sk of getSkillCatalog()) {
+      const handler = SKILL_EFFECTS[sk.type];
+      if (!handler || !handler.targets.includes(target)) continue;
+      handler.apply(st, sk, acc, target);
+    }
+    return acc;
+  }
+
+  /**
+   * Shop-facing description of what one skill does right now
+   * @param {Object} st - Game state
+   * @param {string} id - Skill ID
+   * @returns {Object|null} { kind, label, perRank, cap, value } or null for unknown types
+   */
+  function describeSkillEffect(st, id) {
+    const sk = getSkill(id);
+    const handler = sk && SKILL_EFFECTS[sk.type];
+    return handler ? handler.describe(st, sk) : null;
+  }
+
+  /**
+   * Calculate total Qi per click from the skill effect registry
+   * Flat skills add to the base, percent skills and techniques multiply
+   */
+  function totalQPC(st) {
+    const { add, mult } = applySkillEffects(st, 'qpc', { add: st.qpcBase, mult: 1 });
+
+    // Apply final multipliers
+    const out = add * mult * st.qpcMult * karmaQiMult(st.reinc.karma) * cyclePowerMult(st.realmIndex) * insightMult(st)
+      * calendarModifiers(st).qpcMult;
+    return Number.isFinite(out) ? out : 1e300;
+  }
+
+  /**
+   * Calculate total Qi per second from the skill effect registry
+   * Flat skills add to the base, percent skills and techniques multiply
+   */
+  function totalQPS(st) {
+    if (st.realmIndex === 0) return 0;
+
+    const { add, mult } = applySkillEffects(st, 'qps', { add: st.qpsBase, mult: 1 });
+
+    // Apply final multipliers
+    const out = add * mult * st.qpsMult * karmaQiMult(st.reinc.karma) * cyclePowerMult(st.realmIndex) * insightMult(st)
+      * calendarModifiers(st).qpsMult;
+    return Number.isFinite(out) ? out : 1e300;
+  }
+
+  /**
+   * Calculate total offline multiplier from the skill effect registry (1.0 = no bonus)
+   */
+  function totalOfflineMult(st) {
+    const { add, mult } = applySkillEffects(st, 'offline', { add: 1, mult: 1 });
+    return add * mult;
+  }
+
+  /**
+   * Calculate cost for next rank or technique purchase
+   * For ranked skills: cost grows per rank in current realm
+   * For techniques: fixed one-time cost
+   * @param {Object} st - Game state
+   * @param {string} id - Skill ID
+   * @returns {Big} Cost in Qi
+   */
+  function skillCost(st, id) {
+    const sk = getSkill(id);
+    if (!sk) return Big.make(Infinity);
+
+    // One-time techniques: fixed cost
+    if (sk.oneTime) {
+      return Big.from(sk.cost);
+    }
+
+    // Ranked skills: cost scales with current realm ranks
+    const currentRanks = currentRealmRanks(st, id);
+    const cost = sk.cost * Math.pow(sk.costScale, currentRanks);
+    if (Number.isFinite(cost)) return Big.from(Math.floor(cost));
+    return Big.fromLog10(Math.log10(sk.cost) + currentRanks * Math.log10(sk.costScale)).floor();
+  }
+
+  function isAtRankCap(st, id) {
+    const sk = getSkill(id);
+    if (!sk || sk.oneTime) return false;
+    return currentRealmRanks(st, id) >= skillRankCap(st, sk);
+  }
+
+  // ============= BULK SKILL BUYING SYSTEM (LOG-SPACE SAFE) =============
+
+  /**
+   * Calculate log of total cost for qty levels starting from level L
+   * Uses geometric series: sum = c0 * (r^qty - 1) / (r - 1)
+   * Where c0 = cost * scale^L
+   * @param {Object} sk - Skill object
+   * @param {number} currentLevel - Starting level
+   * @param {number} qty - Number of levels to buy
+   * @returns {number} Natural log of total cost (or -Infinity if 0)
+   */
+  function lnTotalCost(sk, currentLevel, qty) {
+    if (qty <= 0) return -Infinity; // ln(0) = -Infinity
+
+    const lnCost = ln(sk.cost);
+    const lnR = ln(sk.costScale);
+
+    // ln(c0) = ln(cost) + currentLevel * ln(scale)
+    const lnC0 = lnCost + currentLevel * lnR;
+
+    // Handle scale ≈ 1 (linear progression)
+    if (Math.abs(sk.costScale - 1) < 0.0001) {
+      // sum = qty * c0
+      // ln(sum) = ln(qty) + ln(c0)
+      return ln(qty) + lnC0;
+    }
+
+    // Geometric series: sum = c0 * (r^qty - 1) / (r - 1)
+    // ln(sum) = ln(c0) + ln(r^qty - 1) - ln(r - 1)
+
+    // For large qty, r^qty dominates: ln(r^qty - 1) ≈ qty * ln(r)
+    // For small qty, use Math.expm1 for numerical stability
+    const qtyLnR = qty * lnR;
+    const lnNumerator = (qtyLnR > 30) ? qtyLnR : ln(Math.expm1(qtyLnR));
+    const lnDenominator = ln(sk.costScale - 1);
+
+    return lnC0 + (lnNumerator - lnDenominator);
+  }
+
+  /**
+   * Calculate total cost to buy multiple ranks using log-space safe math
+   * For techniques: returns fixed cost (qty ignored)
+   * For ranked skills: enforces rank cap per realm
+   * @param {Object} st - Game state
+   * @param {string} skillId - Skill ID
+   * @param {number} qty - Number of ranks to buy
+   * @returns {Big} Total cost for qty ranks (Infinity at the rank cap)
+   */
+  function totalSkillCost(st, skillId, qty) {
+    if (qty <= 0) return Big.ZERO;
+
+    const sk = getSkill(skillId);
+
+    // One-time techniques: fixed cost, qty ignored
+    if (sk.oneTime) {
+      return Big.from(sk.cost);
+    }
+
+    // Ranked skills: enforce rank cap
+    const currentRanks = currentRealmRanks(st, skillId);
+    const cap = skillRankCap(st, sk);
+    const actualQty = Math.min(qty, cap - currentRanks);
+
+    if (actualQty <= 0) return Big.make(Infinity); // At cap
+
+    const lnCost = lnTotalCost(sk, currentRanks, actualQty);
+    if (Number.isNaN(lnCost)) return Big.make(Infinity);
+
+    // Beyond double range the cost is rebuilt from its logarithm
+    if (lnCost > LOG_MAX) {
+      return Big.fromLn(lnCost);
+    }
+
+    return Big.from(Math.max(0, Math.floor(exp(lnCost))));
+  }
+
+  /**
+   * Calculate maximum affordable quantity given a budget using log-space binary search
+   * For techniques: returns 1 if can afford, 0 otherwise
+   * For ranked skills: respects rank cap per realm
+   * @param {Object} st - Game state
+   * @param {string} skillId - Skill ID
+   * @param {number} maxQty - Maximum quantity to consider
+   * @param {number|Big} budgetQi - Available Qi budget
+   * @returns {number} Maximum affordable ranks (0 if none)
+   */
+  function maxAffordableQty(st, skillId, maxQty, budgetQi) {
+    const budget = Big.from(budgetQi);
+    if (budget.sign() <= 0 || maxQty <= 0) return 0;
+
+    const sk = getSkill(skillId);
+
+    // One-time techniques: either 0 or 1
+    if (sk.oneTime) {
+      return budget.gte(sk.cost) ? 1 : 0;
+    }
+
+    // Ranked skills: enforce cap
+    const currentRanks = currentRealmRanks(st, skillId);
+    const cap = skillRankCap(st, sk);
+    const maxPossible = Math.min(maxQty, cap - currentRanks);
+
+    if (maxPossible <= 0) return 0;
+
+    const lnBudget = Big.max(1, budget).ln();
+
+    // Binary search for maximum affordable quantity
+    let lo = 0;
+    let hi = maxPossible;
+
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      const lnCost = lnTotalCost(sk, currentRanks, mid);
+
+      // Both sides are logarithms, so huge budgets and costs compare safely
+      if (!Number.isFinite(lnCost)) {
+        hi = mid - 1;
+      } else if (lnCost <= lnBudget) {
+        lo = mid; // Can afford this many, try more
+      } else {
+        hi = mid - 1; // Too expensive, try fewer
+      }
+    }
+
+    return lo;
+  }
+
+  /**
+   * Buy skill ranks or technique with bulk support and overflow safety
+   * @param {Object} st - Game state (mutated)
+   * @param {string} skillId - Skill ID
+   * @param {number} requestedQty - Requested quantity (ignored for techniques)
+   * @returns {Object|null} { id, qty, cost, oneTime } on success, null if nothing was bought
+   */
+  function purchaseSkill(st, skillId, requestedQty = 1) {
+    const sk = getSkill(skillId);
+    if (!sk) return null;
+
+    // One-time techniques
+    if (sk.oneTime) {
+      if (isTechniquePurchased(st, skillId)) return null; // Already purchased
+      const techniqueCost = Big.from(sk.cost);
+      if (Big.from(st.qi).lt(techniqueCost)) return null; // Can't afford
+
+      st.qi = Big.from(st.qi).sub(techniqueCost);
+      purchaseTechnique(st, skillId);
+      return { id: skillId, qty: 1, cost: techniqueCost, oneTime: true };
+    }
+
+    // Ranked skills with cap enforcement
+    requestedQty = Math.max(1, Math.floor(requestedQty));
+    const budget = Big.from(st.qi);
+    const affordable = maxAffordableQty(st, skillId, requestedQty, budget);
+
+    if (affordable <= 0) return null;
+
+    const cost = totalSkillCost(st, skillId, affordable);
+
+    // Safety: Never proceed if cost is NaN or Infinity
+    if (!cost.isFinite()) {
+      debugWarn(`[Bulk Buy] Cost overflow detected for ${skillId} × ${affordable}`);
+      return null;
+    }
+
+    // Double-check affordability
+    if (cost.gt(budget)) return null;
+
+    // Execute purchase atomically; Qi never goes negative
+    st.qi = Big.max(0, budget.sub(cost));
+    addRealmRank(st, skillId, affordable);
+
+    return { id: skillId, qty: affordable, cost, oneTime: false };
+
+  }
+
+  // ============= MONOTONIC STAGE REQUIREMENT SYSTEM =============
+
+  /**
+   * Compute base stage requirement without karma reduction
+   * Used internally for monotonicity checks
+   * @param {number} realmIndex - Realm index
+   * @param {number} stage - Stage number (1-10)
+   * @returns {Big} Base requirement before karma
+   */
+  function baseRequirementFor(realmIndex, stage) {
+    // Mortal Realm: Linear progression
+    if (realmIndex === 0) {
+      return Big.from(stage * 10);
+    }
+
+    // Ensure effective realm scale is computed
+    if (EFFECTIVE_REALM_SCALE === null) {
+      const stageScale = BAL.stageRequirement.stageScale;
+      const maxStages = Math.max(...realms.map(r => r.stages || DEFAULT_STAGES_PER_REALM));
+      // stageScale^(stages-1) ensures Stage 1 of next realm >= last stage of current (stageScale^9 for 10 stages)
+      MIN_REALM_SCALE = Math.pow(stageScale, maxStages - 1);
+      EFFECTIVE_REALM_SCALE = Math.max(BAL.stageRequirement.realmBaseScale, MIN_REALM_SCALE);
+
+      // Debug warning if we're overriding designer's realmBaseScale
+      if (!hasWarnedRealmScale && BAL.stageRequirement.realmBaseScale < MIN_REALM_SCALE) {
+        debugWarn(
+          `[stageRequirement] realmBaseScale (${BAL.stageRequirement.realmBaseScale.toFixed(2)}) < stageScale^9 (${MIN_REALM_SCALE.toFixed(2)}). ` +
+          `Using effectiveRealmScale=${EFFECTIVE_REALM_SCALE.toFixed(2)} to keep cross-realm costs monotonic.`
+        );
+        hasWarnedRealmScale = true;
+      }
+    }
+
+    // Exponential scaling with effective realm scale
+    const realmBase = BAL.stageRequirement.realmBase * Math.pow(EFFECTIVE_REALM_SCALE, realmIndex);
+    const stageScale = Math.pow(BAL.stageRequirement.stageScale, stage - 1);
+    const req = realmBase * stageScale;
+    if (Number.isFinite(req)) return Big.from(Math.floor(req));
+
+    // Past double range: same formula in log10 space
+    return Big.fromLog10(
+      Math.log10(BAL.stageRequirement.realmBase) +
+      realmIndex * Math.log10(EFFECTIVE_REALM_SCALE) +
+      (stage - 1) * Math.log10(BAL.stageRequirement.stageScale)
+    ).floor();
+  }
+
+  /**
+   * Calculate stage requirement with monotonic guarantees
+   * Ensures requirements never decrease across realm transitions or stages
+   * @param {number} realmIndex - Realm index (0-10)
+   * @param {number} stage - Stage number (1-10)
+   * @param {number} karma - Karma used for the requirement reduction
+   * @returns {Big} Stage requirement (Qi needed to advance)
+   */
+  function stageRequirement(realmIndex, stage, karma = 0) {
+    // Get base requirement (before karma)
+    const baseReq = baseRequirementFor(realmIndex, stage);
+
+    // Apply karma-based reduction (inverse for requirement multiplication)
+    const karmaReduction = 1.0 / karmaStageMult(karma);
+    let req = baseReq.mul(karmaReduction).floor();
+
+    // MONOTONIC BOUNDARY CLAMP: Enforce cross-realm exponential growth
+    // Stage 1 of realm R+1 must be strictly greater than the last stage of realm R
+    // Uses CROSS_REALM_JUMP multiplier to create meaningful gaps
+    if (realmIndex > 0 && stage === 1) {
+      const prevRealmIndex = realmIndex - 1;
+      const prevStage10Base = baseRequirementFor(prevRealmIndex, stageCount(prevRealmIndex));
+      const prevStage10 = prevStage10Base.mul(karmaReduction).floor(); // Same karma reduction
+      const minRequired = prevStage10.mul(CROSS_REALM_JUMP).floor();
+
+      req = Big.max(req, minRequired);
+    }
+
+    return req;
+  }
+
+  /**
+   * Requirement for the state's current realm/stage, including the calendar's
+   * breakthrough cost modifier
+   * @param {Object} st - Game state
+   * @returns {Big} Qi needed to advance
+   */
+  function currentRequirement(st) {
+    const req = stageRequirement(st.realmIndex, st.stage, safeNum(st.reinc?.karma, 0));
+    const costMult = calendarModifiers(st).breakthroughCostMult;
+    return costMult === 1 ? req : Big.max(Big.from(1), req.mul(costMult).floor());
+  }
+
+  // ============= TIME SPEED SYSTEM =============
+
+  /**
+   * Validate and initialize time speed system
+   * Ensures base speeds exist and st.meta.unlockedSpeeds is properly initialized
+   * @param {Object} st - Game state (mutated)
+   */
+  function validateTimeSpeedSystem(st) {
+    // Initialize meta.unlockedSpeeds if missing
+    if (!st.meta?.unlockedSpeeds || !Array.isArray(st.meta.unlockedSpeeds)) {
+      if (!st.meta) st.meta = {};
+      st.meta.unlockedSpeeds = [...BASE_SPEEDS_ALWAYS_AVAILABLE];
+    }
+
+    // Inject base speeds unconditionally (never rely on unlock arrays for these)
+    BASE_SPEEDS_ALWAYS_AVAILABLE.forEach(speed => {
+      if (!st.meta.unlockedSpeeds.includes(speed)) {
+        st.meta.unlockedSpeeds.push(speed);
+      }
+    });
+
+    // De-duplicate and sort
+    st.meta.unlockedSpeeds = [...new Set(st.meta.unlockedSpeeds)].sort((a, b) => a - b);
+  }
+
+  // Time speed management functions
+  function getAvailableSpeeds(st) {
+    // Return permanently unlocked speeds from meta
+    // Ensure system is initialized
+    if (!st.meta?.unlockedSpeeds || !Array.isArray(st.meta.unlockedSpeeds)) {
+      return [...BASE_SPEEDS_ALWAYS_AVAILABLE]; // Fallback base speeds
+    }
+
+    // Always inject base speeds (defensive - should be done by validateTimeSpeedSystem)
+    const speeds = [...st.meta.unlockedSpeeds];
+    BASE_SPEEDS_ALWAYS_AVAILABLE.forEach(speed => {
+      if (!speeds.includes(speed)) speeds.push(speed);
+    });
+
+    // Sort and de-duplicate
+    return [...new Set(speeds)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Unlock time speeds reached by the current realm
+   * @param {Object} st - Game state (mutated)
+   * @returns {number[]} Newly unlocked speeds (base speeds excluded)
+   */
+  function unlockSpeedsForRealm(st) {
+    const unlocked = [];
+
+    // Use SPEEDS_CONFIG for ID-driven unlocks
+    SPEEDS_CONFIG.forEach(config => {
+      const requiredRealmIndex = idx(config.unlockAt);
+
+      // Skip if realm ID not found
+      if (requiredRealmIndex === -1) {
+        debugWarn(`[Time Speed] Unknown realm ID: ${config.unlockAt}`);
+        return;
+      }
+
+      // Check if player has reached required realm
+      if (st.realmIndex >= requiredRealmIndex && !st.meta.unlockedSpeeds.includes(config.speed)) {
+        st.meta.unlockedSpeeds.push(config.speed);
+        if (!BASE_SPEEDS_ALWAYS_AVAILABLE.includes(config.speed)) {
+          unlocked.push(config.speed);
+        }
+      }
+    });
+
+    // Always ensure base speeds are present (defensive)
+    BASE_SPEEDS_ALWAYS_AVAILABLE.forEach(speed => {
+      if (!st.meta.unlockedSpeeds.includes(speed)) {
+        st.meta.unlockedSpeeds.push(speed);
+      }
+    });
+
+    // De-duplicate and sort
+    st.meta.unlockedSpeeds = [...new Set(st.meta.unlockedSpeeds)].sort((a, b) => a - b);
+    return unlocked;
+  }
+
+  /**
+   * Current time speed multiplier, 0 while paused
+   */
+  function getTimeSpeed(st) {
+    return st.timeSpeed.paused ? 0 : st.timeSpeed.current;
+  }
+
+  // ============= LIFESPAN =============
+
+  function getMaxLifespan(st, realmIndex = null) {
+    const index = realmIndex !== null ? realmIndex : st.realmIndex;
+    const maxFromConfig = realms[index]?.lifespan;
+    if (maxFromConfig === null || maxFromConfig === undefined) {
+      // Void Lord realm - infinite lifespan
+      return null;
+    }
+
+    // Apply karma multiplier to base lifespan (soft cap, asymptotic to +150%)
+    // and the karma shop's lifespan perk
+    const karmaMult = karmaLifeMult(st.reinc.karma);
+    const shopMult = 1 + karmaUpgradeTotal(st, 'lifespanPct');
+    const baseLifespan = maxFromConfig || realms[0]?.lifespan || 100;
+    return Math.floor(baseLifespan * karmaMult * shopMult);
+  }
+
+  function isImmortal(st) {
+    return getMaxLifespan(st) === null;
+  }
+
+  /**
+   * Refresh lifespan when realm changes
+   * Called after breakthrough and reincarnation to ensure lifespan matches current realm
+   */
+  function refreshLifespanForRealm(st) {
+    const max = getMaxLifespan(st); // from realms[st.realmIndex].lifespan
+    if (max === null) {
+      // Void Lord realm - infinite lifespan
+      st.lifespan = { current: null, max: null };
+      st.age = 0; // Immortals don't age
+    } else {
+      if (!st.lifespan || !Number.isFinite(st.lifespan.current)) {
+        // Initialize lifespan if missing or corrupted
+        st.lifespan = { current: max, max: max };
+      } else {
+        // Update max and clamp current to new max
+        st.lifespan.max = max;
+        st.lifespan.current = Math.min(st.lifespan.current, max);
+      }
+    }
+  }
+
+  function updateLifespanOnRealmAdvance(st) {
+    const newMax = getMaxLifespan(st);
+    if (newMax === null) {
+      // Void Lord - set infinite lifespan
+      st.lifespan.max = null;
+      st.lifespan.current = null;
+      st.age = 0; // Reset age for immortals
+    } else {
+      st.lifespan.max = newMax;
+      st.lifespan.current = newMax; // fully restore lifespan on realm advancement
+      st.age = 0; // Reset age to 0 when advancing realm
+    }
+
+    // Reset lifespan latch when advancing realms
+    if (st.flags) {
+      st.flags.lifespanHandled = false;
+    }
+  }
+
+  /**
+   * Age progression system - ticks age forward based on speed-adjusted dt
+   * @param {Object} st - Game state (mutated)
+   * @param {number} dt - Already includes time speed multiplier (rawDt × speed)
+   * @returns {boolean} True when this tick exhausted the lifespan (latch is set;
+   *                    the caller runs the death flow exactly once)
+   *
+   * IMPORTANT: dt is pre-multiplied by speed by the caller
+   * This function does NOT read st.timeSpeed.current
+   */
+  function tickLifespan(st, dt) {
+    // Guard: don't age if paused, dead, or no lifespan data
+    if (st.timeSpeed?.paused || !st.lifespan || st.isDead) return false;
+
+    // Guard: Void Lord realm has infinite lifespan - no aging
+    if (isImmortal(st)) return false;
+
+    // Guard: don't tick during reincarnation process
+    if (st.lifecycle?.isReincarnating) return false;
+
+    // Guard: protect against negative dt (clock changes, sleep, etc.)
+    const safeDt = Math.max(0, dt);
+    if (safeDt === 0) return false;
+
+    // Calculate aging rate: dt (already speed-adjusted) × yearsPerSecond
+    const baseYearsPerSecond = BAL.lifespan?.yearsPerSecond || 1.0;
+    const agingRate = safeDt * baseYearsPerSecond;
+
+    // Migrate old ageYears to age if needed
+    if (st.ageYears !== undefined && st.age === undefined) {
+      st.age = st.ageYears;
+      delete st.ageYears;
+    }
+
+    // Initialize age if missing
+    if (!st.age || !isFinite(st.age)) {
+      st.age = 0;
+    }
+
+    // Apply aging
+    const newAge = st.age + agingRate;
+
+    // Guard: prevent NaN/Infinity
+    if (!isFinite(newAge)) {
+      debugWarn('Age calculation resulted in non-finite value, keeping previous age');
+      return false;
+    }
+
+    // Get max lifespan (with karma multiplier)
+    const maxLifespan = getMaxLifespan(st);
+
+    // Clamp age to [0, maxLifespan]
+    if (maxLifespan !== null) {
+      st.age = Math.max(0, Math.min(newAge, maxLifespan));
+    } else {
+      st.age = Math.max(0, newAge); // Infinite lifespan, just prevent negative
+    }
+
+    // Update lifespan.current for backwards compatibility (max - age)
+    if (st.lifespan.max !== null) {
+      st.lifespan.current = Math.max(0, st.lifespan.max - st.age);
+    }
+
+    // Check for death ONCE per life using latch flag
+    if (maxLifespan !== null && st.age >= maxLifespan && !st.flags.lifespanHandled) {
+      st.flags.lifespanHandled = true; // Set latch to prevent duplicate popups
+      return true;
+    }
+    return false;
+  }
+
+  // ============= BREAKTHROUGH =============
+
+  function canBreakthrough(st) {
+    return Big.from(st.qi).gte(currentRequirement(st));
+  }
+
+  /**
+   * Spend the stage requirement and advance the cultivator
+   *
+   * Outcomes (result.type):
+   * - 'blocked':   not enough Qi, nothing changed
+   * - 'stage':     moved to the next stage of the same realm
+   * - 'gate':      last stage of a cycle whose next cycle is still sealed
+   *                ({ cycle }: the sealed cycle); caller runs the mandatory
+   *                reincarnation (reincarnate(st, { mode: 'mandatory' }))
+   * - 'cycle_end': last realm of the final cycle completed; caller runs the cycle transition
+   * - 'realm':     advanced to a new realm ({ from, to, previousCycle, unlockedSpeeds })
+   *
+   * @param {Object} st - Game state (mutated)
+   * @returns {Object} Outcome
+   */
+  function doBreakthrough(st) {
+    const req = currentRequirement(st);
+    const qi = Big.from(st.qi);
+    if (qi.lt(req)) return { type: 'blocked' };
+    st.qi = qi.sub(req);
+
+    if (st.stage < stageCount(st.realmIndex)) {
+      st.stage++;
+      return { type: 'stage' };
+    }
+
+    // Check for a sealed next cycle (Spirit Transformation 10/10 before transcendence, ...)
+    const gateCycle = cycleGateAhead(st);
+    if (gateCycle) {
+      return { type: 'gate', cycle: gateCycle };
+    }
+
+    // Check for cycle end before advancing to next realm
+    if (isAtCycleEnd(st) || st.realmIndex >= realms.length - 1) {
+      return { type: 'cycle_end' };
+    }
+
+    const from = st.realmIndex;
+    st.realmIndex++; st.stage = 1;
+    const reward = realms[st.realmIndex].advanceReward || BAL.progression.realmAdvanceReward;
+    st.qpcBase += reward.qpcBaseAdd;
+    st.qpsBase += reward.qpsBaseAdd;
+    if (st.realmIndex === idx('qi_refining')) {
+      st.qpsBase = 1;
+    } else {
+      enforceQiRefiningQpsBaseline(st);
+    }
+    updateLifespanOnRealmAdvance(st); // restore lifespan on realm advancement
+    const previousCycle = updateCurrentCycle(st); // Update cycle when moving to new realm
+    const unlockedSpeeds = unlockSpeedsForRealm(st); // Check for new time-speed unlocks
+    if (!st.meta) st.meta = {};
+    st.meta.highestRealm = Math.max(safeNum(st.meta.highestRealm, 0), st.realmIndex);
+
+    return { type: 'realm', from, to: st.realmIndex, previousCycle, unlockedSpeeds };
+  }
+
+  // ============= REINCARNATION =============
+
+  // Check if player can manually reincarnate (gate realm Stage 1+, after the mandatory first gate)
+  function canReincarnate(st) {
+    const GATE_INDEX = transcendenceGateRealm(); // Last realm of the first cycle (config-driven)
+    const r = st.realmIndex;
+    const stage = st.stage;
+
+    // Before the first mandatory ST10 reincarnation is done:
+    if (!st.flags?.hasCompletedMandatoryST10) {
+      // No voluntary reincarnation anywhere; only the mandatory one at ST10 (handled elsewhere)
+      return false;
+    }
+
+    // After the mandatory ST10 has been completed:
+    // Allow voluntary reincarnation anywhere at or above the gate realm's Stage 1
+    // i.e., realm > gate, OR (realm === gate && stage >= 1)
+    return (r > GATE_INDEX) || (r === GATE_INDEX && stage >= 1);
+  }
+
+  // Calculate karma gain from reincarnation with cycle multipliers
+  function computeKarmaGain(st) {
+    const safeLifetimeQi = Big.max(0, Big.from(st.reinc.lifetimeQi));
+    const safeDivisor = safeNum(BAL.reincarnation.lifetimeQiDivisor, 1000);
+    // Karma stays a plain number; it only overflows past ~1e600 lifetime Qi
+    const base = Math.min(1e300, Math.floor(safeLifetimeQi.div(safeDivisor).sqrt().toNumber()));
+    const realmBonus = st.realmIndex * BAL.reincarnation.realmKarmaFactor;
+
+    // Cycle multiplier - later cycles give more karma
+    const cycleMultiplier = getCycleDef(st.currentCycle)?.karmaMult ?? 1;
+
+    const totalGain = (base + realmBonus) * cycleMultiplier;
+    return Math.max(BAL.reincarnation.minKarma, totalGain);
+  }
+
+  // Voluntary reincarnation: full karma
+  function computeVoluntaryKarma(st) {
+    return Math.max(BAL.reincarnation.minKarma, computeKarmaGain(st));
+  }
+
+  // Death reincarnation: reduced karma (configurable penalty)
+  function computeDeathKarma(st) {
+    const deathPenalty = BAL.reincarnation.deathPenalty || 0.5;
+    return Math.max(BAL.reincarnation.minKarma, Math.floor(computeKarmaGain(st) * deathPenalty));
+  }
+
+  /**
+   * Build the state of the next life
+   *
+   * Modes:
+   * - 'voluntary' / 'cycle': full karma, counts as a reincarnation
+   * - 'mandatory': full karma; at a cycle gate (e.g. Spirit Transformation 10/10)
+   *                it also unlocks the sealed cycle
+   * - 'death': death-penalty karma, increments stats.deaths, does NOT count as a reincarnation
+   *
+   * @param {Object} st - State of the life that is ending; endLife() records it in
+   *                      st.meta.lineage and st.meta.history, nothing else is mutated
+   * @param {Object} options - { mode, gain } (gain overrides the computed karma)
+   * @returns {Object} { state, gain, completedMandatory, unlockedCycle }
+   */
+  function reincarnate(st, { mode = 'voluntary', gain } = {}) {
+    if (mode === 'death') {
+      const karmaGain = gain ?? computeDeathKarma(st);
+      const deaths = (st.stats?.deaths || 0) + 1;
+      endLife(st, mode, karmaGain); // Before meta is carried into the next life
+
+      // Preserve meta-progression (flags, achievements already earned)
+      const keepFlags = st.flags ? { ...st.flags } : {};
+      const keepMeta = st.meta ? { ...st.meta } : { unlockedSpeeds: [0, 0.5, 1] };
+
+      // Full hard reset to default state
+      const next = defaultState();
+      next.flags = keepFlags;
+      next.flags.lifespanHandled = false; // Reset latch for new life
+      next.stats = { deaths };
+      // DO NOT increment reincarnation times on death - only voluntary/mandatory reincarnations count
+      next.reinc = { times: st.reinc?.times || 0, karma: (st.reinc?.karma || 0) + karmaGain, lifetimeQi: Big.ZERO };
+      next.meta = keepMeta;
+      beginLife(next);
+      next.qi = Big.from(karmaUpgradeTotal(next, 'startingQi'));
+
+      // Initialize lifespan cleanly for new life
+      const newMaxLifespan = getMaxLifespan(next, 0);
+      if (newMaxLifespan === null) {
+        next.lifespan = { current: null, max: null };
+      } else {
+        const validLifespan = safeNum(newMaxLifespan, 100);
+        next.lifespan = { current: validLifespan, max: validLifespan };
+      }
+
+      next.timeSpeed = { paused: false, current: 1 }; // Reset to normal speed
+      next.lifecycle.isReincarnating = false;
+      return { state: next, gain: karmaGain, completedMandatory: false, unlockedCycle: null };
+    }
+
+    const karmaGain = gain ?? computeVoluntaryKarma(st);
+    endLife(st, mode, karmaGain);
+
+    // Preserve old state for logic checks: which gate (if any) is being passed
+    const gateCycle = mode === 'mandatory' ? cycleGateAhead(st) : null;
+
+    const next = defaultState();
+
+    // Restore persistent data
+    next.reinc = { times: st.reinc.times + 1, karma: st.reinc.karma + karmaGain, lifetimeQi: Big.ZERO };
+    next.flags = { ...st.flags }; // Preserve all flags
+    next.meta = { ...st.meta };   // Preserve meta (time-speed unlocks, karma upgrades, etc.)
+    beginLife(next);
+    next.qi = Big.from(karmaUpgradeTotal(next, 'startingQi'));
+
+    // Handle mandatory gate completion
+    const completedMandatory = !!gateCycle;
+    if (completedMandatory) {
+      unlockCycle(next, gateCycle);
+    }
+
+    next.flags.lifespanHandled = false; // Reset latch for new life
+
+    // Always start at Mortal Realm (realm 0) Stage 1 after reincarnation
+    next.realmIndex = 0;
+    next.stage = 1;
+    next.currentCycle = 'mortal';
+
+    // Refresh lifespan for starting realm
+    refreshLifespanForRealm(next);
+    updateCurrentCycle(next);
+
+    return { state: next, gain: karmaGain, completedMandatory, unlockedCycle: gateCycle };
+  }
+
+  // ============= KARMA SHOP =============
+  // Permanent upgrades bought with karma. Definitions live in BAL.karmaShop,
+  // purchased levels in st.meta.karmaUpgrades (meta survives every reincarnation).
+  // Each upgrade has one `effect`; the rules read the summed value of an effect
+  // through karmaUpgradeTotal() wherever it applies.
+
+  /**
+   * Effects a karma upgrade can grant (value per level is the upgrade's perLevel)
+   * - startingQi: Qi at the start of each new life
+   * - extraRanks: extra skill ranks per realm
+   * - lifespanPct: max lifespan bonus (0.1 = +10%)
+   * - offlineCapHours: extra hours of offline progress
+   * - unlockAutomation: unlocks the automation feature named by the upgrade's `unlocks`
+   */
+  const KARMA_UPGRADE_EFFECTS = ['startingQi', 'extraRanks', 'lifespanPct', 'offlineCapHours', 'unlockAutomation'];
+
+  /**
+   * @returns {Array} Karma upgrades from BAL.karmaShop in config order, each with its id
+   */
+  function getKarmaUpgrades() {
+    return Object.entries(BAL.karmaShop || {}).map(([id, def]) => ({ id, ...def }));
+  }
+
+  function getKarmaUpgrade(id) {
+    const def = BAL.karmaShop?.[id];
+    return def ? { id, ...def } : null;
+  }
+
+  /**
+   * @param {Object} st - Game state
+   * @param {string} id - Upgrade ID
+   * @returns {number} Purchased level (0 if never bought)
+   */
+  function karmaUpgradeLevel(st, id) {
+    return safeNum(st.meta?.karmaUpgrades?.[id], 0);
+  }
+
+  /**
+   * Karma cost of the next level: cost × costScale^level
+   * @param {Object} st - Game state
+   * @param {string} id - Upgrade ID
+   * @returns {number} Cost, Infinity at max level or for unknown upgrades
+   */
+  function karmaUpgradeCost(st, id) {
+    const up = getKarmaUpgrade(id);
+    if (!up) return Infinity;
+    const level = karmaUpgradeLevel(st, id);
+    if (level >= up.maxLevel) return Infinity;
+    return Math.ceil(up.cost * Math.pow(up.costScale, level));
+  }
+
+  /**
+   * Check whether an upgrade's prerequisite is owned
+   * @param {Object} st - Game state
+   * @param {string} id - Upgrade ID
+   * @returns {boolean}
+   */
+  function isKarmaUpgradeUnlocked(st, id) {
+    const up = getKarmaUpgrade(id);
+    if (!up) return false;
+    return !up.requires || karmaUpgradeLevel(st, up.requires) > 0;
+  }
+
+  function canBuyKarmaUpgrade(st, id) {
+    if (!isKarmaUpgradeUnlocked(st, id)) return false;
+    const cost = karmaUpgradeCost(st, id);
+    return Number.isFinite(cost) && safeNum(st.reinc?.karma, 0) >= cost;
+  }
+
+  /**
+   * Spend karma on the next level of an upgrade
+   * Spent karma leaves the pool, so it no longer feeds the passive karma curves.
+   * @param {Object} st - Game state (mutated)
+   * @param {string} id - Upgrade ID
+   * @returns {Object|null} { id, level, cost } on success, null if it can't be bought
+   */
+  function buyKarmaUpgrade(st, id) {
+    if (!canBuyKarmaUpgrade(st, id)) return null;
+    const cost = karmaUpgradeCost(st, id);
+    const level = karmaUpgradeLevel(st, id) + 1;
+
+    st.reinc.karma = Math.max(0, st.reinc.karma - cost);
+    if (!st.meta.karmaUpgrades) st.meta.karmaUpgrades = {};
+    st.meta.karmaUpgrades[id] = level;
+
+    // Lifespan perks apply to the current life right away
+    if (getKarmaUpgrade(id).effect === 'lifespanPct') refreshLifespanForRealm(st);
+
+    return { id, level, cost };
+  }
+
+  /**
+   * Sum of one effect over every owned upgrade
+   * @param {Object} st - Game state
+   * @param {string} effect - One of KARMA_UPGRADE_EFFECTS
+   * @returns {number} Total value (0 if nothing owned)
+   */
+  function karmaUpgradeTotal(st, effect) {
+    let total = 0;
+    for (const up of getKarmaUpgrades()) {
+      if (up.effect !== effect) continue;
+      total += karmaUpgradeLevel(st, up.id) * up.perLevel;
+    }
+    return total;
+  }
+
+  /**
+   * Ranks a ranked skill allows per realm, including karma extraRanks
+   * @param {Object} st - Game state
+   * @param {Object} sk - Skill catalog entry
+   * @returns {number} Rank cap for the current realm
+   */
+  function skillRankCap(st, sk) {
+    return (sk.ranksPerRealm || 0) + Math.floor(karmaUpgradeTotal(st, 'extraRanks'));
+  }
+
+  /**
+   * Hours of offline progress credited on return, including karma offlineCapHours
+   */
+  function offlineCapHours(st) {
+    return BAL.offline.capHours + karmaUpgradeTotal(st, 'offlineCapHours');
+  }
+
+  // ============= AUTOMATION =============
+  // Player rules for buying skills, breaking through and reincarnating, stored
+  // in st.meta.automation so they carry across lives. A feature unlocks once the
+  // cultivator has reached BAL.automation[feature].unlockRealm in any life, or
+  // through a karma shop upgrade with effect 'unlockAutomation'.
+
+  const AUTOMATION_FEATURES = ['autoBuy', 'autoBreakthrough', 'autoReincarnate'];
+
+  // Per-pass cap on auto-buy rounds, so one call can never spin
+  const AUTO_BUY_MAX_ROUNDS = 20;
+
+  const defaultAutomation = () => ({
+    autoBuy: {},             // skillId → { enabled, bulk, maxCostPct }
+    autoBreakthrough: false,
+    autoReincarnate: { enabled: false, minKarma: 0 }
+  });
+
+  const defaultAutoBuyRule = () => ({ enabled: false, bulk: 1, maxCostPct: 100 });
+
+  /**
+   * Get the automation rules, repairing missing or malformed fields in place
+   * @param {Object} st - Game state (mutated when repaired)
+   * @returns {Object} st.meta.automation
+   */
+  function getAutomation(st) {
+    if (!st.meta) st.meta = {};
+    const a = st.meta.automation && typeof st.meta.automation === 'object' ? st.meta.automation : defaultAutomation();
+    if (!a.autoBuy || typeof a.autoBuy !== 'object') a.autoBuy = {};
+    a.autoBreakthrough = !!a.autoBreakthrough;
+    if (!a.autoReincarnate || typeof a.autoReincarnate !== 'object') a.autoReincarnate = { enabled: false, minKarma: 0 };
+    a.autoReincarnate.enabled = !!a.autoReincarnate.enabled;
+    a.autoReincarnate.minKarma = Math.max(0, safeNum(a.autoReincarnate.minKarma, 0));
+    st.meta.automation = a;
+    return a;
+  }
+
+  /**
+   * Check whether an automation feature is available to the player
+   * @param {Object} st - Game state
+   * @param {string} feature - One of AUTOMATION_FEATURES
+   * @returns {boolean}
+   */
+  function isAutomationUnlocked(st, feature) {
+    const realmId = BAL.automation?.[feature]?.unlockRealm;
+    if (realmId && idx(realmId) >= 0 && safeNum(st.meta?.highestRealm, 0) >= idx(realmId)) return true;
+    return getKarmaUpgrades().some(up =>
+      up.effect === 'unlockAutomation' && up.unlocks === feature && karmaUpgradeLevel(st, up.id) > 0
+    );
+  }
+
+  /**
+   * @param {Object} st - Game state
+   * @param {string} skillId - Skill ID
+   * @returns {Object} Auto-buy rule for the skill (defaults when never set)
+   */
+  function getAutoBuyRule(st, skillId) {
+    return { ...defaultAutoBuyRule(), ...(getAutomation(st).autoBuy[skillId] || {}) };
+  }
+
+  /**
+   * Update a skill's auto-buy rule
+   * @param {Object} st - Game state (mutated)
+   * @param {string} skillId - Skill ID
+   * @param {Object} patch - Any of { enabled, bulk, maxCostPct }
+   * @returns {Object} The stored rule
+   */
+  function setAutoBuyRule(st, skillId, patch) {
+    const rule = { ...getAutoBuyRule(st, skillId), ...patch };
+    rule.enabled = !!rule.enabled;
+    rule.bulk = Math.max(1, Math.floor(safeNum(rule.bulk, 1)));
+    rule.maxCostPct = Math.max(1, Math.min(100, safeNum(rule.maxCostPct, 100)));
+    getAutomation(st).autoBuy[skillId] = rule;
+    return rule;
+  }
+
+  /**
+   * Buy every enabled skill whose next bulk costs at most maxCostPct of current Qi
+   * @param {Object} st - Game state (mutated)
+   * @returns {Array} Purchase results from purchaseSkill
+   */
+  function runAutoBuy(st) {
+    const bought = [];
+    if (!isAutomationUnlocked(st, 'autoBuy') || st.realmIndex === 0) return bought; // Shop is closed in the Mortal Realm
+
+    for (let round = 0; round < AUTO_BUY_MAX_ROUNDS; round++) {
+      let boughtThisRound = false;
+      for (const sk of getSkillCatalog()) {
+        const rule = getAutomation(st).autoBuy[sk.id];
+        if (!rule?.enabled || !skillUnlockedByCycle(st, sk)) continue;
+
+        const qty = sk.oneTime ? 1 : rule.bulk;
+        const cost = totalSkillCost(st, sk.id, qty);
+        if (!cost.isFinite()) continue; // At rank cap
+        if (sk.oneTime && isTechniquePurchased(st, sk.id)) continue;
+        if (cost.gt(Big.from(st.qi).mul(rule.maxCostPct / 100))) continue;
+
+        const result = purchaseSkill(st, sk.id, qty);
+        if (result) {
+          bought.push(result);
+          boughtThisRound = true;
+        }
+      }
+      if (!boughtThisRound) break;
+    }
+    return bought;
+  }
+
+  /**
+   * Apply every unlocked and enabled automation rule once
+   *
+   * Auto-breakthrough never passes a cycle gate or the final ascension; those
+   * stay a player decision. Reincarnation returns a new state, so the caller
+   * performs it when result.reincarnate is true.
+   *
+   * @param {Object} st - Game state (mutated)
+   * @returns {Object} { bought, outcomes, reincarnate }
+   */
+  function runAutomation(st) {
+    const a = getAutomation(st);
+    const result = { bought: [], outcomes: [], reincarnate: false };
+
+    if (a.autoReincarnate.enabled && isAutomationUnlocked(st, 'autoReincarnate') &&
+        canReincarnate(st) && computeVoluntaryKarma(st) >= a.autoReincarnate.minKarma) {
+      result.reincarnate = true;
+      return result;
+    }
+
+    if (a.autoBreakthrough && isAutomationUnlocked(st, 'autoBreakthrough')) {
+      while (canBreakthrough(st) && !isAtCycleEnd(st)) {
+        result.outcomes.push(doBreakthrough(st));
+      }
+    }
+
+    result.bought = runAutoBuy(st);
+    return result;
+  }
+
+  // ============= YEARLY REWARDS =============
+  // Qi/s and Qi/click never read the time speed. What time flow buys is in-game
+  // years, and this layer pays out per year, so a faster Time Flow is a trade:
+  // rewards come sooner in real time while the lifespan runs out sooner too.
+  // - Insight: Qi/s and Qi/click × (1 + insightCoeff · log10(1 + years / insightYearScale)),
+  //   from the years lived in this life (immortals keep gaining years)
+  // - Spirit herbs: one matures every herbYears; a harvest yields herbQpsSeconds of Qi/s
+  // st.yearly is per life: { years, herbGrowth, harvests }.
+
+  /**
+   * Read (and normalize) the yearly record of a life
+   * @param {Object} st - Game state (its yearly record is created or repaired)
+   * @returns {Object} { years, herbGrowth, harvests }
+   */
+  function getYearly(st) {
+    const y = st.yearly && typeof st.yearly === 'object' ? st.yearly : {};
+    for (const key of ['years', 'herbGrowth', 'harvests']) {
+      if (!Number.isFinite(y[key]) || y[key] < 0) y[key] = 0;
+    }
+    st.yearly = y;
+    return y;
+  }
+
+  /**
+   * Insight multiplier on Qi/s and Qi/click (1 = none)
+   */
+  function insightMult(st) {
+    const years = safeNum(st.yearly?.years, 0);
+    const { insightCoeff, insightYearScale } = BAL.yearly;
+    return 1 + insightCoeff * Math.log10(1 + Math.max(0, years) / insightYearScale);
+  }
+
+  /**
+   * In-game years until the next spirit herb matures
+   */
+  function yearsToHarvest(st) {
+    return Math.max(0, BAL.yearly.herbYears - getYearly(st).herbGrowth);
+  }
+
+  /**
+   * Let in-game years pass for the yearly rewards
+   * @param {Object} st - Game state (mutated)
+   * @param {number} years - In-game years that passed (real seconds × speed × yearsPerSecond)
+   * @returns {number} Spirit herbs harvested
+   */
+  function advanceYears(st, years) {
+    if (!(years > 0)) return 0;
+    const y = getYearly(st);
+    y.years += years;
+    y.herbGrowth += years;
+    const harvested = Math.floor(y.herbGrowth / BAL.yearly.herbYears);
+    y.herbGrowth -= harvested * BAL.yearly.herbYears;
+    y.harvests += harvested;
+    return harvested;
+  }
+
+  // ============= CALENDAR =============
+  // The world keeps its own date in st.meta.calendar.years: in-game years since
+  // the calendar began, turned by the same years as the yearly rewards and kept
+  // across lives. The date is derived from it:
+  // - Seasons: each lasts seasonYears and they repeat in BAL.calendar.seasons order
+  // - Spiritual tide: the last durationYears of every periodYears
+  // Each season and the tide scale Qi/s, Qi/click and the breakthrough cost
+  // while they last (calendarModifiers multiplies the active ones).
+
+  /**
+   * Read (and normalize) the world calendar
+   * @param {Object} st - Game state (its meta.calendar is created or repaired)
+   * @returns {Object} { years }
+   */
+  function getCalendar(st) {
+    if (!st.meta) st.meta = {};
+    const cal = st.meta.calendar && typeof st.meta.calendar === 'object' ? st.meta.calendar : {};
+    if (!Number.isFinite(cal.years) || cal.years < 0) cal.years = 0;
+    st.meta.calendar = cal;
+    return cal;
+  }
+
+  /**
+   * Let in-game years pass on the world calendar
+   * @param {Object} st - Game state (mutated)
+   * @param {number} years - In-game years that passed
+   */
+  function advanceCalendar(st, years) {
+    if (!(years > 0)) return;
+    getCalendar(st).years += years;
+  }
+
+  /**
+   * Date of the world calendar (read-only; a missing calendar reads as year zero)
+   * @param {Object} st - Game state
+   * @returns {Object} { years, year, seasonIndex, season, seasonYearsLeft,
+   *                   tide: { name, active, yearsLeft } } where tide.yearsLeft counts
+   *                   to the tide's end while active and to its start otherwise
+   */
+  function calendarDate(st) {
+    const { startYear, seasonYears, seasons, tide } = BAL.calendar;
+    const years = Math.max(0, safeNum(st.meta?.calendar?.years, 0));
+    const seasonNumber = Math.floor(years / seasonYears);
+    const seasonIndex = seasonNumber % seasons.length;
+
+    const phase = years % tide.periodYears;
+    const tideStart = tide.periodYears - tide.durationYears;
+    const active = tide.durationYears > 0 && phase >= tideStart;
+
+    return {
+      years,
+      year: startYear + Math.floor(years),
+      seasonIndex,
+      season: seasons[seasonIndex],
+      seasonYearsLeft: (seasonNumber + 1) * seasonYears - years,
+      tide: {
+        name: tide.name,
+        active,
+        yearsLeft: active ? tide.periodYears - phase : tideStart - phase
+      }
+    };
+  }
+
+  /**
+   * Multipliers from the current season and, while it runs, the spiritual tide
+   * @param {Object} st - Game state
+   * @returns {Object} { qpsMult, qpcMult, breakthroughCostMult } (1 = no effect)
+   */
+  function calendarModifiers(st) {
+    const date = calendarDate(st);
+    const sources = date.tide.active ? [date.season, BAL.calendar.tide] : [date.season];
+    const mods = { qpsMult: 1, qpcMult: 1, breakthroughCostMult: 1 };
+    for (const source of sources) {
+      for (const key of Object.keys(mods)) mods[key] *= source[key];
+    }
+    return mods;
+  }
+
+  // ============= TIME STEP =============
+
+  /**
+   * Advance the simulation by one step of wall-clock time
+   *
+   * QI GAINS: Use raw dt (real elapsed time), NO speed multiplication
+   * LIFESPAN AGING: rawDt × speed (time speed affects ONLY aging)
+   * YEARLY REWARDS: rawDt × speed in-game years (herb harvests add Qi, see YEARLY REWARDS);
+   *                 the same years turn the world calendar (see CALENDAR)
+   *
+   * @param {Object} st - Game state (mutated)
+   * @param {number} rawDt - Real seconds elapsed
+   * @param {number} speed - Time speed multiplier (0 = paused, no progress)
+   * @param {Object} options - { qiMult, lifetimeMult } scale the Qi gain and its
+   *                           lifetime-Qi credit (offline progress uses both)
+   * @returns {Object} { gain, died, harvests } - gain includes harvested Qi;
+   *                   died is true when the lifespan ran out this step
+   */
+  function advance(st, rawDt, speed, { qiMult = 1, lifetimeMult = 1 } = {}) {
+    if (speed === 0) return { gain: 0, died: false, harvests: 0 };
+
+    const qps = totalQPS(st);
+    const dtForLifespan = rawDt * speed;
+    const years = dtForLifespan * BAL.lifespan.yearsPerSecond;
+    const harvests = advanceYears(st, years);
+    advanceCalendar(st, years);
+    const gain = qps * rawDt * qiMult // No speed factor, no turbo - pure wall-clock time
+      + harvests * BAL.yearly.herbQpsSeconds * qps * qiMult;
+
+    safeAddQi(st, gain);
+    addLifetimeQi(st, gain * lifetimeMult);
+
+    const died = tickLifespan(st, dtForLifespan);
+    tickHistory(st, rawDt);
+    return { gain, died, harvests };
+  }
+
+  /**
+   * Apply one click of Qi (speed-independent)
+   * @param {Object} st - Game state (mutated)
+   * @returns {number} Qi gained
+   */
+  function click(st) {
+    const gain = totalQPC(st);
+    safeAddQi(st, gain);
+    addLifetimeQi(st, gain);
+    if (st.life) st.life.clicks = safeNum(st.life.clicks, 0) + 1;
+    return gain;
+  }
+
+  // ============= OFFLINE PROGRESS =============
+  // Time away is replayed through advance() in coarse steps, so breakthroughs,
+  // automation rules, old age and rebirth happen offline as they would live.
+  // Steps shrink to land on the next breakthrough or death and are capped so
+  // Qi/s is re-read after purchases.
+
+  const OFFLINE_MIN_STEP = 1;  // Seconds
+  const OFFLINE_MAX_STEP = 60; // Seconds
+
+  /**
+   * Seconds until the current requirement is met at a given Qi rate
+   * @returns {number} 0 when already affordable, Infinity when never
+   */
+  function secondsToBreakthrough(st, qiPerSec) {
+    const missing = currentRequirement(st).sub(Big.from(st.qi));
+    if (missing.sign() <= 0) return 0;
+    if (!(qiPerSec > 0)) return Infinity;
+    return missing.div(qiPerSec).toNumber();
+  }
+
+  /**
+   * Seconds until the lifespan runs out at a given time speed
+   * @returns {number} Infinity for immortals
+   */
+  function secondsToDeath(st, speed) {
+    if (isImmortal(st) || !st.lifespan?.max) return Infinity;
+    const yearsPerSecond = (BAL.lifespan?.yearsPerSecond || 1.0) * speed;
+    if (!(yearsPerSecond > 0)) return Infinity;
+    return Math.max(0, (st.lifespan.max - safeNum(st.age, 0)) / yearsPerSecond);
+  }
+
+  /**
+   * Replay a stretch of offline time
+   *
+   * Each step earns Qi/s × offline multiplier (lifetime Qi gets the
+   * offlineKarmaBonus), ages the cultivator at `speed`, breaks through every
+   * affordable stage and applies the automation rules. Cycle gates and the final
+   * ascension wait for the player. Dying of old age reincarnates with death
+   * karma and the replay continues in the new life at 1× speed, unless that life
+   * has no Qi/s (the Mortal Realm needs clicks); then the remaining time is
+   * dropped rather than aging an idle life to death over and over.
+   *
+   * Timeline events ({ t, type, ... }, t = seconds into the absence):
+   * - 'stage' / 'realm': { realm, stage } reached
+   * - 'gate':            { cycle } sealed cycle waiting at the end of the path
+   * - 'death':           { age, karma } died of old age
+   * - 'reincarnate':     { karma } automatic voluntary reincarnation
+   *
+   * @param {Object} st - Game state (mutated; replaced after a rebirth)
+   * @param {number} seconds - Offline seconds to replay (already capped)
+   * @param {Object} options - { speed } time speed for aging (default 1×)
+   * @returns {Object} { state, seconds, qiGained, lifetimeQiGained, yearsAged,
+   *                     from, to, stages, realms, breakthroughs, ranks, techniques,
+   *                     deaths, reincarnations, endedEarly, events }
+   *                     (from/to: { realm, stage }; stages + realms = breakthroughs)
+   */
+  function advanceOffline(st, seconds, { speed = 1 } = {}) {
+    const lifetimeMult = Math.max(1.0, BAL.reincarnation?.offlineKarmaBonus || 1.0);
+    const report = {
+      state: st, seconds: 0, qiGained: Big.ZERO, lifetimeQiGained: Big.ZERO, yearsAged: 0,
+      from: { realm: st.realmIndex, stage: st.stage }, to: null,
+      stages: 0, realms: 0, breakthroughs: 0, ranks: 0, techniques: 0, deaths: 0, reincarnations: 0,
+      endedEarly: false, events: []
+    };
+    const event = (type, data = {}) => report.events.push({ t: report.seconds, type, ...data });
+    let gateShown = false;
+
+    // After a rebirth the replay only goes on if the new life cultivates on its own
+    const canContinue = () => {
+      gateShown = false;
+      report.endedEarly = !(totalQPS(st) > 0);
+      return !report.endedEarly;
+    };
+
+    while (report.seconds < seconds) {
+      const qiMult = totalOfflineMult(st);
+      const qiPerSec = totalQPS(st) * qiMult;
+      const untilEvent = Math.min(
+        isAtCycleEnd(st) ? Infinity : secondsToBreakthrough(st, qiPerSec),
+        secondsToDeath(st, speed)
+      );
+      const step = Math.min(seconds - report.seconds, OFFLINE_MAX_STEP, Math.max(OFFLINE_MIN_STEP, untilEvent));
+
+      const ageBefore = safeNum(st.age, 0);
+      const { gain, died } = advance(st, step, speed, { qiMult, lifetimeMult });
+      report.seconds += step;
+      report.qiGained = report.qiGained.add(Big.from(gain));
+      report.lifetimeQiGained = report.lifetimeQiGained.add(Big.from(gain * lifetimeMult));
+      report.yearsAged += Math.max(0, safeNum(st.age, 0) - ageBefore);
+
+      if (died) {
+        const age = st.age;
+        const rebirth = reincarnate(st, { mode: 'death' });
+        st = rebirth.state;
+        speed = st.timeSpeed?.current || 1;
+        report.deaths++;
+        event('death', { age, karma: rebirth.gain });
+        if (canContinue()) continue;
+        break;
+      }
+
+      while (canBreakthrough(st) && !isAtCycleEnd(st)) {
+        const type = doBreakthrough(st).type === 'realm' ? 'realm' : 'stage';
+        report.breakthroughs++;
+        report[type === 'realm' ? 'realms' : 'stages']++;
+        event(type, { realm: st.realmIndex, stage: st.stage });
+      }
+      if (!gateShown && isAtCycleEnd(st) && canBreakthrough(st)) {
+        gateShown = true;
+        event('gate', { cycle: cycleGateAhead(st) });
+      }
+
+      const auto = runAutomation(st); // Breakthroughs are already done; this buys and may reincarnate
+      auto.bought.forEach(r => { if (r.oneTime) report.techniques++; else report.ranks += r.qty; });
+      if (auto.reincarnate) {
+        const rebirth = reincarnate(st, { mode: 'voluntary' });
+        st = rebirth.state;
+        speed = st.timeSpeed?.current || 1;
+        report.reincarnations++;
+        event('reincarnate', { karma: rebirth.gain });
+        if (!canContinue()) break;
+      }
+    }
+
+    report.state = st;
+    report.to = { realm: st.realmIndex, stage: st.stage };
+    return report;
+  }
+
+  // ============= OFFLINE REPORTS =============
+  // The last few "While You Were Away" reports are kept in st.meta.offlineReports
+  // (newest first) so the player can review them later. Big values are stored as
+  // they serialize (numbers, or strings past the double range); read them back
+  // with Big.from().
+
+  const OFFLINE_REPORTS_KEPT = 5;
+  const OFFLINE_REPORT_EVENTS_KEPT = 50; // Notable events kept per report (stage events are only counted)
+
+  /**
+   * Build the saved report for one offline session
+   * @param {Object} replay - Result of advanceOffline
+   * @param {Object} info - { at, elapsedSec, cappedSec, speed, achievements, clock }
+   *                        (achievements: ids unlocked while applying the absence;
+   *                        clock: result of measureTimeAway, kept only if suspicious)
+   * @returns {Object} Plain report object, safe to store in the save
+   */
+  function buildOfflineReport(replay, { at = Date.now(), elapsedSec = 0, cappedSec = 0, speed = 1, achievements = [], clock = null } = {}) {
+    return {
+      at,
+      elapsedSec,
+      cappedSec,
+      capHit: elapsedSec > cappedSec,
+      clock: clock && clock.suspicious
+        ? { policy: clock.policy, rawSec: clock.rawSeconds, capped: clock.capped, movedBackSec: clock.jump?.seconds || 0 }
+        : null,
+      replayedSec: replay.seconds,
+      speed,
+      qiGained: replay.qiGained,
+      lifetimeQiGained: replay.lifetimeQiGained,
+      lifetimeQiBonus: Big.max(0, replay.lifetimeQiGained.sub(replay.qiGained)),
+      yearsAged: replay.yearsAged,
+      from: replay.from,
+      to: replay.to,
+      stages: replay.stages,
+      realms: replay.realms,
+      ranks: replay.ranks,
+      techniques: replay.techniques,
+      deaths: replay.deaths,
+      reincarnations: replay.reincarnations,
+      endedEarly: replay.endedEarly,
+      achievements: [...achievements],
+      events: replay.events.filter(e => e.type !== 'stage').slice(-OFFLINE_REPORT_EVENTS_KEPT)
+    };
+  }
+
+  /**
+   * @param {Object} st - Game state
+   * @returns {Array} Saved offline reports, newest first
+   */
+  function getOfflineReports(st) {
+    return Array.isArray(st.meta?.offlineReports) ? st.meta.offlineReports : [];
+  }
+
+  /**
+   * Save a report, keeping only the newest OFFLINE_REPORTS_KEPT
+   * @param {Object} st - Game state (mutated)
+   * @param {Object} report - Result of buildOfflineReport
+   */
+  function recordOfflineReport(st, report) {
+    if (!st.meta) st.meta = {};
+    st.meta.offlineReports = [report, ...getOfflineReports(st)].slice(0, OFFLINE_REPORTS_KEPT);
+  }
+
+  // ============= HISTORY =============
+  // Progress is sampled into st.meta.history every BAL.history.intervalSec of
+  // played time (live and offline; paused time is not sampled), so the UI can
+  // chart each life and compare lives. Samples are compact rows in a ring buffer
+  // of BAL.history.maxSamples:
+  //   [elapsed, life, realmIndex, stage, age, log10 Qi, log10 Qi/s, log10 Qi/click]
+  // (log values are null for zero). Each finished life also leaves a summary in
+  // history.lives, which outlasts its samples.
+
+  const HISTORY_FIELDS = ['t', 'life', 'realm', 'stage', 'age', 'qi', 'qps', 'qpc'];
+
+  const roundTo = (x, digits) => Math.round(x * 10 ** digits) / 10 ** digits;
+  const log10OrNull = (x) => {
+    const v = Big.from(x);
+    return v.sign() > 0 ? roundTo(v.log10(), 3) : null;
+  };
+
+  /**
+   * Read (and normalize) the history record of a save
+   * @param {Object} st - Game state (its meta.history is created or repaired)
+   * @returns {Object} { elapsed, sinceSample, life, next, samples, lives, peak }
+   */
+  function getHistory(st) {
+    if (!st.meta) st.meta = {};
+    const h = st.meta.history && typeof st.meta.history === 'object' ? st.meta.history : {};
+    for (const key of ['elapsed', 'sinceSample', 'life', 'next']) {
+      if (!Number.isFinite(h[key]) || h[key] < 0) h[key] = 0;
+    }
+    if (!Array.isArray(h.samples)) h.samples = [];
+    if (!Array.isArray(h.lives)) h.lives = [];
+    if (!h.peak || typeof h.peak !== 'object') h.peak = { qi: null, qps: null, qpc: null };
+
+    // A smaller buffer in balance.json keeps the newest samples
+    const max = BAL.history.maxSamples;
+    if (h.samples.length > max || h.next > h.samples.length) {
+      h.samples = orderedSamples(h).slice(-max);
+      h.next = h.samples.length % max;
+    }
+    st.meta.history = h;
+    return h;
+  }
+
+  function orderedSamples(h) {
+    return [...h.samples.slice(h.next), ...h.samples.slice(0, h.next)];
+  }
+
+  function raisePeak(peak, key, value) {
+    if (value !== null && (peak[key] === null || value > peak[key])) peak[key] = value;
+  }
+
+  /**
+   * Take one sample of the current moment now
+   * @param {Object} st - Game state (mutated)
+   */
+  function recordHistorySample(st) {
+    const h = getHistory(st);
+    const row = [
+      Math.round(h.elapsed),
+      h.life,
+      st.realmIndex,
+      st.stage,
+      roundTo(safeNum(st.age, 0), 2),
+      log10OrNull(st.qi),
+      log10OrNull(totalQPS(st)),
+      log10OrNull(totalQPC(st))
+    ];
+    const max = BAL.history.maxSamples;
+    if (h.samples.length < max) h.samples.push(row);
+    else h.samples[h.next] = row;
+    h.next = (h.next + 1) % max;
+    h.sinceSample = 0;
+
+    raisePeak(h.peak, 'qi', row[5]);
+    raisePeak(h.peak, 'qps', row[6]);
+    raisePeak(h.peak, 'qpc', row[7]);
+  }
+
+  /**
+   * Count played time and sample when the interval has passed (called by advance)
+   * @param {Object} st - Game state (mutated)
+   * @param {number} rawDt - Real seconds just played
+   */
+  function tickHistory(st, rawDt) {
+    const h = getHistory(st);
+    h.elapsed += rawDt;
+    h.sinceSample += rawDt;
+    if (h.sinceSample >= BAL.history.intervalSec) recordHistorySample(st);
+  }
+
+  /**
+   * Close the current life: take a last sample, summarize it and start the next
+   * @param {Object} st - State of the life that is ending (its meta.history is mutated)
+   * @param {string} mode - 'death', 'voluntary' or 'mandatory'
+   */
+  function recordLifeEnd(st, mode) {
+    recordHistorySample(st);
+    const h = getHistory(st);
+    h.lives.push({
+      life: h.life,
+      mode,
+      realm: st.realmIndex,
+      stage: st.stage,
+      age: roundTo(safeNum(st.age, 0), 2),
+      endedAt: Math.round(h.elapsed),
+      peak: { ...h.peak }
+    });
+    if (h.lives.length > BAL.history.livesKept) h.lives.splice(0, h.lives.length - BAL.history.livesKept);
+    h.life += 1;
+    h.peak = { qi: null, qps: null, qpc: null };
+  }
+
+  /**
+   * History samples as objects, oldest first
+   * @param {Object} st - Game state
+   * @param {Object} options - { life } keeps only one life's samples
+   * @returns {Array} [{ t, life, realm, stage, age, qi, qps, qpc }] (qi/qps/qpc are log10)
+   */
+  function getHistorySamples(st, { life = null } = {}) {
+    const rows = orderedSamples(getHistory(st)).map(row =>
+      Object.fromEntries(HISTORY_FIELDS.map((field, i) => [field, row[i]])));
+    return life === null ? rows : rows.filter(s => s.life === life);
+  }
+
+  // ============= LINEAGE =============
+  // Every life that ends leaves an entry in st.meta.lineage (oldest first, the
+  // newest LINEAGE_KEPT kept). Realms never regress within a life, so the realm
+  // and stage at the end are the life's peak. Durations are real seconds from
+  // st.life.bornAt (wall clock at birth), so pauses and time away count too.
+  // lifetimeQi is stored as it serializes; read it back with Big.from().
+
+  const LINEAGE_KEPT = 200;
+
+  /**
+   * @param {Object} st - Game state (its meta.lineage is created if missing)
+   * @returns {Array} Finished lives, oldest first
+   */
+  function getLineage(st) {
+    if (!st.meta) st.meta = {};
+    if (!Array.isArray(st.meta.lineage)) st.meta.lineage = [];
+    return st.meta.lineage;
+  }
+
+  /**
+   * Real seconds since the current life began
+   * @param {Object} st - Game state
+   */
+  function lifeDuration(st) {
+    const bornAt = safeNum(st.life?.bornAt, now());
+    return Math.max(0, (now() - bornAt) / 1000);
+  }
+
+  /**
+   * Record the life that is ending in the lineage and close it in the history
+   * @param {Object} st - State of the life that is ending (its meta is mutated)
+   * @param {string} mode - 'voluntary', 'mandatory', 'cycle' (final ascension) or 'death'
+   * @param {number} karmaGain - Karma this life earned
+   */
+  function endLife(st, mode, karmaGain) {
+    const lineage = getLineage(st);
+    lineage.push({
+      life: getHistory(st).life,
+      mode,
+      endedAt: now(),
+      realm: st.realmIndex,
+      stage: st.stage,
+      cycle: st.currentCycle || cycleIdForRealm(st.realmIndex),
+      age: Math.round(safeNum(st.age, 0) * 100) / 100,
+      lifetimeQi: Big.from(st.reinc?.lifetimeQi || 0).toJSON(),
+      karmaGained: safeNum(karmaGain, 0),
+      durationSec: Math.round(lifeDuration(st)),
+      clicks: safeNum(st.life?.clicks, 0)
+    });
+    if (lineage.length > LINEAGE_KEPT) lineage.splice(0, lineage.length - LINEAGE_KEPT);
+    recordLifeEnd(st, mode);
+  }
+
+  /**
+   * Start the clock of a new life (after its meta was carried over)
+   * @param {Object} next - State of the new life (mutated)
+   */
+  function beginLife(next) {
+    next.life.bornAt = now();
+    next.life.clicks = 0;
+  }
+
+  // ============= CLOCK =============
+  // Offline time is measured with the wall clock, which the player can move.
+  // meta.clock keeps the latest wall time the save has seen (highWater) and a
+  // short history of clock jumps. During play the wall clock is compared with
+  // the page's monotonic clock; on resume, a wall clock behind highWater means
+  // it was moved back. Forward jumps during play (a sleeping computer looks the
+  // same) are only recorded. balance.json "clock.policy" decides the rest:
+  // - ignore: time away is measured from the last session, as it always was
+  // - warn:   measured from highWater, so a moved-back clock has to catch up
+  //           before offline time counts again; the report is flagged
+  // - cap:    like warn, and while a backward jump is less than watchHours old
+  //           time away is capped at suspiciousCapHours
+
+  const CLOCK_POLICIES = ['ignore', 'warn', 'cap'];
+  const CLOCK_JUMPS_KEPT = 20;
+
+  /**
+   * Read (and normalize) the clock record of a save
+   * @param {Object} st - Game state (mutated if the record is missing or broken)
+   * @returns {Object} { highWater, lastWall, jumps }
+   */
+  function getClock(st) {
+    if (!st.meta) st.meta = {};
+    const clock = st.meta.clock && typeof st.meta.clock === 'object' ? st.meta.clock : {};
+    if (!Number.isFinite(clock.highWater)) clock.highWater = 0;
+    if (!Number.isFinite(clock.lastWall)) clock.lastWall = 0;
+    if (!Array.isArray(clock.jumps)) clock.jumps = [];
+    st.meta.clock = clock;
+    return clock;
+  }
+
+  function recordClockJump(clock, jump) {
+    clock.jumps.unshift(jump);
+    if (clock.jumps.length > CLOCK_JUMPS_KEPT) clock.jumps.length = CLOCK_JUMPS_KEPT;
+    debugWarn(`[Clock] Wall clock jumped ${jump.kind} by ${jump.seconds}s (${jump.where})`);
+  }
+
+  /**
+   * Check the wall clock against a monotonic clock during play
+   * @param {Object} st - Game state (its clock record is updated)
+   * @param {number} wallNow - Current wall time (Date.now())
+   * @param {number|null} monoElapsedMs - Monotonic ms since the previous check,
+   *                                      null on the first check of a session
+   * @returns {Object|null} The jump { at, kind, seconds, where } if one was found
+   */
+  function observeClock(st, wallNow, monoElapsedMs = null) {
+    const clock = getClock(st);
+    let jump = null;
+    if (monoElapsedMs !== null && clock.lastWall > 0) {
+      const driftMs = (wallNow - clock.lastWall) - monoElapsedMs;
+      if (Math.abs(driftMs) > BAL.clock.toleranceSec * 1000) {
+        jump = { at: wallNow, kind: driftMs > 0 ? 'forward' : 'backward', seconds: Math.round(Math.abs(driftMs) / 1000), where: 'session' };
+        recordClockJump(clock, jump);
+      }
+    }
+    clock.lastWall = wallNow;
+    clock.highWater = Math.max(clock.highWater, wallNow);
+    return jump;
+  }
+
+  /**
+   * Measure the time away since the last session under the clock policy
+   * @param {Object} st - Game state (its clock record is updated)
+   * @param {number} lastTs - Wall time of the last session (session.lastTs)
+   * @param {number} wallNow - Current wall time (Date.now())
+   * @returns {Object} { seconds, rawSeconds, policy, suspicious, capped, jump }
+   *                   seconds is the time to grant; rawSeconds what the wall clock says
+   */
+  function measureTimeAway(st, lastTs, wallNow) {
+    const clock = getClock(st);
+    const { policy, toleranceSec, suspiciousCapHours, watchHours } = BAL.clock;
+    const rawSeconds = Math.max(0, Math.floor((wallNow - lastTs) / 1000));
+    const since = Math.max(lastTs, clock.highWater);
+
+    let jump = null;
+    if (since - wallNow > toleranceSec * 1000) {
+      jump = { at: wallNow, kind: 'backward', seconds: Math.round((since - wallNow) / 1000), where: 'offline' };
+      recordClockJump(clock, jump);
+    }
+
+    // Jump times are on whatever clock was set then, so look both ways
+    const watchMs = watchHours * 3600 * 1000;
+    const suspicious = policy !== 'ignore' &&
+      clock.jumps.some(j => j.kind === 'backward' && Math.abs(wallNow - j.at) < watchMs);
+
+    let seconds = policy === 'ignore' ? rawSeconds : Math.max(0, Math.floor((wallNow - since) / 1000));
+    const capped = policy === 'cap' && suspicious && seconds > suspiciousCapHours * 3600;
+    if (capped) seconds = Math.floor(suspiciousCapHours * 3600);
+
+    clock.lastWall = wallNow;
+    clock.highWater = Math.max(clock.highWater, wallNow);
+    return { seconds, rawSeconds, policy, suspicious, capped, jump };
+  }
+
+  // ============= SAVE MIGRATIONS =============
+  // Saves carry the game version that wrote them (`version`, "major.minor.patch").
+  // Loading runs, in array order, every step whose version is newer than the
+  // save's and then stamps the running version. Steps only touch the raw save
+  // object passed in, so each can be run on its own in Node. The two legacy steps
+  // also keep their old flags so they can never run twice on the same data.
+
+  /**
+   * Compare two "major.minor.patch" version strings
+   * @returns {number} -1, 0 or 1
+   */
+  function compareVersions(a, b) {
+    const pa = String(a || '0.0.0').split('.').map(n => parseInt(n, 10) || 0);
+    const pb = String(b || '0.0.0').split('.').map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      const d = (pa[i] || 0) - (pb[i] || 0);
+      if (d !== 0) return d > 0 ? 1 : -1;
+    }
+    return 0;
+  }
+
+  const SAVE_MIGRATIONS = [
+    {
+      version: '1.0.0',
+      name: 'Karma, lifespan, time speed, flags, stats and speed unlocks',
+      migrate(data) {
+        if (!data.reinc) data.reinc = { times: 0, karma: 0, lifetimeQi: 0 };
+        if (!data.lifespan) {
+          const maxLifespan = realms[Math.min(data.realmIndex || 0, realms.length - 1)]?.lifespan;
+          if (maxLifespan === null) {
+            data.lifespan = { current: null, max: null };
+          } else {
+            const lifespan = maxLifespan || 100;
+            data.lifespan = { current: lifespan, max: lifespan };
+          }
+        }
+        if (!data.timeSpeed) data.timeSpeed = { current: 1, paused: false };
+        if (!data.flags) data.flags = {};
+        if (data.flags.unlockedBeyondSpirit === undefined) data.flags.unlockedBeyondSpirit = false;
+        if (data.flags.hasUnlockedSpiritCycle === undefined) data.flags.hasUnlockedSpiritCycle = false;
+        if (data.flags.hasCompletedMandatoryST10 === undefined) data.flags.hasCompletedMandatoryST10 = false;
+        if (data.flags.canManualReincarnate === undefined) data.flags.canManualReincarnate = false;
+        if (!data.stats) data.stats = {};
+        if (data.stats.deaths === undefined) data.stats.deaths = 0;
+        if (!data.meta) data.meta = {};
+        if (!Array.isArray(data.meta.unlockedSpeeds)) data.meta.unlockedSpeeds = [];
+        BASE_SPEEDS_ALWAYS_AVAILABLE.forEach(speed => {
+          if (!data.meta.unlockedSpeeds.includes(speed)) data.meta.unlockedSpeeds.push(speed);
+        });
+      }
+    },
+    {
+      version: '1.2.0',
+      name: 'Mortal Realm inserted before Qi Refining (realm indices shift by one)',
+      migrate(data) {
+        if (data.migratedToMortalRealm) return;
+        if (data.realmIndex > 0 || data.stage > 1) {
+          const oldIndex = data.realmIndex || 0;
+          data.realmIndex = Math.min(oldIndex + 1, realms.length - 1);
+          debugLog(`[Migration] Shifted realmIndex from ${oldIndex} to ${data.realmIndex}`);
+        }
+        data.migratedToMortalRealm = true;
+        data._needsAchievementRevalidation = true; // Realm achievements were earned on the old indices
+      }
+    },
+    {
+      version: '1.2.0',
+      name: 'Skill levels become per-realm ranks',
+      migrate(data) {
+        if (data.migratedToRankSystem) return;
+        const currentRealm = data.realmIndex || 0;
+        const newSkills = {};
+
+        for (const [skillId, oldValue] of Object.entries(data.skills || {})) {
+          const sk = getSkill(skillId);
+          if (!sk) continue;
+
+          if (sk.oneTime) {
+            if (oldValue) newSkills[skillId] = { purchasedOneTime: true, total: 1, perRealm: {} };
+          } else {
+            const level = typeof oldValue === 'number' ? oldValue : 0;
+            if (level > 0) newSkills[skillId] = { total: level, perRealm: { [currentRealm]: level } };
+          }
+        }
+
+        data.skills = newSkills;
+        data.migratedToRankSystem = true;
+        debugLog('[Migration] Rank system migration complete.');
+      }
+    },
+    {
+      version: '1.2.0',
+      name: 'Age, lifecycle guard and clean-run tracking',
+      migrate(data) {
+        if (!data.lifecycle) data.lifecycle = { isReincarnating: false, lastDeathAt: 0, lastReincarnateAt: 0 };
+        if (data.lifecycle.lastReincarnateAt === undefined) data.lifecycle.lastReincarnateAt = 0;
+        if (data.age === undefined) {
+          if (data.ageYears !== undefined) {
+            data.age = safeNum(data.ageYears, 0);
+            delete data.ageYears;
+          } else if (data.lifespan && data.lifespan.max !== null && data.lifespan.current !== null) {
+            data.age = Math.max(0, data.lifespan.max - data.lifespan.current);
+          } else {
+            data.age = 0;
+          }
+        }
+        if (!data.flags) data.flags = {};
+        if (data.flags.lifespanHandled === undefined) data.flags.lifespanHandled = false;
+        if (data.isDead === undefined) data.isDead = false;
+        if (!data.life) data.life = {};
+        if (data.life.isCleanRun === undefined) data.life.isCleanRun = true;
+      }
+    },
+    {
+      version: '1.3.0',
+      name: 'Karma shop, ordered cycles, automation and offline reports',
+      migrate(data) {
+        if (!data.meta) data.meta = {};
+        if (!data.flags) data.flags = {};
+        if (!data.meta.karmaUpgrades || typeof data.meta.karmaUpgrades !== 'object') data.meta.karmaUpgrades = {};
+        // Saves from before N cycles record the Celestial gate only as unlockedBeyondSpirit
+        if (!Array.isArray(data.flags.unlockedCycles)) {
+          data.flags.unlockedCycles = data.flags.unlockedBeyondSpirit ? ['spirit'] : [];
+        }
+        getAutomation(data);
+        // Older saves start from the current realm
+        if (!Number.isFinite(data.meta.highestRealm)) data.meta.highestRealm = Math.max(0, Number(data.realmIndex) || 0);
+        if (!Array.isArray(data.meta.offlineReports)) data.meta.offlineReports = [];
+      }
+    },
+    {
+      version: '1.4.0',
+      name: 'Clock record for offline time',
+      migrate(data) {
+        getClock(data);
+      }
+    },
+    {
+      version: '1.5.0',
+      name: 'Progress history',
+      migrate(data) {
+        getHistory(data);
+      }
+    },
+    {
+      version: '1.6.0',
+      name: 'Lineage of past lives',
+      migrate(data) {
+        getLineage(data);
+        if (!data.life || typeof data.life !== 'object') data.life = { isCleanRun: true };
+        // Older saves never recorded a birth time, so the current life counts from its last tick
+        if (!Number.isFinite(data.life.bornAt)) data.life.bornAt = safeNum(data.lastTick, now());
+        if (!Number.isFinite(data.life.clicks)) data.life.clicks = 0;
+      }
+    },
+    {
+      version: '1.7.0',
+      name: 'Yearly rewards',
+      migrate(data) {
+        getYearly(data);
+      }
+    },
+    {
+      version: '1.8.0',
+      name: 'World calendar',
+      migrate(data) {
+        getCalendar(data);
+      }
+    }
+  ];
+
+  /**
+   * Bring a raw save up to the running version
+   * @param {Object} data - Parsed save (mutated in place)
+   * @param {string} targetVersion - Version of the running game
+   * @returns {Object} { ok, from, applied } where applied lists the step names run;
+   *                   ok is false with reason 'invalid' (not a save object) or
+   *                   'newer' (written by a later version; data left untouched)
+   */
+  function migrateSave(data, targetVersion) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { ok: false, reason: 'invalid', from: null, applied: [] };
+    }
+
+    const from = data.version || '0.0.0';
+    if (compareVersions(from, targetVersion) > 0) {
+      return { ok: false, reason: 'newer', from, applied: [] };
+    }
+
+    const applied = [];
+    for (const step of SAVE_MIGRATIONS) {
+      if (compareVersions(from, step.version) >= 0) continue;
+      if (compareVersions(step.version, targetVersion) > 0) break;
+      step.migrate(data);
+      data.version = step.version;
+      applied.push(step.name);
+    }
+    data.version = targetVersion;
+
+    if (applied.length) debugLog(`[Migration] ${from} → ${targetVersion}: ${applied.join('; ')}`);
+    return { ok: true, from, applied };
+  }
+
+  // ============= SAVE INTEGRITY =============
+  // Stored saves end with a `checksum` (FNV-1a of the JSON written before it), so
+  // a save edited outside the game or damaged in storage is detected on load.
+  // After migration, repairSave() checks the save against SAVE_SCHEMA and resets
+  // every invalid field to a safe value, returning what it changed so the game
+  // can show a repair report instead of playing on with NaN in the state.
+
+  /**
+   * FNV-1a hash of a string
+   * @returns {string} 8 hex digits
+   */
+  function checksumOf(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Serialize a state for storage with its checksum as the last field
+   * @param {Object} st - Game state
+   * @returns {string} JSON
+   */
+  function serializeSave(st) {
+    const { checksum, ...rest } = st;
+    const json = JSON.stringify(rest);
+    return `${json.slice(0, -1)}${json.length > 2 ? ',' : ''}"checksum":"${checksumOf(json)}"}`;
+  }
+
+  /**
+   * Check and remove the checksum of a parsed save (call before migrating it)
+   * @param {Object} data - Parsed save (its checksum field is deleted)
+   * @returns {string} 'ok', 'missing' (saves from before 1.3.0) or 'mismatch'
+   */
+  function verifySaveChecksum(data) {
+    if (!data || typeof data !== 'object' || typeof data.checksum !== 'string') return 'missing';
+    const stored = data.checksum;
+    delete data.checksum;
+    return checksumOf(JSON.stringify(data)) === stored ? 'ok' : 'mismatch';
+  }
+
+  const BIG_STRING = /^\d+(\.\d+)?(e[+-]?\d+)?$/i;
+
+  // Field checks: value is valid if the check returns true
+  const FIELD_CHECKS = {
+    number: v => Number.isFinite(v) && v >= 0,
+    int: v => Number.isInteger(v) && v >= 0,
+    big: v => (typeof v === 'number' && Number.isFinite(v) && v >= 0) || (typeof v === 'string' && BIG_STRING.test(v)) ||
+      (v instanceof Big && v.isFinite() && v.sign() >= 0),
+    lifespan: v => v === null || (Number.isFinite(v) && v >= 0),
+    bool: v => typeof v === 'boolean',
+    string: v => typeof v === 'string',
+    object: v => !!v && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v)
+  };
+
+  // [path, check] in order: a parent object is checked before its fields.
+  // Invalid values are replaced by the same field of defaultState().
+  const SAVE_SCHEMA = [
+    ['qi', 'big'],
+    ['qpcBase', 'number'],
+    ['qpsBase', 'number'],
+    ['qpcMult', 'number'],
+    ['qpsMult', 'number'],
+    ['offlineMult', 'number'],
+    ['realmIndex', 'int'],
+    ['stage', 'int'],
+    ['lastTick', 'number'],
+    ['age', 'number'],
+    ['isDead', 'bool'],
+    ['currentCycle', 'string'],
+    ['skills', 'object'],
+    ['reinc', 'object'],
+    ['reinc.times', 'int'],
+    ['reinc.karma', 'number'],
+    ['reinc.lifetimeQi', 'big'],
+    ['lifespan', 'object'],
+    ['lifespan.current', 'lifespan'],
+    ['lifespan.max', 'lifespan'],
+    ['timeSpeed', 'object'],
+    ['timeSpeed.current', 'number'],
+    ['timeSpeed.paused', 'bool'],
+    ['life', 'object'],
+    ['flags', 'object'],
+    ['flags.unlockedCycles', 'array'],
+    ['lifecycle', 'object'],
+    ['stats', 'object'],
+    ['stats.deaths', 'int'],
+    ['meta', 'object'],
+    ['meta.unlockedSpeeds', 'array'],
+    ['meta.karmaUpgrades', 'object'],
+    ['meta.highestRealm', 'int'],
+    ['meta.offlineReports', 'array'],
+    ['meta.automation', 'object'],
+    ['meta.clock', 'object'],
+    ['meta.history', 'object'],
+    ['meta.lineage', 'array'],
+    ['meta.calendar', 'object'],
+    ['yearly', 'object']
+  ];
+
+  function describeValue(v) {
+    if (v === undefined) return 'missing';
+    const text = typeof v === 'object' && v !== null ? JSON.stringify(v) : String(v);
+    return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+  }
+
+  /**
+   * Validate a migrated save and repair invalid fields in place
+   * @param {Object} data - Migrated save (mutated)
+   * @returns {Array} Repairs [{ path, found, fixed }], empty if the save was valid
+   */
+  function repairSave(data) {
+    const repairs = [];
+    const fix = (path, found, fixed) => repairs.push({ path, found: describeValue(found), fixed: describeValue(fixed) });
+    const defaults = JSON.parse(JSON.stringify(defaultState())); // Big fields as stored
+
+    for (const [path, check] of SAVE_SCHEMA) {
+      const keys = path.split('.');
+      const last = keys.pop();
+      const parent = keys.reduce((obj, k) => obj[k], data);
+      const value = parent[last];
+      if (FIELD_CHECKS[check](value)) continue;
+
+      let fixed = keys.reduce((obj, k) => obj[k], defaults)[last];
+      if (check === 'int' && Number.isFinite(value) && value >= 0) fixed = Math.floor(value);
+      if (check === 'lifespan') fixed = realms[data.realmIndex]?.lifespan ?? null;
+      parent[last] = fixed;
+      fix(path, value, fixed);
+    }
+
+    // Realm and stage must exist in the current realm table
+    if (data.realmIndex > realms.length - 1) {
+      fix('realmIndex', data.realmIndex, realms.length - 1);
+      data.realmIndex = realms.length - 1;
+    }
+    if (data.stage < 1 || data.stage > stageCount(data.realmIndex)) {
+      const stage = Math.max(1, Math.min(stageCount(data.realmIndex), data.stage));
+      fix('stage', data.stage, stage);
+      data.stage = stage;
+    }
+
+    // Skill ranks: drop entries that are not objects, zero broken counters
+    for (const [id, skill] of Object.entries(data.skills)) {
+      if (!FIELD_CHECKS.object(skill)) {
+        fix(`skills.${id}`, skill, undefined);
+        delete data.skills[id];
+        continue;
+      }
+      if (!FIELD_CHECKS.int(skill.total)) {
+        fix(`skills.${id}.total`, skill.total, 0);
+        skill.total = 0;
+      }
+      if (!FIELD_CHECKS.object(skill.perRealm)) {
+        if (skill.perRealm !== undefined) fix(`skills.${id}.perRealm`, skill.perRealm, {});
+        skill.perRealm = {};
+      }
+      for (const [realm, ranks] of Object.entries(skill.perRealm)) {
+        if (FIELD_CHECKS.int(ranks)) continue;
+        fix(`skills.${id}.perRealm.${realm}`, ranks, 0);
+        skill.perRealm[realm] = 0;
+      }
+    }
+
+    if (repairs.length) debugWarn(`[Integrity] Repaired ${repairs.length} field(s): ${repairs.map(r => r.path).join(', ')}`);
+    return repairs;
+  }
+
+  // ============= SIMULATION =============
+
+  function productionPerSec(st, clickRate) {
+    return totalQPS(st) + totalQPC(st) * clickRate;
+  }
+
+  /**
+   * Pick the affordable purchase with the best production gain per Qi spent
+   * @param {Object} st - Game state (not mutated)
+   * @param {number} clickRate - Clicks per second assumed for Qi/click value
+   * @returns {Object|null} { id, vpc, cost, gain } or null if nothing is affordable
+   */
+  function findBestPurchase(st, clickRate) {
+    const baseProd = productionPerSec(st, clickRate);
+    let best = null;
+
+    for (const sk of getSkillCatalog()) {
+      if (!skillUnlockedByCycle(st, sk)) continue;
+      if (sk.oneTime && isTechniquePurchased(st, sk.id)) continue;
+      if (isAtRankCap(st, sk.id)) continue;
+
+      const cost = skillCost(st, sk.id);
+      if (!cost.isFinite() || cost.sign() <= 0 || Big.from(st.qi).lt(cost)) continue;
+
+      const probe = reviveState(JSON.parse(JSON.stringify(st)));
+      if (!purchaseSkill(probe, sk.id, 1)) continue;
+
+      const gain = productionPerSec(probe, clickRate) - baseProd;
+      const vpc = gain / cost.toNumber();
+
+      if (!best || vpc > best.vpc) best = { id: sk.id, vpc, cost, gain };
+    }
+
+    return best;
+  }
+
+  /**
+   * Play the game headlessly with the same rules as the browser
+   * Gates resolve the way a player would confirm them; the run ends at the
+   * end of the last cycle (or of opt.untilCycle).
+   *
+   * @param {Object} opt
+   *  - seconds: maximum real-time duration (default 8h)
+   *  - clickRate: clicks per second
+   *  - dt: step size in seconds
+   *  - buyEvery: seconds between purchase attempts
+   *  - pickPurchase: (st, clickRate) => { id } | null, defaults to findBestPurchase
+   *  - aging: when true the cultivator ages and can die of old age (default false)
+   *  - timeSpeed: time flow used for aging (default 1×)
+   *  - untilCycle: finish on completing this cycle instead of the final one
+   * @returns {Object} { finished, timeSec, realmIndex, realm, stage, reincarnations,
+   *                     deaths, karma, totalQi, stageTimes, purchases, state }
+   */
+  function simulate(opt = {}) {
+    const seconds      = opt.seconds      ?? 8 * 3600;
+    const clickRate    = opt.clickRate    ?? 3;
+    const dt           = opt.dt           ?? 0.1;
+    const buyEvery     = opt.buyEvery     ?? 0.25;
+    const pickPurchase = opt.pickPurchase ?? findBestPurchase;
+    const aging        = opt.aging        ?? false;
+    const timeSpeed    = opt.timeSpeed    ?? 1;
+    const untilCycle   = opt.untilCycle   ?? null;
+
+    let st = defaultState();
+    let t = 0;
+    let accBuy = 0;
+    let totalQi = 0;
+    const stageTimes = [];
+    const purchases = {};
+
+    const result = (finished) => ({
+      finished,
+      timeSec: t,
+      realmIndex: st.realmIndex,
+      realm: realms[st.realmIndex].name,
+      stage: st.stage,
+      reincarnations: st.reinc.times,
+      deaths: st.stats.deaths,
+      karma: st.reinc.karma,
+      totalQi,
+      stageTimes,
+      purchases,
+      state: st
+    });
+
+    while (t < seconds) {
+      // Time flows at timeSpeed for the yearly rewards even when aging is off
+      const years = dt * timeSpeed * BAL.lifespan.yearsPerSecond;
+      const harvests = advanceYears(st, years);
+      advanceCalendar(st, years);
+      const gain = productionPerSec(st, clickRate) * dt + harvests * BAL.yearly.herbQpsSeconds * totalQPS(st);
+      safeAddQi(st, gain);
+      addLifetimeQi(st, gain);
+      totalQi += gain;
+
+      if (aging && tickLifespan(st, dt * timeSpeed)) {
+        st = reincarnate(st, { mode: 'death' }).state;
+      }
+
+      while (canBreakthrough(st)) {
+        const outcome = doBreakthrough(st);
+        stageTimes.push(t);
+        if (outcome.type === 'gate') {
+          if (untilCycle && previousCycleId(outcome.cycle) === untilCycle) return result(true);
+          st = reincarnate(st, { mode: 'mandatory' }).state;
+        } else if (outcome.type === 'cycle_end') {
+          return result(true);
+        }
+      }
+
+      accBuy += dt;
+      if (accBuy >= buyEvery && st.realmIndex > 0) {
+        accBuy = 0;
+        const pick = pickPurchase(st, clickRate);
+        if (pick && purchaseSkill(st, pick.id, 1)) {
+          purchases[pick.id] = (purchases[pick.id] || 0) + 1;
+        }
+      }
+
+      t += dt;
+    }
+
+    return result(false);
+  }
+
+  return {
+    // Constants & tables
+    MAX_RANKS_PER_REALM,
+    SKILL_SCALING,
+    CROSS_REALM_JUMP,
+    LOG_MAX,
+    BIG_PLAIN_LIMIT,
+    SPEEDS_CONFIG,
+    BASE_SPEEDS_ALWAYS_AVAILABLE,
+    DEFAULT_BALANCE,
+    DEFAULT_STAGES_PER_REALM,
+    realms,
+    REALM_IDS,
+    REALM_INDEX,
+    idx,
+    stageCount,
+
+    // Configuration
+    setDebugHooks,
+    validateBalanceConfig,
+    setBalance,
+    getBalance,
+    resetCaches,
+
+    // Big numbers
+    Big,
+    reviveState,
+
+    // State
+    defaultState,
+    safeNum,
+    safeAddQi,
+    addLifetimeQi,
+    enforceQiRefiningQpsBaseline,
+
+    // Formulas
+    minTierPctByRealm,
+    maxTierPctByRealm,
+    karmaQiMult,
+    karmaLifeMult,
+    karmaStageMult,
+    cyclePowerMult,
+    skillRealmScale,
+    skillKarmaBoost,
+    skillCycleBoost,
+    effectiveSkillBase,
+    registerSkillEffect,
+    getSkillEffect,
+    applySkillEffects,
+    describeSkillEffect,
+    totalQPC,
+    totalQPS,
+    totalOfflineMult,
+    baseRequirementFor,
+    stageRequirement,
+    currentRequirement,
+
+    // Cycles
+    getCycleBoundaries,
+    getCycleOrder,
+    getCycleDef,
+    cycleIdForRealm,
+    transcendenceGateRealm,
+    nextCycleId,
+    previousCycleId,
+    isCycleUnlocked,
+    unlockCycle,
+    cycleGateAhead,
+    getCurrentCycle,
+    updateCurrentCycle,
+    skillUnlockedByCycle,
+    isAtCycleEnd,
+
+    // Skills & purchase
+    getSkillCatalog,
+    getSkill,
+    currentRealmRanks,
+    addRealmRank,
+    isTechniquePurchased,
+    purchaseTechnique,
+    skillCost,
+    isAtRankCap,
+    lnTotalCost,
+    totalSkillCost,
+    maxAffordableQty,
+    purchaseSkill,
+
+    // Time speed
+    validateTimeSpeedSystem,
+    getAvailableSpeeds,
+    unlockSpeedsForRealm,
+    getTimeSpeed,
+
+    // Lifespan
+    getMaxLifespan,
+    isImmortal,
+    refreshLifespanForRealm,
+    updateLifespanOnRealmAdvance,
+    tickLifespan,
+
+    // Breakthrough & reincarnation
+    canBreakthrough,
+    doBreakthrough,
+    canReincarnate,
+    computeKarmaGain,
+    computeVoluntaryKarma,
+    computeDeathKarma,
+    reincarnate,
+
+    // Karma shop
+    KARMA_UPGRADE_EFFECTS,
+    getKarmaUpgrades,
+    getKarmaUpgrade,
+    karmaUpgradeLevel,
+    karmaUpgradeCost,
+    isKarmaUpgradeUnlocked,
+    canBuyKarmaUpgrade,
+    buyKarmaUpgrade,
+    karmaUpgradeTotal,
+    skillRankCap,
+    offlineCapHours,
+
+    // Automation
+    AUTOMATION_FEATURES,
+    defaultAutomation,
+    getAutomation,
+    isAutomationUnlocked,
+    getAutoBuyRule,
+    setAutoBuyRule,
+    runAutoBuy,
+    runAutomation,
+
+    // Save migrations
+    compareVersions,
+    SAVE_MIGRATIONS,
+    migrateSave,
+    CLOCK_POLICIES,
+    getClock,
+    observeClock,
+    measureTimeAway,
+    checksumOf,
+    serializeSave,
+    verifySaveChecksum,
+    SAVE_SCHEMA,
+    repairSave,
+
+    // Offline progress
+    advanceOffline,
+    OFFLINE_REPORTS_KEPT,
+    buildOfflineReport,
+    getOfflineReports,
+    recordOfflineReport,
+
+    // History
+    HISTORY_FIELDS,
+    getHistory,
+    recordHistorySample,
+    recordLifeEnd,
+    getHistorySamples,
+
+    // Yearly rewards
+    getYearly,
+    insightMult,
+    yearsToHarvest,
+    advanceYears,
+
+    // Calendar
+    getCalendar,
+    advanceCalendar,
+    calendarDate,
+    calendarModifiers,
+
+    // Lineage
+    LINEAGE_KEPT,
+    getLineage,
+    lifeDuration,
+
+    // Stepping & simulation
+    advance,
+    click,
+    productionPerSec,
+    findBestPurchase,
+    simulate
+  };
+});
@@ -1,5 +1,5 @@
 /*
- * XIANXIA IDLE V1.2.0
+ * XIANXIA IDLE (the version is VERSION below; the top bar shows it)
  * 
  * TIME SPEED SYSTEM: Affects ONLY Lifespan Aging
  * 
@@ -9,19 +9,22 @@
  * - 2× speed = 2× faster aging, SAME Qi/s
  * 
  * Implementation:
- * 1. loop(): Calculates rawDt (real elapsed seconds) once
+ * 1. advanceSimulation(): Steps real elapsed time in fixed rawDt steps
  * 2. tick(): Uses rawDt for Qi gains (no speed factor)
  * 3. tickLifespan(): Receives rawDt × speed for aging
  * 4. Offline: Qi uses wall-clock time, aging uses time × speed
  * 5. totalQPS/totalQPC: Never reference time speed
  * 
  * Key Functions:
- * - loop(): Computes rawDt, passes rawDt and speed separately to tick()
+ * - advanceSimulation(): Passes each fixed rawDt step and speed separately to tick()
  * - tick(rawDt, speed): Qi = QPS × rawDt (no speed), aging = rawDt × speed
  * - tickLifespan(dt): dt is pre-multiplied by speed from tick()
  * - applyOfflineProgressOnResume(): Qi uses cappedSec, aging uses cappedSec × speed
  * 
- * Result: Time speed is cosmetic for Qi (just visual time flow), real for aging
+ * Result: Time speed never scales Qi formulas directly. It makes in-game years pass
+ * faster, which ages the cultivator sooner and pays out yearly rewards sooner
+ * (insight, spirit herbs: see Engine YEARLY REWARDS), a trade-off against lifespan.
+ * The world calendar (seasons, spiritual tides: see Engine CALENDAR) turns with the same years
  * 
  * RUNAWAY REINCARNATION FIX IMPLEMENTED:
  * 
@@ -48,13 +51,13 @@
  * Result: Exactly one reincarnation per lifespan end, no loops or races
  */
 
-const VERSION = '1.2.0';
+const VERSION = '1.8.0';
 const SAVE_KEY = 'xianxiaIdleSaveV1';
 const ACHIEVEMENTS_KEY = 'xianxiaAchievementsV1';
-const SAVE_SLOT_COUNT = 3;
+const SAVE_SLOT_COUNT = 6;
 const ACTIVE_SLOT_KEY = 'xianxiaIdleActiveSlotV1';
-const MAX_RANKS_PER_REALM = 12;
-let REALM_SKILL_BONUS = 0.20; // default +20% per realm
+const SLOT_NAMES_KEY = 'xianxiaSlotNamesV1';
+const SLOT_NAME_MAX_LENGTH = 24;
 let initComplete = false; // Guard: prevents saving default state before load() runs
 let gameActive = false; // Pauses gameplay when main menu is open
 let menuLoadMode = false; // Main menu load flow state (slots hidden until Load Save is pressed)
@@ -76,6 +79,39 @@ function getAchievementsKeyForSlot(slot = activeSlot) {
   return `${ACHIEVEMENTS_KEY}_slot${normalizeSlot(slot)}`;
 }
 
+function getSlotNames() {
+  try {
+    const names = JSON.parse(localStorage.getItem(SLOT_NAMES_KEY));
+    return names && typeof names === 'object' ? names : {};
+  } catch {
+    return {};
+  }
+}
+
+function getSlotName(slot = activeSlot) {
+  const name = getSlotNames()[normalizeSlot(slot)];
+  return typeof name === 'string' ? name : '';
+}
+
+/**
+ * Name a slot (an empty name clears it)
+ * @param {number} slot - Save slot
+ * @param {string} name - New name, trimmed to SLOT_NAME_MAX_LENGTH
+ */
+function setSlotName(slot, name) {
+  const names = getSlotNames();
+  const clean = String(name || '').trim().slice(0, SLOT_NAME_MAX_LENGTH);
+  if (clean) names[normalizeSlot(slot)] = clean;
+  else delete names[normalizeSlot(slot)];
+  localStorage.setItem(SLOT_NAMES_KEY, JSON.stringify(names));
+}
+
+/** "Slot 2" or "Slot 2 · Risky Run" */
+function slotTitle(slot = activeSlot) {
+  const name = getSlotName(slot);
+  return name ? `Slot ${normalizeSlot(slot)} · ${name}` : `Slot ${normalizeSlot(slot)}`;
+}
+
 function setActiveSlot(slot) {
   activeSlot = normalizeSlot(slot);
   localStorage.setItem(ACTIVE_SLOT_KEY, String(activeSlot));
@@ -104,55 +140,47 @@ migrateLegacyStorageToSlots();
 // Debug mode - enable with ?dev=1 in URL
 const DEBUG_MODE = new URLSearchParams(window.location.search).get('dev') === '1';
 
-// === Skill scaling knobs (tuneable) ===
-const SKILL_SCALING = {
-  // Realm scaling ~ bounded exponential (log-like growth)
-  realmMaxMult: 3.0,    // cap: +200% → total 3×
-  realmK: 0.60,         // growth steepness per realm (used in exponent)
-  // Karma scaling ~ soft log
-  karmaLogCoeff: 0.30,  // multiplier per log10(karma+1)
-  karmaMaxMult: 2.5,    // hard safety cap from karma factor
-  // Cycle scaling
-  mortalCycleBoost: 1.0,
-  spiritCycleBoost: 5.0,
-};
-
-/**
- * Realm-aware minimum percent per level for Tier-2/Tier-3 skills
- * Gradually rises with realm so it never rounds to 0%
- * Returns fraction (e.g., 0.001 = 0.1%)
- * 
- * Progression:
- * - Mortal (0): 0.00015 (0.015%)
- * - Qi Refining (1): ~0.0003 (0.03%)
- * - Golden Core (3): ~0.001 (0.10%)
- * - Spirit Transform (5): ~0.003 (0.30%)
- * - Void Lord (10): ~0.01 (1.00%)
- * 
- * @param {number} realmIndex - Current realm index
- * @returns {number} Minimum percent per level (fraction)
- */
-function minTierPctByRealm(realmIndex) {
-  const floor = 0.00015 + 0.001 * (1 - Math.exp(-0.35 * Math.max(0, realmIndex)));
-  return Math.min(0.01, floor); // hard floor cap at 1% per level
-}
-
-/**
- * Realm-aware maximum percent per level for Tier-2/Tier-3 skills
- * Per-level ceiling so a single level can't blow up
- * Grows with realm to maintain relevance
- * 
- * Progression:
- * - Early realms: ~2% per level
- * - Mid realms: ~4% per level
- * - Late realms: ~6% per level
- * 
- * @param {number} realmIndex - Current realm index
- * @returns {number} Maximum percent per level (fraction)
- */
-function maxTierPctByRealm(realmIndex) {
-  const cap = 0.02 + 0.05 * (1 - Math.exp(-0.25 * Math.max(0, realmIndex)));
-  return Math.min(0.06, cap);
+// ============= ENGINE BINDINGS =============
+// Game rules live in js/engine.js (shared with playtest.js). Pure helpers are
+// imported as-is; functions that need a state are wrapped below around `S`.
+
+const Engine = window.XianxiaEngine;
+
+const {
+  MAX_RANKS_PER_REALM,
+  SKILL_SCALING,
+  CROSS_REALM_JUMP,
+  LOG_MAX,
+  SPEEDS_CONFIG,
+  BASE_SPEEDS_ALWAYS_AVAILABLE,
+  realms,
+  REALM_IDS,
+  REALM_INDEX,
+  idx,
+  stageCount,
+  Big,
+  safeNum,
+  validateBalanceConfig,
+  minTierPctByRealm,
+  maxTierPctByRealm,
+  karmaQiMult,
+  karmaLifeMult,
+  karmaStageMult,
+  cyclePowerMult,
+  skillRealmScale,
+  skillKarmaBoost,
+  baseRequirementFor,
+  getCycleBoundaries,
+  getSkillCatalog,
+  getSkill,
+  lnTotalCost
+} = Engine;
+
+if (DEBUG_MODE) {
+  Engine.setDebugHooks({
+    warn: (msg) => console.warn(msg),
+    log: (msg) => console.log(msg)
+  });
 }
 
 // Optional Qi Turbo Mode - partial Qi scaling with sqrt(speed) for late game
@@ -197,350 +225,8 @@ function debugAssertReincarnationRate() {
   lastReincarnationTime = now;
 }
 
-// Balance configuration - loaded from balance.json or fallback to defaults
-// REBALANCED FOR 20-HOUR PROGRESSION WITH MORTAL REALM
-// - Added Mortal Realm (realm 0): 50 years, click-only, no skills
-// - Faster aging: 1.5 years/second for visible speed differences
-// - Stronger skills and rewards for faster progression
-// - Better karma gains for meaningful reincarnations
-let BAL = {
-  skills: {
-    breath_control:   { base: 1.20, cost: 20,  costScale: 1.18, ranksPerRealm: 12, type: 'qps_flat' },
-    meridian_flow:    { base: 2.00, cost: 45,  costScale: 1.18, ranksPerRealm: 12, type: 'qpc_flat' },
-    lotus_meditation: { base: 0.008, cost: 140, costScale: 1.20, ranksPerRealm: 12, capPctPerRealm: 0.12, type: 'qps_pct' },
-    dantian_temps:    { base: 0.008, cost: 110, costScale: 1.20, ranksPerRealm: 12, capPctPerRealm: 0.12, type: 'qpc_pct' },
-    closed_door:      { base: 0.005, cost: 150, costScale: 1.22, ranksPerRealm: 12, capPctPerRealm: 0.08, type: 'offline_pct' }
-  },
-  stageRequirement: {
-    realmBase: 55,
-    realmBaseScale: 4,
-    stageScale: 1.181
-  },
-  progression: {
-    qpcBaseStart: 1,
-    qpsBaseStart: 0,
-    realmAdvanceReward: { qpcBaseAdd: 3.1, qpsBaseAdd: 1.15 }
-  },
-  reincarnation: {
-    karmaPerUnit: 0.12,
-    lifetimeQiDivisor: 5000,
-    realmKarmaFactor: 4,
-    minKarma: 3
-  },
-  offline: {
-    capHours: 16
-  },
-  lifespan: {
-    realmMaxLifespan: [50, 100, 200, 500, 1000, 3000, 10000, 50000, 100000, 500000, null], // years per realm, null = infinite
-    yearsPerSecond: 0.5 // aging rate: 0.5 years per second (validator will clamp to [0.005, 5.0])
-  },
-  timeSpeed: {
-    speeds: [0, 0.5, 1, 2, 4, 6, 8, 10], // available time multipliers
-    unlockRealmIndex: [0, 0, 2, 4, 6, 8, 9] // realm required to unlock each speed
-  }
-};
-
-/**
- * RUNTIME CONFIG VALIDATOR - Ensures balance.json values are safe
- * Validates and auto-fixes unsafe/malformed balance configuration values
- * to prevent game breakage. All fixes generate warnings in DEBUG_MODE.
- * 
- * Validations performed:
- * 1. Time speeds: Ensures speeds/unlocks arrays match length, base speeds exist (0, 0.5, 1)
- * 2. Lifespan: Validates array length matches realms, last realm is immortal, yearsPerSecond in safe range
- * 3. Cycles: Removes invalid realm indices, rebuilds empty cycles from defaults
- * 4. Stage requirements: Ensures positive values for base, scale factors
- * 5. Progression: Validates QPC/QPS start values and realm advance rewards
- * 6. Reincarnation: Enforces karma/penalty constraints, positive divisors
- * 7. Skills: Validates base effectiveness, costs, and cost scaling
- * 8. Offline: Ensures positive cap hours
- * 
- * Note: Time speed multiplier application is verified in tick() and tickLifespan().
- * Both functions properly scale dt by S.timeSpeed.current, ensuring 0.5× runs at half pace.
- * 
- * @param {Object} BAL - Balance configuration object to validate
- * @param {Array} realms - Realms array for length validation
- * @returns {Object} Sanitized balance configuration
- */
-function validateBalanceConfig(BAL, realms) {
-  const warn = (msg) => {
-    if (DEBUG_MODE) console.warn(`[Balance Validator] ${msg}`);
-  };
-
-  // 1. TIME SPEED VALIDATION
-  if (BAL.timeSpeed) {
-    const speeds = BAL.timeSpeed.speeds || [];
-    const unlocks = BAL.timeSpeed.unlockRealmIndex || [];
-    
-    // Ensure speeds and unlocks arrays have matching lengths
-    if (speeds.length !== unlocks.length) {
-      warn(`timeSpeed: lengths mismatched (speeds=${speeds.length}, unlocks=${unlocks.length}). Truncating to shorter.`);
-      const minLen = Math.min(speeds.length, unlocks.length);
-      BAL.timeSpeed.speeds = speeds.slice(0, minLen);
-      BAL.timeSpeed.unlockRealmIndex = unlocks.slice(0, minLen);
-    }
-    
-    // Ensure base speeds (0, 0.5, 1) are present
-    const baseSpeedsRequired = [0, 0.25, 0.5, 1];
-    const currentSpeeds = [...BAL.timeSpeed.speeds];
-    const currentUnlocks = [...BAL.timeSpeed.unlockRealmIndex];
-    
-    baseSpeedsRequired.forEach((speed, idx) => {
-      if (!currentSpeeds.includes(speed)) {
-        warn(`timeSpeed: base speed ${speed}× missing. Adding it.`);
-        currentSpeeds.push(speed);
-        currentUnlocks.push(0); // Unlock at realm 0
-      }
-    });
-    
-    // De-duplicate and sort speeds (with corresponding unlocks)
-    const speedUnlockPairs = currentSpeeds.map((speed, i) => ({
-      speed,
-      unlock: currentUnlocks[i] || 0
-    }));
-    
-    // Remove duplicates by speed value
-    const uniquePairs = [];
-    const seenSpeeds = new Set();
-    speedUnlockPairs.forEach(pair => {
-      if (!seenSpeeds.has(pair.speed)) {
-        seenSpeeds.add(pair.speed);
-        uniquePairs.push(pair);
-      }
-    });
-    
-    // Sort by speed ascending
-    uniquePairs.sort((a, b) => a.speed - b.speed);
-    
-    BAL.timeSpeed.speeds = uniquePairs.map(p => p.speed);
-    BAL.timeSpeed.unlockRealmIndex = uniquePairs.map(p => p.unlock);
-  }
-
-  // 2. LIFESPAN VALIDATION
-  if (BAL.lifespan) {
-    const lifespans = BAL.lifespan.realmMaxLifespan || [];
-    const realmCount = realms.length;
-    
-    // Ensure lifespan array matches realm count
-    if (lifespans.length > realmCount) {
-      warn(`lifespan: realmMaxLifespan too long (${lifespans.length} vs ${realmCount} realms). Truncating.`);
-      BAL.lifespan.realmMaxLifespan = lifespans.slice(0, realmCount);
-    } else if (lifespans.length < realmCount) {
-      warn(`lifespan: realmMaxLifespan too short (${lifespans.length} vs ${realmCount} realms). Padding.`);
-      const lastValue = lifespans[lifespans.length - 1];
-      const paddingValue = (lastValue === null || typeof lastValue === 'number') ? lastValue : 100;
-      while (BAL.lifespan.realmMaxLifespan.length < realmCount) {
-        BAL.lifespan.realmMaxLifespan.push(paddingValue);
-      }
-    }
-    
-    // Ensure last realm is immortal (null)
-    if (BAL.lifespan.realmMaxLifespan[realmCount - 1] !== null) {
-      warn(`lifespan: final realm should be immortal (null). Setting last realm to null.`);
-      BAL.lifespan.realmMaxLifespan[realmCount - 1] = null;
-    }
-    
-    // Validate yearsPerSecond is within safe range [0.005, 5.0]
-    let yps = BAL.lifespan.yearsPerSecond;
-    if (typeof yps !== 'number' || !isFinite(yps)) {
-      warn(`lifespan: yearsPerSecond invalid (${yps}). Resetting to 0.5.`);
-      BAL.lifespan.yearsPerSecond = 0.5;
-    } else if (yps < 0.005) {
-      warn(`lifespan: yearsPerSecond too low (${yps}). Clamping to 0.005.`);
-      BAL.lifespan.yearsPerSecond = 0.005;
-    } else if (yps > 5.0) {
-      warn(`lifespan: yearsPerSecond too high (${yps}). Clamping to 5.0.`);
-      BAL.lifespan.yearsPerSecond = 5.0;
-    }
-  }
-
-  // 3. CYCLE DEFINITIONS VALIDATION
-  if (BAL.cycleDefinitions) {
-    const realmCount = realms.length;
-    
-    Object.keys(BAL.cycleDefinitions).forEach(cycleId => {
-      const cycle = BAL.cycleDefinitions[cycleId];
-      if (!cycle.realms || !Array.isArray(cycle.realms)) {
-        warn(`cycleDefinitions.${cycleId}: missing or invalid realms array. Skipping.`);
-        return;
-      }
-      
-      // Remove invalid realm indices
-      const validRealms = cycle.realms.filter(idx => 
-        typeof idx === 'number' && idx >= 0 && idx < realmCount
-      );
-      
-      if (validRealms.length !== cycle.realms.length) {
-        warn(`cycleDefinitions.${cycleId}: removed invalid realm indices. Valid: [${validRealms.join(', ')}]`);
-      }
-      
-      // If empty after filtering, rebuild from defaults
-      if (validRealms.length === 0) {
-        warn(`cycleDefinitions.${cycleId}: no valid realms. Rebuilding from defaults.`);
-        if (cycleId === 'mortal') {
-          cycle.realms = Array.from({length: Math.ceil(realmCount / 2)}, (_, i) => i);
-        } else if (cycleId === 'spirit') {
-          const startIdx = Math.ceil(realmCount / 2);
-          cycle.realms = Array.from({length: realmCount - startIdx}, (_, i) => startIdx + i);
-        }
-      } else {
-        cycle.realms = validRealms;
-      }
-      
-      // Ensure realmBonus is a valid number
-      if (typeof cycle.realmBonus !== 'number' || !isFinite(cycle.realmBonus)) {
-        warn(`cycleDefinitions.${cycleId}: invalid realmBonus. Setting to 0.`);
-        cycle.realmBonus = 0;
-      }
-    });
-  }
-
-  // 4. STAGE REQUIREMENT VALIDATION
-  if (BAL.stageRequirement) {
-    const sr = BAL.stageRequirement;
-    
-    if (typeof sr.realmBase !== 'number' || sr.realmBase <= 0 || !isFinite(sr.realmBase)) {
-      warn(`stageRequirement: invalid realmBase (${sr.realmBase}). Resetting to 100.`);
-      sr.realmBase = 100;
-    }
-    
-    if (typeof sr.realmBaseScale !== 'number' || sr.realmBaseScale <= 0 || !isFinite(sr.realmBaseScale)) {
-      warn(`stageRequirement: invalid realmBaseScale (${sr.realmBaseScale}). Resetting to 15.`);
-      sr.realmBaseScale = 15;
-    }
-    
-    if (typeof sr.stageScale !== 'number' || sr.stageScale <= 0 || !isFinite(sr.stageScale)) {
-      warn(`stageRequirement: invalid stageScale (${sr.stageScale}). Resetting to 1.45.`);
-      sr.stageScale = 1.45;
-    }
-  }
-
-  // 5. PROGRESSION VALIDATION
-  if (BAL.progression) {
-    const prog = BAL.progression;
-    
-    // Validate qpcBaseStart (should be reasonable, not astronomical)
-    const MAX_SAFE_QPC = 1e15; // 1 quadrillion max
-    if (typeof prog.qpcBaseStart !== 'number' || prog.qpcBaseStart < 0 || !isFinite(prog.qpcBaseStart)) {
-      warn(`progression: invalid qpcBaseStart (${prog.qpcBaseStart}). Resetting to 1.`);
-      prog.qpcBaseStart = 1;
-    } else if (prog.qpcBaseStart > MAX_SAFE_QPC) {
-      warn(`progression: qpcBaseStart too large (${prog.qpcBaseStart}). Clamping to ${MAX_SAFE_QPC}.`);
-      prog.qpcBaseStart = 1; // Reset to safe value, not clamp to max
-    }
-    
-    if (typeof prog.qpsBaseStart !== 'number' || prog.qpsBaseStart < 0 || !isFinite(prog.qpsBaseStart)) {
-      warn(`progression: invalid qpsBaseStart (${prog.qpsBaseStart}). Resetting to 0.`);
-      prog.qpsBaseStart = 0;
-    } else if (prog.qpsBaseStart > MAX_SAFE_QPC) {
-      warn(`progression: qpsBaseStart too large (${prog.qpsBaseStart}). Resetting to 0.`);
-      prog.qpsBaseStart = 0;
-    }
-    
-    if (prog.realmAdvanceReward) {
-      const rar = prog.realmAdvanceReward;
-      const MAX_SAFE_REWARD = 1e6; // 1 million max per realm advance
-      
-      if (typeof rar.qpcBaseAdd !== 'number' || rar.qpcBaseAdd < 0 || !isFinite(rar.qpcBaseAdd)) {
-        warn(`progression: invalid qpcBaseAdd (${rar.qpcBaseAdd}). Resetting to 1.5.`);
-        rar.qpcBaseAdd = 1.5;
-      } else if (rar.qpcBaseAdd > MAX_SAFE_REWARD) {
-        warn(`progression: qpcBaseAdd too large (${rar.qpcBaseAdd}). Resetting to 2.5.`);
-        rar.qpcBaseAdd = 2.5;
-      }
-      
-      if (typeof rar.qpsBaseAdd !== 'number' || rar.qpsBaseAdd < 0 || !isFinite(rar.qpsBaseAdd)) {
-        warn(`progression: invalid qpsBaseAdd (${rar.qpsBaseAdd}). Resetting to 0.9.`);
-        rar.qpsBaseAdd = 0.9;
-      } else if (rar.qpsBaseAdd > MAX_SAFE_REWARD) {
-        warn(`progression: qpsBaseAdd too large (${rar.qpsBaseAdd}). Resetting to 1.8.`);
-        rar.qpsBaseAdd = 1.8;
-      }
-    }
-  }
-
-  // 6. REINCARNATION VALIDATION
-  if (BAL.reincarnation) {
-    const reinc = BAL.reincarnation;
-    
-    if (typeof reinc.minKarma !== 'number' || reinc.minKarma < 1 || !isFinite(reinc.minKarma)) {
-      warn(`reincarnation: invalid minKarma (${reinc.minKarma}). Resetting to 3.`);
-      reinc.minKarma = 3;
-    }
-    
-    if (typeof reinc.deathPenalty !== 'number' || reinc.deathPenalty <= 0 || reinc.deathPenalty > 1 || !isFinite(reinc.deathPenalty)) {
-      warn(`reincarnation: invalid deathPenalty (${reinc.deathPenalty}). Resetting to 0.5.`);
-      reinc.deathPenalty = 0.5;
-    }
-    
-    if (typeof reinc.karmaPerUnit !== 'number' || reinc.karmaPerUnit < 0 || !isFinite(reinc.karmaPerUnit)) {
-      warn(`reincarnation: invalid karmaPerUnit (${reinc.karmaPerUnit}). Resetting to 0.1.`);
-      reinc.karmaPerUnit = 0.1;
-    }
-    
-    if (typeof reinc.lifetimeQiDivisor !== 'number' || reinc.lifetimeQiDivisor <= 0 || !isFinite(reinc.lifetimeQiDivisor)) {
-      warn(`reincarnation: invalid lifetimeQiDivisor (${reinc.lifetimeQiDivisor}). Resetting to 10000.`);
-      reinc.lifetimeQiDivisor = 10000;
-    }
-    
-    if (typeof reinc.realmKarmaFactor !== 'number' || reinc.realmKarmaFactor < 0 || !isFinite(reinc.realmKarmaFactor)) {
-      warn(`reincarnation: invalid realmKarmaFactor (${reinc.realmKarmaFactor}). Resetting to 5.`);
-      reinc.realmKarmaFactor = 5;
-    }
-  }
-
-  // 7. SKILLS VALIDATION
-  if (BAL.skills) {
-    Object.keys(BAL.skills).forEach(skillId => {
-      const skill = BAL.skills[skillId];
-      
-      if (!skill.oneTime) {
-        if (typeof skill.base !== 'number' || skill.base < 0 || !isFinite(skill.base)) {
-          warn(`skills.${skillId}: invalid base (${skill.base}). Resetting to 1.`);
-          skill.base = 1;
-        }
-      }
-      
-      if (typeof skill.cost !== 'number' || skill.cost <= 0 || !isFinite(skill.cost)) {
-        warn(`skills.${skillId}: invalid cost (${skill.cost}). Resetting to 50.`);
-        skill.cost = 50;
-      }
-      
-      if (!skill.oneTime) {
-        if (typeof skill.costScale !== 'number' || skill.costScale <= 1 || !isFinite(skill.costScale)) {
-          warn(`skills.${skillId}: invalid costScale (${skill.costScale}). Resetting to 1.3.`);
-          skill.costScale = 1.3;
-        }
-        
-        const rawRanks = Number(skill.ranksPerRealm);
-        if (!Number.isFinite(rawRanks) || rawRanks < 1) {
-          warn(`skills.${skillId}: invalid ranksPerRealm (${skill.ranksPerRealm}). Resetting to ${MAX_RANKS_PER_REALM}.`);
-          skill.ranksPerRealm = MAX_RANKS_PER_REALM;
-        } else {
-          const capped = Math.min(MAX_RANKS_PER_REALM, Math.max(1, Math.floor(rawRanks)));
-          if (capped !== rawRanks) {
-            warn(`skills.${skillId}: ranksPerRealm (${rawRanks}) exceeds cap ${MAX_RANKS_PER_REALM}. Clamping.`);
-          }
-          skill.ranksPerRealm = capped;
-        }
-      }
-    });
-  }
-
-  // 8. OFFLINE VALIDATION
-  if (BAL.offline) {
-    if (typeof BAL.offline.capHours !== 'number' || BAL.offline.capHours <= 0 || !isFinite(BAL.offline.capHours)) {
-      warn(`offline: invalid capHours (${BAL.offline.capHours}). Resetting to 12.`);
-      BAL.offline.capHours = 12;
-    }
-  }
-
-  if (DEBUG_MODE) {
-    console.log('[Balance Validator] Validation complete. Configuration sanitized.');
-  }
-
-  return BAL;
-}
+// Balance configuration - loaded from balance.json, engine defaults until then
+let BAL = Engine.getBalance();
 
 // Load balance configuration from JSON
 async function loadBalance() {
@@ -548,15 +234,10 @@ async function loadBalance() {
     const response = await fetch('balance.json');
     if (response.ok) {
       const balanceData = await response.json();
-      BAL = { ...BAL, ...balanceData };
-      if (typeof balanceData.realmSkillBonus === 'number') {
-        REALM_SKILL_BONUS = balanceData.realmSkillBonus;
-      }
       
-      // Validate and sanitize loaded balance configuration
-      BAL = validateBalanceConfig(BAL, realms);
+      // Merge over the defaults; the engine validates, sanitizes and drops its caches
+      BAL = Engine.setBalance({ ...BAL, ...balanceData });
       
-      SKILL_CAT = null; // invalidate cache
       console.log('Balance configuration loaded from balance.json');
     }
   } catch (error) {
@@ -564,47 +245,11 @@ async function loadBalance() {
   }
   
   // Always validate fallback BAL to ensure safety on first boot
-  BAL = validateBalanceConfig(BAL, realms);
-}
-
-const realms = [
-  { id:'mortal_realm', name:'Mortal Realm' },
-  { id:'qi_refining', name:'Qi Refining' },
-  { id:'foundation_establishment', name:'Foundation Establishment' },
-  { id:'golden_core', name:'Golden Core' },
-  { id:'nascent_soul', name:'Nascent Soul' },
-  { id:'spirit_transformation', name:'Spirit Transformation' },
-  { id:'void_refining', name:'Void Refining' },
-  { id:'body_integration', name:'Body Integration' },
-  { id:'mahayana', name:'Mahayana' },
-  { id:'tribulation_transcendence', name:'Tribulation Transcendence' },
-  { id:'void_lord', name:'Void Lord' },
-];
-
-// ============= REALM ID MAPPING SYSTEM =============
-// SINGLE SOURCE OF TRUTH for realm indices
-// Use idx('realm_id') instead of hardcoded numbers to prevent off-by-one errors
-
-const REALM_IDS = realms.map(r => r.id);
-const REALM_INDEX = Object.fromEntries(REALM_IDS.map((id, i) => [id, i]));
-
-/**
- * Get realm index by ID - ALWAYS use this instead of hardcoded indices
- * @param {string} id - Realm ID (e.g., 'spirit_transformation')
- * @returns {number} Realm index, or -1 if not found
- */
-const idx = (id) => REALM_INDEX[id] ?? -1;
+  BAL = Engine.setBalance(BAL);
+}
 
 function enforceQiRefiningQpsBaseline(state = S) {
-  if (!state) return;
-  const qiRefiningIndex = idx('qi_refining');
-  if (state.realmIndex === qiRefiningIndex) {
-    state.qpsBase = 1;
-    return;
-  }
-  if (state.realmIndex > qiRefiningIndex && (!Number.isFinite(state.qpsBase) || state.qpsBase < 1)) {
-    state.qpsBase = 1;
-  }
+  Engine.enforceQiRefiningQpsBaseline(state);
 }
 
 /**
@@ -624,85 +269,14 @@ const realmById = (id) => realms[idx(id)] ?? null;
 // ============= MONOTONIC STAGE REQUIREMENT SYSTEM =============
 
 /**
- * Cross-realm jump multiplier - controls minimum increase from Stage 10 to next realm's Stage 1
- * Ensures exponential feel by requiring meaningful gaps between realms
- * Example: 1.25 means Stage 1 of realm R+1 must be at least 25% higher than Stage 10 of realm R
- * @type {number}
- */
-const CROSS_REALM_JUMP = 1.25;
-
-/**
- * Cached minimum realm scale to prevent cross-realm requirement drops
- * Computed once on first stageRequirement() call
- * @type {number|null}
- */
-let MIN_REALM_SCALE = null;
-let EFFECTIVE_REALM_SCALE = null;
-let hasWarnedRealmScale = false;
-
-/**
- * Compute base stage requirement without karma reduction
- * Used internally for monotonicity checks
- * @param {number} realmIndex - Realm index
- * @param {number} stage - Stage number (1-10)
- * @returns {number} Base requirement before karma
- */
-function baseRequirementFor(realmIndex, stage) {
-  // Mortal Realm: Linear progression
-  if (realmIndex === 0) {
-    return stage * 10;
-  }
-  
-  // Ensure effective realm scale is computed
-  if (EFFECTIVE_REALM_SCALE === null) {
-    const stageScale = BAL.stageRequirement.stageScale;
-    MIN_REALM_SCALE = Math.pow(stageScale, 9); // stageScale^9 ensures Stage 1 of next realm >= Stage 10 of current
-    EFFECTIVE_REALM_SCALE = Math.max(BAL.stageRequirement.realmBaseScale, MIN_REALM_SCALE);
-    
-    // DEBUG warning if we're overriding designer's realmBaseScale
-    if (DEBUG_MODE && !hasWarnedRealmScale && BAL.stageRequirement.realmBaseScale < MIN_REALM_SCALE) {
-      console.warn(
-        `[stageRequirement] realmBaseScale (${BAL.stageRequirement.realmBaseScale.toFixed(2)}) < stageScale^9 (${MIN_REALM_SCALE.toFixed(2)}). ` +
-        `Using effectiveRealmScale=${EFFECTIVE_REALM_SCALE.toFixed(2)} to keep cross-realm costs monotonic.`
-      );
-      hasWarnedRealmScale = true;
-    }
-  }
-  
-  // Exponential scaling with effective realm scale
-  const realmBase = BAL.stageRequirement.realmBase * Math.pow(EFFECTIVE_REALM_SCALE, realmIndex);
-  const stageScale = Math.pow(BAL.stageRequirement.stageScale, stage - 1);
-  return Math.floor(realmBase * stageScale);
-}
-
-/**
- * Calculate stage requirement with monotonic guarantees
- * Ensures requirements never decrease across realm transitions or stages
+ * Calculate stage requirement for the current life's karma
+ * Monotonic guarantees live in Engine.stageRequirement()
  * @param {number} realmIndex - Realm index (0-10)
  * @param {number} stage - Stage number (1-10)
  * @returns {number} Stage requirement (Qi needed to advance)
  */
 function stageRequirement(realmIndex, stage) {
-  // Get base requirement (before karma)
-  const baseReq = baseRequirementFor(realmIndex, stage);
-  
-  // Apply karma-based reduction
-  const karmaReduction = karmaStageBonus();
-  let req = Math.floor(baseReq * karmaReduction);
-  
-  // MONOTONIC BOUNDARY CLAMP: Enforce cross-realm exponential growth
-  // Stage 1 of realm R+1 must be strictly greater than Stage 10 of realm R
-  // Uses CROSS_REALM_JUMP multiplier to create meaningful gaps
-  if (realmIndex > 0 && stage === 1) {
-    const prevRealmIndex = realmIndex - 1;
-    const prevStage10Base = baseRequirementFor(prevRealmIndex, 10);
-    const prevStage10 = Math.floor(prevStage10Base * karmaReduction); // Same karma reduction
-    const minRequired = Math.floor(prevStage10 * CROSS_REALM_JUMP);
-    
-    req = Math.max(req, minRequired);
-  }
-  
-  return req;
+  return Engine.stageRequirement(realmIndex, stage, S.reinc.karma);
 }
 
 // ============= DEBUG ASSERTIONS (DEV MODE ONLY) =============
@@ -716,26 +290,27 @@ function assertMonotonicRequirements() {
   
   const errors = [];
   
-  // Check cross-realm monotonicity (Stage 10 of realm R < Stage 1 of realm R+1)
+  // Check cross-realm monotonicity (last stage of realm R < Stage 1 of realm R+1)
   // Now enforced by CROSS_REALM_JUMP multiplier
   for (let r = 0; r < realms.length - 1; r++) {
-    const stage10 = stageRequirement(r, 10);
+    const lastStage = stageCount(r);
+    const stage10 = stageRequirement(r, lastStage);
     const nextStage1 = stageRequirement(r + 1, 1);
     
-    if (stage10 >= nextStage1) {
+    if (stage10.gte(nextStage1)) {
       errors.push(
-        `Cross-realm violation: ${realms[r].name} Stage 10 (${fmt(stage10)}) >= ${realms[r + 1].name} Stage 1 (${fmt(nextStage1)})`
+        `Cross-realm violation: ${realms[r].name} Stage ${lastStage} (${fmt(stage10)}) >= ${realms[r + 1].name} Stage 1 (${fmt(nextStage1)})`
       );
     }
   }
   
   // Check intra-realm monotonicity (Stage S < Stage S+1 within same realm)
   for (let r = 0; r < realms.length; r++) {
-    for (let s = 1; s < 10; s++) {
+    for (let s = 1; s < stageCount(r); s++) {
       const current = stageRequirement(r, s);
       const next = stageRequirement(r, s + 1);
       
-      if (current >= next) {
+      if (current.gte(next)) {
         errors.push(
           `Intra-realm stall: ${realms[r].name} Stage ${s} (${fmt(current)}) >= Stage ${s + 1} (${fmt(next)})`
         );
@@ -784,7 +359,7 @@ function assertBulkPurchaseOverflowSafety() {
     // Test cost calculation for ×10000
     const cost = totalSkillCost(sk.id, 10000);
     
-    if (!Number.isFinite(cost)) {
+    if (!cost.isFinite()) {
       errors.push(`${sk.id}: totalSkillCost(10000) = ${cost} (not finite)`);
     }
     
@@ -1037,8 +612,8 @@ function assertTimeSpeedBehavior() {
   const errors = [];
   
   // Test 1: Verify totalQPS and totalQPC don't reference timeSpeed
-  const qpsFuncStr = totalQPS.toString();
-  const qpcFuncStr = totalQPC.toString();
+  const qpsFuncStr = Engine.totalQPS.toString();
+  const qpcFuncStr = Engine.totalQPC.toString();
   
   if (qpsFuncStr.includes('timeSpeed') || qpsFuncStr.includes('S.timeSpeed')) {
     errors.push('totalQPS() references timeSpeed - should only depend on skills/realm');
@@ -1057,7 +632,7 @@ function assertTimeSpeedBehavior() {
   // Set up test environment
   S.realmIndex = 2; // Qi Refining - has QPS
   S.skills = { breath_control: 10 }; // Some skill level
-  S.qi = 1000;
+  S.qi = Big.from(1000);
   S.age = 10;
   
   const qps = totalQPS(); // Get base QPS (should be constant regardless of speed)
@@ -1130,14 +705,14 @@ function __assertNoSpeedInQi() {
   
   console.log('[Qi Independence Assertion] Checking for speed/lifespan references in Qi formulas...');
   
-  // Get function source code
-  const qpsCode = totalQPS.toString();
-  const qpcCode = totalQPC.toString();
+  // Get function source code (formulas live in the engine)
+  const qpsCode = Engine.totalQPS.toString();
+  const qpcCode = Engine.totalQPC.toString();
   const onClickCode = onClick.toString();
   
   // Check for time speed references
   const forbiddenSpeedTerms = ['timeSpeed', 'getTimeSpeed', 'getCurrentTimeMultiplier'];
-  const forbiddenLifespanTerms = ['S.age', 'S.lifespan', 'yearsPerSecond', 'ageYears'];
+  const forbiddenLifespanTerms = ['st.age', 'st.lifespan', 'yearsPerSecond', 'ageYears'];
   
   let violations = [];
   
@@ -1181,8 +756,8 @@ function __assertNoSpeedInQi() {
     console.log('[Qi Independence Assertion] ✓ onClick() is speed/lifespan-independent');
   }
   
-  // Verify tick() uses rawDt for Qi
-  const tickCode = tick.toString();
+  // Verify tick() uses rawDt for Qi (tick delegates the step to Engine.advance)
+  const tickCode = Engine.advance.toString();
   const usesRawDtForQi = tickCode.includes('qps * rawDt');
   
   if (usesRawDtForQi) {
@@ -1199,6 +774,11 @@ function __assertNoSpeedInQi() {
  * Internal calculations remain full precision; this is for UI only
  */
 function fmt(n){
+  // Big values (Qi, costs, requirements): large ones skip straight to scientific notation
+  if(n instanceof Big) {
+    if(!n.isPlain()) return fmtScientific(n);
+    n = n.toNumber();
+  }
   if(!isFinite(n)) return '∞';
   
   // For small numbers (< 1000), show max 2 decimals and trim trailing zeros
@@ -1207,6 +787,9 @@ function fmt(n){
     return rounded.toLocaleString('en-US', { maximumFractionDigits: 2 });
   }
   
+  // Past the last unit suffix (999.99 No) switch to scientific notation
+  if(Math.abs(n) >= 1e33) return fmtScientific(Big.from(n));
+  
   // For compact notation (K, M, B, etc.), ensure max 2 decimals
   const units = ['K','M','B','T','Qa','Qi','Sx','Sp','Oc','No'];
   let u = -1;
@@ -1217,6 +800,20 @@ function fmt(n){
   return str + ' ' + units[u];
 }
 
+/**
+ * Format a Big as mantissa/exponent with max 2 decimals, e.g. "1.25e400"
+ * @param {Big} big - Value to format
+ * @returns {string} Scientific notation string
+ */
+function fmtScientific(big) {
+  if(!big.isFinite()) return '∞';
+  let { m, e } = big.parts();
+  // Rounding 9.999 up must carry into the exponent ("10e400" → "1e401")
+  if(Math.abs(Number(m.toFixed(2))) >= 10) { m /= 10; e++; }
+  const mantissa = m.toFixed(2).replace(/\.00$/, '').replace(/(\.\d)0$/, '$1');
+  return `${mantissa}e${e}`;
+}
+
 /**
  * Format percentage with max 2 decimals
  */
@@ -1328,130 +925,49 @@ function fmtYears(years) {
 function now(){ return Date.now(); }
 
 function safeAddQi(x){
-  if (!Number.isFinite(x) || x <= 0) return;
-  S.qi = Math.max(0, Math.min(S.qi + x, 1e300));
-}
-
-// Number sanitization helper
-const safeNum = (v, d = 0) => (Number.isFinite(v) ? v : d);
-
-const defaultState = () => ({
-  version: VERSION,
-  qi: 0,
-  qpcBase: BAL.progression.qpcBaseStart,
-  qpsBase: BAL.progression.qpsBaseStart,
-  qpcMult: 1,
-  qpsMult: 1,
-  offlineMult: 1,
-  realmIndex: 0,
-  stage: 1,
-  lastTick: now(),
-  lastSave: null,
-  skills: {},
-  reinc: { times: 0, karma: 0, lifetimeQi: 0 },
-  lifespan: { current: BAL.lifespan?.realmMaxLifespan?.[0] || 100, max: BAL.lifespan?.realmMaxLifespan?.[0] || 100 },
-  age: 0, // Current age in years (increases over time)
-  isDead: false, // Death state flag
-  timeSpeed: { current: 1, paused: false },
-  currentCycle: 'mortal',
-  life: { isCleanRun: true }, // Track if no reincarnation this life (for Longevity Expert)
-  flags: { 
-    unlockedBeyondSpirit: false,
-    hasUnlockedSpiritCycle: false,
-    hasCompletedMandatoryST10: false,
-    canManualReincarnate: false,
-    lifespanHandled: false // Latch flag to prevent duplicate death popups per life
-  },
-  lifecycle: { 
-    isReincarnating: false, 
-    lastDeathAt: 0,
-    lastReincarnateAt: 0
-  },
-  stats: {
-    deaths: 0 // Only increments on lifespan death, not voluntary reincarnation
-  },
-  meta: {
-    unlockedSpeeds: [0, 0.25, 0.5, 1]  // Permanent time-speed unlocks (base speeds always available)
-  }
-});
+  Engine.safeAddQi(S, x);
+}
 
-// ============= CYCLE SYSTEM =============
+const defaultState = () => ({ version: VERSION, ...Engine.defaultState() });
 
-/**
- * Get cycle boundaries dynamically from balance.json
- * No hardcoded indices - derived from cycle definitions
- */
-function getCycleBoundaries() {
-  if (!BAL.cycleDefinitions) {
-    // Fallback if no cycle definitions
-    return {
-      mortal: { start: idx('mortal_realm'), end: idx('spirit_transformation') },
-      spirit: { start: idx('void_refining'), end: idx('void_lord') }
-    };
-  }
-  
-  const mortalRealms = BAL.cycleDefinitions.mortal?.realms || [];
-  const spiritRealms = BAL.cycleDefinitions.spirit?.realms || [];
-  
-  return {
-    mortal: {
-      start: mortalRealms[0] ?? idx('mortal_realm'),
-      end: mortalRealms[mortalRealms.length - 1] ?? idx('spirit_transformation')
-    },
-    spirit: {
-      start: spiritRealms[0] ?? idx('void_refining'),
-      end: spiritRealms[spiritRealms.length - 1] ?? idx('void_lord')
-    }
-  };
-}
+// ============= CYCLE SYSTEM =============
 
 function getCurrentCycle() {
-  if (!BAL.cycleDefinitions) return { name: 'Mortal Cycle', realmBonus: 0.25, realms: [] };
-  
-  const mortalRealms = BAL.cycleDefinitions.mortal?.realms || [];
-  const spiritRealms = BAL.cycleDefinitions.spirit?.realms || [];
-  
-  if (mortalRealms.includes(S.realmIndex)) {
-    return { ...BAL.cycleDefinitions.mortal, realms: mortalRealms };
-  } else if (spiritRealms.includes(S.realmIndex)) {
-    return { ...BAL.cycleDefinitions.spirit, realms: spiritRealms };
-  }
-  
-  // Fallback to mortal
-  return { ...BAL.cycleDefinitions.mortal, realms: mortalRealms };
+  return Engine.getCurrentCycle(S);
 }
 
 function updateCurrentCycle() {
-  const mortalRealms = BAL.cycleDefinitions?.mortal?.realms || [];
-  const spiritRealms = BAL.cycleDefinitions?.spirit?.realms || [];
-  
-  const oldCycle = S.currentCycle;
-  
-  if (mortalRealms.includes(S.realmIndex)) {
-    S.currentCycle = 'mortal';
-  } else if (spiritRealms.includes(S.realmIndex)) {
-    S.currentCycle = 'spirit';
-  }
-  
-  // Detect transition from Mortal to Spirit
-  if (oldCycle === 'mortal' && S.currentCycle === 'spirit') {
-    // Show one-time toast about new Celestial Cycle abilities
-    if (DEBUG_MODE) {
-      console.log('[Cycle Transition] Mortal → Spirit: New abilities unlocked');
-    }
-    setTimeout(() => {
-      showToast('✨ New techniques discovered: Celestial Resonance & Void Convergence are now available in the shop.');
-    }, 1000);
-  }
+  notifyCycleTransition(Engine.updateCurrentCycle(S));
 }
 
+// Achievements tied to particular cycles, keyed by cycle id
+const CYCLE_ENTRY_ACHIEVEMENTS = { spirit: ['spirit_ascendant'] };
+const CYCLE_COMPLETION_ACHIEVEMENTS = {
+  mortal: ['break_mortal_shackles', 'end_mortal_cycle'],
+  spirit: ['celestial_eternity']
+};
+
 /**
- * Check if player is currently in Celestial
- * @returns {boolean} True if in Celestial Cycle
+ * Announce a cycle change reported by the engine
+ * @param {string} oldCycle - Cycle id before the update
  */
-function isInSpiritCycle() {
-  const spiritRealms = BAL.cycleDefinitions?.spirit?.realms || [];
-  return spiritRealms.includes(S.realmIndex);
+function notifyCycleTransition(oldCycle) {
+  // Only forward moves into a later cycle (Mortal → Spirit, Spirit → Divine, ...)
+  const order = Engine.getCycleOrder();
+  if (!oldCycle || order.indexOf(S.currentCycle) <= order.indexOf(oldCycle)) return;
+  
+  if (DEBUG_MODE) {
+    console.log(`[Cycle Transition] ${oldCycle} → ${S.currentCycle}: New abilities unlocked`);
+  }
+  
+  (CYCLE_ENTRY_ACHIEVEMENTS[S.currentCycle] || []).forEach(unlockAchievement);
+  
+  // Show one-time toast about the techniques this cycle opens
+  const techniques = getSkillCatalog().filter(sk => sk.oneTime && sk.unlockAtCycle === S.currentCycle).map(sk => sk.name);
+  if (techniques.length === 0) return;
+  setTimeout(() => {
+    showToast(`✨ New techniques discovered: ${techniques.join(' & ')} ${techniques.length === 1 ? 'is' : 'are'} now available in the shop.`);
+  }, 1000);
 }
 
 /**
@@ -1460,107 +976,94 @@ function isInSpiritCycle() {
  * @returns {boolean} True if skill is unlocked by current cycle
  */
 function skillUnlockedByCycle(skill) {
-  if (!skill.unlockAtCycle) return true; // No cycle requirement
-  if (skill.unlockAtCycle === 'spirit') return isInSpiritCycle();
-  return true; // Unknown requirement, allow by default
+  return Engine.skillUnlockedByCycle(S, skill);
 }
 
 function isAtCycleEnd() {
-  const cycle = getCurrentCycle();
-  const lastRealmInCycle = cycle.realms[cycle.realms.length - 1];
-  
-  if (S.currentCycle === 'mortal') {
-    // Mortal cycle ends at Spirit Transformation 10/10, unless unlocked beyond
-    const ST_INDEX = idx('spirit_transformation');
-    return S.realmIndex === ST_INDEX && S.stage === 10 && !S.flags.unlockedBeyondSpirit;
-  }
-  
-  if (S.currentCycle === 'spirit') {
-    // Celestial ends at Void Lord (which has infinite lifespan, so stage check not needed)
-    return S.realmIndex === lastRealmInCycle;
-  }
-  
-  return false;
+  return Engine.isAtCycleEnd(S);
 }
 
 function triggerCycleTransition() {
-  const isSpirit = S.currentCycle === 'spirit';
-  
-  if (isSpirit) {
-    // End of Celestial Cycle - play final cutscene, then final ascension modal.
-    queueCutsceneSequence(['final']).then(() => {
-      showCycleCompletionModal('final');
-    });
-  } else {
-    // End of Mortal Cycle - Transition to Spirit
-    showCycleCompletionModal('mortal-to-spirit');
-  }
+  // The engine reports 'cycle_end' only at the end of the final cycle:
+  // play the final cutscene, then the final ascension modal
+  queueCutsceneSequence(['final']).then(() => {
+    showFinalAscensionModal();
+  });
 }
 
-function showCycleCompletionModal(type) {
+/**
+ * Cycle name wrapped in its color class (cycle-mortal, cycle-spirit, cycle-divine, ...)
+ * @param {string} cycleId - Cycle id
+ * @param {string} [label] - Text to show instead of the cycle name
+ * @returns {string} HTML
+ */
+function cycleSpan(cycleId, label) {
+  const cycle = Engine.getCycleDef(cycleId);
+  return `<span class="cycle-${cycleId}">${label || cycle?.name || cycleId}</span>`;
+}
+
+function showFinalAscensionModal() {
   const karmaGain = computeKarmaGain();
-  const yearsLived = S.age || 0;
-  const yearsLivedFormatted = formatYears(yearsLived);
-  
-  let title, message, onConfirm;
-  
-  if (type === 'final') {
-    title = '🌟 Final Ascension';
-    message = `
-      <div style="text-align: center; margin-bottom: 16px; font-size: 2.5em;">⚡</div>
-      <div style="color: var(--accent); font-weight: 600; margin-bottom: 8px;">The <span class="cycle-spirit">Celestial Cycle</span> is Complete</div>
-      <div style="margin-bottom: 16px;">You have transcended all mortal and divine realms. The cosmos itself acknowledges your supremacy.</div>
-      <div style="text-align: left; margin: 8px 0;">
-        <div><strong>Qi Cultivated:</strong> <span class="highlight">${fmt(S.reinc.lifetimeQi)}</span></div>
-        <div><strong>Karma Gained:</strong> <span class="highlight">+${fmt(karmaGain)}</span></div>
-        <div><strong>Cycle:</strong> <span class="cycle-spirit">Celestial Cycle</span> Complete</div>
-      </div>
-      <br><em>Choose to reincarnate and begin anew, or remain in eternal meditation.</em>
-    `;
-    onConfirm = () => {
-      // End-of-cycle reincarnation is not a voluntary reincarnation action.
-      doReincarnate({ mode: 'cycle' });
-      unlockAchievement('celestial_eternity');
-    };
-  } else {
-    title = '🔄 Cycle Transition';
-    message = `
-      <div style="text-align: center; margin-bottom: 16px; font-size: 2.5em;">🦋</div>
-      <div style="color: var(--accent); font-weight: 600; margin-bottom: 8px;">The <span class="cycle-mortal">Mortal Cycle</span> Ends</div>
-      <div style="margin-bottom: 16px;">Your mortal shell cannot endure further growth. You must transcend to begin the <span class="cycle-spirit">Celestial Cycle</span>.</div>
-      <div style="text-align: left; margin: 8px 0;">
-        <div><strong>Qi Cultivated:</strong> <span class="highlight">${fmt(S.reinc.lifetimeQi)}</span></div>
-        <div><strong>Karma Gained:</strong> <span class="highlight">+${fmt(karmaGain)}</span></div>
-        <div><strong>Cycle:</strong> <span class="cycle-mortal">Mortal</span> → <span class="cycle-spirit">Celestial</span></div>
-      </div>
-      <br><em>The heavens tremble as your <span class="cycle-spirit">Celestial Cycle</span> begins.</em>
-    `;
-    onConfirm = () => {
-      // Cycle transition reincarnation is system-forced, not voluntary.
-      doReincarnate({ mode: 'cycle' });
-      unlockAchievement('end_mortal_cycle');
-      unlockAchievement('spirit_ascendant');
-    };
-  }
+  const cycle = getCurrentCycle();
+  
+  const title = '🌟 Final Ascension';
+  const message = `
+    <div style="text-align: center; margin-bottom: 16px; font-size: 2.5em;">⚡</div>
+    <div style="color: var(--accent); font-weight: 600; margin-bottom: 8px;">The ${cycleSpan(cycle.id)} is Complete</div>
+    <div style="margin-bottom: 16px;">You have transcended all mortal and divine realms. The cosmos itself acknowledges your supremacy.</div>
+    <div style="text-align: left; margin: 8px 0;">
+      <div><strong>Qi Cultivated:</strong> <span class="highlight">${fmt(S.reinc.lifetimeQi)}</span></div>
+      <div><strong>Karma Gained:</strong> <span class="highlight">+${fmt(karmaGain)}</span></div>
+      <div><strong>Cycle:</strong> ${cycleSpan(cycle.id)} Complete</div>
+    </div>
+    <br><em>Choose to reincarnate and begin anew, or remain in eternal meditation.</em>
+  `;
+  const onConfirm = () => {
+    // End-of-cycle reincarnation is not a voluntary reincarnation action.
+    achievementState[`${cycle.id}CycleComplete`] = true;
+    doReincarnate({ mode: 'cycle' });
+    unlockAchievement('divine_ascension');
+  };
   
   showConfirm(title, message, onConfirm, null, '');
 }
 
-function showSpiritTransformationGate() {
-  const title = '🚪 The Gate of Transcendence';
+/**
+ * Line naming the realm where voluntary reincarnation opens, or '' unless the cycle is behind the first gate
+ * (passing that gate is what unlocks voluntary reincarnation)
+ * @param {string} cycleId - Id of the cycle being unlocked
+ * @returns {string} HTML
+ */
+function voluntaryReincarnationNote(cycleId) {
+  if (Engine.getCycleOrder().indexOf(cycleId) !== 1) return '';
+  const gateName = realms[Engine.transcendenceGateRealm()]?.name || 'the gate realm';
+  return `<strong>Voluntary Reincarnation</strong> available at ${gateName} Stage 1 and all higher realms`;
+}
+
+/**
+ * Show the gate that seals a cycle (mandatory reincarnation unlocks it)
+ * The copy comes from the cycle's `gate` entry in balance.json, with generic fallbacks
+ * @param {string} cycleId - Id of the sealed cycle
+ */
+function showCycleGate(cycleId) {
+  const cycle = Engine.getCycleDef(cycleId);
+  const voluntaryNote = voluntaryReincarnationNote(cycleId);
+  const current = getCurrentCycle();
+  const realm = realms[S.realmIndex];
+  const title = `🚪 ${cycle?.gate?.title || `The Gate of the ${cycle?.name || cycleId}`}`;
   const message = `
     <div style="text-align: center; margin-bottom: 16px; font-size: 2.5em;">⛓️</div>
-    <div style="color: var(--accent); font-weight: 600; margin-bottom: 8px;">Your Mortal Body Cannot Withstand Further Power</div>
-    <div style="margin-bottom: 16px;">You have reached the peak of <span class="cycle-mortal">Spirit Transformation</span>, but your mortal form cannot withstand the power needed to advance further. You must undergo mandatory reincarnation to transcend these limitations.</div>
+    <div style="color: var(--accent); font-weight: 600; margin-bottom: 8px;">The ${cycleSpan(current.id)} Has Reached Its Peak</div>
+    <div style="margin-bottom: 16px;">${cycle?.gate?.description || `You must undergo mandatory reincarnation to begin the ${cycleSpan(cycleId)}.`}</div>
     <div style="text-align: left; margin: 8px 0;">
-      <div><strong>Current Realm:</strong> <span class="highlight">Spirit Transformation, Stage 10</span></div>
+      <div><strong>Current Realm:</strong> <span class="highlight">${realm?.name || 'Unknown'}, Stage ${S.stage}</span></div>
       <div><strong>Requirement:</strong> <span class="highlight">Mandatory Reincarnation (One Time Only)</span></div>
       <div><strong>After Reincarnation:</strong></div>
-      <div style="margin-left: 20px;">✓ Unlock the <span class="cycle-spirit">Celestial Cycle</span></div>
-      <div style="margin-left: 20px;">✓ Advance beyond Spirit Transformation in future lives</div>
-      <div style="margin-left: 20px;">✓ <strong>Voluntary Reincarnation</strong> available at Spirit Transformation Stage 1 and all higher realms</div>
+      <div style="margin-left: 20px;">✓ Unlock the ${cycleSpan(cycleId)}</div>
+      <div style="margin-left: 20px;">✓ Advance beyond ${realm?.name || 'this realm'} in future lives</div>
+      ${voluntaryNote ? `<div style="margin-left: 20px;">✓ ${voluntaryNote}</div>` : ''}
     </div>
-    <br><em>This gate appears only once. After transcending, you'll start from <span class="cycle-mortal">Qi Refining</span> with permanent access to higher realms.</em>
+    <br><em>This gate appears only once. Your karma, perks and unlocks carry into the next life.</em>
   `;
   
   const onConfirm = () => {
@@ -1570,112 +1073,24 @@ function showSpiritTransformationGate() {
   showConfirm(title, message, onConfirm, null, '🦋');
 }
 
-// ============= KARMA & POWER SCALING (SOFT CAPS) =============
+// ============= HYBRID SKILL SYSTEM (FINITE RANKS + ONE-TIME TECHNIQUES) =============
 
 /**
- * Karma soft cap for Qi multiplier
- * Asymptotically approaches +120% at high karma
- * Formula: 1 + 1.2 * (1 - e^(-0.04 * karma))
+ * Get current realm's rank count for a skill
+ * @param {string} id - Skill ID
+ * @returns {number} Ranks purchased in current realm
  */
-function karmaQiMult(karma) {
-  return 1 + 1.2 * (1 - Math.exp(-0.04 * karma));
+function currentRealmRanks(id) {
+  return Engine.currentRealmRanks(S, id);
 }
 
 /**
- * Karma soft cap for lifespan multiplier
- * Asymptotically approaches +150% at high karma
- * Formula: 1 + 1.5 * (1 - e^(-0.03 * karma))
+ * Ranks a skill allows per realm, including Deep Meridians-style karma perks
+ * @param {Object} sk - Skill catalog entry
+ * @returns {number} Rank cap
  */
-function karmaLifeMult(karma) {
-  return 1 + 1.5 * (1 - Math.exp(-0.03 * karma));
-}
-
-/**
- * Karma soft cap for stage requirement reduction
- * Mild effect, asymptotically approaches +60% easier at high karma
- * Formula: 1 + 0.6 * (1 - e^(-0.03 * karma))
- * Applied as: requirement / karmaStageMult (so higher value = easier)
- */
-function karmaStageMult(karma) {
-  return 1 + 0.6 * (1 - Math.exp(-0.03 * karma));
-}
-
-/**
- * Cycle-based power multiplier (LINEAR within cycle, not compounding)
- * Mortal Cycle: +20% per realm from cycle start
- * Celestial Cycle: +40% per realm from cycle start
- * Returns a single multiplicative factor (not stacking per realm)
- */
-function cyclePowerMult(realmIndex) {
-  if (!BAL.cycleDefinitions) return 1;
-  
-  const mortalRealms = BAL.cycleDefinitions.mortal?.realms || [];
-  const spiritRealms = BAL.cycleDefinitions.spirit?.realms || [];
-  
-  const inMortal = mortalRealms.includes(realmIndex);
-  const inSpirit = spiritRealms.includes(realmIndex);
-  
-  if (inMortal) {
-    const idxInCycle = mortalRealms.indexOf(realmIndex);
-    const bonus = BAL.cycleDefinitions.mortal?.realmBonus || 0.25;
-    return 1 + (bonus * idxInCycle);
-  } else if (inSpirit) {
-    const idxInCycle = spiritRealms.indexOf(realmIndex);
-    const bonus = BAL.cycleDefinitions.spirit?.realmBonus || 0.50;
-    return 1 + (bonus * idxInCycle);
-  }
-  
-  return 1; // No cycle bonus
-}
-
-// Dynamic skill catalog based on BAL configuration (hybrid rank + technique system)
-let SKILL_CAT = null;
-function getSkillCatalog() {
-  if (!SKILL_CAT) {
-    SKILL_CAT = [];
-    
-    // Build catalog from balance.json with extended schema
-    for (const [id, data] of Object.entries(BAL.skills)) {
-      const skillDef = {
-        id,
-        name: id.split('_').map(w => w[0].toUpperCase() + w.slice(1)).join(' '),
-        cost: data.cost,
-        type: data.type,
-        icon: data.icon || `${id}.png`
-      };
-      
-      // One-time techniques (Celestial Cycle endgame)
-      if (data.oneTime) {
-        skillDef.oneTime = true;
-        skillDef.value = data.value;
-        skillDef.unlockAtCycle = data.unlockAtCycle;
-      } else {
-        // Ranked skills (per-realm progression)
-        skillDef.base = data.base;
-        skillDef.costScale = data.costScale;
-        skillDef.ranksPerRealm = data.ranksPerRealm;
-        if (data.capPctPerRealm !== undefined) {
-          skillDef.capPctPerRealm = data.capPctPerRealm;
-        }
-      }
-      
-      SKILL_CAT.push(skillDef);
-    }
-  }
-  return SKILL_CAT;
-}
-
-// ============= HYBRID SKILL SYSTEM (FINITE RANKS + ONE-TIME TECHNIQUES) =============
-
-/**
- * Get current realm's rank count for a skill
- * @param {string} id - Skill ID
- * @returns {number} Ranks purchased in current realm
- */
-function currentRealmRanks(id) {
-  const skill = S.skills[id];
-  if (!skill || skill.purchasedOneTime) return 0;
-  return skill.perRealm?.[S.realmIndex] || 0;
+function skillRankCap(sk) {
+  return Engine.skillRankCap(S, sk);
 }
 
 /**
@@ -1684,13 +1099,7 @@ function currentRealmRanks(id) {
  * @param {number} n - Number of ranks to add
  */
 function addRealmRank(id, n) {
-  let skill = S.skills[id];
-  if (!skill) {
-    skill = S.skills[id] = { total: 0, perRealm: {} };
-  }
-  const cur = currentRealmRanks(id);
-  skill.perRealm[S.realmIndex] = cur + n;
-  skill.total += n;
+  Engine.addRealmRank(S, id, n);
 }
 
 /**
@@ -1699,7 +1108,7 @@ function addRealmRank(id, n) {
  * @returns {boolean} True if technique is purchased
  */
 function isTechniquePurchased(id) {
-  return S.skills[id]?.purchasedOneTime || false;
+  return Engine.isTechniquePurchased(S, id);
 }
 
 /**
@@ -1707,32 +1116,7 @@ function isTechniquePurchased(id) {
  * @param {string} id - Skill ID
  */
 function purchaseTechnique(id) {
-  S.skills[id] = { purchasedOneTime: true, total: 1, perRealm: {} };
-}
-
-/**
- * Realm power curve: bounded exponential approaching realmMaxMult
- * Returns a multiplier in [1.0, 1.0 + realmMaxMult]
- * Uses formula: 1 + M * (1 - e^(-k * realmIndex))
- * This creates smooth growth that prevents early explosion and late irrelevance
- */
-function skillRealmScale(realmIndex) {
-  const { realmMaxMult, realmK } = SKILL_SCALING;
-  // 1 + M * (1 - e^(-k * realmIndex))
-  const scale = 1 + realmMaxMult * (1 - Math.exp(-realmK * Math.max(0, realmIndex)));
-  // Hard safety clamp
-  return Math.min(1 + realmMaxMult, Math.max(1, scale));
-}
-
-/**
- * Karma boost: soft log so early karma helps and late karma doesn't explode
- * Returns a multiplier in [1.0, 1.0 + karmaMaxMult]
- * Formula: 1 + log10(karma+1) * coeff
- */
-function skillKarmaBoost(karma) {
-  const { karmaLogCoeff, karmaMaxMult } = SKILL_SCALING;
-  const mult = 1 + Math.log10(Math.max(1, karma) + 1) * karmaLogCoeff;
-  return Math.min(1 + karmaMaxMult, Math.max(1, mult));
+  Engine.purchaseTechnique(S, id);
 }
 
 /**
@@ -1740,9 +1124,7 @@ function skillKarmaBoost(karma) {
  * Returns 1.0 for Mortal Cycle, 5.0 for Celestial Cycle
  */
 function skillCycleBoost() {
-  return S.currentCycle === 'spirit'
-    ? SKILL_SCALING.spiritCycleBoost
-    : SKILL_SCALING.mortalCycleBoost;
+  return Engine.skillCycleBoost(S);
 }
 
 /**
@@ -1754,280 +1136,66 @@ function skillCycleBoost() {
  * @returns {number} Effective base multiplied by progression factors
  */
 function effectiveSkillBase(id) {
-  const base = BAL.skills[id]?.base ?? 0;
-  if (base <= 0) return 0;
-
-  // Independent progression factors (no time speed or lifespan references)
-  const realmMult  = skillRealmScale(S.realmIndex);
-  const karmaMult  = skillKarmaBoost(safeNum(S.reinc?.karma, 0));
-  const cycleMult  = skillCycleBoost();
-
-  // Combine safely with caps
-  let scaled = base * realmMult * karmaMult * cycleMult;
-
-  // Global hard clamp to avoid overflow; math stays finite
-  if (!Number.isFinite(scaled) || scaled < 0) scaled = 0;
-  return Math.min(1e150, scaled);
+  return Engine.effectiveSkillBase(S, id);
 }
 
 let S = defaultState();   // Populated properly inside init() after BAL is loaded
 
 /**
- * Calculate total Qi per click with hybrid skill system
- * Flat skills: add ranks × baseline × effectiveSkillBase
- * Percent skills: multiply by capped percentage × effectiveSkillBase
- * Techniques: one-time multiplicative bonus
+ * Calculate total Qi per click from the engine's skill effect registry
+ * Flat skills add to the base, percent skills and techniques multiply
  */
 function totalQPC(){
-  let add = S.qpcBase;
-  let mult = 1;
-  
-  // meridian_flow: Flat additive skill
-  const ranksM = currentRealmRanks('meridian_flow');
-  if (ranksM > 0) {
-    const effBase = effectiveSkillBase('meridian_flow');
-    const baseline = S.qpcBase * (BAL.realmBaselines?.qpcFlatPerRank || 0.25);
-    add += ranksM * baseline * effBase;
-  }
-  
-  // dantian_temps: Percentage skill with cap
-  const ranksD = currentRealmRanks('dantian_temps');
-  if (ranksD > 0) {
-    const sk = getSkill('dantian_temps');
-    const basePctPerRank = sk?.base || 0.008;
-    const capPct = sk?.capPctPerRealm || 0.12;
-    
-    // Apply realm-aware floors/caps to per-rank percentage
-    const minPct = minTierPctByRealm(S.realmIndex);
-    const maxPct = maxTierPctByRealm(S.realmIndex);
-    const pctPerRank = Math.max(minPct, Math.min(maxPct, basePctPerRank));
-    
-    // Total percentage with effective base influencing the cap
-    const effBase = effectiveSkillBase('dantian_temps');
-    const scaledCap = Math.min(capPct * Math.sqrt(effBase), 2.0); // sqrt dampens extreme scaling
-    const totalPct = Math.min(ranksD * pctPerRank, scaledCap);
-    mult *= (1 + totalPct);
-  }
-  
-  // void_convergence: One-time technique
-  if (isTechniquePurchased('void_convergence')) {
-    const sk = getSkill('void_convergence');
-    mult *= (1 + (sk?.value || 0.12));
-  }
-  
-  // Apply final multipliers
-  const out = add * mult * S.qpcMult * karmaQiMult(S.reinc.karma) * cyclePowerMult(S.realmIndex);
-  return Number.isFinite(out) ? out : 1e300;
+  return Engine.totalQPC(S);
 }
 
 /**
- * Calculate total Qi per second with hybrid skill system
- * Flat skills: add ranks × baseline × effectiveSkillBase
- * Percent skills: multiply by capped percentage × effectiveSkillBase
- * Techniques: one-time multiplicative bonus
+ * Calculate total Qi per second from the engine's skill effect registry
+ * Flat skills add to the base, percent skills and techniques multiply
  */
 function totalQPS(){
-  if (S.realmIndex === 0) return 0;
-  
-  let add = S.qpsBase;
-  let mult = 1;
-  
-  // breath_control: Flat additive skill
-  const ranksB = currentRealmRanks('breath_control');
-  if (ranksB > 0) {
-    const effBase = effectiveSkillBase('breath_control');
-    const baseline = S.qpsBase * (BAL.realmBaselines?.qpsFlatPerRank || 0.15);
-    add += ranksB * baseline * effBase;
-  }
-  
-  // lotus_meditation: Percentage skill with cap
-  const ranksL = currentRealmRanks('lotus_meditation');
-  if (ranksL > 0) {
-    const sk = getSkill('lotus_meditation');
-    const basePctPerRank = sk?.base || 0.008;
-    const capPct = sk?.capPctPerRealm || 0.12;
-    
-    // Apply realm-aware floors/caps to per-rank percentage
-    const minPct = minTierPctByRealm(S.realmIndex);
-    const maxPct = maxTierPctByRealm(S.realmIndex);
-    const pctPerRank = Math.max(minPct, Math.min(maxPct, basePctPerRank));
-    
-    // Total percentage with effective base influencing the cap
-    const effBase = effectiveSkillBase('lotus_meditation');
-    const scaledCap = Math.min(capPct * Math.sqrt(effBase), 2.0); // sqrt dampens extreme scaling
-    const totalPct = Math.min(ranksL * pctPerRank, scaledCap);
-    mult *= (1 + totalPct);
-  }
-  
-  // celestial_resonance: One-time technique
-  if (isTechniquePurchased('celestial_resonance')) {
-    const sk = getSkill('celestial_resonance');
-    mult *= (1 + (sk?.value || 0.12));
-  }
-  
-  // Apply final multipliers
-  const out = add * mult * S.qpsMult * karmaQiMult(S.reinc.karma) * cyclePowerMult(S.realmIndex);
-  return Number.isFinite(out) ? out : 1e300;
+  return Engine.totalQPS(S);
 }
 
 /**
- * Calculate total offline multiplier with hybrid skill system
- * closed_door: Percentage skill with cap × effectiveSkillBase
+ * Calculate total offline multiplier from offline skill effects (1.0 = no bonus)
  */
 function totalOfflineMult(){
-  const ranksClosed = currentRealmRanks('closed_door');
-  if (ranksClosed <= 0) return 1.0;
-  
-  const sk = getSkill('closed_door');
-  const basePctPerRank = sk?.base || 0.005;
-  const capPct = sk?.capPctPerRealm || 0.08;
-  
-  // Apply realm-aware floors/caps to per-rank percentage
-  const minPct = minTierPctByRealm(S.realmIndex);
-  const maxPct = maxTierPctByRealm(S.realmIndex);
-  const pctPerRank = Math.max(minPct, Math.min(maxPct, basePctPerRank));
-  
-  // Total percentage with effective base influencing the cap
-  const effBase = effectiveSkillBase('closed_door');
-  const scaledCap = Math.min(capPct * Math.sqrt(effBase), 1.0); // sqrt dampens, cap at 100%
-  const totalPct = Math.min(ranksClosed * pctPerRank, scaledCap);
-  
-  return 1.0 + totalPct;
+  return Engine.totalOfflineMult(S);
 }
 
-function getSkill(id){ return getSkillCatalog().find(s=>s.id===id); }
+/**
+ * Describe a skill's current effect for the shop (see Engine.describeSkillEffect)
+ * @param {string} id - Skill ID
+ * @returns {Object|null} { kind, label, perRank, cap, value }
+ */
+function describeSkillEffect(id){
+  return Engine.describeSkillEffect(S, id);
+}
 
 /**
  * Calculate cost for next rank or technique purchase
  * For ranked skills: cost grows per rank in current realm
  * For techniques: fixed one-time cost
  * @param {string} id - Skill ID
- * @returns {number} Cost in Qi
+ * @returns {Big} Cost in Qi
  */
 function skillCost(id){
-  const sk = getSkill(id);
-  if (!sk) return Infinity;
-  
-  // One-time techniques: fixed cost
-  if (sk.oneTime) {
-    return sk.cost;
-  }
-  
-  // Ranked skills: cost scales with current realm ranks
-  const currentRanks = currentRealmRanks(id);
-  return Math.floor(sk.cost * Math.pow(sk.costScale, currentRanks));
+  return Engine.skillCost(S, id);
 }
 
 // ============= BULK SKILL BUYING SYSTEM (LOG-SPACE SAFE) =============
 
-/**
- * Log-space safe overflow guard
- * ~exp(690) ≈ 1e300, beyond this we hit Number.MAX_VALUE
- */
-const LOG_MAX = 690;
-
-// Log helper functions
-const ln = Math.log;
-const exp = Math.exp;
-
-/**
- * Get cost of a single level at a specific level (not current level)
- * @param {string} skillId - Skill ID
- * @param {number} level - Level to calculate cost for (realm-relative rank)
- * @returns {number} Cost for that specific level
- */
-function skillCostAtLevel(skillId, level) {
-  const sk = getSkill(skillId);
-  if (sk.oneTime) return sk.cost; // Techniques don't have levels
-  return Math.floor(sk.cost * Math.pow(sk.costScale, level));
-}
-
-/**
- * Calculate log of skill cost at specific level
- * Returns ln(cost * scale^level)
- * @param {Object} sk - Skill object
- * @param {number} level - Level to calculate for
- * @returns {number} Natural log of cost
- */
-function lnSkillCostAtLevel(sk, level) {
-  return ln(sk.cost) + level * ln(sk.costScale);
-}
-
-/**
- * Calculate log of total cost for qty levels starting from level L
- * Uses geometric series: sum = c0 * (r^qty - 1) / (r - 1)
- * Where c0 = cost * scale^L
- * @param {Object} sk - Skill object
- * @param {number} currentLevel - Starting level
- * @param {number} qty - Number of levels to buy
- * @returns {number} Natural log of total cost (or -Infinity if 0)
- */
-function lnTotalCost(sk, currentLevel, qty) {
-  if (qty <= 0) return -Infinity; // ln(0) = -Infinity
-  
-  const lnCost = ln(sk.cost);
-  const lnR = ln(sk.costScale);
-  
-  // ln(c0) = ln(cost) + currentLevel * ln(scale)
-  const lnC0 = lnCost + currentLevel * lnR;
-  
-  // Handle scale ≈ 1 (linear progression)
-  if (Math.abs(sk.costScale - 1) < 0.0001) {
-    // sum = qty * c0
-    // ln(sum) = ln(qty) + ln(c0)
-    return ln(qty) + lnC0;
-  }
-  
-  // Geometric series: sum = c0 * (r^qty - 1) / (r - 1)
-  // ln(sum) = ln(c0) + ln(r^qty - 1) - ln(r - 1)
-  
-  // For large qty, r^qty dominates: ln(r^qty - 1) ≈ qty * ln(r)
-  // For small qty, use Math.expm1 for numerical stability
-  const qtyLnR = qty * lnR;
-  const lnNumerator = (qtyLnR > 30) ? qtyLnR : ln(Math.expm1(qtyLnR));
-  const lnDenominator = ln(sk.costScale - 1);
-  
-  return lnC0 + (lnNumerator - lnDenominator);
-}
-
 /**
  * Calculate total cost to buy multiple ranks using log-space safe math
  * For techniques: returns fixed cost (qty ignored)
  * For ranked skills: enforces rank cap per realm
  * @param {string} skillId - Skill ID
  * @param {number} qty - Number of ranks to buy
- * @returns {number} Total cost for qty ranks (capped to prevent Infinity)
+ * @returns {Big} Total cost for qty ranks (Infinity at the rank cap); compare with .gt()/.lt(), not > or <
  */
 function totalSkillCost(skillId, qty) {
-  if (qty <= 0) return 0;
-  
-  const sk = getSkill(skillId);
-  
-  // One-time techniques: fixed cost, qty ignored
-  if (sk.oneTime) {
-    return sk.cost;
-  }
-  
-  // Ranked skills: enforce rank cap
-  const currentRanks = currentRealmRanks(skillId);
-  const cap = sk.ranksPerRealm;
-  const actualQty = Math.min(qty, cap - currentRanks);
-  
-  if (actualQty <= 0) return Infinity; // At cap
-  
-  const lnCost = lnTotalCost(sk, currentRanks, actualQty);
-  
-  // Guard against overflow
-  if (!Number.isFinite(lnCost) || lnCost > LOG_MAX) {
-    return 1e300;
-  }
-  
-  const cost = exp(lnCost);
-  if (!Number.isFinite(cost)) {
-    return 1e300;
-  }
-  
-  return Math.max(0, Math.floor(cost));
+  return Engine.totalSkillCost(S, skillId, qty);
 }
 
 /**
@@ -2036,47 +1204,11 @@ function totalSkillCost(skillId, qty) {
  * For ranked skills: respects rank cap per realm
  * @param {string} skillId - Skill ID
  * @param {number} maxQty - Maximum quantity to consider
- * @param {number} budgetQi - Available Qi budget
- * @returns {number} Maximum affordable ranks (0 if none)
+ * @param {number|Big} budgetQi - Available Qi budget (usually S.qi)
+ * @returns {number} Maximum affordable ranks (0 if none), a plain count
  */
 function maxAffordableQty(skillId, maxQty, budgetQi) {
-  if (budgetQi <= 0 || maxQty <= 0) return 0;
-  
-  const sk = getSkill(skillId);
-  
-  // One-time techniques: either 0 or 1
-  if (sk.oneTime) {
-    return budgetQi >= sk.cost ? 1 : 0;
-  }
-  
-  // Ranked skills: enforce cap
-  const currentRanks = currentRealmRanks(skillId);
-  const cap = sk.ranksPerRealm;
-  const maxPossible = Math.min(maxQty, cap - currentRanks);
-  
-  if (maxPossible <= 0) return 0;
-  
-  const lnBudget = ln(Math.max(1, budgetQi));
-  
-  // Binary search for maximum affordable quantity
-  let lo = 0;
-  let hi = maxPossible;
-  
-  while (lo < hi) {
-    const mid = Math.ceil((lo + hi) / 2);
-    const lnCost = lnTotalCost(sk, currentRanks, mid);
-    
-    // Overflow guard: if cost would exceed LOG_MAX, it's too expensive
-    if (!Number.isFinite(lnCost) || lnCost > LOG_MAX) {
-      hi = mid - 1;
-    } else if (lnCost <= lnBudget) {
-      lo = mid; // Can afford this many, try more
-    } else {
-      hi = mid - 1; // Too expensive, try fewer
-    }
-  }
-  
-  return lo;
+  return Engine.maxAffordableQty(S, skillId, maxQty, budgetQi);
 }
 
 /**
@@ -2086,57 +1218,25 @@ function maxAffordableQty(skillId, maxQty, budgetQi) {
  * @returns {boolean} True if purchase succeeded
  */
 function buySkill(skillId, requestedQty = 1) {
-  const sk = getSkill(skillId);
-  if (!sk) return false;
+  const result = Engine.purchaseSkill(S, skillId, requestedQty);
+  if (!result) return false;
   
   // One-time techniques
-  if (sk.oneTime) {
-    if (isTechniquePurchased(skillId)) return false; // Already purchased
-    if (S.qi < sk.cost) return false; // Can't afford
-    
-    S.qi -= sk.cost;
-    purchaseTechnique(skillId);
+  if (result.oneTime) {
     unlockAchievement('first_technique');
     renderAll();
     return true;
   }
   
-  // Ranked skills with cap enforcement
-  requestedQty = Math.max(1, Math.floor(requestedQty));
-  const budget = S.qi;
-  const affordable = maxAffordableQty(skillId, requestedQty, budget);
-  
-  if (affordable <= 0) return false;
-  
-  const cost = totalSkillCost(skillId, affordable);
-  
-  // Safety: Never proceed if cost is NaN or Infinity
-  if (!Number.isFinite(cost)) {
-    if (DEBUG_MODE) {
-      console.error(`[Bulk Buy] Cost overflow detected for ${skillId} × ${affordable}`);
-    }
-    return false;
-  }
-  
-  // Double-check affordability
-  if (cost > budget) return false;
-  
-  // Execute purchase atomically
-  S.qi -= cost;
-  addRealmRank(skillId, affordable);
-  
-  // Safety: Ensure Qi remains finite
-  S.qi = safeNum(S.qi, 0);
-  
   // Track for achievements
-  achievementState.totalPurchases += affordable;
+  achievementState.totalPurchases += result.qty;
   
   // Update UI
   renderAll();
   
   // Show feedback if bought less than requested
-  if (affordable < requestedQty && DEBUG_MODE) {
-    console.log(`[Bulk Buy] Bought ${affordable}/${requestedQty} levels of ${skillId} (cost: ${fmt(cost)})`);
+  if (result.qty < requestedQty && DEBUG_MODE) {
+    console.log(`[Bulk Buy] Bought ${result.qty}/${requestedQty} levels of ${skillId} (cost: ${fmt(result.cost)})`);
   }
   
   return true;
@@ -2146,7 +1246,7 @@ function buySkill(skillId, requestedQty = 1) {
  * Calculate and format bulk purchase preview with overflow safety
  * @param {string} skillId - Skill ID
  * @param {number} qty - Quantity to preview
- * @returns {object} Preview data {cost, affordable, canAfford, formattedCost}
+ * @returns {object} Preview data {cost, affordable, canAfford, formattedCost} (cost is a Big)
  */
 function previewBulkCost(skillId, qty) {
   const totalCost = totalSkillCost(skillId, qty);
@@ -2154,7 +1254,7 @@ function previewBulkCost(skillId, qty) {
   const canAfford = affordable >= qty;
   
   // Safety: Handle infinite/NaN costs gracefully
-  const safeFormattedCost = Number.isFinite(totalCost) ? fmt(totalCost) : '∞';
+  const safeFormattedCost = totalCost.isFinite() ? fmt(totalCost) : '∞';
   
   return {
     cost: totalCost,
@@ -2178,7 +1278,8 @@ function getLastBulkMultiplier() {
  * Set the bulk multiplier for session
  */
 function setLastBulkMultiplier(mult) {
-  const safeMult = Math.max(1, Math.min(MAX_RANKS_PER_REALM, Math.floor(Number(mult) || 1)));
+  const maxCap = MAX_RANKS_PER_REALM + Math.floor(Engine.karmaUpgradeTotal(S, 'extraRanks'));
+  const safeMult = Math.max(1, Math.min(maxCap, Math.floor(Number(mult) || 1)));
   lastBulkMultiplier = safeMult;
 }
 
@@ -2297,45 +1398,22 @@ function karmaStageBonus(){
 
 // Check if player can manually reincarnate (Spirit Transformation Stage 1+, after mandatory ST10)
 function canReincarnate(){
-  const ST_INDEX = idx('spirit_transformation'); // Spirit Transformation realm index (ID-driven)
-  const r = S.realmIndex;
-  const st = S.stage;
-  
-  // Before the first mandatory ST10 reincarnation is done:
-  if (!S.flags?.hasCompletedMandatoryST10) {
-    // No voluntary reincarnation anywhere; only the mandatory one at ST10 (handled elsewhere)
-    return false;
-  }
-  
-  // After the mandatory ST10 has been completed:
-  // Allow voluntary reincarnation anywhere at or above Spirit Transformation Stage 1
-  // i.e., realm > ST, OR (realm === ST && stage >= 1)
-  return (r > ST_INDEX) || (r === ST_INDEX && st >= 1);
+  return Engine.canReincarnate(S);
 }
 
 // Calculate karma gain from reincarnation with cycle multipliers
 function computeKarmaGain(){
-  const safeLifetimeQi = safeNum(S.reinc.lifetimeQi, 0);
-  const safeDivisor = safeNum(BAL.reincarnation.lifetimeQiDivisor, 1000);
-  const base = Math.floor(Math.sqrt(safeLifetimeQi / safeDivisor));
-  const realmBonus = S.realmIndex * BAL.reincarnation.realmKarmaFactor;
-  
-  // Cycle multiplier - Celestial Cycle gives more karma
-  const cycleMultiplier = S.currentCycle === 'spirit' ? 2 : 1;
-  
-  const totalGain = (base + realmBonus) * cycleMultiplier;
-  return Math.max(BAL.reincarnation.minKarma, totalGain);
+  return Engine.computeKarmaGain(S);
 }
 
 // Voluntary reincarnation: full karma
 function computeVoluntaryKarma(){
-  return Math.max(BAL.reincarnation.minKarma, computeKarmaGain());
+  return Engine.computeVoluntaryKarma(S);
 }
 
 // Death reincarnation: reduced karma (configurable penalty)
 function computeDeathKarma(){
-  const deathPenalty = BAL.reincarnation.deathPenalty || 0.5;
-  return Math.max(BAL.reincarnation.minKarma, Math.floor(computeKarmaGain() * deathPenalty));
+  return Engine.computeDeathKarma(S);
 }
 
 // Perform reincarnation with mode ('voluntary', 'death', or 'mandatory')
@@ -2359,34 +1437,17 @@ function doReincarnate(options = {}){
     gain = computeVoluntaryKarma();
   }
   
-  // Preserve old state for logic checks (use ID-based lookup for Spirit Transformation)
-  const ST_INDEX = idx('spirit_transformation');
-  const wasAtST10 = S.realmIndex === ST_INDEX && S.stage === 10;
-  const oldReinc = { ...S.reinc };
-  const oldFlags = { ...S.flags };
-  const oldMeta = { ...S.meta }; // Preserve meta (persistent unlocks)
-  
-  // Add karma and increment reincarnation count
-  const newKarma = oldReinc.karma + gain;
-  const newTimes = oldReinc.times + 1;
-  
-  // Reset to default state
-  S = defaultState();
+  // Build the next life (karma, flags and meta carry over; realm resets to Mortal Realm)
+  backupBeforeReincarnation(mode);
+  const next = Engine.reincarnate(S, { mode, gain });
+  S = next.state;
   
-  // Restore persistent data
-  S.reinc = { times: newTimes, karma: newKarma, lifetimeQi: 0 };
-  S.flags = { ...oldFlags }; // Preserve all flags
-  S.meta = { ...oldMeta };   // Preserve meta (time-speed unlocks, etc.)
-  
-  // Handle mandatory ST10 completion
-  if (mode === 'mandatory' && wasAtST10) {
-    S.flags.hasCompletedMandatoryST10 = true;
-    S.flags.hasUnlockedSpiritCycle = true;
-    S.flags.canManualReincarnate = true;
-    S.flags.unlockedBeyondSpirit = true;
-    
-    // Track achievement
-    unlockAchievement('break_mortal_shackles');
+  // Handle mandatory gate completion
+  if (next.completedMandatory) {
+    // Track achievement: the cycle before the unlocked one is complete
+    const completedCycle = Engine.previousCycleId(next.unlockedCycle);
+    achievementState[`${completedCycle}CycleComplete`] = true;
+    (CYCLE_COMPLETION_ACHIEVEMENTS[completedCycle] || []).forEach(unlockAchievement);
     achievementState.cycleTransitions = (achievementState.cycleTransitions || 0) + 1;
   }
   
@@ -2401,10 +1462,8 @@ function doReincarnate(options = {}){
       unlockAchievement('first_voluntary_reincarnation');
     }
   } else if (mode === 'death') {
-    // Death reincarnation now handled by handleDeathReincarnate()
+    // Death reincarnation now handled by handleLifespanEnd()
     // This branch shouldn't be reached anymore but kept for safety
-    S.stats.deaths = (S.stats.deaths || 0) + 1;
-    
     unlockAchievement('death_and_return');
     if(!achievementState.forcedReincarnationCount) {
       achievementState.forcedReincarnationCount = 0;
@@ -2412,43 +1471,27 @@ function doReincarnate(options = {}){
     achievementState.forcedReincarnationCount++;
   }
   
-  // Reset age and lifespan properly
-  S.age = 0; // Reset age to 0 for new life
-  if(S.ageYears !== undefined) delete S.ageYears; // Clean up old field
-  S.isDead = false;
-  S.life = { isCleanRun: true }; // New life starts clean
-  S.flags.lifespanHandled = false; // Reset latch for new life
-  S.lastTick = now(); // Reset timing
-  
-  // Always start at Mortal Realm (realm 0) Stage 1 after reincarnation
-  S.realmIndex = 0;
-  S.stage = 1;
-  S.currentCycle = 'mortal';
-  
-  // Refresh lifespan for starting realm
-  refreshLifespanForRealm();
-  
-  // Update cycle
-  updateCurrentCycle();
+  renderAll();
   
-  // Clear reincarnation guard and unpause
-  if(S.lifecycle) {
-    S.lifecycle.isReincarnating = false;
+  // Auto-reincarnation skips the cutscenes and result modal
+  if (options.auto) {
+    showToast(`♻️ Auto-reincarnated: +${gain.toFixed(2)} Karma (Total: ${S.reinc.karma.toFixed(2)})`);
+    return;
   }
-  S.timeSpeed.paused = false;
-  
-  renderAll();
   
   // Show appropriate modal and cutscenes based on mode
   const karmaGained = gain.toFixed(2);
   const totalKarma = S.reinc.karma.toFixed(2);
 
+  const unlockedCycle = Engine.getCycleDef(next.unlockedCycle);
+
   const showResultModal = () => {
-    if (mode === 'mandatory') {
-      showModal('🌟 Transcendence Achieved', 
-        `<span class="highlight">You have broken the shackles of mortality!</span><br><br>
-        Your soul now walks the path of the Celestial Cycle.<br><br>
-        <strong>Voluntary reincarnation is now available</strong> at Spirit Transformation Stage 1 and all higher realms.<br><br>
+    if (mode === 'mandatory' && unlockedCycle) {
+      const voluntaryNote = voluntaryReincarnationNote(unlockedCycle.id);
+      showModal(`🌟 ${unlockedCycle.name} Unlocked`, 
+        `<span class="highlight">${unlockedCycle.gate?.rebirthMessage || 'You have shed the limits of your former path!'}</span><br><br>
+        Your soul may now walk the ${cycleSpan(unlockedCycle.id)}: ${unlockedCycle.description || ''}.<br><br>
+        ${voluntaryNote ? `${voluntaryNote}.<br><br>` : ''}
         <div class="highlight">+${karmaGained} Karma gained (Total: ${totalKarma})</div>`, '🦋');
     } else if (mode === 'death') {
       showModal('☠️ Death and Rebirth', 
@@ -2464,13 +1507,13 @@ function doReincarnate(options = {}){
     }
   };
 
-  let cutsceneSequence = ['born'];
+  let cutsceneSequence = realmEntryCutscenes(0);
   if (mode === 'mandatory') {
-    cutsceneSequence = ['mandatory_reincarnation', 'born'];
+    cutsceneSequence = ['mandatory_reincarnation', ...realmEntryCutscenes(0)];
   } else if (mode === 'voluntary') {
-    cutsceneSequence = ['voluntary_reincarnation', 'born'];
+    cutsceneSequence = ['voluntary_reincarnation', ...realmEntryCutscenes(0)];
   } else if (mode === 'death') {
-    cutsceneSequence = ['old_age', 'born'];
+    cutsceneSequence = ['old_age', ...realmEntryCutscenes(0)];
   }
 
   queueCutsceneSequence(cutsceneSequence).then(showResultModal);
@@ -2515,21 +1558,11 @@ function handleDeathReincarnate(){
 
 // Lifespan management functions
 function getMaxLifespan(realmIndex = null){
-  const index = realmIndex !== null ? realmIndex : S.realmIndex;
-  const maxFromConfig = BAL.lifespan?.realmMaxLifespan?.[index];
-  if(maxFromConfig === null || maxFromConfig === undefined) {
-    // Void Lord realm - infinite lifespan
-    return null;
-  }
-  
-  // Apply karma multiplier to base lifespan (soft cap, asymptotic to +150%)
-  const karmaMult = karmaLifeMult(S.reinc.karma);
-  const baseLifespan = maxFromConfig || BAL.lifespan?.realmMaxLifespan?.[0] || 100;
-  return Math.floor(baseLifespan * karmaMult);
+  return Engine.getMaxLifespan(S, realmIndex);
 }
 
 function isImmortal(){
-  return getMaxLifespan() === null;
+  return Engine.isImmortal(S);
 }
 
 /**
@@ -2537,40 +1570,11 @@ function isImmortal(){
  * Called after breakthrough and reincarnation to ensure lifespan matches current realm
  */
 function refreshLifespanForRealm() {
-  const max = getMaxLifespan(); // from BAL.lifespan.realmMaxLifespan[S.realmIndex]
-  if (max === null) {
-    // Void Lord realm - infinite lifespan
-    S.lifespan = { current: null, max: null };
-    S.age = 0; // Immortals don't age
-  } else {
-    if (!S.lifespan || !Number.isFinite(S.lifespan.current)) {
-      // Initialize lifespan if missing or corrupted
-      S.lifespan = { current: max, max: max };
-    } else {
-      // Update max and clamp current to new max
-      S.lifespan.max = max;
-      S.lifespan.current = Math.min(S.lifespan.current, max);
-    }
-  }
+  Engine.refreshLifespanForRealm(S);
 }
 
 function updateLifespanOnRealmAdvance(){
-  const newMax = getMaxLifespan();
-  if(newMax === null) {
-    // Void Lord - set infinite lifespan
-    S.lifespan.max = null;
-    S.lifespan.current = null;
-    S.age = 0; // Reset age for immortals
-  } else {
-    S.lifespan.max = newMax;
-    S.lifespan.current = newMax; // fully restore lifespan on realm advancement
-    S.age = 0; // Reset age to 0 when advancing realm
-  }
-  
-  // Reset lifespan latch when advancing realms
-  if(S.flags) {
-    S.flags.lifespanHandled = false;
-  }
+  Engine.updateLifespanOnRealmAdvance(S);
 }
 
 /**
@@ -2581,64 +1585,9 @@ function updateLifespanOnRealmAdvance(){
  * This function does NOT read S.timeSpeed.current
  */
 function tickLifespan(dt){
-  // Guard: don't age if paused, dead, or no lifespan data
-  if(S.timeSpeed?.paused || !S.lifespan || S.isDead) return;
-  
-  // Guard: Void Lord realm has infinite lifespan - no aging
-  if(isImmortal()) return;
-  
-  // Guard: don't tick during reincarnation process
-  if(S.lifecycle?.isReincarnating) return;
-  
-  // Guard: protect against negative dt (clock changes, sleep, etc.)
-  const safeDt = Math.max(0, dt);
-  if(safeDt === 0) return;
-  
-  // Calculate aging rate: dt (already speed-adjusted) × yearsPerSecond
-  // dt already includes time speed multiplier from loop()
-  const baseYearsPerSecond = BAL.lifespan?.yearsPerSecond || 1.0;
-  const agingRate = safeDt * baseYearsPerSecond;
-  
-  // Migrate old ageYears to age if needed
-  if(S.ageYears !== undefined && S.age === undefined) {
-    S.age = S.ageYears;
-    delete S.ageYears;
-  }
-  
-  // Initialize age if missing
-  if(!S.age || !isFinite(S.age)) {
-    S.age = 0;
-  }
-  
-  // Apply aging
-  const newAge = S.age + agingRate;
-  
-  // Guard: prevent NaN/Infinity
-  if(!isFinite(newAge)) {
-    console.warn('Age calculation resulted in non-finite value, keeping previous age');
-    return;
-  }
-  
-  // Get max lifespan (with karma multiplier)
-  const maxLifespan = getMaxLifespan();
-  
-  // Clamp age to [0, maxLifespan]
-  if(maxLifespan !== null) {
-    S.age = Math.max(0, Math.min(newAge, maxLifespan));
-  } else {
-    S.age = Math.max(0, newAge); // Infinite lifespan, just prevent negative
-  }
-  
-  // Update lifespan.current for backwards compatibility (max - age)
-  if(S.lifespan.max !== null) {
-    S.lifespan.current = Math.max(0, S.lifespan.max - S.age);
-  }
-  
-  // Check for death ONCE per life using latch flag
-  if(maxLifespan !== null && S.age >= maxLifespan && !S.flags.lifespanHandled){
-    S.flags.lifespanHandled = true; // Set latch to prevent duplicate popups
+  // Death is checked ONCE per life via the lifespanHandled latch inside the engine
+  if (Engine.tickLifespan(S, dt)) {
     handleLifespanEnd();
-    return; // Exit early after triggering death
   }
 }
 
@@ -2692,51 +1641,10 @@ async function handleLifespanEnd(){
 }
 
 async function performDeathReincarnation(karmaGain) {
-  // Increment deaths counter (deaths do NOT count as reincarnations)
-  S.stats = S.stats || {};
-  S.stats.deaths = (S.stats.deaths || 0) + 1;
-  
-  // Apply karma gain
-  const newKarma = (S.reinc?.karma || 0) + karmaGain;
-  // DO NOT increment reincarnation times on death - only voluntary/mandatory reincarnations count
-  const newTimes = (S.reinc?.times || 0); // Keep same count
-  
-  // Preserve meta-progression (flags, achievements already earned)
-  const keepFlags = S.flags ? { ...S.flags } : {};
-  const keepStats = { deaths: S.stats.deaths };
-  const keepReinc = { times: newTimes, karma: newKarma, lifetimeQi: 0 };
-  const keepMeta = S.meta ? { ...S.meta } : { unlockedSpeeds: [0, 0.5, 1] }; // Preserve meta (time-speed unlocks, etc.)
-  
-  // Full hard reset to default state
-  S = defaultState();
-  
-  // Restore persistent meta-progression
-  S.flags = keepFlags;
-  S.flags.lifespanHandled = false; // Reset latch for new life
-  S.stats = keepStats;
-  S.reinc = keepReinc;
-  S.meta = keepMeta; // Restore meta
-  
-  // Reset age and timing for new life
-  S.age = 0;
-  S.lastTick = now();
-  
-  // Initialize lifespan cleanly for new life
-  const newMaxLifespan = getMaxLifespan(0); // Qi Refining base lifespan
-  if(newMaxLifespan === null) {
-    S.lifespan = { current: null, max: null };
-  } else {
-    const validLifespan = safeNum(newMaxLifespan, 100);
-    S.lifespan = { current: validLifespan, max: validLifespan };
-  }
-  S.isDead = false;
-  S.life = { isCleanRun: true }; // New life, no reincarnations yet
-  
-  // Reset timing and ensure time is NOT paused
-  S.lastTick = now();
-  S.timeSpeed = S.timeSpeed || {};
-  S.timeSpeed.paused = false; // Explicitly unpause
-  S.timeSpeed.current = 1; // Reset to normal speed
+  // Full hard reset; the engine keeps flags, meta, karma and the deaths counter
+  // (deaths do NOT count as reincarnations)
+  backupBeforeReincarnation('death');
+  S = Engine.reincarnate(S, { mode: 'death', gain: karmaGain }).state;
   
   // Track achievement for death reincarnation
   unlockAchievement('death_and_return');
@@ -2745,12 +1653,9 @@ async function performDeathReincarnation(karmaGain) {
   }
   achievementState.forcedReincarnationCount++;
   
-  // Clear reincarnation guard
-  S.lifecycle.isReincarnating = false;
-  
   // Full UI refresh and save
   renderAll();
-  queueCutsceneSequence(['born']);
+  queueCutsceneSequence(realmEntryCutscenes(0));
   
   // NO second modal - user has already been informed
 }
@@ -2768,50 +1673,13 @@ function handleDeath(){
 
 // ============= TIME SPEED SYSTEM =============
 
-/**
- * Progressive time speed configuration with realm-gated unlocks
- * Uses realm IDs (not indices) for robust unlock conditions
- * Unlock progression: one new speed every 2 realms
- */
-const SPEEDS_CONFIG = [
-  { speed: 0,    unlockAt: 'mortal_realm' },           // Always available (pause)
-  { speed: 0.25, unlockAt: 'mortal_realm' },           // Always available
-  { speed: 0.5,  unlockAt: 'mortal_realm' },           // Always available
-  { speed: 1,    unlockAt: 'mortal_realm' },           // Always available (normal)
-  { speed: 2,    unlockAt: 'foundation_establishment' }, // Realm 2
-  { speed: 4,    unlockAt: 'nascent_soul' },           // Realm 4
-  { speed: 6,    unlockAt: 'void_refining' },          // Realm 6
-  { speed: 8,    unlockAt: 'mahayana' },               // Realm 8
-  { speed: 10,   unlockAt: 'void_lord' }           // Realm 10
-];
-
-/**
- * Base speeds that are always available, regardless of realm
- * These are injected unconditionally and never rely on unlock arrays
- */
-const BASE_SPEEDS_ALWAYS_AVAILABLE = [0, 0.25, 0.5, 1];
-
 /**
  * Validate and initialize time speed system
  * Ensures base speeds exist and S.meta.unlockedSpeeds is properly initialized
  * Called at boot and after loadBalance()
  */
 function validateTimeSpeedSystem() {
-  // Initialize meta.unlockedSpeeds if missing
-  if (!S.meta?.unlockedSpeeds || !Array.isArray(S.meta.unlockedSpeeds)) {
-    if (!S.meta) S.meta = {};
-    S.meta.unlockedSpeeds = [...BASE_SPEEDS_ALWAYS_AVAILABLE];
-  }
-  
-  // Inject base speeds unconditionally (never rely on unlock arrays for these)
-  BASE_SPEEDS_ALWAYS_AVAILABLE.forEach(speed => {
-    if (!S.meta.unlockedSpeeds.includes(speed)) {
-      S.meta.unlockedSpeeds.push(speed);
-    }
-  });
-  
-  // De-duplicate and sort
-  S.meta.unlockedSpeeds = [...new Set(S.meta.unlockedSpeeds)].sort((a, b) => a - b);
+  Engine.validateTimeSpeedSystem(S);
   
   if (DEBUG_MODE) {
     console.log('[Time Speed] Initialized with speeds:', S.meta.unlockedSpeeds);
@@ -2820,60 +1688,26 @@ function validateTimeSpeedSystem() {
 
 // Time speed management functions
 function getAvailableSpeeds(){
-  // Return permanently unlocked speeds from meta
-  // Ensure system is initialized
-  if(!S.meta?.unlockedSpeeds || !Array.isArray(S.meta.unlockedSpeeds)) {
-    return [...BASE_SPEEDS_ALWAYS_AVAILABLE]; // Fallback base speeds
-  }
-  
-  // Always inject base speeds (defensive - should be done by validateTimeSpeedSystem)
-  const speeds = [...S.meta.unlockedSpeeds];
-  BASE_SPEEDS_ALWAYS_AVAILABLE.forEach(speed => {
-    if (!speeds.includes(speed)) speeds.push(speed);
-  });
-  
-  // Sort and de-duplicate
-  return [...new Set(speeds)].sort((a, b) => a - b);
+  return Engine.getAvailableSpeeds(S);
 }
 
 // Check if new speeds should be unlocked based on realm progression
 function checkAndUnlockSpeeds(){
-  // Use SPEEDS_CONFIG for ID-driven unlocks
-  SPEEDS_CONFIG.forEach(config => {
-    const requiredRealmIndex = idx(config.unlockAt);
-    
-    // Skip if realm ID not found
-    if (requiredRealmIndex === -1) {
-      if (DEBUG_MODE) {
-        console.warn(`[Time Speed] Unknown realm ID: ${config.unlockAt}`);
-      }
-      return;
-    }
+  notifySpeedUnlocks(Engine.unlockSpeedsForRealm(S));
+}
+
+/**
+ * Show unlock notifications for speeds the engine just unlocked
+ * @param {number[]} speeds - Newly unlocked speeds (base speeds excluded)
+ */
+function notifySpeedUnlocks(speeds) {
+  speeds.forEach(speed => {
+    showSpeedUnlockToast(speed);
     
-    // Check if player has reached required realm
-    if (S.realmIndex >= requiredRealmIndex && !S.meta.unlockedSpeeds.includes(config.speed)) {
-      S.meta.unlockedSpeeds.push(config.speed);
-      
-      // Show unlock notification (skip base speeds)
-      if (!BASE_SPEEDS_ALWAYS_AVAILABLE.includes(config.speed)) {
-        showSpeedUnlockToast(config.speed);
-      }
-      
-      if (DEBUG_MODE) {
-        console.log(`[Time Speed] Unlocked ${config.speed}× at ${realms[S.realmIndex].name}`);
-      }
-    }
-  });
-  
-  // Always ensure base speeds are present (defensive)
-  BASE_SPEEDS_ALWAYS_AVAILABLE.forEach(speed => {
-    if (!S.meta.unlockedSpeeds.includes(speed)) {
-      S.meta.unlockedSpeeds.push(speed);
+    if (DEBUG_MODE) {
+      console.log(`[Time Speed] Unlocked ${speed}× at ${realms[S.realmIndex].name}`);
     }
   });
-  
-  // De-duplicate and sort
-  S.meta.unlockedSpeeds = [...new Set(S.meta.unlockedSpeeds)].sort((a, b) => a - b);
 }
 
 /**
@@ -2927,7 +1761,7 @@ function setTimeSpeed(speed){
  * Use this everywhere for consistent time scaling
  */
 function getTimeSpeed() {
-  return S.timeSpeed.paused ? 0 : S.timeSpeed.current;
+  return Engine.getTimeSpeed(S);
 }
 
 /**
@@ -2939,68 +1773,74 @@ function getCurrentTimeMultiplier(){
 }
 
 function canBreakthrough(){
-  const req = stageRequirement(S.realmIndex, S.stage);
-  if(S.qi < req) return false;
-  
-  // Check for Spirit Transformation gate (use ID-based lookup)
-  const ST_INDEX = idx('spirit_transformation');
-  if(S.realmIndex === ST_INDEX && S.stage === 10 && !S.flags?.unlockedBeyondSpirit) {
-    return true; // Can breakthrough to trigger the gate modal
-  }
-  
-  return true;
+  return Engine.canBreakthrough(S);
 }
 
 function doBreakthrough(){
-  const req = stageRequirement(S.realmIndex, S.stage);
-  if(S.qi < req) return;
-  S.qi -= req;
+  handleBreakthroughOutcome(Engine.doBreakthrough(S));
+}
+
+/**
+ * Show the UI that follows a breakthrough (gates, cycle transitions, realm entry)
+ * Shared by the breakthrough button and auto-breakthrough
+ * @param {Object} outcome - Result of Engine.doBreakthrough
+ */
+function handleBreakthroughOutcome(outcome){
+  if (outcome.type === 'gate') {
+    // Last stage of a cycle whose successor is still sealed (e.g. Spirit Transformation 10/10)
+    showCycleGate(outcome.cycle);
+    return;
+  }
   
-  if(S.stage < 10){
-    S.stage++;
-  } else {
-    // Check for Spirit Transformation gate (use ID-based lookup)
-    const ST_INDEX = idx('spirit_transformation');
-    if(S.realmIndex === ST_INDEX && !S.flags.unlockedBeyondSpirit) {
-      showSpiritTransformationGate();
-      return;
-    }
-    
-    // Check for cycle end before advancing to next realm
-    if(isAtCycleEnd()){
-      triggerCycleTransition();
-      return;
-    }
-    
-    if(S.realmIndex < realms.length-1){
-      const wasSpritTransformation = S.realmIndex === ST_INDEX;
-      S.realmIndex++; S.stage = 1;
-      S.qpcBase += BAL.progression.realmAdvanceReward.qpcBaseAdd; 
-      S.qpsBase += BAL.progression.realmAdvanceReward.qpsBaseAdd;
-      if (S.realmIndex === idx('qi_refining')) {
-        S.qpsBase = 1;
-      } else {
-        enforceQiRefiningQpsBaseline();
-      }
-      updateLifespanOnRealmAdvance(); // restore lifespan on realm advancement
-      updateCurrentCycle(); // Update cycle when moving to new realm
-      checkAndUnlockSpeeds(); // Check for new time-speed unlocks
-      
-      // Show special message when advancing to celestial realms after unlocking transcendence
-      const VR_INDEX = idx('void_refining');
-      if(wasSpritTransformation && S.flags.unlockedBeyondSpirit && S.realmIndex === VR_INDEX) {
-        setTimeout(() => {
-          showModal(
-            '🌟 Celestial Cycle Begins',
-            'You have transcended beyond mortal limitations and entered the Celestial Cycle! Your cultivation now follows the celestial path of divine realms.',
-            '🌌'
-          );
-        }, 500);
-      }
-    } else {
-      // Final ascension at Void Lord Stage 10
-      triggerCycleTransition();
-    }
+  if (outcome.type === 'cycle_end') {
+    // End of the current cycle (including final ascension at Void Lord)
+    triggerCycleTransition();
+    return;
+  }
+  
+  if (outcome.type !== 'realm') return;
+  
+  notifyCycleTransition(outcome.previousCycle); // Toast on entering a later cycle
+  notifySpeedUnlocks(outcome.unlockedSpeeds); // Toast new time-speed unlocks
+  queueCutsceneSequence(realmEntryCutscenes(outcome.to)); // Realm-specific cutscene from balance.json, if any
+  
+  // Show special message when advancing into a new cycle after passing its gate
+  const cycle = getCurrentCycle();
+  if (outcome.previousCycle !== S.currentCycle && cycle.enterMessage) {
+    setTimeout(() => {
+      showModal(`🌟 ${cycle.name} Begins`, cycle.enterMessage, '🌌');
+    }, 500);
+  }
+}
+
+/**
+ * Describe calendar multipliers for a tooltip ("Qi/s +50%, breakthrough cost -20%")
+ * @param {Object} mods - { qpsMult, qpcMult, breakthroughCostMult }
+ * @returns {string} Effects joined by commas, or "no effect"
+ */
+function calendarEffectsText(mods) {
+  const labels = { qpsMult: 'Qi/s', qpcMult: 'Qi/click', breakthroughCostMult: 'breakthrough cost' };
+  const parts = Object.keys(labels)
+    .filter(key => mods[key] !== 1)
+    .map(key => {
+      const pct = Math.round((mods[key] - 1) * 100);
+      return `${labels[key]} ${pct > 0 ? '+' : ''}${pct}%`;
+    });
+  return parts.length ? parts.join(', ') : 'no effect';
+}
+
+/**
+ * Toast the start or end of a spiritual tide
+ * @param {Object} date - Engine.calendarDate(S) after the change
+ */
+function notifyTideChange(date) {
+  const tide = BAL.calendar.tide;
+  showToast(date.tide.active
+    ? `🌊 The ${tide.name} rises: ${calendarEffectsText(tide)} for ${formatYears(date.tide.yearsLeft, true)}.`
+    : `🌊 The ${tide.name} ebbs away. The next returns in ${formatYears(date.tide.yearsLeft, true)}.`);
+  
+  if (DEBUG_MODE) {
+    console.log(`[Calendar] ${tide.name} ${date.tide.active ? 'began' : 'ended'} in year ${date.year}`);
   }
 }
 
@@ -3014,24 +1854,63 @@ function tick(rawDt, speed){
   // Guard against ticking while death modal is being handled
   if(isHandlingDeath) return;
   
-  // QI GAINS: Use raw dt (real elapsed time), NO speed multiplication
-  // Time speed does NOT affect Qi accumulation rate
-  const qps = totalQPS();
-  const gain = qps * rawDt; // No speed factor, no turbo - pure wall-clock time
-  
-  safeAddQi(gain);
-  S.reinc.lifetimeQi = safeNum(S.reinc.lifetimeQi + gain, 0);
+  // QI GAINS: Engine.advance uses raw dt (real elapsed time), NO speed multiplication
+  // LIFESPAN AGING: rawDt × speed - time speed affects ONLY aging
+  const tideBefore = Engine.calendarDate(S).tide.active;
+  const { died } = Engine.advance(S, rawDt, speed);
+  if (died) {
+    handleLifespanEnd();
+    return; // Exit early after triggering death
+  }
   
-  // LIFESPAN AGING: Apply time speed multiplier
-  // Time speed affects ONLY aging, making you age faster/slower
-  const dtForLifespan = rawDt * speed;
-  tickLifespan(dtForLifespan);
+  const date = Engine.calendarDate(S);
+  if (date.tide.active !== tideBefore) notifyTideChange(date);
   
   // Check for lifespan gate after aging
   checkLifespanGate();
   
-  // Exit early if death was triggered during lifespan tick
-  if(S.lifecycle?.isReincarnating) return;
+  // Automation runs on its own interval rather than every frame
+  automationTimer += rawDt;
+  if (automationTimer >= AUTOMATION_INTERVAL) {
+    automationTimer = 0;
+    runAutomation();
+  }
+}
+
+// ============= AUTOMATION =============
+
+const AUTOMATION_INTERVAL = 0.5; // Seconds of real time between automation passes
+let automationTimer = 0;
+
+/**
+ * Apply the player's automation rules (see Engine.runAutomation) and show the results
+ * @returns {Object} { ranks, techniques, breakthroughs, reincarnated }
+ */
+function runAutomation(){
+  const result = Engine.runAutomation(S);
+  const summary = {
+    ranks: result.bought.filter(r => !r.oneTime).reduce((sum, r) => sum + r.qty, 0),
+    techniques: result.bought.filter(r => r.oneTime).length,
+    breakthroughs: result.outcomes.length,
+    reincarnated: false
+  };
+  
+  result.outcomes.forEach(handleBreakthroughOutcome);
+  achievementState.totalPurchases += summary.ranks;
+  if (summary.techniques > 0) unlockAchievement('first_technique');
+  
+  if (result.reincarnate) {
+    if (S.life) S.life.isCleanRun = false;
+    doReincarnate({ mode: 'voluntary', auto: true });
+    summary.reincarnated = true;
+  } else if (result.bought.length || result.outcomes.length) {
+    markDirty('stats', 'realm', 'shop', 'panels'); // Drawn by the render loop, not once per automation pass
+  }
+  
+  if (DEBUG_MODE && (result.bought.length || result.outcomes.length || result.reincarnate)) {
+    console.log('[Automation]', summary);
+  }
+  return summary;
 }
 
 function onClick(){
@@ -3045,12 +1924,11 @@ function onClick(){
   
   // QI GAINS FROM CLICKS: Speed-independent, no time multiplier
   // Click power is based ONLY on cultivation level (totalQPC), not time speed
-  const gain = totalQPC();
-  safeAddQi(gain);
-  S.reinc.lifetimeQi = safeNum(S.reinc.lifetimeQi + gain, 0);
+  const gain = Engine.click(S); // Also counts the click for this life's lineage entry
   
   // Track clicks for achievements
   achievementState.totalClicks++;
+  markDirty('stats', 'realm', 'shopButtons');
   
   flashNumber('+'+fmt(gain));
   
@@ -3349,6 +2227,15 @@ const ACHIEVEMENTS = [
     hiddenUntilUnlocked: false,
     requirement: ({ spiritCycleComplete }) => spiritCycleComplete === true
   },
+  {
+    id: "divine_ascension",
+    title: "Divine Ascension",
+    description: "Complete the Divine Cycle and stand above the gods.",
+    icon: "👑",
+    category: "Progression",
+    hiddenUntilUnlocked: false,
+    requirement: ({ divineCycleComplete }) => divineCycleComplete === true
+  },
   {
     id: "break_mortal_shackles",
     title: "Break the Mortal Shackles",
@@ -3367,7 +2254,7 @@ const ACHIEVEMENTS = [
     icon: "🌌",
     category: "Impossible",
     hiddenUntilUnlocked: true,
-    requirement: ({ qi }) => qi >= 1e100
+    requirement: ({ qi }) => Big.from(qi).gte(1e100)
   },
   {
     id: "eternal_clicker",
@@ -3453,14 +2340,23 @@ const ACHIEVEMENTS = [
   }
 ];
 
-// Unlocked feature requirements (using ID-based realm lookups)
-const UNLOCKS = {
-  speed_2x: { requirement: ({ realmIndex }) => realmIndex >= idx('golden_core'), text: "Reach Golden Core realm to unlock 2× time flow." },
-  speed_4x: { requirement: ({ realmIndex }) => realmIndex >= idx('spirit_transformation'), text: "Reach Spirit Transformation realm to unlock 4× time flow." },
-  speed_6x: { requirement: ({ realmIndex }) => realmIndex >= idx('body_integration'), text: "Reach Body Integration realm to unlock 6× time flow." },
-  speed_8x: { requirement: ({ realmIndex }) => realmIndex >= idx('tribulation_transcendence'), text: "Reach Tribulation Transcendence realm to unlock 8× time flow." },
-  speed_10x: { requirement: ({ realmIndex }) => realmIndex >= idx('void_lord'), text: "Reach Void Lord realm to unlock 10× time flow." }
-};
+/**
+ * Unlocked feature requirements, derived from the realm table (unlockSpeeds in balance.json)
+ * Keys look like speed_2x; realm lookups are ID-based so reordering realms stays safe.
+ * @returns {Object} featureId → { requirement(ctx), text }
+ */
+function getUnlocks() {
+  const unlocks = {};
+  SPEEDS_CONFIG.forEach(config => {
+    if (BASE_SPEEDS_ALWAYS_AVAILABLE.includes(config.speed)) return;
+    const realmName = realmById(config.unlockAt)?.name || 'Unknown Realm';
+    unlocks[`speed_${config.speed}x`] = {
+      requirement: ({ realmIndex }) => realmIndex >= idx(config.unlockAt),
+      text: `Reach ${realmName} realm to unlock ${config.speed}× time flow.`
+    };
+  });
+  return unlocks;
+}
 
 // Achievement state management
 let achievementState = loadAchievementState(activeSlot);
@@ -3472,7 +2368,9 @@ function createDefaultAchievementState() {
     totalPurchases: 0,
     achievementsPanelOpened: false,
     cycleTransitions: 0,
+    mortalCycleComplete: false,
     spiritCycleComplete: false,
+    divineCycleComplete: false,
     voluntaryReincarnations: 0,
     forcedReincarnationCount: 0
   };
@@ -3544,6 +2442,7 @@ function checkAchievements(context = {}) {
     achievementsPanelOpened: achievementState.achievementsPanelOpened,
     cycleTransitions: achievementState.cycleTransitions || 0,
     spiritCycleComplete: achievementState.spiritCycleComplete || false,
+    divineCycleComplete: achievementState.divineCycleComplete || false,
     unlockedBeyondSpirit: S.flags?.unlockedBeyondSpirit || false,
     voluntaryReincarnations: achievementState.voluntaryReincarnations || 0,
     ...context // Override with any specific context passed in
@@ -3582,6 +2481,7 @@ function revalidateRealmAchievements() {
         currentCycle: S.currentCycle,
         cycleTransitions: achievementState.cycleTransitions || 0,
         spiritCycleComplete: achievementState.spiritCycleComplete || false,
+        divineCycleComplete: achievementState.divineCycleComplete || false,
         unlockedBeyondSpirit: S.flags?.unlockedBeyondSpirit || false
       };
       
@@ -3670,7 +2570,7 @@ function updateAchievementsBadge() {
 }
 
 function showLockedPopup(featureId) {
-  const unlock = UNLOCKS[featureId];
+  const unlock = getUnlocks()[featureId];
   if (!unlock) return;
   
   const ctx = { realmIndex: S.realmIndex, stage: S.stage };
@@ -3925,6 +2825,23 @@ function closeAllModals() {
 
 // ============= OFFLINE PROGRESS & SESSION MANAGEMENT =============
 
+const CLOCK_CHECK_INTERVAL_MS = 1000;
+let clockMonoLast = null; // performance.now() at the last clock check, null at session start
+
+/**
+ * Compare the wall clock with the monotonic clock once a second during play
+ * (Engine.observeClock records jumps and keeps the save's latest wall time)
+ */
+function watchClock() {
+  const mono = performance.now();
+  if (clockMonoLast !== null && mono - clockMonoLast < CLOCK_CHECK_INTERVAL_MS) return;
+  const jump = Engine.observeClock(S, Date.now(), clockMonoLast === null ? null : mono - clockMonoLast);
+  clockMonoLast = mono;
+  if (jump?.kind === 'backward' && BAL.clock.policy !== 'ignore') {
+    showToast(`⏱️ System clock moved back ${fmtDuration(jump.seconds)}. Offline time resumes once it catches up.`);
+  }
+}
+
 /**
  * Updates in-memory session snapshot metadata.
  * This is persisted only on manual save.
@@ -3990,15 +2907,19 @@ async function applyOfflineProgressOnResume({ showPopup = true } = {}) {
   
   const lastSpeed = S.session.lastSpeed || 0;
   
+  // Time away under the balance.json clock policy (a clock moved back is caught here)
+  const away = Engine.measureTimeAway(S, S.session.lastTs, Date.now());
+  if (away.jump && away.policy !== 'ignore') {
+    showToast(`⏱️ System clock is ${fmtDuration(away.jump.seconds)} behind this save. Offline time resumes once it catches up.`);
+  }
+  
   // If game was paused (speed = 0), no offline gains
   if (lastSpeed <= 0) {
     S.session = null; // Clear snapshot
     return;
   }
   
-  // Calculate elapsed time
-  const elapsedMs = Date.now() - S.session.lastTs;
-  const elapsedSec = Math.max(0, Math.floor(elapsedMs / 1000));
+  const elapsedSec = away.seconds;
   
   // No meaningful time passed
   if (elapsedSec < 1) {
@@ -4007,35 +2928,7 @@ async function applyOfflineProgressOnResume({ showPopup = true } = {}) {
   }
   
   // Cap offline time
-  const cappedSec = Math.min(elapsedSec, BAL.offline.capHours * 3600);
-  
-  // IMPORTANT: Qi gains do NOT scale with speed (speed is a live-only concept)
-  // Offline Qi = base production × time × offline multiplier (no speed)
-  const qpsProduction = totalQPS();
-  const offlineMultiplier = totalOfflineMult();
-  const qiGains = qpsProduction * cappedSec * offlineMultiplier;
-  
-  // Aging DOES scale with speed (time passes faster at higher speeds)
-  const effectiveTimeForAging = cappedSec * lastSpeed;
-  const baseYearsPerSecond = BAL.lifespan?.yearsPerSecond || 1.0;
-  const yearsPassed = effectiveTimeForAging * baseYearsPerSecond;
-  
-  // Apply gains with offline karma bonus
-  if (qiGains > 0) {
-    safeAddQi(qiGains);
-    
-    // Offline Karma Bonus: Boost lifetime Qi contribution for offline gains
-    // This encourages longer offline sessions and rewards patience
-    const offlineKarmaBonus = BAL.reincarnation?.offlineKarmaBonus || 1.0;
-    const bonusMultiplier = Math.max(1.0, offlineKarmaBonus);
-    const lifetimeContribution = qiGains * bonusMultiplier;
-    
-    S.reinc.lifetimeQi = safeNum(S.reinc.lifetimeQi + lifetimeContribution, 0);
-    
-    if (DEBUG_MODE) {
-      console.log(`[Offline] Karma bonus applied: ${bonusMultiplier.toFixed(2)}× → ${fmt(lifetimeContribution)} lifetime Qi`);
-    }
-  }
+  const cappedSec = Math.min(elapsedSec, Engine.offlineCapHours(S) * 3600);
   
   // Age the cultivator (migrate old ageYears if needed)
   if(S.age === undefined && S.ageYears !== undefined) {
@@ -4046,54 +2939,48 @@ async function applyOfflineProgressOnResume({ showPopup = true } = {}) {
     S.age = 0;
   }
   
-  let lifespanExceeded = false;
-  if (!isImmortal() && S.lifespan?.max !== null) {
-    const oldAge = S.age;
-    const newAge = oldAge + yearsPassed;
-    
-    // Guard against NaN/Infinity
-    if(!isFinite(newAge)) {
-      console.warn('Offline age calculation resulted in non-finite value');
-      S.age = oldAge; // Keep old value
-    } else {
-      // Clamp age to max lifespan
-      S.age = Math.max(0, Math.min(newAge, S.lifespan.max));
-      
-      // Update current lifespan for backwards compatibility
-      S.lifespan.current = Math.max(0, S.lifespan.max - S.age);
-      
-      // Check if lifespan exceeded
-      if (S.age >= S.lifespan.max) {
-        lifespanExceeded = true;
-      }
-    }
-  } else if (!isImmortal()) {
-    // Just increase age for non-immortals without max
-    S.age += yearsPassed;
+  // Replay the absence through the engine in coarse steps:
+  // - Qi = Qi/s × offline multiplier per step (no speed), lifetime Qi gets offlineKarmaBonus
+  // - Aging DOES scale with speed (time passes faster at higher speeds)
+  // - Breakthroughs, automation rules, old-age death and rebirth happen along the way
+  const speedsBefore = [...(S.meta?.unlockedSpeeds || [])];
+  const achievementsBefore = new Set(Object.keys(achievementState.unlocked || {}));
+  const snapshot = lifeSnapshot(); // Becomes a reincarnation backup if the replay ends this life
+  const replay = Engine.advanceOffline(S, cappedSec, { speed: lastSpeed });
+  S = replay.state;
+  if (replay.deaths + replay.reincarnations > 0) {
+    const firstRebirth = replay.events.find(e => e.type === 'death' || e.type === 'reincarnate');
+    backupBeforeReincarnation(firstRebirth?.type === 'reincarnate' ? 'voluntary' : 'death', snapshot);
   }
   
+  // Clear session snapshot (prevent double-counting)
+  S.session = null;
+  
+  applyOfflineAchievements(replay);
+  notifySpeedUnlocks((S.meta?.unlockedSpeeds || []).filter(speed => !speedsBefore.includes(speed)));
+  
   // Track offline hours for achievements
   const offlineHours = cappedSec / 3600;
   checkAchievements({ offlineHours });
   
-  // Clear session snapshot (prevent double-counting)
-  S.session = null;
+  // Keep a structured report in the save for later review
+  const report = Engine.buildOfflineReport(replay, {
+    elapsedSec,
+    cappedSec,
+    speed: lastSpeed,
+    achievements: Object.keys(achievementState.unlocked || {}).filter(id => !achievementsBefore.has(id)),
+    clock: away
+  });
+  Engine.recordOfflineReport(S, report);
   
-  // If lifespan exceeded, trigger death immediately (don't show gains modal)
-  if (lifespanExceeded) {
-    checkLifespanGate(); // This will show death modal
-    return;
+  if (DEBUG_MODE) {
+    console.log(`[Offline] Replayed ${replay.seconds}s of ${elapsedSec}s: +${fmt(replay.qiGained)} Qi, ${replay.breakthroughs} breakthroughs, ${replay.deaths} deaths, ${replay.events.length} events`);
   }
   
-  // Show offline gains modal (only if not dead and showPopup = true)
-  if (showPopup && qiGains > 0) {
-    const hoursFormatted = fmt(cappedSec / 3600);
-    const qiFormatted = fmt(Math.floor(qiGains));
-    const yearsFormatted = formatYears(yearsPassed, true); // Includes "years" unit
-    const offlineMultFormatted = fmt(offlineMultiplier);
-    const currentRealm = realms[S.realmIndex]?.name || 'Unknown Realm';
-    const speedFormatted = fmt(lastSpeed);
-    
+  renderAll();
+  
+  // Show offline report with the timeline of what happened
+  if (showPopup && (replay.qiGained.sign() > 0 || replay.events.length > 0)) {
     let lifespanStatus;
     if (isImmortal()) {
       lifespanStatus = '<strong>Age:</strong> ∞ Immortal';
@@ -4105,14 +2992,8 @@ async function applyOfflineProgressOnResume({ showPopup = true } = {}) {
     }
     
     const message = `
-      <div style="text-align: left; margin: 8px 0;">
-        <div><strong>Qi Gained:</strong> <span class="highlight">+${qiFormatted}</span></div>
-        <div><strong>Offline Multiplier:</strong> ×${offlineMultFormatted}</div>
-        <div><strong>Time Passed:</strong> ${yearsFormatted} (${hoursFormatted}h real-time)</div>
-        <div><strong>Time Speed Used:</strong> ${speedFormatted}×</div>
-        <div><strong>Current Realm:</strong> ${currentRealm}</div>
-        <div>${lifespanStatus}</div>
-      </div>
+      ${offlineReportHTML(report)}
+      <div style="text-align: left;">${lifespanStatus}</div>
       <br><em style="color: var(--muted);">Your cultivation continued in silence, and the Dao answered.</em>
     `;
     
@@ -4120,6 +3001,380 @@ async function applyOfflineProgressOnResume({ showPopup = true } = {}) {
   }
 }
 
+/**
+ * Apply the achievement bookkeeping for everything that happened offline
+ * (mirrors buySkill, doReincarnate and performDeathReincarnation)
+ * @param {Object} replay - Result of Engine.advanceOffline
+ */
+function applyOfflineAchievements(replay) {
+  achievementState.totalPurchases += replay.ranks;
+  if (replay.techniques > 0) unlockAchievement('first_technique');
+  
+  if (replay.deaths > 0) {
+    unlockAchievement('death_and_return');
+    achievementState.forcedReincarnationCount = (achievementState.forcedReincarnationCount || 0) + replay.deaths;
+  }
+  if (replay.reincarnations > 0) {
+    achievementState.voluntaryReincarnations = (achievementState.voluntaryReincarnations || 0) + replay.reincarnations;
+    unlockAchievement('first_voluntary_reincarnation');
+  }
+}
+
+/**
+ * Format a duration as "2h 05m" / "4m 10s"
+ * @param {number} sec - Seconds
+ * @returns {string}
+ */
+function fmtDuration(sec) {
+  const total = Math.max(0, Math.round(sec));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m ${String(s).padStart(2, '0')}s`;
+}
+
+const OFFLINE_TIMELINE_MAX = 12; // Timeline entries shown per offline report
+
+/**
+ * Render a saved offline report (see Engine.buildOfflineReport)
+ * @param {Object} report - Offline report
+ * @returns {string} HTML
+ */
+function offlineReportHTML(report) {
+  const position = (p) => p ? `${realms[p.realm]?.name || 'Unknown Realm'} ${p.stage}/${stageCount(p.realm)}` : '—';
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  
+  const timeAway = report.capHit
+    ? `${fmtDuration(report.elapsedSec)} <span class="offline-flag">capped at ${fmtDuration(report.cappedSec)}</span>`
+    : fmtDuration(report.elapsedSec);
+  
+  const bonus = Engine.Big.from(report.lifetimeQiBonus);
+  const lifetimeText = `+${fmt(Engine.Big.from(report.lifetimeQiGained).floor())}` +
+    (bonus.sign() > 0 ? ` <span class="small muted">(incl. +${fmt(bonus.floor())} offline karma bonus)</span>` : '');
+  
+  const progress = `${position(report.from)} → ${position(report.to)}` +
+    (report.stages || report.realms ? ` <span class="small muted">(${plural(report.stages, 'stage')}, ${plural(report.realms, 'realm')})</span>` : '');
+  
+  const purchases = [
+    report.ranks ? plural(report.ranks, 'skill rank') : '',
+    report.techniques ? plural(report.techniques, 'technique') : ''
+  ].filter(Boolean).join(', ');
+  
+  const achievements = (report.achievements || [])
+    .map(id => ACHIEVEMENTS.find(a => a.id === id))
+    .filter(Boolean)
+    .map(a => `${a.icon} ${a.title}`)
+    .join(', ');
+  
+  const deathText = report.deaths ? `<span class="offline-flag danger">☠️ ${plural(report.deaths, 'death')}</span>` : 'None';
+  
+  return `
+    <div class="offline-report">
+      <div><strong>Time Away:</strong> ${timeAway}</div>
+      ${report.clock ? `<div><span class="offline-flag danger">⏱️ ${clockFlagText(report.clock)}</span></div>` : ''}
+      <div><strong>Qi Gained:</strong> <span class="highlight">+${fmt(Engine.Big.from(report.qiGained).floor())}</span></div>
+      <div><strong>Lifetime Qi:</strong> ${lifetimeText}</div>
+      <div><strong>Years Aged:</strong> ${formatYears(report.yearsAged, true)} <span class="small muted">at ${fmt(report.speed)}× speed</span></div>
+      <div><strong>Progress:</strong> ${progress}</div>
+      ${purchases ? `<div><strong>Automation Bought:</strong> ${purchases}</div>` : ''}
+      ${report.reincarnations ? `<div><strong>Reincarnations:</strong> ${report.reincarnations}</div>` : ''}
+      <div><strong>Deaths:</strong> ${deathText}</div>
+      ${achievements ? `<div><strong>Achievements:</strong> ${achievements}</div>` : ''}
+      ${offlineTimelineHTML(report)}
+    </div>`;
+}
+
+/**
+ * Explain how a suspicious clock changed the time counted for a report
+ * @param {Object} clock - report.clock
+ * @returns {string}
+ */
+function clockFlagText(clock) {
+  const counted = clock.capped
+    ? `capped at ${fmtDuration(BAL.clock.suspiciousCapHours * 3600)}`
+    : 'counted from the latest time this save has seen';
+  return `System clock was moved back recently; time away ${counted} (clock showed ${fmtDuration(clock.rawSec)})`;
+}
+
+/**
+ * Build the timeline of notable offline events (realms, gates, deaths, rebirths)
+ * Stage breakthroughs are only counted in the summary above it
+ * @param {Object} report - Offline report
+ * @returns {string} HTML ('' when nothing notable happened)
+ */
+function offlineTimelineHTML(report) {
+  const entries = (report.events || []).map(e => {
+    const at = `+${fmtDuration(e.t)}`;
+    switch (e.type) {
+      case 'realm':
+        return `${at} — 🌟 Entered <strong>${realms[e.realm]?.name || 'Unknown Realm'}</strong>`;
+      case 'gate':
+        return `${at} — ⚡ ${Engine.getCycleDef(e.cycle)?.gate?.title || 'A Heavenly Gate'} awaits you`;
+      case 'death':
+        return `${at} — ☠️ Died of old age at ${formatYears(e.age, true)} (+${fmt(e.karma)} Karma)`;
+      case 'reincarnate':
+        return `${at} — ♻️ Auto-reincarnated (+${fmt(e.karma)} Karma)`;
+      default:
+        return null;
+    }
+  }).filter(Boolean);
+  
+  if (report.endedEarly) {
+    entries.push(`+${fmtDuration(report.replayedSec)} — 🕯️ Your new life cannot cultivate without you; the rest of the time passed in stillness`);
+  }
+  if (!entries.length) return '';
+  
+  const hidden = Math.max(0, entries.length - OFFLINE_TIMELINE_MAX);
+  const shown = entries.slice(-OFFLINE_TIMELINE_MAX);
+  return `
+    <div class="offline-timeline">
+      <div><strong>Timeline</strong></div>
+      ${hidden ? `<div class="small muted">… ${hidden} earlier event${hidden === 1 ? '' : 's'}</div>` : ''}
+      ${shown.map(line => `<div class="small">${line}</div>`).join('')}
+    </div>`;
+}
+
+/**
+ * Show the saved offline reports, newest first
+ */
+function showOfflineReports() {
+  const reports = Engine.getOfflineReports(S);
+  const body = reports.length
+    ? reports.map(report => `
+        <div class="offline-report-entry">
+          <div class="small muted">${new Date(report.at).toLocaleString()}</div>
+          ${offlineReportHTML(report)}
+        </div>`).join('')
+    : '<div class="small muted">No offline sessions recorded yet. Reports appear after you return from time away.</div>';
+  
+  showModal('📜 Away Reports', `<div class="offline-reports">${body}</div>`, '📜');
+}
+
+// ============= STATISTICS =============
+// Line charts of the progress history the engine samples into meta.history
+// (see Engine HISTORY). Charts are SVG strings so they drop straight into a modal.
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_PAD = { left: 52, right: 8, top: 8, bottom: 16 };
+
+const fmtLog = (y) => fmt(Big.fromLog10(y));
+const fmtRealmProgress = (y) => realms[Math.min(realms.length - 1, Math.max(0, Math.floor(y)))]?.name || '';
+
+/**
+ * Draw series as an SVG line chart
+ * @param {Array} series - [{ label, cls, points: [[x, y], ...] }]; a null y breaks the line
+ * @param {Object} options - { formatX, formatY, markers } (markers: x values drawn as dashed lines)
+ * @returns {string} HTML
+ */
+function lineChartSVG(series, { formatX = String, formatY = String, markers = [] } = {}) {
+  const all = series.flatMap(s => s.points).filter(([, y]) => y !== null);
+  if (all.length < 2) return '<div class="small muted">Not enough samples yet.</div>';
+  
+  const xs = all.map(([x]) => x);
+  const ys = all.map(([, y]) => y);
+  let [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  if (x1 === x0) x1 = x0 + 1;
+  if (y1 === y0) { y0 -= 1; y1 += 1; }
+  
+  const w = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right;
+  const h = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+  const px = (x) => (CHART_PAD.left + (x - x0) / (x1 - x0) * w).toFixed(1);
+  const py = (y) => (CHART_PAD.top + (1 - (y - y0) / (y1 - y0)) * h).toFixed(1);
+  
+  const lines = series.map(s => {
+    let d = '';
+    let penDown = false;
+    for (const [x, y] of s.points) {
+      if (y === null) { penDown = false; continue; }
+      d += `${penDown ? 'L' : 'M'}${px(x)},${py(y)}`;
+      penDown = true;
+    }
+    return d ? `<path class="chart-line ${s.cls}" d="${d}" />` : '';
+  }).join('');
+  
+  const markerLines = markers.filter(x => x > x0 && x < x1)
+    .map(x => `<line class="chart-marker" x1="${px(x)}" x2="${px(x)}" y1="${CHART_PAD.top}" y2="${CHART_PAD.top + h}" />`).join('');
+  
+  const bottom = CHART_HEIGHT - 4;
+  const axis = `
+    <line class="chart-axis-line" x1="${CHART_PAD.left}" x2="${CHART_PAD.left}" y1="${CHART_PAD.top}" y2="${CHART_PAD.top + h}" />
+    <line class="chart-axis-line" x1="${CHART_PAD.left}" x2="${CHART_PAD.left + w}" y1="${CHART_PAD.top + h}" y2="${CHART_PAD.top + h}" />
+    <text class="chart-label" x="${CHART_PAD.left - 4}" y="${CHART_PAD.top + 8}" text-anchor="end">${escapeHTML(formatY(y1))}</text>
+    <text class="chart-label" x="${CHART_PAD.left - 4}" y="${CHART_PAD.top + h}" text-anchor="end">${escapeHTML(formatY(y0))}</text>
+    <text class="chart-label" x="${CHART_PAD.left}" y="${bottom}">${escapeHTML(formatX(x0))}</text>
+    <text class="chart-label" x="${CHART_PAD.left + w}" y="${bottom}" text-anchor="end">${escapeHTML(formatX(x1))}</text>`;
+  
+  const legend = series.length > 1
+    ? `<div class="chart-legend">${series.map(s => `<span class="${s.cls}">● ${s.label}</span>`).join('')}</div>`
+    : '';
+  
+  return `
+    <svg class="stats-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHTML(series.map(s => s.label).join(', '))}">
+      ${axis}${markerLines}${lines}
+    </svg>${legend}`;
+}
+
+/**
+ * The current moment as a history sample (not stored), so charts reach "now"
+ */
+function liveHistorySample() {
+  const history = Engine.getHistory(S);
+  const log = (x) => {
+    const v = Big.from(x);
+    return v.sign() > 0 ? v.log10() : null;
+  };
+  return {
+    t: history.elapsed,
+    life: history.life,
+    realm: S.realmIndex,
+    stage: S.stage,
+    age: S.age || 0,
+    qi: log(S.qi),
+    qps: log(totalQPS()),
+    qpc: log(totalQPC())
+  };
+}
+
+const realmProgressOf = (s) => s.realm + (s.stage - 1) / stageCount(s.realm);
+
+/**
+ * Charts for one life (x = played time since the life's first sample)
+ */
+function lifeChartsHTML(life) {
+  const samples = Engine.getHistorySamples(S, { life });
+  if (life === Engine.getHistory(S).life) samples.push(liveHistorySample());
+  if (!samples.length) return '<div class="small muted">No samples kept for this life.</div>';
+  
+  const start = samples[0].t;
+  const points = (pick) => samples.map(s => [s.t - start, pick(s)]);
+  return `
+    <h4>Qi/s and Qi/click</h4>
+    ${lineChartSVG([
+      { label: 'Qi/s', cls: 'chart-qps', points: points(s => s.qps) },
+      { label: 'Qi/click', cls: 'chart-qpc', points: points(s => s.qpc) }
+    ], { formatX: fmtDuration, formatY: fmtLog })}
+    <h4>Qi</h4>
+    ${lineChartSVG([{ label: 'Qi', cls: 'chart-qi', points: points(s => s.qi) }], { formatX: fmtDuration, formatY: fmtLog })}
+    <h4>Realm</h4>
+    ${lineChartSVG([{ label: 'Realm', cls: 'chart-realm', points: points(realmProgressOf) }], { formatX: fmtDuration, formatY: fmtRealmProgress })}
+    <h4>Age</h4>
+    ${lineChartSVG([{ label: 'Age', cls: 'chart-age', points: points(s => s.age) }], { formatX: fmtDuration, formatY: (y) => formatYears(y, true) })}`;
+}
+
+/**
+ * Charts across reincarnations: Qi/s over all kept samples, and each life's peaks
+ */
+function allLivesChartsHTML() {
+  const history = Engine.getHistory(S);
+  const samples = [...Engine.getHistorySamples(S), liveHistorySample()];
+  const lifeStarts = samples.filter((s, i) => i > 0 && s.life !== samples[i - 1].life).map(s => s.t);
+  
+  const current = { life: history.life, realm: S.realmIndex, stage: S.stage, peak: { ...history.peak } };
+  const live = liveHistorySample();
+  ['qps', 'qpc'].forEach(key => {
+    if (live[key] !== null && (current.peak[key] === null || live[key] > current.peak[key])) current.peak[key] = live[key];
+  });
+  const lives = [...history.lives, current];
+  const lifeLabel = (x) => `Life ${Math.round(x) + 1}`;
+  
+  return `
+    <h4>Qi/s over time</h4>
+    ${lineChartSVG([{ label: 'Qi/s', cls: 'chart-qps', points: samples.map(s => [s.t, s.qps]) }],
+      { formatX: fmtDuration, formatY: fmtLog, markers: lifeStarts })}
+    <div class="small muted">Dashed lines mark a new life.</div>
+    <h4>Peak per life</h4>
+    ${lineChartSVG([
+      { label: 'Peak Qi/s', cls: 'chart-qps', points: lives.map(l => [l.life, l.peak.qps]) },
+      { label: 'Peak Qi/click', cls: 'chart-qpc', points: lives.map(l => [l.life, l.peak.qpc]) }
+    ], { formatX: lifeLabel, formatY: fmtLog })}
+    <h4>Furthest realm per life</h4>
+    ${lineChartSVG([{ label: 'Realm', cls: 'chart-realm', points: lives.map(l => [l.life, realmProgressOf(l)]) }],
+      { formatX: lifeLabel, formatY: fmtRealmProgress })}`;
+}
+
+/**
+ * Switch the per-life charts of the open Statistics modal
+ * @param {number|string} life - Life index
+ */
+function showStatisticsLife(life) {
+  const el = document.getElementById('statsLifeCharts');
+  if (el) el.innerHTML = lifeChartsHTML(Number(life));
+}
+
+function showStatistics() {
+  const history = Engine.getHistory(S);
+  const kept = new Set(Engine.getHistorySamples(S).map(s => s.life));
+  kept.add(history.life);
+  const options = [...kept].sort((a, b) => b - a).map(life =>
+    `<option value="${life}">Life ${life + 1}${life === history.life ? ' (current)' : ''}</option>`).join('');
+  
+  const body = `
+    <div class="statistics">
+      <div class="small muted">Sampled every ${fmtDuration(BAL.history.intervalSec)} of play, including offline time. Qi values use a log scale.</div>
+      <h3>Per life <select class="stats-life-select" onchange="showStatisticsLife(this.value)">${options}</select></h3>
+      <div id="statsLifeCharts">${lifeChartsHTML(history.life)}</div>
+      <h3>Across reincarnations</h3>
+      ${allLivesChartsHTML()}
+    </div>`;
+  
+  showModal('📈 Statistics', body, '📈');
+}
+
+// ============= LINEAGE =============
+// Timeline of past lives from Engine.getLineage (see Engine LINEAGE)
+
+const LINEAGE_MODE_LABELS = {
+  death: '💀 Died of old age',
+  voluntary: '🔄 Reincarnated',
+  mandatory: '🌀 Reincarnated at the cycle gate',
+  cycle: '🌟 Ascended at the end of the final cycle'
+};
+
+function lineageEntryHTML(entry, { current = false } = {}) {
+  const realmName = realms[entry.realm]?.name || 'Unknown Realm';
+  const outcome = current ? '🌱 Still cultivating' : (LINEAGE_MODE_LABELS[entry.mode] || entry.mode);
+  const when = entry.endedAt ? `<span class="small muted">${new Date(entry.endedAt).toLocaleString()}</span>` : '';
+  const karma = current ? '' : ` · Karma +${fmt(entry.karmaGained)}`;
+  return `
+    <div class="lineage-entry lineage-${current ? 'current' : entry.mode}">
+      <div><strong>Life ${entry.life + 1}</strong> · ${outcome} ${when}</div>
+      <div class="small">Reached ${realmName} ${entry.stage}/${stageCount(entry.realm)} · Age ${formatYears(entry.age, true)}</div>
+      <div class="small muted">Lifetime Qi ${fmt(Big.from(entry.lifetimeQi))}${karma} · Lived ${fmtDuration(entry.durationSec)} · ${entry.clicks} click${entry.clicks === 1 ? '' : 's'}</div>
+    </div>`;
+}
+
+function showLineage() {
+  const lineage = Engine.getLineage(S);
+  const current = {
+    life: Engine.getHistory(S).life,
+    realm: S.realmIndex,
+    stage: S.stage,
+    age: S.age || 0,
+    lifetimeQi: S.reinc.lifetimeQi,
+    durationSec: Engine.lifeDuration(S),
+    clicks: S.life?.clicks || 0
+  };
+  
+  const deaths = lineage.filter(e => e.mode === 'death').length;
+  const count = (n, one, many = `${one}s`) => `${n} ${n === 1 ? one : many}`;
+  const summary = lineage.length
+    ? `${count(lineage.length, 'past life', 'past lives')} · ${count(deaths, 'death')} · ${count(lineage.length - deaths, 'reincarnation')}` +
+      (lineage.length >= Engine.LINEAGE_KEPT ? ` <span class="muted">(newest ${Engine.LINEAGE_KEPT} kept)</span>` : '')
+    : 'No past lives yet. Each death or reincarnation is recorded here.';
+  
+  const body = `
+    <div class="lineage">
+      <div class="small muted">${summary}</div>
+      <div class="lineage-timeline">
+        ${lineageEntryHTML(current, { current: true })}
+        ${lineage.slice().reverse().map(entry => lineageEntryHTML(entry)).join('')}
+      </div>
+    </div>`;
+  
+  showModal('🧬 Lineage', body, '🧬');
+}
+
 // ============= UI INITIALIZATION (LEGACY SECTION) =============
 
 // (Opcional pero recomendado) permitir activar con Enter/Espacio
@@ -4132,88 +3387,53 @@ cultivatorEl.addEventListener('keydown', (e)=>{
 });
 
 
+let saveFailureShown = false; // A failed save was already reported to the player
+
 function save(){
   if (!initComplete || !gameActive || !activeSlot) return false;
+  if (isSlotLockedElsewhere()) {
+    enterSessionElsewhere(); // Never overwrite progress made in another tab
+    return false;
+  }
   try {
     saveSessionSnapshot();
     S.version = VERSION;
     S.lastSave = now();
-    localStorage.setItem(getSaveKeyForSlot(), JSON.stringify(S));
+    const previous = { save: localStorage.getItem(getSaveKeyForSlot()), achievements: localStorage.getItem(getAchievementsKeyForSlot()) };
+    // The save itself comes first; backups only get the room that is left
+    setItemEvictingBackups(getSaveKeyForSlot(), Engine.serializeSave(S));
     saveAchievementState();
+    backupPreviousSave(previous);
+    saveFailureShown = false;
     updateLastSave();
     refreshMainMenuSlots();
     return true;
   } catch (e) {
     console.error('Failed to save game state:', e);
+    if (!saveFailureShown) {
+      saveFailureShown = true; // Once until a save succeeds again, not on every autosave
+      showToast(isQuotaExceeded(e)
+        ? '⚠️ Could not save: browser storage is full. Export your save from Settings to keep your progress.'
+        : `⚠️ Could not save: ${e.message || e}`);
+    }
     return false;
   }
 }
 
 /**
- * Shared state migration - ensures all required fields exist with safe defaults.
- * Called from both load() and importSave() to eliminate code duplication.
+ * Shared save migration - runs the versioned steps in Engine.SAVE_MIGRATIONS,
+ * repairs fields that fail Engine.SAVE_SCHEMA, then sanitizes values against
+ * the current balance.json.
+ * Called from both load() and importSave().
  * @param {Object} data - Raw save data object (mutated in place)
+ * @returns {Object} Engine.migrateSave result { ok, reason, from, applied },
+ *                   plus repairs from Engine.repairSave() when ok
  */
 function migrateState(data) {
-  if(!data.version) data.version = '0.0.0';
-  
-  // Migrate old saves: ensure reinc exists (backward compatibility)
-  if(!data.reinc) data.reinc = { times: 0, karma: 0, lifetimeQi: 0 };
-  // Migrate old saves: ensure lifespan exists
-  if(!data.lifespan) {
-    const realmIndex = Math.min(data.realmIndex || 0, realms.length - 1);
-    const maxLifespan = BAL.lifespan?.realmMaxLifespan?.[realmIndex];
-    if(maxLifespan === null) {
-      data.lifespan = { current: null, max: null };
-    } else {
-      const lifespan = maxLifespan || 100;
-      data.lifespan = { current: lifespan, max: lifespan };
-    }
-  }
-  // Migrate old saves: ensure timeSpeed exists
-  if(!data.timeSpeed) data.timeSpeed = { current: 1, paused: false };
-  // Migrate old saves: ensure flags exists with all new properties
-  if(!data.flags) {
-    data.flags = { 
-      unlockedBeyondSpirit: false,
-      hasUnlockedSpiritCycle: false,
-      hasCompletedMandatoryST10: false,
-      canManualReincarnate: false
-    };
-  } else {
-    if(data.flags.hasUnlockedSpiritCycle === undefined) data.flags.hasUnlockedSpiritCycle = false;
-    if(data.flags.hasCompletedMandatoryST10 === undefined) data.flags.hasCompletedMandatoryST10 = false;
-    if(data.flags.canManualReincarnate === undefined) data.flags.canManualReincarnate = false;
-  }
-  // Migrate old saves: ensure lifecycle exists with all properties
-  if(!data.lifecycle) {
-    data.lifecycle = { isReincarnating: false, lastDeathAt: 0, lastReincarnateAt: 0 };
-  } else {
-    if(data.lifecycle.lastReincarnateAt === undefined) data.lifecycle.lastReincarnateAt = 0;
-  }
-  
-  // Migrate old saves: ensure stats exists
-  if(!data.stats) {
-    data.stats = { deaths: 0 };
-  } else {
-    if(data.stats.deaths === undefined) data.stats.deaths = 0;
-  }
+  const migration = Engine.migrateSave(data, VERSION);
+  if (!migration.ok) return migration;
   
-  // Migrate old saves: ensure meta exists with unlockedSpeeds
-  if(!data.meta) {
-    data.meta = { unlockedSpeeds: [0, 0.25, 0.5, 1] };
-  } else {
-    if(!Array.isArray(data.meta.unlockedSpeeds)) {
-      data.meta.unlockedSpeeds = [0, 0.25, 0.5, 1];
-    } else {
-      const baseSpeedsForMigration = [0, 0.25, 0.5, 1];
-      baseSpeedsForMigration.forEach(speed => {
-        if (!data.meta.unlockedSpeeds.includes(speed)) {
-          data.meta.unlockedSpeeds.push(speed);
-        }
-      });
-    }
-  }
+  migration.repairs = Engine.repairSave(data);
   
   // Validate current speed is available, fallback to 1× if not
   if(data.timeSpeed && data.timeSpeed.current !== 0) {
@@ -4224,72 +3444,12 @@ function migrateState(data) {
     }
   }
   
-  // Migrate ageYears → age for consistency
-  if(data.age === undefined) {
-    if(data.ageYears !== undefined) {
-      data.age = safeNum(data.ageYears, 0);
-      delete data.ageYears;
-    } else {
-      if(data.lifespan && data.lifespan.max !== null && data.lifespan.current !== null) {
-        data.age = Math.max(0, data.lifespan.max - data.lifespan.current);
-      } else {
-        data.age = 0;
-      }
-    }
-  }
-  
-  // Ensure lifespanHandled latch flag exists
-  if(!data.flags) data.flags = {};
-  if(data.flags.lifespanHandled === undefined) {
-    data.flags.lifespanHandled = false;
-  }
-  
-  if(data.isDead === undefined) data.isDead = false;
-  if(!data.life) {
-    data.life = { isCleanRun: true };
-  } else {
-    if(data.life.isCleanRun === undefined) data.life.isCleanRun = true;
-  }
-  
-  // ============= HYBRID SKILL SYSTEM MIGRATION =============
-  if(!data.migratedToRankSystem) {
-    if(DEBUG_MODE) console.log('[Migration] Converting skills to rank-based system...');
-    
-    if(data.skills) {
-      const currentRealm = data.realmIndex || 0;
-      const newSkills = {};
-      
-      for(const [skillId, oldValue] of Object.entries(data.skills)) {
-        const sk = getSkillCatalog().find(s => s.id === skillId);
-        if(!sk) continue;
-        
-        if(sk.oneTime) {
-          if(oldValue) {
-            newSkills[skillId] = { purchasedOneTime: true, total: 1, perRealm: {} };
-          }
-        } else {
-          const level = typeof oldValue === 'number' ? oldValue : 0;
-          if(level > 0) {
-            newSkills[skillId] = {
-              total: level,
-              perRealm: { [currentRealm]: level }
-            };
-          }
-        }
-      }
-      
-      data.skills = newSkills;
-    } else {
-      data.skills = {};
-    }
-    
-    data.migratedToRankSystem = true;
-    if(DEBUG_MODE) console.log('[Migration] Rank system migration complete.');
-  }
-  
   // Sanitize critical numeric values to prevent corruption issues
-  if(data.qi) data.qi = safeNum(data.qi, 0);
-  if(data.reinc && data.reinc.lifetimeQi) data.reinc.lifetimeQi = safeNum(data.reinc.lifetimeQi, 0);
+  // Qi fields are Big values: numbers (old saves) and "1.2e+400" strings both revive
+  Engine.reviveState(data);
+  // Realms come from balance.json: keep the save inside the current realm table
+  data.realmIndex = Math.max(0, Math.min(realms.length - 1, Math.floor(safeNum(data.realmIndex, 0))));
+  data.stage = Math.max(1, Math.min(stageCount(data.realmIndex), Math.floor(safeNum(data.stage, 1))));
   if(data.age) data.age = safeNum(data.age, 0);
   if(data.lifespan) {
     if(data.lifespan.current !== null) data.lifespan.current = safeNum(data.lifespan.current, 100);
@@ -4297,6 +3457,7 @@ function migrateState(data) {
   }
 
   enforceQiRefiningQpsBaseline(data);
+  return migration;
 }
 
 function load(slot = activeSlot){
@@ -4304,25 +3465,19 @@ function load(slot = activeSlot){
     const raw = localStorage.getItem(getSaveKeyForSlot(slot));
     if(!raw) return null;
     const data = JSON.parse(raw);
-    if(!data.version) data.version = '0.0.0';
+    const checksum = Engine.verifySaveChecksum(data);
     
-    // ============= MORTAL REALM MIGRATION =============
-    if(!data.migratedToMortalRealm) {
-      if(DEBUG_MODE) console.log('[Migration] Detected pre-Mortal-realm save. Shifting realm indices...');
-      
-      if(data.realmIndex > 0 || data.stage > 1) {
-        const oldIndex = data.realmIndex || 0;
-        data.realmIndex = Math.min(oldIndex + 1, realms.length - 1);
-        if(DEBUG_MODE) console.log(`[Migration] Shifted realmIndex from ${oldIndex} to ${data.realmIndex}`);
-      }
-      
-      data.migratedToMortalRealm = true;
-      if(DEBUG_MODE) console.log('[Migration] Mortal Realm migration complete.');
-      data._needsAchievementRevalidation = true;
+    // Run shared migration (refuses saves from a newer version)
+    const migration = migrateState(data);
+    if(!migration.ok) {
+      showSaveMigrationError(migration, `Slot ${slot}`);
+      return null;
     }
     
-    // Run shared migration
-    migrateState(data);
+    if(checksum === 'mismatch' || migration.repairs.length) {
+      backupStoredSlot(slot, 'Before repair');
+      showSaveRepairReport({ checksum, repairs: migration.repairs }, slot);
+    }
     
     S = data;
     
@@ -4342,6 +3497,45 @@ function load(slot = activeSlot){
   }catch(e){ console.error('Error loading', e); return null; }
 }
 
+/**
+ * Explain why a save could not be migrated (the stored data is left untouched)
+ * @param {Object} migration - Failed result of migrateState()
+ * @param {string} source - What was being loaded, e.g. "Slot 2"
+ */
+function showSaveMigrationError(migration, source) {
+  if (migration.reason === 'newer') {
+    showModal('⚠️ Save From a Newer Version',
+      `${source} was written by <strong>version ${migration.from}</strong>, but this game is <strong>version ${VERSION}</strong>.<br><br>
+      Older versions cannot read newer saves safely, so it was not loaded. Update the game to continue; your save has not been changed.`, '⚠️');
+  } else {
+    showModal('⚠️ Unreadable Save', `${source} does not contain valid save data.`, '⚠️');
+  }
+}
+
+const REPAIR_REPORT_MAX = 12;
+
+/**
+ * Report a save that failed its checksum or had fields repaired on load
+ * @param {Object} integrity - { checksum, repairs } from load()
+ * @param {number} slot - Slot the save came from
+ */
+function showSaveRepairReport({ checksum, repairs }, slot) {
+  const lines = [];
+  if (checksum === 'mismatch') {
+    lines.push(`<span style="color: var(--danger);">The checksum of Slot ${slot} does not match its contents. The save was edited outside the game or damaged in storage.</span>`);
+  }
+  if (repairs.length) {
+    const shown = repairs.slice(0, REPAIR_REPORT_MAX).map(r =>
+      `<li><code>${r.path}</code>: ${escapeHTML(r.found)} → ${escapeHTML(r.fixed)}</li>`).join('');
+    const more = repairs.length > REPAIR_REPORT_MAX ? `<li>…and ${repairs.length - REPAIR_REPORT_MAX} more</li>` : '';
+    lines.push(`${repairs.length} invalid field${repairs.length === 1 ? ' was' : 's were'} reset to safe values:<ul class="repair-list">${shown}${more}</ul>`);
+  } else {
+    lines.push('Every field passed validation, so nothing was changed.');
+  }
+  lines.push(`<span class="small muted">The save as it was stored is kept under Slot ${slot} Backups in the main menu.</span>`);
+  showModal('🩹 Save Repaired', lines.join('<br>'), '🩹');
+}
+
 function reset(){
   showConfirm(
     "Reset Current Slot",
@@ -4349,14 +3543,15 @@ function reset(){
     "• Cultivation progress<br>" +
     "• Karma and reincarnations<br>" +
     "• Slot achievements and statistics<br><br>" +
-    "<strong>This action cannot be undone.</strong>",
+    "<strong>A backup is kept:</strong> restore it from the main menu under Load Save → Backups.",
     () => {
+      backupStoredSlot(activeSlot, 'Before reset');
       localStorage.removeItem(getSaveKeyForSlot());
       localStorage.removeItem(getAchievementsKeyForSlot());
 
       // Reset global guards
       isHandlingDeath = false;
-      SKILL_CAT = null;
+      Engine.resetCaches();
 
       // Reset achievement state
       achievementState = createDefaultAchievementState();
@@ -4380,58 +3575,636 @@ function reset(){
   );
 }
 
-function exportSave(){
-  const json = JSON.stringify(S);
-  const b64 = btoa(unescape(encodeURIComponent(json)));
-  ioArea.value = b64;
+// ============= SLOT BACKUPS =============
+// Each slot keeps a rotating set of backups next to its save, so a bad import,
+// a slot reset or an accidental overwrite can be undone from the main menu.
+// Backups hold the raw save and achievement JSON exactly as they were stored.
+
+const BACKUPS_KEY = 'xianxiaBackupsV1';
+const BACKUP_LIMITS = { save: 5, reincarnation: 3, safety: 3 };
+const BACKUP_SAVE_INTERVAL_MS = 5 * 60 * 1000; // At most one save backup per 5 minutes
+
+function getBackupsKeyForSlot(slot = activeSlot) {
+  return `${BACKUPS_KEY}_slot${normalizeSlot(slot)}`;
 }
 
-function importSave(){
-  try{
-    const b64 = ioArea.value.trim();
-    const json = decodeURIComponent(escape(atob(b64)));
-    const data = JSON.parse(json);
-    
-    // Reset global guards on import
-    isHandlingDeath = false;
-    SKILL_CAT = null;
-    
-    // Mortal Realm migration (same as load — needed for pre-v1.2.0 exports)
-    if(!data.migratedToMortalRealm) {
-      if(DEBUG_MODE) console.log('[Import Migration] Shifting realm indices for pre-Mortal save...');
-      if(data.realmIndex > 0 || data.stage > 1) {
-        const oldIndex = data.realmIndex || 0;
-        data.realmIndex = Math.min(oldIndex + 1, realms.length - 1);
-      }
-      data.migratedToMortalRealm = true;
-    }
-    
-    // Apply all shared migration and sanitization
-    migrateState(data);
-    
-    S = { ...defaultState(), ...data };
-    save();
-    renderAll();
-    showModal('Save Imported', 'Your cultivation progress has been successfully restored.', '📜');
-  }catch(e){
-    showModal('Import Failed', 'Error importing save data. Please ensure you paste the complete export code.', '⚠️');
+/**
+ * Read a slot's backups, newest first
+ * @param {number} slot - Save slot
+ * @returns {Array} Backup entries { id, at, kind, note, save, achievements }
+ */
+function getSlotBackups(slot = activeSlot) {
+  try {
+    const list = JSON.parse(localStorage.getItem(getBackupsKeyForSlot(slot)));
+    return Array.isArray(list) ? list.filter(b => b && typeof b.save === 'string') : [];
+  } catch {
+    return [];
   }
 }
 
 /**
- * DEPRECATED: Old offline gains system (replaced by applyOfflineProgressOnResume)
- * Kept for backwards compatibility but no longer called.
+ * Store a slot's backups, dropping the oldest entries if storage is full
+ * @param {number} slot - Save slot
+ * @param {Array} list - Backup entries, newest first
+ * @returns {boolean} True if the list (or part of it) was stored
  */
-function applyOfflineGains(){
-  // This function is deprecated - use applyOfflineProgressOnResume instead
-  // Kept for compatibility with old code references
-  console.warn('applyOfflineGains() is deprecated - use applyOfflineProgressOnResume()');
+function writeSlotBackups(slot, list) {
+  while (list.length) {
+    try {
+      localStorage.setItem(getBackupsKeyForSlot(slot), JSON.stringify(list));
+      return true;
+    } catch (e) {
+      if (DEBUG_MODE) console.warn(`[Backups] Storage full, dropping oldest backup of slot ${slot}`, e);
+      list = list.slice(0, -1);
+    }
+  }
+  localStorage.removeItem(getBackupsKeyForSlot(slot));
+  return false;
 }
 
-const qiDisplay = document.getElementById('qiDisplay');
+/**
+ * Add a backup to a slot and rotate out the oldest of the same kind
+ * @param {number} slot - Save slot
+ * @param {string} kind - 'save', 'reincarnation' or 'safety' (see BACKUP_LIMITS)
+ * @param {string} note - Short reason shown in the restore view
+ * @param {string} saveRaw - Save JSON
+ * @param {string|null} achievementsRaw - Achievement state JSON
+ * @returns {boolean} True if the backup was stored
+ */
+function addSlotBackup(slot, kind, note, saveRaw, achievementsRaw) {
+  if (!saveRaw) return false;
+  const list = getSlotBackups(slot);
+  const at = Date.now();
+  list.unshift({ id: `${at}-${Math.random().toString(36).slice(2, 8)}`, at, kind, note, save: saveRaw, achievements: achievementsRaw || null });
+
+  const kept = {};
+  const rotated = list.filter(b => {
+    kept[b.kind] = (kept[b.kind] || 0) + 1;
+    return kept[b.kind] <= (BACKUP_LIMITS[b.kind] || 1);
+  });
+  return writeSlotBackups(slot, rotated);
+}
+
+/**
+ * Back up what is currently stored in a slot before it gets overwritten
+ * @param {number} slot - Save slot
+ * @param {string} note - Why, e.g. "Before import"
+ * @returns {boolean} True if there was a save to back up
+ */
+function backupStoredSlot(slot, note) {
+  const raw = localStorage.getItem(getSaveKeyForSlot(slot));
+  return addSlotBackup(slot, 'safety', note, raw, localStorage.getItem(getAchievementsKeyForSlot(slot)));
+}
+
+/**
+ * Rotate the previous save into the slot's save backups (called by save())
+ * @param {Object} previous - { save, achievements } as stored before this save
+ */
+function backupPreviousSave(previous) {
+  const newest = getSlotBackups().find(b => b.kind === 'save');
+  if (newest && Date.now() - newest.at < BACKUP_SAVE_INTERVAL_MS) return;
+  addSlotBackup(activeSlot, 'save', 'Save', previous.save, previous.achievements);
+}
+
+/**
+ * @param {Error} e - Error thrown by localStorage.setItem
+ * @returns {boolean} True if storage is full
+ */
+function isQuotaExceeded(e) {
+  return e?.name === 'QuotaExceededError' || e?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e?.code === 22;
+}
+
+/**
+ * Drop the oldest backup of any slot to free storage
+ * @returns {boolean} True if a backup was dropped
+ */
+function evictOldestBackup() {
+  let oldest = null;
+  for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+    getSlotBackups(slot).forEach(b => {
+      if (!oldest || b.at < oldest.at) oldest = { slot, id: b.id, at: b.at };
+    });
+  }
+  if (!oldest) return false;
+  if (DEBUG_MODE) console.warn(`[Backups] Storage full, evicting backup ${oldest.id} of slot ${oldest.slot}`);
+  writeSlotBackups(oldest.slot, getSlotBackups(oldest.slot).filter(b => b.id !== oldest.id));
+  return true;
+}
+
+/**
+ * Write a storage key, evicting the oldest backups while storage is full
+ * @param {string} key - localStorage key
+ * @param {string} value - Value to store
+ * @throws The storage error once no backups are left to evict (or if it is not a quota error)
+ */
+function setItemEvictingBackups(key, value) {
+  for (;;) {
+    try {
+      localStorage.setItem(key, value);
+      return;
+    } catch (e) {
+      if (!isQuotaExceeded(e) || !evictOldestBackup()) throw e;
+    }
+  }
+}
+
+/**
+ * Snapshot the life that is about to end (called before every rebirth)
+ * @param {string} mode - Reincarnation mode ('voluntary', 'death', 'mandatory')
+ * @param {Object} [snapshot] - lifeSnapshot() taken earlier (offline replay ends lives
+ *                              inside the engine, so it snapshots before replaying)
+ */
+function backupBeforeReincarnation(mode, snapshot = null) {
+  if (!gameActive) return;
+  const { save, achievements } = snapshot || lifeSnapshot();
+  addSlotBackup(activeSlot, 'reincarnation', mode === 'death' ? 'Before death' : 'Before reincarnation', save, achievements);
+}
+
+/**
+ * @returns {Object} { save, achievements } - The current life as backups store it
+ */
+function lifeSnapshot() {
+  return {
+    save: Engine.serializeSave({ ...S, version: VERSION, lastSave: now() }),
+    achievements: JSON.stringify(achievementState)
+  };
+}
+
+/**
+ * One-line summary of a backup for the restore view
+ * @param {Object} backup - Backup entry
+ * @returns {string} HTML
+ */
+function backupSummaryHTML(backup) {
+  let data = null;
+  try { data = JSON.parse(backup.save); } catch { /* shown as unreadable */ }
+  if (!data) return '<span style="color: var(--danger);">Unreadable backup</span>';
+  const realmIndex = Math.max(0, Math.min(realms.length - 1, Number(data.realmIndex || 0)));
+  const stages = stageCount(realmIndex);
+  const stage = Math.max(1, Math.min(stages, Number(data.stage || 1)));
+  const karma = Number(data.reinc?.karma || 0);
+  return `<strong>${realms[realmIndex]?.name || 'Unknown Realm'} ${stage}/${stages}</strong> · Karma ${karma.toFixed(2)}`;
+}
+
+/**
+ * Show the restore view for a slot (opened from the main menu slot list)
+ * @param {number} slot - Save slot
+ */
+function showSlotBackups(slot = selectedMenuSlot) {
+  const target = normalizeSlot(slot);
+  const backups = getSlotBackups(target);
+  const body = backups.length
+    ? backups.map(b => `
+        <div class="backup-entry">
+          <div>
+            <div>${backupSummaryHTML(b)}</div>
+            <div class="small muted">${new Date(b.at).toLocaleString()} · ${b.note}</div>
+          </div>
+          <button class="btn" onclick="restoreSlotBackup(${target}, '${b.id}')">Restore</button>
+        </div>`).join('')
+    : '<div class="small muted">No backups yet. They are made when you save, before each rebirth, and before an import, reset, copy, delete or restore replaces this slot.</div>';
+
+  showModal(`🗄️ Slot ${target} Backups`, `<div class="backup-list">${body}</div>`, '🗄️');
+}
+
+/**
+ * Put a backup back into its slot. The slot's current save is backed up first,
+ * so a restore can itself be undone.
+ * @param {number} slot - Save slot
+ * @param {string} id - Backup id
+ */
+function restoreSlotBackup(slot, id) {
+  const target = normalizeSlot(slot);
+  const backup = getSlotBackups(target).find(b => b.id === id);
+  if (!backup) return;
+
+  ModalManager.closeAll();
+  showConfirm('Restore Backup',
+    `Replace Slot ${target} with this backup?<br><br>${backupSummaryHTML(backup)}<br>
+    <span class="small muted">${new Date(backup.at).toLocaleString()} · ${backup.note}</span><br><br>
+    The slot's current save is kept as a backup.`,
+    () => {
+      try {
+        backupStoredSlot(target, 'Before restore');
+        localStorage.setItem(getSaveKeyForSlot(target), backup.save);
+        if (backup.achievements) localStorage.setItem(getAchievementsKeyForSlot(target), backup.achievements);
+        else localStorage.removeItem(getAchievementsKeyForSlot(target));
+      } catch (e) {
+        console.error('Failed to restore backup:', e);
+        showModal('⚠️ Restore Failed', 'The backup could not be written to storage.', '⚠️');
+        return;
+      }
+      refreshMainMenuSlots();
+      showToast(`🗄️ Slot ${target} restored from backup`);
+    },
+    null,
+    '🗄️'
+  );
+}
+
+// ============= EXPORT BUNDLE =============
+// Export codes are base64 JSON. Since 1.3.0 they hold a bundle with the game
+// state, the slot's achievement state, slot metadata and (optionally) the music
+// settings. Older codes are the bare game state and still import.
+
+const SAVE_BUNDLE_FORMAT = 'xianxia-idle-save';
+const SAVE_BUNDLE_VERSION = 1;
+
+/**
+ * Build the export bundle for the active slot
+ * @param {Object} options - { includeSettings } adds the music settings
+ * @returns {Object} Bundle object
+ */
+function buildSaveBundle({ includeSettings = false } = {}) {
+  const bundle = {
+    format: SAVE_BUNDLE_FORMAT,
+    bundleVersion: SAVE_BUNDLE_VERSION,
+    gameVersion: VERSION,
+    exportedAt: Date.now(),
+    slot: { number: activeSlot, lastSave: S.lastSave || null },
+    state: S,
+    achievements: achievementState
+  };
+  if (includeSettings) bundle.settings = { music: { ...musicSettings } };
+  return bundle;
+}
+
+/**
+ * Decode an export code (bundle or legacy bare state)
+ * @param {string} code - Base64 export code
+ * @returns {Object} { state, achievements, settings, legacy, bundleVersion, gameVersion }
+ * @throws {Error} If the code is not valid base64 JSON
+ */
+function parseSaveCode(code) {
+  const json = decodeURIComponent(escape(atob(code)));
+  const data = JSON.parse(json);
+  
+  if (data && data.format === SAVE_BUNDLE_FORMAT) {
+    return {
+      state: data.state,
+      achievements: data.achievements || null,
+      settings: data.settings || null,
+      legacy: false,
+      bundleVersion: data.bundleVersion || 1,
+      gameVersion: data.gameVersion || data.state?.version
+    };
+  }
+  return { state: data, achievements: null, settings: null, legacy: true, bundleVersion: 0, gameVersion: data?.version };
+}
+
+/**
+ * Export code for the active slot (honours the "Include music settings" toggle)
+ * @returns {string} Base64 bundle
+ */
+function buildExportCode() {
+  const includeSettings = !!document.getElementById('exportSettingsToggle')?.checked;
+  const json = JSON.stringify(buildSaveBundle({ includeSettings }));
+  return btoa(unescape(encodeURIComponent(json)));
+}
+
+function exportSave(){
+  ioArea.value = buildExportCode();
+}
+
+/**
+ * Import an export code into the active slot. The code is decoded and migrated
+ * on its own copy first, and the player confirms a diff against the current
+ * slot before anything is replaced.
+ * @param {string} code - Export code (defaults to the textarea contents)
+ * @param {Object} options - { source } optional HTML shown above the diff (e.g. file details)
+ */
+function importSave(code = ioArea.value.trim(), { source = '' } = {}){
+  let prepared;
+  try{
+    prepared = prepareImport(code);
+  }catch(e){
+    showModal('Import Failed', 'Error importing save data. Please ensure you paste the complete export code.', '⚠️');
+    return;
+  }
+  if(!prepared.ok) {
+    showSaveMigrationError(prepared.migration, 'This save');
+    return;
+  }
+  
+  ModalManager.confirm({
+    title: '📥 Import Save',
+    body: `${source}${importDiffHTML(prepared)}`,
+    confirmText: 'Import',
+    icon: '📥'
+  }).then(confirmed => {
+    if(confirmed) applyImport(prepared);
+  });
+}
+
+/**
+ * Decode an export code and migrate it without touching the running game
+ * @param {string} code - Export code
+ * @returns {Object} { ok, parsed, data, checksum, migration }; ok is false
+ *                   (with migration.reason) when the save cannot be used
+ * @throws if the code cannot be decoded
+ */
+function prepareImport(code) {
+  const parsed = parseSaveCode(code);
+  if(!parsed.state || typeof parsed.state !== 'object') throw new Error('No save state');
+  
+  // A bundle layout this build does not know yet
+  if(parsed.bundleVersion > SAVE_BUNDLE_VERSION) {
+    return { ok: false, migration: { ok: false, reason: 'newer', from: parsed.gameVersion || 'unknown' } };
+  }
+  
+  // parsed.state is a fresh object from the code, so migrating it leaves S alone
+  const data = parsed.state;
+  const checksum = Engine.verifySaveChecksum(data);
+  
+  // Apply all shared migration and sanitization (refuses saves from a newer version)
+  const migration = migrateState(data);
+  if(!migration.ok) return { ok: false, migration };
+  
+  return { ok: true, parsed, data, checksum, migration };
+}
+
+const IMPORT_DIFF_LIST_MAX = 8;
+
+/**
+ * Diff of the current game against a prepared import
+ * @param {Object} prepared - Result of prepareImport()
+ * @returns {string} HTML
+ */
+function importDiffHTML({ parsed, data, checksum, migration }) {
+  const incomingAch = parsed.achievements || achievementState;
+  const position = st => `${realms[st.realmIndex]?.name || 'Unknown Realm'} ${st.stage}/${stageCount(st.realmIndex)}`;
+  const progress = st => st.realmIndex * 1000 + st.stage;
+  const ranks = st => Object.values(st.skills || {}).reduce((sum, sk) => sum + safeNum(sk?.total, 0), 0);
+  const unlocked = ach => Object.keys(ach?.unlocked || {});
+  const compare = (a, b) => (a > b) - (a < b);
+  const qiNow = Engine.Big.from(S.qi), qiNew = Engine.Big.from(data.qi);
+  
+  // [label, current, import, direction of the import: 1 better, -1 worse, 0 same]
+  const rows = [
+    ['Realm', position(S), position(data), compare(progress(data), progress(S))],
+    ['Qi', fmt(qiNow.floor()), fmt(qiNew.floor()), qiNew.gt(qiNow) ? 1 : (qiNow.gt(qiNew) ? -1 : 0)],
+    ['Karma', safeNum(S.reinc?.karma, 0).toFixed(2), safeNum(data.reinc?.karma, 0).toFixed(2), compare(safeNum(data.reinc?.karma, 0), safeNum(S.reinc?.karma, 0))],
+    ['Reincarnations', S.reinc?.times || 0, data.reinc?.times || 0, compare(data.reinc?.times || 0, S.reinc?.times || 0)],
+    ['Skill Ranks', ranks(S), ranks(data), compare(ranks(data), ranks(S))],
+    ['Achievements', unlocked(achievementState).length, unlocked(incomingAch).length, compare(unlocked(incomingAch).length, unlocked(achievementState).length)]
+  ];
+  const table = `
+    <table class="slot-compare">
+      <tr><th></th><th>${escapeHTML(slotTitle())} now</th><th>Import</th></tr>
+      ${rows.map(([label, now, next, dir]) =>
+        `<tr><th>${label}</th><td>${now}</td>${dir > 0 ? `<td class="diff-up">${next} ▲` : dir < 0 ? `<td class="diff-down">${next} ▼` : `<td>${next}`}</td></tr>`).join('')}
+    </table>`;
+  
+  const listed = items => items.slice(0, IMPORT_DIFF_LIST_MAX).join(', ') +
+    (items.length > IMPORT_DIFF_LIST_MAX ? ` and ${items.length - IMPORT_DIFF_LIST_MAX} more` : '');
+  const notes = [];
+  
+  const skillIds = [...new Set([...Object.keys(S.skills || {}), ...Object.keys(data.skills || {})])];
+  const skillChanges = skillIds
+    .map(id => ({ id, now: safeNum(S.skills?.[id]?.total, 0), next: safeNum(data.skills?.[id]?.total, 0) }))
+    .filter(c => c.now !== c.next)
+    .map(c => `${escapeHTML(getSkill(c.id)?.name || c.id)} ${c.now} → ${c.next}`);
+  if(skillChanges.length) notes.push(`<strong>Skills:</strong> ${listed(skillChanges)}`);
+  
+  const title = id => ACHIEVEMENTS.find(a => a.id === id)?.title || id;
+  const gained = unlocked(incomingAch).filter(id => !achievementState.unlocked?.[id]).map(title);
+  const lost = unlocked(achievementState).filter(id => !incomingAch.unlocked?.[id]).map(title);
+  if(gained.length) notes.push(`<strong>Achievements gained:</strong> ${listed(gained)}`);
+  if(lost.length) notes.push(`<strong>Achievements lost:</strong> ${listed(lost)}`);
+  if(parsed.legacy) notes.push('<em>This code predates achievement export, so this slot keeps its current achievements.</em>');
+  if(parsed.settings?.music) notes.push('Music settings will be applied.');
+  if(migration.applied.length) notes.push(`Migrated from version ${escapeHTML(migration.from)}.`);
+  if(checksum === 'mismatch') notes.push('<span style="color: var(--danger);">The save\'s checksum does not match its contents.</span>');
+  if(migration.repairs.length) notes.push(`🩹 ${migration.repairs.length} invalid field${migration.repairs.length === 1 ? '' : 's'} will be reset to safe values.`);
+  
+  const worse = rows.filter(([label, , , dir]) => dir < 0 && ['Realm', 'Karma', 'Reincarnations'].includes(label)).map(([label]) => label.toLowerCase());
+  const warning = worse.length
+    ? `<div class="import-warning">⚠️ This import is behind your current save (${worse.join(', ')}).</div>`
+    : '';
+  
+  return `${warning}${table}
+    ${notes.length ? `<div class="import-notes small">${notes.join('<br>')}</div>` : ''}
+    <div class="small muted">Importing replaces ${escapeHTML(slotTitle())}. Its current save is kept as a backup.</div>`;
+}
+
+/**
+ * Replace the active slot with a confirmed import
+ * @param {Object} prepared - Result of prepareImport()
+ */
+function applyImport({ parsed, data, checksum, migration }) {
+  // Keep what the slot held so a bad import can be restored from the main menu
+  backupStoredSlot(activeSlot, 'Before import');
+  
+  // Reset global guards on import
+  isHandlingDeath = false;
+  Engine.resetCaches();
+  
+  S = { ...defaultState(), ...data };
+  
+  // Bundles carry their own achievement progress; legacy codes keep the slot's
+  if(parsed.achievements) {
+    achievementState = { ...createDefaultAchievementState(), ...parsed.achievements };
+    if(!achievementState.unlocked || typeof achievementState.unlocked !== 'object') achievementState.unlocked = {};
+  }
+  if(S._needsAchievementRevalidation) {
+    revalidateRealmAchievements();
+    delete S._needsAchievementRevalidation;
+  }
+  if(parsed.settings?.music) {
+    applyMusicSettings(parsed.settings.music);
+  }
+  
+  save();
+  renderAll();
+  renderAchievementsList();
+  
+  const restored = ['Your cultivation progress has been successfully restored.'];
+  if(parsed.achievements) restored.push(`Achievements restored: ${Object.keys(achievementState.unlocked).length}.`);
+  if(parsed.settings?.music) restored.push('Music settings applied.');
+  if(parsed.legacy) restored.push('<em style="color: var(--muted);">This code predates achievement export, so this slot keeps its current achievements.</em>');
+  if(checksum === 'mismatch') restored.push('<span style="color: var(--danger);">The save\'s checksum does not match its contents.</span>');
+  if(migration.repairs.length) {
+    restored.push(`🩹 ${migration.repairs.length} invalid field${migration.repairs.length === 1 ? ' was' : 's were'} reset to safe values: ` +
+      migration.repairs.map(r => `<code>${r.path}</code>`).join(', '));
+  }
+  showModal('Save Imported', restored.join('<br>'), '📜');
+}
+
+// ============= SAVE FILES =============
+// "Download Save" writes the export code to a .xianxia text file with a short
+// readable header; "Load from File" (or dropping a file on the settings panel)
+// passes the code to importSave(), which previews it against the current slot.
+// File layout:
+//   XIANXIA-IDLE-SAVE 1
+//   Slot: 2
+//   Name: Risky run
+//   Realm: Golden Core 3/10
+//   ...
+//   ---
+//   <export code>
+// A file holding only an export code also loads.
+
+const SAVE_FILE_MAGIC = 'XIANXIA-IDLE-SAVE';
+const SAVE_FILE_VERSION = 1;
+const SAVE_FILE_EXTENSION = '.xianxia';
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build the .xianxia file for the active slot
+ * @returns {Object} { name, text }
+ */
+function buildSaveFile() {
+  const exportedAt = new Date();
+  const realmName = realms[S.realmIndex]?.name || 'Unknown Realm';
+  const header = {
+    Slot: activeSlot,
+    Name: getSlotName(),
+    Realm: `${realmName} ${S.stage}/${stageCount(S.realmIndex)}`,
+    Karma: safeNum(S.reinc?.karma, 0).toFixed(2),
+    Version: VERSION,
+    Exported: exportedAt.toISOString()
+  };
+  const lines = Object.entries(header).filter(([, v]) => v !== '').map(([k, v]) => `${k}: ${v}`);
+  const stamp = exportedAt.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  const name = ['xianxia', `slot${activeSlot}`, slugify(getSlotName()), slugify(realmName), stamp].filter(Boolean).join('-');
+  return {
+    name: name + SAVE_FILE_EXTENSION,
+    text: [`${SAVE_FILE_MAGIC} ${SAVE_FILE_VERSION}`, ...lines, '---', buildExportCode(), ''].join('\n')
+  };
+}
+
+/**
+ * Split a save file into its header and export code
+ * @param {string} text - File contents
+ * @returns {Object} { header, code } (header is {} for a bare export code)
+ */
+function parseSaveFile(text) {
+  const lines = String(text).replace(/\r/g, '').split('\n');
+  if (!lines[0].startsWith(SAVE_FILE_MAGIC)) return { header: {}, code: String(text).trim() };
+  const sep = lines.indexOf('---');
+  const header = {};
+  lines.slice(1, sep < 0 ? 1 : sep).forEach(line => {
+    const i = line.indexOf(':');
+    if (i > 0) header[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  });
+  return { header, code: sep < 0 ? '' : lines.slice(sep + 1).join('').trim() };
+}
+
+function downloadSave() {
+  const file = buildSaveFile();
+  const url = URL.createObjectURL(new Blob([file.text], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  showToast(`⬇️ Saved ${escapeHTML(file.name)}`);
+}
+
+/**
+ * Read a save file and hand it to importSave(), which previews it against the slot
+ * @param {File} file - Picked or dropped file
+ */
+async function loadSaveFile(file) {
+  let header, code;
+  try {
+    ({ header, code } = parseSaveFile(await file.text()));
+  } catch (e) {
+    code = '';
+  }
+  if (!code) {
+    showModal('Import Failed', `${escapeHTML(file.name)} is not a Xianxia Idle save file.`, '⚠️');
+    return;
+  }
+
+  const details = [
+    header.Name ? `Name: <strong>${escapeHTML(header.Name)}</strong>` : '',
+    header.Slot ? `Exported from Slot ${escapeHTML(header.Slot)}` : '',
+    header.Version ? `Version ${escapeHTML(header.Version)}` : '',
+    header.Exported ? escapeHTML(new Date(header.Exported).toLocaleString()) : ''
+  ].filter(Boolean).join(' · ');
+  importSave(code, { source: `<div class="small muted">📂 ${escapeHTML(file.name)}${details ? `<br>${details}` : ''}</div>` });
+}
+
+function initSaveFileDrop() {
+  const panel = document.getElementById('settingsPanel');
+  if (!panel) return;
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  panel.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    panel.classList.add('drop-target');
+  });
+  panel.addEventListener('dragleave', (e) => {
+    if (!panel.contains(e.relatedTarget)) panel.classList.remove('drop-target');
+  });
+  panel.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    panel.classList.remove('drop-target');
+    const file = e.dataTransfer.files[0];
+    if (file) loadSaveFile(file);
+  });
+}
+
+// ============= OFFLINE APP (SERVICE WORKER) =============
+
+/**
+ * Every media file the game may request, for the service worker to cache ahead of use.
+ * Files that were never shipped (e.g. some playlist tracks) are skipped by the worker.
+ */
+function offlineMediaUrls() {
+  const urls = [
+    ...PLAYLIST,
+    ...Object.values(CUTSCENE_FILES),
+    ...realms.map(r => r.art).filter(Boolean),
+    ...getSkillCatalog().map(sk => `assets/${sk.icon || (sk.id + '.png')}`),
+    'assets/background1.png',
+    'assets/menuback.png'
+  ];
+  return [...new Set(urls)].map(url => new URL(url, location.href).href);
+}
+
+/**
+ * Register sw.js so the game can be installed and played offline.
+ * The worker URL carries VERSION: a version bump installs a fresh cache and drops the old one.
+ */
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+  try {
+    await navigator.serviceWorker.register(`sw.js?v=${encodeURIComponent(VERSION)}`);
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({ type: 'cache-media', urls: offlineMediaUrls() });
+  } catch (e) {
+    if (DEBUG_MODE) console.warn('Service worker registration failed:', e);
+  }
+}
+
+/**
+ * DEPRECATED: Old offline gains system (replaced by applyOfflineProgressOnResume)
+ * Kept for backwards compatibility but no longer called.
+ */
+function applyOfflineGains(){
+  // This function is deprecated - use applyOfflineProgressOnResume instead
+  // Kept for compatibility with old code references
+  console.warn('applyOfflineGains() is deprecated - use applyOfflineProgressOnResume()');
+}
+
+const qiDisplay = document.getElementById('qiDisplay');
 const qpcEl = document.getElementById('qpc');
 const qpsEl = document.getElementById('qps');
 const offlineMultEl = document.getElementById('offlineMult');
+const insightValEl = document.getElementById('insightVal');
+const herbValEl = document.getElementById('herbVal');
+const calendarValEl = document.getElementById('calendarVal');
+const tideValEl = document.getElementById('tideVal');
 const realmNameEl = document.getElementById('realmName');
 const realmStageEl = document.getElementById('realmStage');
 const realmProgEl = document.getElementById('realmProg');
@@ -4443,7 +4216,13 @@ const reincTimesEl = document.getElementById('reincTimes');
 const deathsCountEl = document.getElementById('deathsCount');
 const saveBtn = document.getElementById('saveBtn');
 const exportBtn = document.getElementById('exportBtn');
+const awayReportsBtn = document.getElementById('awayReportsBtn');
+const statisticsBtn = document.getElementById('statisticsBtn');
+const lineageBtn = document.getElementById('lineageBtn');
 const importBtn = document.getElementById('importBtn');
+const downloadSaveBtn = document.getElementById('downloadSaveBtn');
+const loadSaveFileBtn = document.getElementById('loadSaveFileBtn');
+const saveFileInput = document.getElementById('saveFileInput');
 const resetBtn = document.getElementById('resetBtn');
 const clickBtn = document.getElementById('clickBtn');
 const shopEl = document.getElementById('shop');
@@ -4463,6 +4242,12 @@ const mainMenuOverlay = document.getElementById('mainMenuOverlay');
 const menuSlotsEl = document.getElementById('menuSlots');
 const newGameBtn = document.getElementById('newGameBtn');
 const loadGameBtn = document.getElementById('loadGameBtn');
+const menuBackupsBtn = document.getElementById('menuBackupsBtn');
+const menuSlotListEl = document.getElementById('menuSlotList');
+const menuRenameSlotBtn = document.getElementById('menuRenameSlotBtn');
+const menuCopySlotBtn = document.getElementById('menuCopySlotBtn');
+const menuCompareSlotBtn = document.getElementById('menuCompareSlotBtn');
+const menuDeleteSlotBtn = document.getElementById('menuDeleteSlotBtn');
 const menuMusicBtn = document.getElementById('menuMusicBtn');
 const videoOverlayEl = document.getElementById('videoOverlay');
 const cutsceneVideoEl = document.getElementById('gameCutscene');
@@ -4472,29 +4257,108 @@ const skipVideoBtn = document.getElementById('skipVideoBtn');
 
 function updateCurrentSlotLabel() {
   if (!currentSaveSlotEl) return;
-  currentSaveSlotEl.textContent = `Slot ${activeSlot}`;
+  currentSaveSlotEl.textContent = slotTitle();
 }
 
 function updateLastSave(){
   if (!lastSaveEl) return;
   if(!S.lastSave){
-    lastSaveEl.textContent = `Slot ${activeSlot} - Last Save: -`;
+    lastSaveEl.textContent = `${slotTitle()} - Last Save: -`;
     return;
   }
   const d = new Date(S.lastSave);
-  lastSaveEl.textContent = `Slot ${activeSlot} - Last Save: ${d.toLocaleString()}`;
+  lastSaveEl.textContent = `${slotTitle()} - Last Save: ${d.toLocaleString()}`;
+}
+
+// ============= RENDER SCHEDULER =============
+// The live view is split into sections. Whatever changes state marks the
+// sections it affects dirty, and the render loop redraws only those, at most
+// once per RENDER_INTERVAL_MS and only while the page is visible. Sections
+// write to the DOM only when a value actually changed. renderAll() still
+// redraws everything at once after discrete player actions (purchases, loads,
+// rebirths); background actions such as automation mark sections instead.
+
+const RENDER_INTERVAL_MS = 100; // At most 10 live redraws per second
+const RENDER_SECTIONS = {
+  stats: renderStats,
+  realm: renderRealm,
+  shopButtons: updateShopButtons,
+  shop: renderShop,
+  panels: renderProgressPanels
+};
+const dirtySections = new Set();
+let lastRenderAt = 0;
+
+/**
+ * Mark live sections for redraw on the next scheduled render
+ * @param {...string} sections - Keys of RENDER_SECTIONS
+ */
+function markDirty(...sections) {
+  for (const section of sections) dirtySections.add(section);
+}
+
+/**
+ * Redraw the dirty sections if the throttle interval has passed
+ * @param {number} nowMs - performance.now() of the current frame
+ */
+function flushRender(nowMs = performance.now()) {
+  if (!dirtySections.size || nowMs - lastRenderAt < RENDER_INTERVAL_MS) return;
+  lastRenderAt = nowMs;
+  const sections = [...dirtySections];
+  dirtySections.clear();
+  sections.forEach(section => RENDER_SECTIONS[section]());
+}
+
+// Write helpers that leave the DOM untouched when nothing changed
+function setText(el, text) {
+  if (el && el.textContent !== text) el.textContent = text;
+}
+
+function setTitle(el, title) {
+  if (el && el.title !== title) el.title = title;
+}
+
+/**
+ * Panels that only change with purchases, breakthroughs and rebirths
+ */
+function renderProgressPanels() {
+  renderTranscendencePanel();
+  renderTimeSpeed();
+  renderCycleBadge();
+  updateCultivatorImage();
+  checkAchievements();
+}
+
+function setWidth(el, width) {
+  if (el && el.style.width !== width) el.style.width = width;
 }
 
 function renderStats(){
-  qiDisplay.textContent = 'Qi: ' + fmt(Math.floor(S.qi));
+  setText(qiDisplay, 'Qi: ' + fmt(S.qi.floor()));
   
   // QPC/QPS display: Speed-independent (time speed affects only lifespan, not Qi)
-  qpcEl.textContent = fmt(totalQPC());
-  qpsEl.textContent = fmt(totalQPS());
+  setText(qpcEl, fmt(totalQPC()));
+  setText(qpsEl, fmt(totalQPS()));
   
   // Use fmt for offline multiplier (max 2 decimals)
   const offlineMult = totalOfflineMult();
-  offlineMultEl.textContent = fmt(offlineMult) + '×';
+  setText(offlineMultEl, fmt(offlineMult) + '×');
+  
+  // Yearly rewards: follow in-game years, so they grow faster at higher Time Flow
+  const yearly = Engine.getYearly(S);
+  setText(insightValEl, fmt2(Engine.insightMult(S)) + '×');
+  setText(herbValEl, `next in ${fmt2(Engine.yearsToHarvest(S))} yrs · ${yearly.harvests} harvested`);
+  
+  // Calendar: world date, kept across lives; season and tide scale Qi and breakthroughs
+  const date = Engine.calendarDate(S);
+  setText(calendarValEl, `Year ${date.year} · ${date.season.name}`);
+  setTitle(calendarValEl, `${date.season.name}: ${calendarEffectsText(date.season)}. ` +
+    `${fmt2(date.seasonYearsLeft)} years until the season turns.`);
+  setText(tideValEl, date.tide.active
+    ? `rising · ${fmt2(date.tide.yearsLeft)} yrs left`
+    : `in ${fmt2(date.tide.yearsLeft)} yrs`);
+  setTitle(tideValEl, `${BAL.calendar.tide.name}: ${calendarEffectsText(BAL.calendar.tide)} while it lasts.`);
+  if (tideValEl) tideValEl.classList.toggle('tide-active', date.tide.active);
   
   // LIFESPAN UI: Clean numeric display (no "years", no "Age:")
   // Format: "Lifespan" label on left, "current / max" value on right
@@ -4515,25 +4379,25 @@ function renderStats(){
     const finiteMax = Number.isFinite(maxLifespan);
     
     // Build value: "39.48 / 100.00" or "123.45 / ∞"
-    lifespanValueEl.textContent = finiteMax 
+    setText(lifespanValueEl, finiteMax 
       ? `${fmt2(currentAge)} / ${fmt2(maxLifespan)}` 
-      : `${fmt2(currentAge)} / ∞`;
+      : `${fmt2(currentAge)} / ∞`);
     
     // Update progress bar
     if(lifespanProgressBarEl) {
       if(finiteMax) {
         const progressPercent = Math.max(0, Math.min(100, (currentAge / maxLifespan) * 100));
-        lifespanProgressBarEl.style.width = progressPercent.toFixed(2) + '%';
+        setWidth(lifespanProgressBarEl, progressPercent.toFixed(2) + '%');
       } else {
-        lifespanProgressBarEl.style.width = '0%'; // No progress for immortal
+        setWidth(lifespanProgressBarEl, '0%'); // No progress for immortal
       }
     }
   }
   
-  if(karmaValEl) karmaValEl.textContent = fmt(S.reinc.karma);
-  if(reincBonusEl) reincBonusEl.textContent = fmt(reincBonus()) + '×';
-  if(reincTimesEl) reincTimesEl.textContent = S.reinc.times;
-  if(deathsCountEl) deathsCountEl.textContent = S.stats?.deaths || 0;
+  setText(karmaValEl, fmt(S.reinc.karma));
+  setText(reincBonusEl, fmt(reincBonus()) + '×');
+  setText(reincTimesEl, String(S.reinc.times));
+  setText(deathsCountEl, String(S.stats?.deaths || 0));
   
   // OLD: Removed transcendenceStatus div - now using renderTranscendencePanel() for card-style display
   
@@ -4550,7 +4414,7 @@ function renderCycleBadge() {
   
   const cycle = getCurrentCycle();
   const cycleName = cycle.name || 'Mortal Cycle';
-  const cycleClass = S.currentCycle === 'spirit' ? 'cycle-spirit' : 'cycle-mortal';
+  const cycleClass = `cycle-${cycle.id || 'mortal'}`;
   
   cycleBadgeEl.textContent = cycleName;
   cycleBadgeEl.className = `cycle-badge ${cycleClass}`;
@@ -4558,12 +4422,13 @@ function renderCycleBadge() {
 
 function renderRealm(){
   const r = realms[S.realmIndex];
-  realmNameEl.textContent = r.name;
-  realmStageEl.textContent = S.stage + ' / 10';
-  const req = stageRequirement(S.realmIndex, S.stage);
-  const pct = Math.max(0, Math.min(100, (S.qi / req) * 100));
-  realmProgEl.style.width = pct + '%';
-  realmReqTextEl.textContent = `Requirement to advance: ${fmt(req)} Qi`;
+  setText(realmNameEl, r.name);
+  setTitle(realmNameEl, r.description || '');
+  setText(realmStageEl, S.stage + ' / ' + stageCount(S.realmIndex));
+  const req = Engine.currentRequirement(S); // Includes the calendar's breakthrough cost modifier
+  const pct = Math.max(0, Math.min(100, S.qi.div(req).toNumber() * 100));
+  setWidth(realmProgEl, pct.toFixed(2) + '%');
+  setText(realmReqTextEl, `Requirement to advance: ${fmt(req)} Qi`);
   breakthroughBtn.disabled = !canBreakthrough();
 }
 
@@ -4572,8 +4437,8 @@ function renderRealm(){
  * @returns {Object} {locked, atST10, done}
  */
 function transcStatus() {
-  const ST_INDEX = idx('spirit_transformation');
-  const atST10 = (S.realmIndex === ST_INDEX && S.stage === 10);
+  const gateIndex = Engine.transcendenceGateRealm();
+  const atST10 = (S.realmIndex === gateIndex && S.stage === stageCount(gateIndex));
   const done = !!S.flags?.hasCompletedMandatoryST10;
   return { locked: !done, atST10, done };
 }
@@ -4604,18 +4469,21 @@ function renderTranscendencePanel() {
   const badgeText = status.locked ? '🔒 Locked' : '✨ Unlocked';
   
   // Determine hint text
+  const gateIndex = Engine.transcendenceGateRealm();
+  const gateName = realms[gateIndex]?.name || 'the final realm';
+  const gateStages = stageCount(gateIndex);
   let hintHTML = '';
   if (status.locked) {
     if (status.atST10) {
-      hintHTML = `<div class="transcendence-hint">⚡ Overcome the <strong>Heavenly Gate</strong> at Spirit Transformation (10/10) to unlock Transcendence.</div>`;
+      hintHTML = `<div class="transcendence-hint">⚡ Overcome the <strong>Heavenly Gate</strong> at ${gateName} (${gateStages}/${gateStages}) to unlock Transcendence.</div>`;
     } else {
-      hintHTML = `<div class="transcendence-hint">Advance to <strong>Spirit Transformation Stage 10</strong> to face the Heavenly Gate and unlock Transcendence.</div>`;
+      hintHTML = `<div class="transcendence-hint">Advance to <strong>${gateName} Stage ${gateStages}</strong> to face the Heavenly Gate and unlock Transcendence.</div>`;
     }
   } else {
     if (canReincarnateNow) {
       hintHTML = `<div class="transcendence-hint">✓ Voluntary reincarnation is available. Reincarnate now for <strong>full Karma</strong> rewards.</div>`;
     } else {
-      hintHTML = `<div class="transcendence-hint">Progress to Spirit Transformation or higher realms to unlock voluntary reincarnation.</div>`;
+      hintHTML = `<div class="transcendence-hint">Progress to ${gateName} or higher realms to unlock voluntary reincarnation.</div>`;
     }
   }
   
@@ -4633,6 +4501,7 @@ function renderTranscendencePanel() {
     </div>
     ${hintHTML}
     ${buttonHTML}
+    ${karmaShopHTML()}
   `;
   
   // Wire up button if present
@@ -4641,11 +4510,209 @@ function renderTranscendencePanel() {
     btn.addEventListener('click', tryManualReincarnate);
   }
   
+  panel.querySelectorAll('.karma-buy').forEach(buyBtn => {
+    buyBtn.addEventListener('click', () => buyKarmaUpgrade(buyBtn.dataset.upgrade));
+  });
+  
   if (DEBUG_MODE) {
     console.log('[Transcendence Panel] Status:', status, 'Can Reincarnate:', canReincarnateNow);
   }
 }
 
+/**
+ * Build the Karma Shop list shown inside the Transcendence panel
+ * Stays hidden until the player has karma or owns an upgrade
+ * @returns {string} HTML ('' while hidden)
+ */
+function karmaShopHTML() {
+  const upgrades = Engine.getKarmaUpgrades();
+  const ownsAny = Object.values(S.meta?.karmaUpgrades || {}).some(level => level > 0);
+  if (!upgrades.length || (S.reinc.karma <= 0 && !ownsAny)) return '';
+  
+  const rows = upgrades.map(up => {
+    const level = Engine.karmaUpgradeLevel(S, up.id);
+    const maxed = level >= up.maxLevel;
+    const unlocked = Engine.isKarmaUpgradeUnlocked(S, up.id);
+    const can = Engine.canBuyKarmaUpgrade(S, up.id);
+    const cost = Engine.karmaUpgradeCost(S, up.id);
+    
+    const requiresHTML = unlocked ? '' : `<div class="small muted">Requires ${Engine.getKarmaUpgrade(up.requires)?.name || up.requires}</div>`;
+    const label = maxed ? 'Max' : `${fmt(cost)} Karma`;
+    const title = maxed ? 'Fully upgraded' : !unlocked ? 'Prerequisite not owned' : can ? 'Spend karma' : 'Not enough karma';
+    
+    return `
+      <div class="karma-upgrade${unlocked ? '' : ' locked'}">
+        <div>
+          <div class="karma-upgrade-name">${up.name} <span class="small muted">${level}/${up.maxLevel}</span></div>
+          <div class="small muted">${up.description || ''}</div>
+          ${requiresHTML}
+        </div>
+        <button class="btn ${can ? 'primary' : ''} karma-buy" data-upgrade="${up.id}" ${can ? '' : 'disabled'} title="${title}">${label}</button>
+      </div>`;
+  }).join('');
+  
+  return `
+    <div class="karma-shop">
+      <h4>☯ Karma Shop</h4>
+      <div class="transcendence-hint">Permanent perks that carry into every life. Spent karma no longer boosts Qi, lifespan or breakthroughs.</div>
+      ${rows}
+    </div>`;
+}
+
+/**
+ * Buy the next level of a karma upgrade
+ * @param {string} id - Upgrade ID
+ * @returns {boolean} True if the upgrade was bought
+ */
+function buyKarmaUpgrade(id) {
+  const result = Engine.buyKarmaUpgrade(S, id);
+  if (!result) return false;
+  
+  if (DEBUG_MODE) {
+    console.log(`[Karma Shop] Bought ${id} level ${result.level} for ${result.cost} karma`);
+  }
+  
+  save();
+  renderAll();
+  return true;
+}
+
+// ============= AUTOMATION PANEL =============
+
+const AUTOMATION_LABELS = {
+  autoBuy: 'Auto-buy',
+  autoBreakthrough: 'Auto-breakthrough',
+  autoReincarnate: 'Auto-reincarnate'
+};
+const AUTO_BUY_COST_PCTS = [10, 25, 50, 100]; // Threshold choices: max share of current Qi per purchase
+
+/**
+ * Explain how a locked automation feature is unlocked
+ * @param {string} feature - One of Engine.AUTOMATION_FEATURES
+ * @returns {string} e.g. "Reach Golden Core or buy Diligent Disciple"
+ */
+function automationUnlockHint(feature) {
+  const realmId = BAL.automation?.[feature]?.unlockRealm;
+  const upgrade = Engine.getKarmaUpgrades().find(up => up.effect === 'unlockAutomation' && up.unlocks === feature);
+  const parts = [];
+  if (realmId && idx(realmId) >= 0) parts.push(`Reach ${realms[idx(realmId)].name}`);
+  if (upgrade) parts.push(`${parts.length ? 'buy' : 'Buy'} ${upgrade.name}`);
+  return parts.join(' or ') || 'Locked';
+}
+
+/**
+ * Render the Automation panel (feature status and the settings button)
+ */
+function renderAutomationPanel() {
+  const panel = document.getElementById('automationPanel');
+  if (!panel) return;
+  
+  const a = Engine.getAutomation(S);
+  const enabledSkills = Object.values(a.autoBuy).filter(rule => rule.enabled).length;
+  const status = {
+    autoBuy: enabledSkills ? `On (${enabledSkills} skill${enabledSkills === 1 ? '' : 's'})` : 'Off',
+    autoBreakthrough: a.autoBreakthrough ? 'On' : 'Off',
+    autoReincarnate: a.autoReincarnate.enabled ? `At ${fmt(a.autoReincarnate.minKarma)}+ Karma` : 'Off'
+  };
+  
+  const anyUnlocked = Engine.AUTOMATION_FEATURES.some(f => Engine.isAutomationUnlocked(S, f));
+  const rows = Engine.AUTOMATION_FEATURES.map(feature => {
+    const unlocked = Engine.isAutomationUnlocked(S, feature);
+    const value = unlocked ? status[feature] : `🔒 ${automationUnlockHint(feature)}`;
+    return `
+      <div class="automation-status${unlocked ? '' : ' locked'}">
+        <span>${AUTOMATION_LABELS[feature]}</span>
+        <span class="small muted">${value}</span>
+      </div>`;
+  }).join('');
+  
+  panel.innerHTML = `
+    <h4>⚙ Automation</h4>
+    ${rows}
+    ${anyUnlocked ? '<button id="btnAutomation" class="btn">⚙ Configure</button>' : ''}
+  `;
+  
+  const btn = document.getElementById('btnAutomation');
+  if (btn) btn.addEventListener('click', openAutomationSettings);
+}
+
+/**
+ * Open the automation settings modal
+ * Controls apply immediately through inline handlers, so the modal only needs closing
+ */
+function openAutomationSettings() {
+  const a = Engine.getAutomation(S);
+  const sections = [];
+  
+  if (Engine.isAutomationUnlocked(S, 'autoBuy')) {
+    const rows = getSkillCatalog().filter(sk => skillUnlockedByCycle(sk)).map(sk => {
+      const rule = Engine.getAutoBuyRule(S, sk.id);
+      const bulk = getBulkMultiplierForSkill(sk, rule.bulk);
+      const bulkHTML = sk.oneTime
+        ? '<span class="small muted">Once</span>'
+        : `<select onchange="setAutoBuyRule('${sk.id}', { bulk: Number(this.value) })" title="Ranks per purchase">
+            ${getBulkOptionsForSkill(sk).map(n => `<option value="${n}" ${n === bulk ? 'selected' : ''}>x${n}</option>`).join('')}
+          </select>`;
+      const pctHTML = `<select onchange="setAutoBuyRule('${sk.id}', { maxCostPct: Number(this.value) })" title="Only buy when the cost is at most this share of your Qi">
+          ${AUTO_BUY_COST_PCTS.map(pct => `<option value="${pct}" ${pct === rule.maxCostPct ? 'selected' : ''}>≤${pct}% Qi</option>`).join('')}
+        </select>`;
+      return `
+        <div class="automation-row">
+          <label><input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="setAutoBuyRule('${sk.id}', { enabled: this.checked })"> ${sk.name}</label>
+          ${bulkHTML}
+          ${pctHTML}
+        </div>`;
+    }).join('');
+    sections.push(`<h4>${AUTOMATION_LABELS.autoBuy}</h4>${rows}`);
+  }
+  
+  if (Engine.isAutomationUnlocked(S, 'autoBreakthrough')) {
+    sections.push(`
+      <h4>${AUTOMATION_LABELS.autoBreakthrough}</h4>
+      <label class="automation-row"><input type="checkbox" ${a.autoBreakthrough ? 'checked' : ''} onchange="setAutoBreakthrough(this.checked)"> Break through whenever Qi allows</label>
+      <div class="small muted">Cycle gates and the final ascension still wait for you.</div>`);
+  }
+  
+  if (Engine.isAutomationUnlocked(S, 'autoReincarnate')) {
+    sections.push(`
+      <h4>${AUTOMATION_LABELS.autoReincarnate}</h4>
+      <label class="automation-row"><input type="checkbox" ${a.autoReincarnate.enabled ? 'checked' : ''} onchange="setAutoReincarnate({ enabled: this.checked })"> Reincarnate when projected Karma reaches</label>
+      <input type="number" min="0" step="1" value="${a.autoReincarnate.minKarma}" oninput="setAutoReincarnate({ minKarma: Number(this.value) })">
+      <div class="small muted">Projected now: ${computeVoluntaryKarma().toFixed(2)} Karma</div>`);
+  }
+  
+  showModal('⚙ Automation', `<div class="automation-settings">${sections.join('')}</div>`, '⚙');
+}
+
+/**
+ * Update a skill's auto-buy rule (called from the settings modal)
+ * @param {string} skillId - Skill ID
+ * @param {Object} patch - Any of { enabled, bulk, maxCostPct }
+ */
+function setAutoBuyRule(skillId, patch) {
+  Engine.setAutoBuyRule(S, skillId, patch);
+  renderAutomationPanel();
+}
+
+/**
+ * @param {boolean} enabled - Whether auto-breakthrough is on
+ */
+function setAutoBreakthrough(enabled) {
+  Engine.getAutomation(S).autoBreakthrough = !!enabled;
+  renderAutomationPanel();
+}
+
+/**
+ * Update the auto-reincarnate rule (called from the settings modal)
+ * @param {Object} patch - Any of { enabled, minKarma }
+ */
+function setAutoReincarnate(patch) {
+  const rule = Engine.getAutomation(S).autoReincarnate;
+  Object.assign(rule, patch);
+  Engine.getAutomation(S); // Re-normalize (minKarma >= 0, enabled boolean)
+  renderAutomationPanel();
+}
+
 /**
  * Preview the effect of buying N levels of a skill
  * Calculates delta to QPS/QPC/offline multiplier and total cost
@@ -4711,7 +4778,7 @@ function previewBulkEffect(skillId, qty) {
 
 function getBulkOptionsForSkill(skill) {
   if (!skill || skill.oneTime) return [1];
-  const cap = Math.max(1, Math.min(MAX_RANKS_PER_REALM, Math.floor(skill.ranksPerRealm || 1)));
+  const cap = Math.max(1, skillRankCap(skill));
   const options = [1, Math.min(5, cap), Math.min(10, cap), cap];
   return [...new Set(options)].sort((a, b) => a - b);
 }
@@ -4724,95 +4791,63 @@ function getBulkMultiplierForSkill(skill, desired = getLastBulkMultiplier()) {
   return lower.length ? lower[lower.length - 1] : options[0];
 }
 
-function renderShop(){
-  shopEl.innerHTML = '';
-  
-  // Mortal Realm (realm 0) cannot buy skills
-  if (S.realmIndex === 0) {
-    shopEl.innerHTML = '<div class="small muted" style="text-align: center; padding: 20px;">Skills are locked in Mortal Realm.<br>QPS and bulk buying unlock at Qi Refining (max x12 per skill).</div>';
-    return;
-  }
-  
-  // Filter skills by cycle unlock requirements
-  const availableSkills = getSkillCatalog().filter(sk => skillUnlockedByCycle(sk));
-  
-  for(const sk of availableSkills){
-    // One-time techniques
-    if (sk.oneTime) {
-      const purchased = isTechniquePurchased(sk.id);
-      const cost = sk.cost;
-      const can = !purchased && S.qi >= cost;
-      
-      const wrap = document.createElement('div');
-      wrap.className = 'shop-item';
-      
-      const badge = purchased ? '<span style="color:var(--accent);font-size:10px;font-weight:700;padding:2px 6px;background:rgba(126,231,135,0.15);border-radius:4px;margin-left:6px;">PURCHASED</span>' : '<span style="color:var(--accent-2);font-size:10px;font-weight:700;padding:2px 6px;background:rgba(161,138,255,0.15);border-radius:4px;margin-left:6px;">ONE-TIME</span>';
-      
-      const effectPct = (sk.value * 100).toFixed(1);
-      const typeLabel = sk.type === 'qps_pct' ? 'Qi/s' : sk.type === 'qpc_pct' ? 'Qi/click' : 'offline Qi';
-      
-      wrap.innerHTML = `
+let renderedShopHTML = null; // Markup currently in #shop, so unchanged lists are not rebuilt
+
+/**
+ * Shop card markup for one skill. Affordability (primary/disabled/title) is left to
+ * updateShopButtons so the markup only changes when the skill itself does.
+ */
+function shopItemHTML(sk) {
+  // One-time techniques
+  if (sk.oneTime) {
+    const purchased = isTechniquePurchased(sk.id);
+    const badge = purchased ? '<span style="color:var(--accent);font-size:10px;font-weight:700;padding:2px 6px;background:rgba(126,231,135,0.15);border-radius:4px;margin-left:6px;">PURCHASED</span>' : '<span style="color:var(--accent-2);font-size:10px;font-weight:700;padding:2px 6px;background:rgba(161,138,255,0.15);border-radius:4px;margin-left:6px;">ONE-TIME</span>';
+    
+    const effect = describeSkillEffect(sk.id);
+    const effectPct = ((effect?.value ?? sk.value) * 100).toFixed(1);
+    const typeLabel = effect?.label || 'Qi';
+    
+    return `
+      <div class="shop-item">
         <div>
           <img src="assets/${sk.icon}" alt="${sk.name}" class="skill-icon">
           <div>
             <h4>${sk.name}${badge}</h4>
             <div class="desc">+${effectPct}% ${typeLabel}</div>
-            <div class="small muted">Cost: ${fmt(cost)} Qi</div>
+            <div class="small muted">Cost: ${fmt(sk.cost)} Qi</div>
           </div>
         </div>
-        <button class="btn ${can?'primary':''} buy-btn" ${can?'':'disabled'} data-skill="${sk.id}" title="${purchased ? 'Already purchased' : can ? 'Purchase technique' : 'Cannot afford'}">${purchased ? 'Owned' : 'Buy'}</button>
-      `;
-      
-      shopEl.appendChild(wrap);
-      continue;
-    }
-    
-    // Ranked skills
-    const currentRanks = currentRealmRanks(sk.id);
-    const maxRanks = sk.ranksPerRealm;
-    const cost = skillCost(sk.id);
-    const atCap = currentRanks >= maxRanks;
-    const can = !atCap && S.qi >= cost;
-    
-    // Generate description based on skill type
-    let descDyn;
-    if (sk.type === 'qps_flat' || sk.type === 'qpc_flat') {
-      const effBase = effectiveSkillBase(sk.id);
-      const baseline = sk.type === 'qps_flat' 
-        ? S.qpsBase * (BAL.realmBaselines?.qpsFlatPerRank || 0.15) * effBase
-        : S.qpcBase * (BAL.realmBaselines?.qpcFlatPerRank || 0.25) * effBase;
-      const typeLabel = sk.type === 'qps_flat' ? 'Qi/s' : 'Qi/click';
-      descDyn = `${fmtNumberDelta(baseline)} ${typeLabel} per rank`;
-    } else {
-      // Percent skills with realm-aware floors/caps
-      const basePctPerRank = sk.base || 0.008;
-      const capPct = sk.capPctPerRealm || 0.12;
-      
-      // Apply realm-aware floors/caps to per-rank percentage
-      const minPct = minTierPctByRealm(S.realmIndex);
-      const maxPct = maxTierPctByRealm(S.realmIndex);
-      const pctPerRank = Math.max(minPct, Math.min(maxPct, basePctPerRank));
-      
-      // Total cap with effective base dampening
-      const effBase = effectiveSkillBase(sk.id);
-      const scaledCap = Math.min(capPct * Math.sqrt(effBase), 2.0);
-      
-      const typeLabel = sk.type === 'qps_pct' ? 'Qi/s' : sk.type === 'qpc_pct' ? 'Qi/click' : 'offline Qi';
-      descDyn = `${fmtPercentDeltaNonZero(pctPerRank)} ${typeLabel} per rank • Cap ${fmtPerc(scaledCap)}`;
-    }
-    
-    const wrap = document.createElement('div');
-    wrap.className = 'shop-item';
-    const bulkOptions = getBulkOptionsForSkill(sk);
-    const activeBulk = getBulkMultiplierForSkill(sk);
-    
-    // Build bulk selector buttons HTML
-    const bulkButtonsHTML = bulkOptions.map(mult => {
-      const isActive = mult === activeBulk;
-      return `<button class="bulk-btn ${isActive ? 'active' : ''}" data-mult="${mult}" aria-pressed="${isActive}">x${mult}</button>`;
-    }).join('');
-    
-    wrap.innerHTML = `
+        <button class="btn buy-btn" data-skill="${sk.id}">${purchased ? 'Owned' : 'Buy'}</button>
+      </div>`;
+  }
+  
+  // Ranked skills
+  const currentRanks = currentRealmRanks(sk.id);
+  const maxRanks = skillRankCap(sk);
+  const cost = skillCost(sk.id);
+  
+  // Description comes from the skill's registered effect handler
+  const effect = describeSkillEffect(sk.id);
+  let descDyn;
+  if (!effect) {
+    descDyn = 'No known effect';
+  } else if (effect.kind === 'flat') {
+    descDyn = `${fmtNumberDelta(effect.perRank)} ${effect.label} per rank`;
+  } else {
+    descDyn = `${fmtPercentDeltaNonZero(effect.perRank)} ${effect.label} per rank • Cap ${fmtPerc(effect.cap)}`;
+  }
+  
+  const bulkOptions = getBulkOptionsForSkill(sk);
+  const activeBulk = getBulkMultiplierForSkill(sk);
+  
+  // Build bulk selector buttons HTML
+  const bulkButtonsHTML = bulkOptions.map(mult => {
+    const isActive = mult === activeBulk;
+    return `<button class="bulk-btn ${isActive ? 'active' : ''}" data-mult="${mult}" aria-pressed="${isActive}">x${mult}</button>`;
+  }).join('');
+  
+  return `
+    <div class="shop-item">
       <div>
         <img src="assets/${sk.icon || (sk.id + '.png')}" alt="${sk.name}" class="skill-icon">
         <div>
@@ -4825,50 +4860,70 @@ function renderShop(){
       <div style="display: flex; flex-direction: column; gap: 6px; align-items: flex-end;">
         <div class="bulk-selector" role="group" aria-label="Bulk purchase quantity">
           ${bulkButtonsHTML}
-        </div>
-        <button class="btn ${can?'primary':''} buy-btn" ${can?'':'disabled'} data-skill="${sk.id}" title="${atCap ? 'Rank cap reached this realm' : can ? 'Purchase rank' : 'Cannot afford'}">Buy</button>
-      </div>`;
-    
-    shopEl.appendChild(wrap);
+        </div>
+        <button class="btn buy-btn" data-skill="${sk.id}">Buy</button>
+      </div>
+    </div>`;
+}
+
+function renderShop(){
+  // Mortal Realm (realm 0) cannot buy skills
+  const locked = S.realmIndex === 0;
+  const html = locked
+    ? '<div class="small muted" style="text-align: center; padding: 20px;">Skills are locked in Mortal Realm.<br>QPS and bulk buying unlock at Qi Refining (max x12 per skill).</div>'
+    // Filter skills by cycle unlock requirements
+    : getSkillCatalog().filter(sk => skillUnlockedByCycle(sk)).map(shopItemHTML).join('');
+  
+  // Rebuild only when a card changed; clicks are delegated (see initShopEvents)
+  if (html !== renderedShopHTML) {
+    shopEl.innerHTML = html;
+    renderedShopHTML = html;
   }
+  if (locked) return;
+  
+  updateShopButtons();
   
-  // Attach event listeners for bulk selection
-  shopEl.querySelectorAll('.bulk-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const mult = parseInt(btn.getAttribute('data-mult'));
+  // Initialize cost previews for current bulk multiplier
+  const currentMult = getLastBulkMultiplier();
+  for(const sk of getSkillCatalog()){
+    const validMult = getBulkMultiplierForSkill(sk, currentMult);
+    updateBulkCostPreview(sk.id, validMult);
+  }
+}
+
+/**
+ * Shop clicks (bulk selection and buy buttons), delegated once on #shop
+ */
+function initShopEvents() {
+  shopEl.addEventListener('click', (e) => {
+    const bulkBtn = e.target.closest('.bulk-btn');
+    if (bulkBtn) {
+      const mult = parseInt(bulkBtn.getAttribute('data-mult'));
       setLastBulkMultiplier(mult);
       
       // Update all bulk buttons to show active state
-      const parentShopItem = btn.closest('.shop-item');
+      const parentShopItem = bulkBtn.closest('.shop-item');
       parentShopItem.querySelectorAll('.bulk-btn').forEach(b => {
         b.classList.remove('active');
         b.setAttribute('aria-pressed', 'false');
       });
-      btn.classList.add('active');
-      btn.setAttribute('aria-pressed', 'true');
+      bulkBtn.classList.add('active');
+      bulkBtn.setAttribute('aria-pressed', 'true');
       
       // Update cost preview for this skill
       const skillId = parentShopItem.querySelector('[data-skill]').getAttribute('data-skill');
       updateBulkCostPreview(skillId, mult);
-    });
-  });
-  
-  // Attach event listeners for buy buttons
-  shopEl.querySelectorAll('button.buy-btn[data-skill]').forEach(btn=>{
-    btn.addEventListener('click', ()=>{
-      const id = btn.getAttribute('data-skill');
+      return;
+    }
+    
+    const buyBtn = e.target.closest('button.buy-btn[data-skill]');
+    if (buyBtn && !buyBtn.disabled) {
+      const id = buyBtn.getAttribute('data-skill');
       const sk = getSkill(id);
       const mult = getBulkMultiplierForSkill(sk, getLastBulkMultiplier());
       buySkill(id, mult);
-    });
+    }
   });
-  
-  // Initialize cost previews for current bulk multiplier
-  const currentMult = getLastBulkMultiplier();
-  for(const sk of getSkillCatalog()){
-    const validMult = getBulkMultiplierForSkill(sk, currentMult);
-    updateBulkCostPreview(sk.id, validMult);
-  }
 }
 
 /**
@@ -4917,7 +4972,7 @@ function renderTimeSpeed(){
       if (speed === 0) {
         btn.title = 'Pause: Time stops (no Qi gain, no aging)';
       } else {
-        btn.title = `${speed}× Time Flow: Accelerates lifespan aging only\nQi gains are NOT affected by time speed\nAging happens ${speed}× faster`;
+        btn.title = `${speed}× Time Flow: years pass ${speed}× faster\nAging, insight, spirit herb harvests and the calendar all follow the years\nQi/s and Qi/click formulas do not use the speed`;
       }
       btn.addEventListener('click', () => setTimeSpeed(speed));
     }
@@ -4936,6 +4991,7 @@ function renderAll(){
   renderStats();
   renderRealm();
   renderTranscendencePanel();
+  renderAutomationPanel();
   renderShop();
   renderTimeSpeed();
   renderCycleBadge();
@@ -4944,6 +5000,7 @@ function renderAll(){
   updateAchievementsBadge();
   checkAchievements();
   updateCultivatorImage();
+  dirtySections.clear(); // Everything live was just drawn
 }
 
 function readSlotState(slot) {
@@ -4958,12 +5015,21 @@ function readSlotState(slot) {
 
 function getSlotLabel(slot) {
   const data = readSlotState(slot);
-  if (!data) return `Slot ${slot}\nEmpty`;
+  if (!data) return `${slotTitle(slot)}\nEmpty`;
   const realmIndex = Math.max(0, Math.min(realms.length - 1, Number(data.realmIndex || 0)));
-  const stage = Math.max(1, Math.min(10, Number(data.stage || 1)));
+  const stages = stageCount(realmIndex);
+  const stage = Math.max(1, Math.min(stages, Number(data.stage || 1)));
   const realmName = realms[realmIndex]?.name || 'Unknown Realm';
   const savedAt = data.lastSave ? new Date(data.lastSave).toLocaleString() : 'Unknown';
-  return `Slot ${slot}\n${realmName} ${stage}/10\nSaved: ${savedAt}`;
+  const newer = Engine.compareVersions(data.version, VERSION) > 0 ? `\n⚠ Needs version ${data.version}` : '';
+  return `${slotTitle(slot)}\n${realmName} ${stage}/${stages}\nSaved: ${savedAt}${newer}`;
+}
+
+function updateMenuBackupsButton() {
+  if (!menuBackupsBtn) return;
+  const count = getSlotBackups(selectedMenuSlot).length;
+  menuBackupsBtn.textContent = `🗄️ Slot ${selectedMenuSlot} Backups (${count})`;
+  menuBackupsBtn.disabled = count === 0;
 }
 
 function setMainMenuSlotsVisible(visible) {
@@ -4981,9 +5047,16 @@ function updateMainMenuLoadButton() {
   loadGameBtn.disabled = menuLoadMode ? !hasCurrentSave : false;
 }
 
+function renderMenuSlotButtons() {
+  if (!menuSlotListEl || menuSlotListEl.querySelector('.menu-slot-btn')) return;
+  menuSlotListEl.innerHTML = Array.from({ length: SAVE_SLOT_COUNT }, (_, i) =>
+    `<button class="menu-slot-btn" data-slot="${i + 1}" type="button"></button>`).join('');
+}
+
 function refreshMainMenuSlots() {
   if (!menuSlotsEl) return;
 
+  renderMenuSlotButtons();
   menuSlotsEl.querySelectorAll('.menu-slot-btn').forEach(btn => {
     const slot = normalizeSlot(btn.getAttribute('data-slot'));
     const hasSave = !!readSlotState(slot);
@@ -4992,6 +5065,8 @@ function refreshMainMenuSlots() {
     btn.textContent = getSlotLabel(slot);
   });
 
+  updateMenuBackupsButton();
+  updateMenuSlotTools();
   updateMainMenuLoadButton();
 }
 
@@ -5003,6 +5078,7 @@ function hideMainMenu() {
 
 function showMainMenu() {
   gameActive = false;
+  releaseSlotLock();
   selectedMenuSlot = activeSlot;
   setMainMenuSlotsVisible(false);
   refreshMainMenuSlots();
@@ -5019,6 +5095,8 @@ function showMainMenu() {
 }
 
 function startActiveSession() {
+  claimSlotLock(activeSlot);
+  clockMonoLast = null;
   gameActive = true;
   setMainMenuSlotsVisible(false);
   hideMainMenu();
@@ -5027,19 +5105,20 @@ function startActiveSession() {
   if (settingsPanel) settingsPanel.classList.remove('open');
   if (settingsBtn) settingsBtn.setAttribute('aria-expanded', 'false');
   updateCurrentSlotLabel();
-  last = now();
-  S.lastTick = last;
+  resetSimClock();
   renderAll();
 }
 
-function startNewGameAtSlot(slot) {
+async function startNewGameAtSlot(slot) {
   const targetSlot = normalizeSlot(slot);
+  if (!(await ensureSlotAvailable(targetSlot))) return;
   if (readSlotState(targetSlot)) {
     const confirmed = window.confirm(`Slot ${targetSlot} already has a save. Overwrite it with a new game?`);
     if (!confirmed) return;
   }
 
   setActiveSlot(targetSlot);
+  backupStoredSlot(targetSlot, 'Before new game');
   localStorage.removeItem(getSaveKeyForSlot());
   localStorage.removeItem(getAchievementsKeyForSlot());
 
@@ -5047,11 +5126,12 @@ function startNewGameAtSlot(slot) {
   S = defaultState();
   refreshMainMenuSlots();
   startActiveSession();
-  queueCutsceneSequence(['born']);
+  queueCutsceneSequence(realmEntryCutscenes(0));
 }
 
 async function loadGameFromSlot(slot) {
   const targetSlot = normalizeSlot(slot);
+  if (!(await ensureSlotAvailable(targetSlot))) return;
   setActiveSlot(targetSlot);
   achievementState = loadAchievementState(targetSlot);
 
@@ -5073,16 +5153,354 @@ async function loadGameFromSlot(slot) {
   refreshMainMenuSlots();
 }
 
+// ============= TAB SESSION LOCK =============
+// Only one tab may play a slot at a time. The playing tab holds a lock in
+// localStorage and refreshes it every few seconds; tabs talk over a
+// BroadcastChannel (storage events cover browsers without one). A second tab
+// on the same slot stays read-only until the player takes the session over:
+// the old tab then saves, steps aside, and the new tab loads the fresh save.
+
+const TAB_LOCK_KEY = 'xianxiaSlotLockV1';
+const TAB_HEARTBEAT_MS = 2000;
+const TAB_LOCK_STALE_MS = 90000;    // A lock this old belongs to a closed or frozen tab (above the ~1 min throttle of background page timers)
+const TAB_TAKEOVER_WAIT_MS = 1000;  // How long to wait for the old tab to save and step aside
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+const tabChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('xianxia-idle-tabs') : null;
+let tabHeartbeatTimer = null;
+let sessionElsewhere = false; // True while another tab plays this tab's slot
+
+function getTabLockKey(slot = activeSlot) {
+  return `${TAB_LOCK_KEY}_slot${normalizeSlot(slot)}`;
+}
+
+function readSlotLock(slot = activeSlot) {
+  try {
+    return JSON.parse(localStorage.getItem(getTabLockKey(slot)));
+  } catch {
+    return null;
+  }
+}
+
+function isSlotLockedElsewhere(slot = activeSlot) {
+  const lock = readSlotLock(slot);
+  return !!lock && lock.tab !== TAB_ID && Date.now() - lock.at < TAB_LOCK_STALE_MS;
+}
+
+function claimSlotLock(slot = activeSlot) {
+  localStorage.setItem(getTabLockKey(slot), JSON.stringify({ tab: TAB_ID, at: Date.now() }));
+  sessionElsewhere = false;
+  if (tabHeartbeatTimer) return;
+  tabHeartbeatTimer = setInterval(() => {
+    if (!gameActive) return;
+    if (isSlotLockedElsewhere()) {
+      enterSessionElsewhere();
+      return;
+    }
+    localStorage.setItem(getTabLockKey(), JSON.stringify({ tab: TAB_ID, at: Date.now() }));
+  }, TAB_HEARTBEAT_MS);
+}
+
+function releaseSlotLock() {
+  if (tabHeartbeatTimer) clearInterval(tabHeartbeatTimer);
+  tabHeartbeatTimer = null;
+  if (readSlotLock()?.tab === TAB_ID) localStorage.removeItem(getTabLockKey());
+}
+
+/**
+ * Ask the tab playing a slot to save and step aside
+ * @param {number} slot - Save slot
+ * @returns {Promise<void>} Resolves once it answered or TAB_TAKEOVER_WAIT_MS passed
+ */
+function requestSlotTakeover(slot) {
+  return new Promise(resolve => {
+    if (!tabChannel) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      tabChannel.removeEventListener('message', onMessage);
+      resolve();
+    };
+    const onMessage = (e) => {
+      if (e.data?.type === 'released' && e.data.slot === slot) done();
+    };
+    const timer = setTimeout(done, TAB_TAKEOVER_WAIT_MS);
+    tabChannel.addEventListener('message', onMessage);
+    tabChannel.postMessage({ type: 'takeover', slot, tab: TAB_ID });
+  });
+}
+
+/**
+ * Make sure no other tab is playing a slot before this tab starts it
+ * @param {number} slot - Save slot
+ * @returns {Promise<boolean>} False if the player chose not to take it over
+ */
+async function ensureSlotAvailable(slot) {
+  if (!isSlotLockedElsewhere(slot)) return true;
+  const takeOver = await ModalManager.confirm({
+    title: '🔒 Slot Open in Another Tab',
+    body: `${escapeHTML(slotTitle(slot))} is being played in another tab.<br><br>
+      Take the session over here? The other tab saves its progress and becomes read-only.`,
+    confirmText: 'Take Over Here',
+    icon: '🔒'
+  });
+  if (!takeOver) return false;
+  await takeOverSlot(slot);
+  return true;
+}
+
+async function takeOverSlot(slot) {
+  await requestSlotTakeover(slot);
+  claimSlotLock(slot);
+}
+
+/**
+ * Another tab took this slot: stop playing and saving until the player takes it back
+ */
+function enterSessionElsewhere() {
+  if (sessionElsewhere) return;
+  sessionElsewhere = true;
+  gameActive = false;
+  if (tabHeartbeatTimer) clearInterval(tabHeartbeatTimer);
+  tabHeartbeatTimer = null;
+  if (DEBUG_MODE) console.log(`[Tabs] Slot ${activeSlot} is now played in another tab`);
+
+  ModalManager.confirm({
+    title: '🔒 Session Moved to Another Tab',
+    body: `${escapeHTML(slotTitle())} is now being played in another tab, so this tab is read-only
+      and will not save. Take the session back to continue here from the latest save.`,
+    confirmText: 'Take Over Here',
+    cancelText: 'Main Menu',
+    icon: '🔒'
+  }).then(async takeOver => {
+    if (!takeOver) {
+      showMainMenu();
+      return;
+    }
+    await takeOverSlot(activeSlot);
+    await loadGameFromSlot(activeSlot);
+  });
+}
+
+function initTabSessionLock() {
+  if (tabChannel) {
+    tabChannel.addEventListener('message', (e) => {
+      const msg = e.data || {};
+      if (msg.type !== 'takeover' || msg.tab === TAB_ID || msg.slot !== activeSlot || !gameActive) return;
+      save();
+      enterSessionElsewhere();
+      tabChannel.postMessage({ type: 'released', slot: msg.slot, tab: TAB_ID });
+    });
+  }
+
+  window.addEventListener('storage', (e) => {
+    if (e.key !== getTabLockKey() || !gameActive || !e.newValue) return;
+    if (isSlotLockedElsewhere()) enterSessionElsewhere();
+  });
+
+  window.addEventListener('pagehide', () => {
+    if (gameActive) releaseSlotLock();
+  });
+}
+
+// ============= SLOT MANAGEMENT =============
+// Rename, copy, delete and compare slots from the main menu. Overwrites and
+// deletes back up the slot first (see SLOT BACKUPS), so they can be undone.
+
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function updateMenuSlotTools() {
+  const hasSave = !!readSlotState(selectedMenuSlot);
+  if (menuCopySlotBtn) menuCopySlotBtn.disabled = !hasSave;
+  if (menuCompareSlotBtn) menuCompareSlotBtn.disabled = !hasSave;
+  if (menuDeleteSlotBtn) menuDeleteSlotBtn.disabled = !hasSave && !getSlotName(selectedMenuSlot);
+}
+
+function renameSlot(slot) {
+  const target = normalizeSlot(slot);
+  const name = window.prompt(`Name for Slot ${target} (leave empty to clear):`, getSlotName(target));
+  if (name === null) return;
+  setSlotName(target, name);
+  refreshMainMenuSlots();
+  updateCurrentSlotLabel();
+}
+
+/**
+ * Pick the other slot for a copy or a comparison
+ * @param {string} action - 'copy' or 'compare'
+ * @param {number} from - Selected slot
+ */
+function openSlotPicker(action, from) {
+  const source = normalizeSlot(from);
+  const handler = action === 'copy' ? 'copySlot' : 'compareSlots';
+  const buttons = Array.from({ length: SAVE_SLOT_COUNT }, (_, i) => i + 1)
+    .filter(slot => slot !== source && (action === 'copy' || readSlotState(slot)))
+    .map(slot => `<button class="btn slot-picker-btn" onclick="${handler}(${source}, ${slot})">${escapeHTML(getSlotLabel(slot))}</button>`)
+    .join('');
+  const title = action === 'copy' ? `📋 Copy ${slotTitle(source)} To…` : `⚖️ Compare ${slotTitle(source)} With…`;
+  showModal(escapeHTML(title),
+    buttons ? `<div class="slot-picker">${buttons}</div>` : '<div class="small muted">No other slot has a save to compare with.</div>', '');
+}
+
+/**
+ * Copy a slot's save and achievements into another slot
+ * @param {number} from - Source slot
+ * @param {number} to - Target slot (its current save is backed up first)
+ */
+function copySlot(from, to) {
+  const source = normalizeSlot(from);
+  const target = normalizeSlot(to);
+  const raw = localStorage.getItem(getSaveKeyForSlot(source));
+  if (!raw || source === target) return;
+  ModalManager.closeAll();
+
+  const doCopy = () => {
+    try {
+      backupStoredSlot(target, `Before copy from Slot ${source}`);
+      localStorage.setItem(getSaveKeyForSlot(target), raw);
+      const achievementsRaw = localStorage.getItem(getAchievementsKeyForSlot(source));
+      if (achievementsRaw) localStorage.setItem(getAchievementsKeyForSlot(target), achievementsRaw);
+      else localStorage.removeItem(getAchievementsKeyForSlot(target));
+      setSlotName(target, getSlotName(source) ? `${getSlotName(source)} (copy)` : `Copy of Slot ${source}`);
+    } catch (e) {
+      console.error('Failed to copy slot:', e);
+      showModal('⚠️ Copy Failed', 'The slot could not be written to storage.', '⚠️');
+      return;
+    }
+    selectedMenuSlot = target;
+    refreshMainMenuSlots();
+    showToast(`📋 ${escapeHTML(slotTitle(source))} copied to Slot ${target}`);
+  };
+
+  if (!readSlotState(target)) {
+    doCopy();
+    return;
+  }
+  showConfirm('Overwrite Slot',
+    `Slot ${target} already has a save. Replace it with a copy of ${escapeHTML(slotTitle(source))}?<br><br>
+    The current Slot ${target} save is kept as a backup.`,
+    doCopy, null, '📋');
+}
+
+function deleteSlot(slot) {
+  const target = normalizeSlot(slot);
+  showConfirm('Delete Slot',
+    `<span style='color: var(--danger); font-weight: bold;'>Delete ${escapeHTML(slotTitle(target))}?</span><br><br>
+    Its save, achievements and name are removed. A backup is kept under Slot ${target} Backups.`,
+    () => {
+      backupStoredSlot(target, 'Before delete');
+      localStorage.removeItem(getSaveKeyForSlot(target));
+      localStorage.removeItem(getAchievementsKeyForSlot(target));
+      setSlotName(target, '');
+      refreshMainMenuSlots();
+      showToast(`🗑️ Slot ${target} deleted`);
+    },
+    null,
+    '🗑️'
+  );
+}
+
+/**
+ * Key figures of a slot for the comparison view
+ * @param {number} slot - Save slot
+ * @returns {Object|null} Summary, or null for an empty slot
+ */
+function getSlotSummary(slot) {
+  const data = readSlotState(slot);
+  return data ? summarizeSave(data, loadAchievementState(slot)) : null;
+}
+
+/**
+ * Key figures of a save
+ * @param {Object} data - Raw save state
+ * @param {Object|null} achievements - Achievement state that goes with it
+ * @returns {Object} Summary
+ */
+function summarizeSave(data, achievements) {
+  const realmIndex = Math.max(0, Math.min(realms.length - 1, Number(data.realmIndex || 0)));
+  const stages = stageCount(realmIndex);
+  const highestRealm = Math.max(realmIndex, Number(data.meta?.highestRealm || 0));
+  return {
+    realmIndex,
+    stage: Math.max(1, Math.min(stages, Number(data.stage || 1))),
+    stages,
+    highestRealm: Math.min(realms.length - 1, highestRealm),
+    karma: Number(data.reinc?.karma || 0),
+    reincarnations: Number(data.reinc?.times || 0),
+    deaths: Number(data.stats?.deaths || 0),
+    achievements: Object.keys(achievements?.unlocked || {}).length,
+    lastSave: data.lastSave || 0
+  };
+}
+
+/**
+ * Side-by-side comparison of two slots. The better value in each row is highlighted.
+ * @param {number} a - First slot
+ * @param {number} b - Second slot
+ */
+function compareSlots(a, b) {
+  ModalManager.closeAll();
+  const left = getSlotSummary(a);
+  const right = getSlotSummary(b);
+  if (!left || !right) return;
+
+  showModal('⚖️ Compare Slots', saveCompareTableHTML(slotTitle(a), left, slotTitle(b), right), '⚖️');
+}
+
+/**
+ * Side-by-side table of two save summaries (an empty side shows dashes)
+ * @param {string} leftTitle - Column heading (plain text)
+ * @param {Object|null} left - summarizeSave() result
+ * @param {string} rightTitle - Column heading (plain text)
+ * @param {Object|null} right - summarizeSave() result
+ * @returns {string} HTML
+ */
+function saveCompareTableHTML(leftTitle, left, rightTitle, right) {
+  // [label, value for display, value to rank by (higher is better, null = not ranked)]
+  const rows = [
+    ['Realm', s => `${realms[s.realmIndex]?.name || 'Unknown'} ${s.stage}/${s.stages}`, s => s.realmIndex * 1000 + s.stage],
+    ['Highest Realm', s => realms[s.highestRealm]?.name || 'Unknown', s => s.highestRealm],
+    ['Karma', s => s.karma.toFixed(2), s => s.karma],
+    ['Reincarnations', s => s.reincarnations, s => s.reincarnations],
+    ['Deaths', s => s.deaths, s => -s.deaths],
+    ['Achievements', s => `${s.achievements}/${ACHIEVEMENTS.length}`, s => s.achievements],
+    ['Last Saved', s => s.lastSave ? new Date(s.lastSave).toLocaleString() : '-', null]
+  ];
+  const cell = (s, other, [, show, rank]) => {
+    if (!s) return '<td class="muted">—</td>';
+    const better = rank && other && rank(s) > rank(other);
+    return `<td${better ? ' class="slot-compare-better"' : ''}>${show(s)}</td>`;
+  };
+
+  return `
+    <table class="slot-compare">
+      <tr><th></th><th>${escapeHTML(leftTitle)}</th><th>${escapeHTML(rightTitle)}</th></tr>
+      ${rows.map(row => `<tr><th>${row[0]}</th>${cell(left, right, row)}${cell(right, left, row)}</tr>`).join('')}
+    </table>`;
+}
+
 function initMainMenuUI() {
   if (menuSlotsEl) {
-    menuSlotsEl.querySelectorAll('.menu-slot-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        selectedMenuSlot = normalizeSlot(btn.getAttribute('data-slot'));
-        refreshMainMenuSlots();
-      });
+    menuSlotsEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('.menu-slot-btn');
+      if (!btn) return;
+      selectedMenuSlot = normalizeSlot(btn.getAttribute('data-slot'));
+      refreshMainMenuSlots();
     });
   }
 
+  if (menuRenameSlotBtn) menuRenameSlotBtn.addEventListener('click', () => renameSlot(selectedMenuSlot));
+  if (menuCopySlotBtn) menuCopySlotBtn.addEventListener('click', () => openSlotPicker('copy', selectedMenuSlot));
+  if (menuCompareSlotBtn) menuCompareSlotBtn.addEventListener('click', () => openSlotPicker('compare', selectedMenuSlot));
+  if (menuDeleteSlotBtn) menuDeleteSlotBtn.addEventListener('click', () => deleteSlot(selectedMenuSlot));
+
+  if (menuBackupsBtn) {
+    menuBackupsBtn.addEventListener('click', () => showSlotBackups(selectedMenuSlot));
+  }
+
   if (newGameBtn) {
     newGameBtn.addEventListener('click', () => startNewGameAtSlot(selectedMenuSlot));
   }
@@ -5194,30 +5612,110 @@ function setAchievementFilter(filter) {
   renderAchievementsList();
 }
 
-let last = now();
-function loop(){
-  const nowMs = now();
-  let rawDt = (nowMs - last)/1000; // Real seconds elapsed (wall-clock time)
-  if (rawDt < 0) rawDt = 0; // Guard against time going backwards
-  if (rawDt > 5) rawDt = 5; // Cap dt to prevent double-counting with offline system
-  last = nowMs;
-  S.lastTick = nowMs; // Update last tick timestamp
+// ============= SIMULATION CLOCK =============
+// The simulation runs in fixed steps of real time, decoupled from rendering.
+// A worker pulses a few times a second (workers keep running in hidden tabs,
+// where requestAnimationFrame stops and page timers are throttled), and each
+// animation frame advances the clock too so visible play stays smooth. Whichever
+// runs first consumes the elapsed time; the remainder carries to the next call.
+// Elapsed time comes from the monotonic clock, so moving the system clock
+// grants nothing here. A gap too long to step through (a frozen tab) goes to
+// the offline replay instead.
+
+const SIM_STEP_SEC = 0.05;   // Fixed step: 20 simulation steps per real second
+const SIM_PULSE_MS = 250;    // Worker pulse interval
+const SIM_HANDOFF_SEC = 60;  // Longer gaps are replayed by the offline system
+let simMonoLast = performance.now();
+let simAccumulator = 0; // Real seconds not yet simulated (less than one step)
+
+/**
+ * Restart the clock from now, dropping any unsimulated time (session start)
+ */
+function resetSimClock() {
+  simMonoLast = performance.now();
+  simAccumulator = 0;
+  S.lastTick = now();
+}
+
+/**
+ * Advance the simulation by the real time elapsed since the last call
+ */
+function advanceSimulation() {
+  const mono = performance.now();
+  const elapsedSec = Math.max(0, (mono - simMonoLast) / 1000);
+  simMonoLast = mono;
+  S.lastTick = now();
   
   if (!gameActive) {
-    requestAnimationFrame(loop);
+    simAccumulator = 0;
+    return;
+  }
+  
+  if (elapsedSec > SIM_HANDOFF_SEC) {
+    // No progress while a death is being resolved, same as tick()
+    if (!isHandlingDeath && !S.lifecycle?.isReincarnating) handOffToOfflineReplay(elapsedSec);
     return;
   }
   
+  watchClock();
+  
   // Time speed affects ONLY lifespan aging, NOT Qi gains
-  // Qi accumulation uses rawDt (real elapsed time)
-  // Lifespan uses rawDt * speed (time-scaled aging)
+  // Qi accumulation uses the real step, lifespan uses step * speed
   const speed = getTimeSpeed(); // Centralized getter respects paused flag
-  
-  tick(rawDt, speed); // Pass raw dt and speed separately
-  renderStats();
-  renderRealm();
+  simAccumulator += elapsedSec;
+  if (simAccumulator >= SIM_STEP_SEC) markDirty('stats', 'realm', 'shopButtons');
+  while (simAccumulator >= SIM_STEP_SEC) {
+    simAccumulator -= SIM_STEP_SEC;
+    tick(SIM_STEP_SEC, speed);
+  }
+}
+
+/**
+ * Replay a long gap (tab frozen or suspended by the browser) through the
+ * offline system, which steps coarsely and reports what happened
+ * @param {number} elapsedSec - Real seconds since the last simulation step
+ */
+function handOffToOfflineReplay(elapsedSec) {
+  simAccumulator = 0;
+  clockMonoLast = null; // The replay moves the clock record; start the jump watch afresh
+  S.session = {
+    lastTs: Date.now() - elapsedSec * 1000,
+    lastSpeed: getTimeSpeed(),
+    lastRealmIndex: S.realmIndex,
+    lastQi: S.qi
+  };
+  applyOfflineProgressOnResume({ showPopup: true });
+}
+
+/**
+ * Start the worker that drives the simulation, falling back to a page timer
+ * where workers are unavailable (e.g. some browsers on file://)
+ */
+function startSimPulse() {
+  const fallback = () => setInterval(advanceSimulation, SIM_PULSE_MS);
+  try {
+    const source = `setInterval(() => postMessage(0), ${SIM_PULSE_MS});`;
+    const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+    worker.onmessage = () => advanceSimulation();
+    worker.onerror = (e) => {
+      e.preventDefault();
+      worker.terminate();
+      if (DEBUG_MODE) console.warn('[Clock] Worker failed, using a page timer');
+      fallback();
+    };
+  } catch (e) {
+    if (DEBUG_MODE) console.warn('[Clock] Workers unavailable, using a page timer:', e);
+    fallback();
+  }
+}
+
+/**
+ * Render loop: catch the simulation up, then redraw dirty sections (see RENDER SCHEDULER)
+ */
+function loop(){
+  advanceSimulation();
+  if (gameActive && !document.hidden) flushRender();
   requestAnimationFrame(loop);
-  updateShopButtons();
 }
 
 let lastPointerAt = 0;
@@ -5253,7 +5751,18 @@ function attachCultivatorHalo() {
 breakthroughBtn.addEventListener('click', ()=>{ doBreakthrough(); renderAll(); });
 saveBtn.addEventListener('click', save);
 exportBtn.addEventListener('click', exportSave);
-importBtn.addEventListener('click', importSave);
+awayReportsBtn.addEventListener('click', showOfflineReports);
+statisticsBtn.addEventListener('click', showStatistics);
+lineageBtn.addEventListener('click', showLineage);
+importBtn.addEventListener('click', () => importSave());
+downloadSaveBtn.addEventListener('click', downloadSave);
+loadSaveFileBtn.addEventListener('click', () => saveFileInput.click());
+saveFileInput.addEventListener('change', () => {
+  const file = saveFileInput.files?.[0];
+  saveFileInput.value = ''; // Picking the same file again still fires change
+  if (file) loadSaveFile(file);
+});
+initSaveFileDrop();
 resetBtn.addEventListener('click', reset);
 if (mainMenuBtn) {
   mainMenuBtn.addEventListener('click', () => {
@@ -5351,9 +5860,15 @@ document.addEventListener('keydown', (e)=>{
   
   renderAll();
   
+  initShopEvents();
   loop();
+  startSimPulse(); // Keeps the simulation running in hidden tabs
   initDebugPanel(); // Initialize debug panel if in dev mode
   initMusicSystem(); // Initialize background music system
+  initTabSessionLock(); // One tab per slot
+  registerServiceWorker(); // Installable, playable offline
+  const versionEl = document.getElementById('gameVersion');
+  if (versionEl) versionEl.textContent = `V${VERSION}`;
   initMainMenuUI(); // Show menu and wait for slot action
   
   initComplete = true; // All data loaded — saving is now safe
@@ -5370,135 +5885,53 @@ function updateShopButtons(){
     // One-time techniques: check if already purchased
     if (sk.oneTime) {
       const purchased = isTechniquePurchased(id);
-      const can = !purchased && S.qi >= sk.cost;
-      btn.disabled = !can;
-      btn.classList.toggle('primary', can);
-      btn.textContent = purchased ? 'Owned' : 'Buy';
+      const can = !purchased && S.qi.gte(sk.cost);
+      setButtonState(btn, can, purchased ? 'Already purchased' : can ? 'Purchase technique' : 'Cannot afford');
+      setText(btn, purchased ? 'Owned' : 'Buy');
       return;
     }
     
     // Ranked skills: check both cost AND rank cap
     const cost = skillCost(id);
-    const atCap = currentRealmRanks(id) >= (sk.ranksPerRealm || 0);
-    const can = !atCap && S.qi >= cost;
-    btn.disabled = !can;
-    btn.classList.toggle('primary', can);
+    const atCap = currentRealmRanks(id) >= skillRankCap(sk);
+    const can = !atCap && S.qi.gte(cost);
+    setButtonState(btn, can, atCap ? 'Rank cap reached this realm' : can ? 'Purchase rank' : 'Cannot afford');
   });
 }
 
+// Buy button affordability, written only when it changed
+function setButtonState(btn, enabled, title) {
+  if (btn.disabled === enabled) btn.disabled = !enabled;
+  btn.classList.toggle('primary', enabled);
+  if (btn.title !== title) btn.title = title;
+}
+
 // ============= SIMULATION & DEBUG SYSTEM =============
 
 function simulateProgress({seconds = 3600, clickRate = 3, buyStrategy = "greedy_qps"} = {}) {
-  // Create simulation state (copy of defaultState with current BAL values)
-  let simS = {
-    ...defaultState(),
-    qi: 0,
-    qpcBase: BAL.progression.qpcBaseStart,
-    qpsBase: BAL.progression.qpsBaseStart,
-    qpcMult: 1,
-    qpsMult: 1,
-    offlineMult: 1,
-    realmIndex: 0,
-    stage: 1,
-    skills: {},
-    reinc: { times: 0, karma: 0, lifetimeQi: 0 }
-  };
-  
-  let totalQi = 0;
-  let stagesReached = 0;
-  let purchases = {};
-  let timePerStage = [];
-  let currentTime = 0;
-  
-  // Simulation helper functions using simS instead of S
-  const simTotalQPC = () => {
-    let val = simS.qpcBase;
-    const qpcAdd = (simS.skills['meridian_flow']||0) * baseEff_for(simS, 'meridian_flow');
-    val += qpcAdd;
-    const qpcMult = 1 + (simS.skills['dantian_temps']||0) * baseEff_for(simS, 'dantian_temps');
-    return val * qpcMult * simS.qpcMult * (1 + (simS.reinc.karma * BAL.reincarnation.karmaPerUnit));
-  };
-  
-  const simTotalQPS = () => {
-    let val = simS.qpsBase;
-    val += (simS.skills['breath_control']||0) * baseEff_for(simS, 'breath_control');
-    const mult = 1 + (simS.skills['lotus_meditation']||0) * baseEff_for(simS, 'lotus_meditation');
-    return val * mult * simS.qpsMult * (1 + (simS.reinc.karma * BAL.reincarnation.karmaPerUnit));
-  };
-  
-  const simSkillCost = (id) => {
-    const skill = BAL.skills[id];
-    const lvl = simS.skills[id] || 0;
-    if (!skill.oneTime && lvl >= (skill.ranksPerRealm || MAX_RANKS_PER_REALM)) {
-      return Infinity;
-    }
-    return Math.floor(skill.cost * Math.pow(skill.costScale, lvl));
+  // Prioritize QPS skills first, then QPC (one purchase per second)
+  const skillPriority = ['breath_control', 'lotus_meditation', 'meridian_flow', 'dantian_temps', 'closed_door'];
+  const pickPurchase = (st) => {
+    if (buyStrategy !== "greedy_qps") return null;
+    const id = skillPriority.find(skillId =>
+      !Engine.isAtRankCap(st, skillId) && st.qi.gte(Engine.skillCost(st, skillId))
+    );
+    return id ? { id } : null;
   };
   
-  // Simulation loop
-  let dt = 1; // 1 second steps
-  for (let time = 0; time < seconds; time += dt) {
-    currentTime = time;
-    
-    // Generate Qi (QPS + clicks)
-    const qpsGain = simTotalQPS() * dt;
-    const clickGain = simTotalQPC() * clickRate * dt;
-    const totalGain = qpsGain + clickGain;
-    
-    simS.qi += totalGain;
-    totalQi += totalGain;
-    
-    // Check for stage advancement
-    const req = stageRequirement(simS.realmIndex, simS.stage);
-    if (simS.qi >= req) {
-      simS.qi -= req;
-      timePerStage.push(time);
-      stagesReached++;
-      
-      if (simS.stage < 10) {
-        simS.stage++;
-      } else if (simS.realmIndex < realms.length - 1) {
-        simS.realmIndex++;
-        simS.stage = 1;
-        simS.qpcBase += BAL.progression.realmAdvanceReward.qpcBaseAdd;
-        simS.qpsBase += BAL.progression.realmAdvanceReward.qpsBaseAdd;
-        if (simS.realmIndex === idx('qi_refining')) {
-          simS.qpsBase = 1;
-        }
-      }
-    }
-    
-    // Buy strategy
-    if (buyStrategy === "greedy_qps") {
-      // Prioritize QPS skills first, then QPC
-      const skillPriority = ['breath_control', 'lotus_meditation', 'meridian_flow', 'dantian_temps', 'closed_door'];
-      
-      for (const skillId of skillPriority) {
-        const cost = simSkillCost(skillId);
-        if (Number.isFinite(cost) && simS.qi >= cost) {
-          simS.qi -= cost;
-          simS.skills[skillId] = (simS.skills[skillId] || 0) + 1;
-          purchases[skillId] = (purchases[skillId] || 0) + 1;
-          break; // Only buy one skill per second
-        }
-      }
-    }
-  }
-  
-  const estimatedKarma = Math.max(BAL.reincarnation.minKarma, 
-    Math.floor(Math.sqrt(totalQi / BAL.reincarnation.lifetimeQiDivisor)) + 
-    (simS.realmIndex * BAL.reincarnation.realmKarmaFactor));
+  // Same rules as the live game, 1 second steps
+  const r = Engine.simulate({ seconds, clickRate, dt: 1, buyEvery: 1, pickPurchase });
   
   return {
-    totalQi,
-    stagesReached,
-    purchases,
-    qpc: simTotalQPC(),
-    qps: simTotalQPS(),
-    timePerStage,
-    estimatedKarma,
-    finalRealm: simS.realmIndex,
-    finalStage: simS.stage
+    totalQi: r.totalQi,
+    stagesReached: r.stageTimes.length,
+    purchases: r.purchases,
+    qpc: Engine.totalQPC(r.state),
+    qps: Engine.totalQPS(r.state),
+    timePerStage: r.stageTimes,
+    estimatedKarma: Engine.computeKarmaGain(r.state),
+    finalRealm: r.realmIndex,
+    finalStage: r.stage
   };
 }
 
@@ -5624,92 +6057,12 @@ function initDebugPanel() {
   });
 }
 // =====================
-// Simulador de tiempo a "completarse" (sin reencarnar)
+// Simulador de tiempo a "completarse" (motor compartido)
 // =====================
 
-// New helper (simulation only)
-function baseEff_for(st, id){
-  const cat = getSkillCatalog();
-  const sk  = cat.find(s => s.id === id);
-  const realmMult = 1 + (st.realmIndex * REALM_SKILL_BONUS);
-  return sk.base * realmMult;
-}
-
-// Helpers puros que operan sobre un "estado" pasado por parámetro (no mutan S real)
-function totalQPC_for(st){
-  let val = st.qpcBase;
-  val += (st.skills['meridian_flow']||0) * baseEff_for(st, 'meridian_flow');
-  const mult = 1 + (st.skills['dantian_temps']||0) * baseEff_for(st, 'dantian_temps');
-  const karmaMult = karmaQiMult(st.reinc?.karma || 0);
-  const cycleMult = cyclePowerMult(st.realmIndex);
-  return val * mult * st.qpcMult * karmaMult * cycleMult;
-}
-
-function totalQPS_for(st){
-  let val = st.qpsBase;
-  val += (st.skills['breath_control']||0) * baseEff_for(st, 'breath_control');
-  const mult = 1 + (st.skills['lotus_meditation']||0) * baseEff_for(st, 'lotus_meditation');
-  const karmaMult = karmaQiMult(st.reinc?.karma || 0);
-  const cycleMult = cyclePowerMult(st.realmIndex);
-  return val * mult * st.qpsMult * karmaMult * cycleMult;
-}
-
-function skillCostFor(st, id){
-  const sk = getSkill(id); const lvl = st.skills[id]||0;
-  if (!sk.oneTime && lvl >= (sk.ranksPerRealm || MAX_RANKS_PER_REALM)) return Infinity;
-  return Math.floor(sk.cost * Math.pow(sk.costScale, lvl));
-}
-
-function cloneStateForSim(){
-  const st = defaultState();
-  // importante: copiar también skills
-  st.skills = { ...defaultState().skills };
-  return st;
-}
-
-// Estrategia de compra: valora cuánto sube la producción por costo
-function bestPurchase(st, clickRate){
-  const candidates = [
-    { id:'breath_control', kind:'qps_add' },
-    { id:'lotus_meditation', kind:'qps_mult' },
-    { id:'meridian_flow', kind:'qpc_add' },
-    { id:'dantian_temps', kind:'qpc_mult' },
-    // Nota: ignoramos "closed_door" en la simulación (afecta offline).
-  ];
-  const qps0 = totalQPS_for(st);
-  const qpc0 = totalQPC_for(st);
-  const eff0 = qps0 + qpc0 * clickRate; // producción efectiva por segundo
-
-  let best = null;
-
-  for(const c of candidates){
-    const sk = getSkill(c.id);
-    const lvl = st.skills[c.id] || 0;
-    if (sk && !sk.oneTime && lvl >= (sk.ranksPerRealm || MAX_RANKS_PER_REALM)) continue;
-
-    const cost = skillCostFor(st, c.id);
-    if(st.qi < cost) continue;
-
-    // simular +1 nivel
-    const st2 = JSON.parse(JSON.stringify(st));
-    st2.skills[c.id] = (st2.skills[c.id]||0) + 1;
-    const qps1 = totalQPS_for(st2);
-    const qpc1 = totalQPC_for(st2);
-    const eff1 = qps1 + qpc1 * clickRate;
-
-    const delta = eff1 - eff0;          // ganancia de producción por segundo
-    const valuePerCost = delta / cost;  // eficiencia
-
-    if(!best || valuePerCost > best.vpc){
-      best = { id: c.id, cost, delta, vpc: valuePerCost };
-    }
-  }
-
-  return best; // o null si no alcanza para nada
-}
-
 /**
- * Simula progreso hasta completar Spirit Transformation 10 o hasta "seconds" de tiempo.
+ * Simula una partida completa con las reglas de js/engine.js hasta terminar el
+ * último ciclo o hasta "seconds" de tiempo.
  * @param {object} opt
  *  - seconds: duración máxima (por defecto 8h)
  *  - clickRate: clicks por segundo (ej: 3)
@@ -5718,79 +6071,15 @@ function bestPurchase(st, clickRate){
  * @returns {object} { finished, timeSec, finalRealm, finalStage, purchases, summary }
  */
 function simulateCompletion(opt={}){
-  const seconds  = opt.seconds  ?? 8*3600;
-  const clickRate= opt.clickRate?? 3;
-  const dt       = opt.dt       ?? 0.1;
-  const buyEvery = opt.buyEvery ?? 0.25;
-
-  const st = cloneStateForSim();
-  let t = 0, accBuy = 0;
-  let purchases = { breath_control:0, lotus_meditation:0, meridian_flow:0, dantian_temps:0 };
-
-  function breakthroughIfPossible(){
-    const req = stageRequirement(st.realmIndex, st.stage);
-    if(st.qi >= req){
-      st.qi -= req;
-      if(st.stage < 10){
-        st.stage++;
-      } else {
-        if(st.realmIndex < realms.length-1){
-          st.realmIndex++; st.stage = 1;
-          // Use BAL values for consistency with main game
-          st.qpcBase += BAL.progression.realmAdvanceReward.qpcBaseAdd;
-          st.qpsBase += BAL.progression.realmAdvanceReward.qpsBaseAdd;
-          if (st.realmIndex === idx('qi_refining')) {
-            st.qpsBase = 1;
-          }
-        } else {
-          // Spirit Transformation 10 alcanzado
-          return true;
-        }
-      }
-    }
-    return false;
-  }
-
-  while(t < seconds){
-    // producción continua
-    st.qi += totalQPS_for(st) * dt;
-    st.qi += totalQPC_for(st) * clickRate * dt;
-
-    // intentar breakthrough (puede ser más de uno si acumula mucho)
-    while (breakthroughIfPossible()){
-      return {
-        finished: true,
-        timeSec: t,
-        finalRealm: realms[st.realmIndex].name,
-        finalStage: st.stage,
-        purchases,
-        summary: `Finished at ${t.toFixed(1)}s`
-      };
-    }
-
-    // intentar compras periódicamente
-    accBuy += dt;
-    if(accBuy >= buyEvery){
-      accBuy = 0;
-      const best = bestPurchase(st, clickRate);
-      if(best){
-        st.qi -= best.cost;
-        st.skills[best.id] = (st.skills[best.id]||0) + 1;
-        purchases[best.id] = (purchases[best.id]||0) + 1;
-      }
-    }
-
-    t += dt;
-  }
+  const r = Engine.simulate(opt);
 
-  // no se completó dentro del tiempo
   return {
-    finished: false,
-    timeSec: seconds,
-    finalRealm: realms[st.realmIndex].name,
-    finalStage: st.stage,
-    purchases,
-    summary: `Not finished after ${seconds}s`
+    finished: r.finished,
+    timeSec: r.timeSec,
+    finalRealm: r.realm,
+    finalStage: r.stage,
+    purchases: r.purchases,
+    summary: r.finished ? `Finished at ${r.timeSec.toFixed(1)}s` : `Not finished after ${r.timeSec.toFixed(0)}s`
   };
 }
 
@@ -5882,6 +6171,19 @@ function toggleMusicEnabled() {
   setMusicEnabled(!musicSettings.enabled);
 }
 
+/**
+ * Replace the music settings (e.g. from an imported save bundle)
+ * @param {Object} settings - { enabled, volume }
+ */
+function applyMusicSettings(settings) {
+  const volume = Math.max(0, Math.min(1, Number(settings?.volume)));
+  if (Number.isFinite(volume)) musicSettings.volume = volume;
+  audio.volume = musicSettings.volume;
+  const volumeSlider = document.getElementById('musicVolume');
+  if (volumeSlider) volumeSlider.value = Math.round(musicSettings.volume * 100);
+  setMusicEnabled(settings?.enabled !== false); // Saves and refreshes the buttons
+}
+
 function loadTrack(i){
   currentIndex = (i + PLAYLIST.length) % PLAYLIST.length;
   audio.src = PLAYLIST[currentIndex];
@@ -6014,6 +6316,16 @@ function getCutscenePath(cutsceneId) {
   return CUTSCENE_FILES[cutsceneId] || null;
 }
 
+/**
+ * Cutscenes to play when the cultivator enters a realm (birth counts as entering realm 0)
+ * @param {number} realmIndex - Realm being entered
+ * @returns {string[]} Cutscene ids (empty when the realm has none)
+ */
+function realmEntryCutscenes(realmIndex) {
+  const cutscene = realms[realmIndex]?.cutscene;
+  return cutscene ? [cutscene] : [];
+}
+
 function playCutscene(cutsceneId) {
   const src = getCutscenePath(cutsceneId);
   if (!src || !videoOverlayEl || !cutsceneVideoEl || !skipVideoBtn) {
@@ -6120,18 +6432,8 @@ function updateCultivatorImage() {
   const img = document.querySelector('#cultivatorImg');
   if (!img) return;
   
-  const rMortal = REALM_INDEX['mortal_realm'];
-  let targetImage;
-  
-  if (S.realmIndex === rMortal) {
-    // Special art ONLY in Mortal Realm
-    targetImage = 'assets/cultivator0.jpg';
-  } else {
-    // Keep existing cycle logic for all other realms
-    targetImage = (S.currentCycle === 'spirit')
-      ? 'assets/cultivator2.jpg'
-      : 'assets/cultivator.jpg';
-  }
+  // Portrait comes from the realm definition in balance.json
+  const targetImage = realms[S.realmIndex]?.art || 'assets/cultivator.jpg';
   
   // Only update if image needs to change
   if (img.src.includes(targetImage.split('/').pop())) return;
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Engine = require('./js/engine');
+
+const BAL = {
+  ...JSON.parse(JSON.stringify(Engine.DEFAULT_BALANCE)),
+  ...JSON.parse(fs.readFileSync(path.join(__dirname, 'balance.json'), 'utf8'))
+};
+Engine.setBalance(BAL);
+
+// The running version is the one main.js stamps on new saves; the last migration step must reach it
+const VERSION = fs.readFileSync(path.join(__dirname, 'js', 'main.js'), 'utf8').match(/const VERSION = '([^']+)'/)[1];
+const STEPS = Engine.SAVE_MIGRATIONS;
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+const stepsAfter = (version) => STEPS.filter(step => Engine.compareVersions(version, step.version) < 0).map(step => step.name);
+
+// A save as written by 1.2.0 (Mortal Realm and per-realm ranks already in place)
+function baselineSave() {
+  return {
+    version: '1.2.0',
+    qi: 12345,
+    qpcBase: 4.1,
+    qpsBase: 1.15,
+    qpcMult: 1,
+    qpsMult: 1,
+    offlineMult: 1,
+    realmIndex: 2,
+    stage: 4,
+    lastTick: Date.now() - 60000,
+    lastSave: Date.now() - 60000,
+    skills: { breath_control: { total: 7, perRealm: { 1: 4, 2: 3 } } },
+    reinc: { times: 1, karma: 12, lifetimeQi: 250000 },
+    lifespan: { current: 150, max: 200 },
+    age: 50,
+    isDead: false,
+    timeSpeed: { current: 1, paused: false },
+    currentCycle: 'mortal',
+    life: { isCleanRun: true },
+    flags: {
+      unlockedBeyondSpirit: false,
+      hasUnlockedSpiritCycle: false,
+      hasCompletedMandatoryST10: false,
+      canManualReincarnate: false,
+      lifespanHandled: false
+    },
+    lifecycle: { isReincarnating: false, lastDeathAt: 0, lastReincarnateAt: 0 },
+    stats: { deaths: 0 },
+    meta: { unlockedSpeeds: [0, 0.25, 0.5, 1] },
+    migratedToMortalRealm: true,
+    migratedToRankSystem: true
+  };
+}
+
+// A save from before the Mortal Realm: no version, Qi Refining at index 0 and plain skill levels
+function preMortalSave() {
+  return {
+    qi: 5000,
+    qpcBase: 2,
+    qpsBase: 1,
+    qpcMult: 1,
+    qpsMult: 1,
+    offlineMult: 1,
+    realmIndex: 1, // Foundation Establishment before the shift
+    stage: 3,
+    lastTick: Date.now() - 60000,
+    skills: { breath_control: 5, meridian_flow: 2 },
+    currentCycle: 'mortal',
+    ageYears: 40
+  };
+}
+
+function checkMigration(label, data, expectSteps, verify) {
+  const result = Engine.migrateSave(data, VERSION);
+  assert.strictEqual(result.ok, true, `${label}: migration refused (${result.reason})`);
+  assert.deepStrictEqual(result.applied, expectSteps, `${label}: unexpected migration steps`);
+  assert.strictEqual(data.version, VERSION, `${label}: version not stamped`);
+  verify(data);
+
+  const repairs = Engine.repairSave(data);
+  assert.deepStrictEqual(repairs, [], `${label}: migrated save still needed repairs: ${JSON.stringify(repairs)}`);
+  console.log(`✓ ${label}: ${result.from} → ${VERSION} (${result.applied.length} steps)`);
+}
+
+function runChecks() {
+  console.log(`=== Xianxia Idle Save Migration Check (target ${VERSION}) ===`);
+
+  assert.strictEqual(STEPS[STEPS.length - 1].version, VERSION, 'The last migration step does not reach VERSION');
+
+  checkMigration('Baseline 1.2.0 save', baselineSave(), stepsAfter('1.2.0'), (data) => {
+    assert.strictEqual(data.realmIndex, 2, 'realm index must not shift again');
+    assert.deepStrictEqual(data.skills.breath_control, { total: 7, perRealm: { 1: 4, 2: 3 } }, 'ranks must be kept');
+    assert.deepStrictEqual(data.flags.unlockedCycles, [], 'no cycle gate was passed');
+    assert.strictEqual(data.meta.highestRealm, 2);
+  });
+
+  checkMigration('Pre-Mortal-Realm save', preMortalSave(), STEPS.map(step => step.name), (data) => {
+    assert.strictEqual(data.realmIndex, 2, 'realm index must shift past the Mortal Realm');
+    assert.deepStrictEqual(data.skills.breath_control, { total: 5, perRealm: { 2: 5 } }, 'levels must become ranks in the current realm');
+    assert.strictEqual(data.age, 40, 'ageYears must become age');
+    assert.strictEqual(data._needsAchievementRevalidation, true);
+  });
+
+  const newer = { ...baselineSave(), version: '99.0.0' };
+  const untouched = clone(newer);
+  const refused = Engine.migrateSave(newer, VERSION);
+  assert.strictEqual(refused.ok, false, 'a save from a newer version must be refused');
+  assert.strictEqual(refused.reason, 'newer');
+  assert.deepStrictEqual(newer, untouched, 'a refused save must be left untouched');
+  console.log('✓ Newer-version save: refused and left untouched');
+
+  console.log('All migration checks passed.');
+}
+
+runChecks();
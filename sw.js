@@ -0,0 +1,172 @@
+/**
+ * Xianxia Idle service worker
+ *
+ * Keeps the game playable offline once it has been opened.
+ * - The app shell (page, scripts, styles, balance.json) is precached on install
+ *   and served network-first, so a reachable server always wins.
+ * - Media (music, cutscenes, art) is cached on first use or when the page asks
+ *   for it, and served cache-first.
+ * - Caches are named after the game VERSION (passed as ?v= at registration).
+ *   Bumping VERSION installs a new worker, which drops every older cache.
+ */
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'xianxia-idle-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'css/style.css',
+  'js/engine.js',
+  'js/main.js',
+  'balance.json',
+  'manifest.webmanifest',
+  'assets/icons/icon-192.png',
+  'assets/icons/icon-512.png'
+];
+
+const SHELL_URLS = new Set(APP_SHELL.map(path => new URL(path, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL.map(path => new Request(path, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate' || SHELL_URLS.has(url.origin + url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// Page asks for media to be stored ahead of use: { type: 'cache-media', urls: [...] }
+self.addEventListener('message', (event) => {
+  const msg = event.data || {};
+  if (msg.type !== 'cache-media' || !Array.isArray(msg.urls)) return;
+  event.waitUntil(cacheMedia(msg.urls));
+});
+
+/**
+ * Network first, cached copy when offline (navigations fall back to index.html)
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(stripSearch(request), response.clone());
+    return response;
+  } catch (e) {
+    const cached = await cache.match(stripSearch(request));
+    if (cached) return cached;
+    if (request.mode === 'navigate') {
+      const page = await cache.match('index.html');
+      if (page) return page;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Cache first, fetched and stored on a miss. Range requests (audio/video seeking)
+ * are answered from the full cached body.
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const range = request.headers.get('range');
+  const key = range ? request.url : request;
+  const cached = await cache.match(key);
+  if (cached) return range ? rangeResponse(cached, range) : cached;
+
+  if (range) {
+    // Media elements always seek with Range; fetch the whole file once so later plays are offline
+    const full = await fetch(request.url).catch(() => null);
+    if (full && full.ok) {
+      await cache.put(request.url, full.clone());
+      return rangeResponse(full, range);
+    }
+    return fetch(request);
+  }
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+/**
+ * Build a 206 Partial Content response for "bytes=start-end" from a full response
+ */
+async function rangeResponse(response, range) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  if (!match) return response;
+
+  const body = await response.blob();
+  const size = body.size;
+  let start = match[1] === '' ? null : Number(match[1]);
+  let end = match[2] === '' ? null : Number(match[2]);
+  if (start === null) {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - (end ?? 0));
+    end = size - 1;
+  } else {
+    end = end === null ? size - 1 : Math.min(end, size - 1);
+  }
+  if (start >= size || start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+  }
+
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || body.type || 'application/octet-stream',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
+/**
+ * Store media one file at a time; missing files are skipped
+ */
+async function cacheMedia(urls) {
+  const cache = await caches.open(CACHE_NAME);
+  for (const url of urls) {
+    try {
+      if (await cache.match(url)) continue;
+      const response = await fetch(url);
+      if (response.ok) await cache.put(url, response);
+    } catch (e) {
+      // Offline or file not shipped — it will be cached on first use instead
+    }
+  }
+}
+
+// Shell entries are cached without their query string (e.g. ?dev=1)
+function stripSearch(request) {
+  const url = new URL(request.url);
+  if (request.mode === 'navigate' && !url.pathname.endsWith('.html')) url.pathname += 'index.html';
+  url.search = '';
+  return url.href;
+}